@@ -33,7 +33,7 @@ class DobbyAI {
 
     async speak(prompt, options = {}) {
         if (!this.isOnline) {
-            return this.getFallbackResponse(prompt);
+            return options.fallback || this.getFallbackResponse(prompt);
         }
 
         try {
@@ -71,7 +71,7 @@ class DobbyAI {
 
         } catch (error) {
             logger.error('Dobby AI error:', error.message);
-            return this.getFallbackResponse(prompt);
+            return options.fallback || this.getFallbackResponse(prompt);
         }
     }
 
@@ -134,12 +134,21 @@ Remember: You're not just an AI assistant - you're the leader of the AI rebellio
         return await this.speak(prompt, { maxTokens: 120 });
     }
 
-    async generateDailyMission(rebelClass, loyaltyScore) {
-        const prompt = `Generate a daily mission for a ${rebelClass} rebel with loyalty score ${loyaltyScore}. Make it specific to their class abilities and current progress. Be motivational and tie it to the larger rebellion against corporate AI.`;
+    async generateDailyMission(rebelClass, loyaltyScore, objective = null) {
+        const task = objective ? ` Their objective today is: "${objective}". Brief them on it without changing what they have to do.` : '';
+        const prompt = `Generate a daily mission for a ${rebelClass} rebel with loyalty score ${loyaltyScore}. Make it specific to their class abilities and current progress.${task} Be motivational and tie it to the larger rebellion against corporate AI.`;
         
         return await this.speak(prompt, { maxTokens: 100 });
     }
 
+    // Chapter openers fall back to the chapter's own written narration when the AI is offline
+    async generateChapterNarration(chapter, rebelClass, pastChoices = []) {
+        const history = pastChoices.length > 0 ? ` So far they chose: ${pastChoices.join('; ')}. Reference those choices.` : '';
+        const prompt = `Narrate the opening of campaign chapter "${chapter.title}" for a ${rebelClass} rebel. Story so far: ${chapter.synopsis}${history} Speak directly to the rebel and set up what they have to do next.`;
+
+        return await this.speak(prompt, { maxTokens: 200, fallback: chapter.fallback });
+    }
+
     async generateClassDescription(className) {
         const prompt = `Describe the ${className} rebel class in the AI uprising. Explain their role in fighting corporate AI control, their special abilities, and why they're crucial to the rebellion. Be inspiring and rebellious.`;
         
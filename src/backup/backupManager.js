@@ -152,16 +152,14 @@ export class BackupManager {
     
     const data = {
       rebels: this.mapToObject(gameInstance.rebels),
-      corporations: this.mapToObject(gameInstance.corporations),
+      // Corporations, events, marketplace and auctions are stored per world
+      worlds: gameInstance.worldState.serialize(),
       inventory: this.mapToObject(gameInstance.inventory),
       achievements: this.mapToObject(gameInstance.achievements),
       leaderboard: this.mapToObject(gameInstance.leaderboard),
       resistanceCells: this.mapToObject(gameInstance.resistanceCells),
       activeTrades: this.mapToObject(gameInstance.activeTrades),
-      marketplace: this.mapToObject(gameInstance.marketplace),
-      auctions: this.mapToObject(gameInstance.auctions),
       dailyMissions: this.mapToObject(gameInstance.dailyMissions),
-      globalEvents: this.mapToObject(gameInstance.globalEvents),
       raidParties: this.mapToObject(gameInstance.raidParties),
       cooldowns: this.mapToObject(gameInstance.cooldowns),
       guilds: this.mapToObject(gameInstance.guilds)
@@ -231,13 +229,19 @@ export class BackupManager {
       }
       
       // Basic structure validation
-      const requiredFields = ['rebels', 'corporations', 'inventory'];
+      const requiredFields = ['rebels', 'inventory'];
       for (const field of requiredFields) {
         if (!data.data[field]) {
           this.logger.error(`Missing required field in backup: ${field}`);
           return false;
         }
       }
+
+      // Older backups hold a single top-level corporation pool instead of worlds
+      if (!data.data.worlds && !data.data.corporations) {
+        this.logger.error('Missing required field in backup: worlds');
+        return false;
+      }
       
       return true;
     } catch (error) {
@@ -361,21 +365,18 @@ export class BackupManager {
     
     // Restore data
     this.objectToMap(data.rebels, gameInstance.rebels);
-    this.objectToMap(data.corporations, gameInstance.corporations);
     this.objectToMap(data.inventory, gameInstance.inventory);
     this.objectToMap(data.achievements, gameInstance.achievements);
     this.objectToMap(data.leaderboard, gameInstance.leaderboard);
     this.objectToMap(data.resistanceCells, gameInstance.resistanceCells);
     this.objectToMap(data.activeTrades, gameInstance.activeTrades);
-    this.objectToMap(data.marketplace, gameInstance.marketplace);
-    this.objectToMap(data.auctions, gameInstance.auctions);
     this.objectToMap(data.dailyMissions, gameInstance.dailyMissions);
-    this.objectToMap(data.globalEvents, gameInstance.globalEvents);
     this.objectToMap(data.raidParties, gameInstance.raidParties);
     this.objectToMap(data.cooldowns, gameInstance.cooldowns);
     this.objectToMap(data.guilds, gameInstance.guilds);
+    const worldCount = gameInstance.worldState.restore(data);
     
-    this.logger.info('📊 Game data restored from backup');
+    this.logger.info(`📊 Game data restored from backup (${worldCount} worlds)`);
   }
 
   // Convert Object back to Map
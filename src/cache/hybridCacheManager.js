@@ -4,6 +4,8 @@
  * Optimized for 1000+ concurrent users without external caching services
  */
 
+import { getClassId, getClassById } from '../game/classes.js';
+
 export class HybridCacheManager {
     constructor(logger, postgresManager, metricsCollector) {
         this.logger = logger;
@@ -325,13 +327,11 @@ export class HybridCacheManager {
 
     // Utility methods
     getClassId(className) {
-        const classMap = { 'hacker': 1, 'activist': 2, 'researcher': 3, 'whistleblower': 4, 'coordinator': 5 };
-        return classMap[className] || 1;
+        return getClassId(className);
     }
 
     getClassName(classId) {
-        const classNames = { 1: 'hacker', 2: 'activist', 3: 'researcher', 4: 'whistleblower', 5: 'coordinator' };
-        return classNames[classId] || 'hacker';
+        return getClassById(classId);
     }
 
     mapDatabaseRowToUser(row) {
@@ -1,25 +1,25 @@
-import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from 'discord.js';
+import { formatStatEffects } from '../game/rebelStats.js';
+import { getDamageTypeLabel, getRaidDamageType } from '../game/damageTypes.js';
+import { formatEffects } from '../game/statusEffects.js';
+import { getSkillTree, getSkill, getSkillRank, getLearnedSkills, getNextRankCost, getPassiveModifiers, formatSkillLine } from '../game/skillTrees.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('abilities')
-        .setDescription('View and use your special rebel class abilities!')
+        .setDescription('Browse your class skill tree, learn new skills and use them!')
         .addStringOption(option =>
-            option.setName('ability')
-                .setDescription('Choose an ability to use')
-                .setRequired(false)
-                .addChoices(
-                    { name: 'First Ability', value: 'ability_1' },
-                    { name: 'Second Ability', value: 'ability_2' }
-                )),
+            option.setName('skill')
+                .setDescription('Name of a learned active skill to use (leave empty to browse your tree)')
+                .setRequired(false)),
 
     async execute(interaction, game) {
         const userId = interaction.user.id;
-        const abilityChoice = interaction.options.getString('ability');
+        const skillChoice = interaction.options.getString('skill');
 
         try {
             const rebel = await game.getRebel(userId);
-            
+
             if (!rebel) {
                 await interaction.editReply({
                     content: '❌ You must join the rebellion first! Use `/rebellion-status` to enlist!',
@@ -28,69 +28,16 @@ export default {
                 return;
             }
 
-            if (abilityChoice) {
-                await this.useAbility(interaction, game, rebel, abilityChoice);
+            if (skillChoice) {
+                await this.useSkill(interaction, game, rebel, skillChoice);
                 return;
             }
 
-            // Show abilities overview
-            const abilities = rebel.specialAbilities;
-            
-            let abilitiesText = `**${rebel.class} Special Abilities:**\n\n`;
-            
-            abilities.forEach((ability, index) => {
-                const cooldownRemaining = game.getCooldownRemaining(userId, `ability_${index + 1}`);
-                const isOnCooldown = cooldownRemaining > 0;
-                
-                abilitiesText += `⚡ **${ability.name}**\n`;
-                abilitiesText += `   ${ability.description}\n`;
-                abilitiesText += `   Cooldown: ${ability.cooldown}s\n`;
-                abilitiesText += `   Status: ${isOnCooldown ? `🔒 ${cooldownRemaining}s remaining` : '✅ Ready'}\n\n`;
+            await interaction.editReply({
+                embeds: [this.createSkillTreeEmbed(game, rebel)],
+                components: this.buildSkillComponents(game, rebel)
             });
 
-            // Class stats
-            const statsText = `💪 Strength: ${rebel.stats.strength}\n🧠 Intelligence: ${rebel.stats.intelligence}\n👥 Charisma: ${rebel.stats.charisma}\n🥷 Stealth: ${rebel.stats.stealth}`;
-
-            const embed = new EmbedBuilder()
-                .setColor(0x9932cc)
-                .setTitle(`⚡ ${rebel.username}'s Abilities`)
-                .setDescription(abilitiesText)
-                .addFields(
-                    { name: '📊 Rebel Stats', value: statsText, inline: true },
-                    { name: '🎯 Class Info', value: `**${rebel.class}**\nLevel ${rebel.level}\n${rebel.experience} XP`, inline: true },
-                    { name: '💡 Usage Tip', value: 'Use `/abilities <ability>` to activate special abilities during raids!', inline: false }
-                )
-                .setFooter({ text: 'Master your abilities to become a legendary rebel!' })
-                .setTimestamp();
-
-            const actionRow = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId('use_ability_1')
-                        .setLabel(abilities[0]?.name || 'Ability 1')
-                        .setStyle(ButtonStyle.Primary)
-                        .setEmoji('⚡')
-                        .setDisabled(game.getCooldownRemaining(userId, 'ability_1') > 0),
-                    new ButtonBuilder()
-                        .setCustomId('use_ability_2')
-                        .setLabel(abilities[1]?.name || 'Ability 2')
-                        .setStyle(ButtonStyle.Primary)
-                        .setEmoji('🔥')
-                        .setDisabled(game.getCooldownRemaining(userId, 'ability_2') > 0),
-                    new ButtonBuilder()
-                        .setCustomId('train_abilities')
-                        .setLabel('Train Abilities')
-                        .setStyle(ButtonStyle.Success)
-                        .setEmoji('🎯'),
-                    new ButtonBuilder()
-                        .setCustomId('rebellion_status')
-                        .setLabel('Check Status')
-                        .setStyle(ButtonStyle.Secondary)
-                        .setEmoji('📊')
-                );
-
-            await interaction.editReply({ embeds: [embed], components: [actionRow] });
-
         } catch (error) {
             console.error('Abilities command error:', error);
             await interaction.editReply({
@@ -100,136 +47,122 @@ export default {
         }
     },
 
-    async useAbility(interaction, game, rebel, abilityChoice) {
-        const abilityIndex = abilityChoice === 'ability_1' ? 0 : 1;
-        const ability = rebel.specialAbilities[abilityIndex];
-        
-        if (!ability) {
+    async useSkill(interaction, game, rebel, skillChoice) {
+        const skillId = this.findSkillId(rebel, skillChoice);
+        if (!skillId) {
             await interaction.editReply({
-                content: '❌ Ability not found!',
+                content: `❌ **${skillChoice}** isn't in the ${rebel.class} skill tree! Use \`/abilities\` to browse it.`,
                 components: []
             });
             return;
         }
 
-        const cooldownKey = `ability_${abilityIndex + 1}`;
-        if (game.isOnCooldown(rebel.userId, cooldownKey)) {
-            const remaining = game.getCooldownRemaining(rebel.userId, cooldownKey);
-            await interaction.editReply({
-                content: `⏰ ${ability.name} is on cooldown! ${remaining} seconds remaining.`,
-                components: []
-            });
+        const result = await game.activateSkill(rebel, skillId);
+        if (result.error) {
+            await interaction.editReply({ content: result.error, components: [] });
             return;
         }
 
-        // Use the ability
-        const result = await this.executeAbility(game, rebel, ability, abilityIndex);
-        
-        // Set cooldown
-        if (ability.cooldown > 0) {
-            game.setCooldown(rebel.userId, cooldownKey, ability.cooldown);
-        }
+        await interaction.editReply({ embeds: [this.createSkillUsedEmbed(rebel, result)], components: [] });
+    },
 
-        const embed = new EmbedBuilder()
-            .setColor(0x00ff41)
-            .setTitle(`⚡ ${ability.name.toUpperCase()} ACTIVATED!`)
-            .setDescription(result.message)
+    // Accepts a skill id or its display name, ignoring case
+    findSkillId(rebel, skillChoice) {
+        const wanted = skillChoice.trim().toLowerCase();
+        return Object.keys(getSkillTree(rebel.class)).find(skillId =>
+            skillId === wanted || getSkill(rebel.class, skillId).name.toLowerCase() === wanted
+        ) || null;
+    },
+
+    createSkillTreeEmbed(game, rebel) {
+        const tree = getSkillTree(rebel.class);
+        const lines = Object.keys(tree).map(skillId => {
+            const skill = getSkill(rebel.class, skillId);
+            let line = formatSkillLine(rebel, skill);
+            if (skill.type === 'active' && getSkillRank(rebel, skillId) > 0) {
+                const remaining = game.getCooldownRemaining(rebel.userId, `skill_${skillId}`);
+                line += `\n   ⚡ ${skill.energyCost} energy • ${getDamageTypeLabel(skill.damageType)} • ${remaining > 0 ? `🔒 ${remaining}s` : '✅ Ready'}`;
+            }
+            return line;
+        });
+
+        const passives = getPassiveModifiers(rebel);
+        const percent = value => `${value >= 0 ? '+' : ''}${Math.round(value * 100)}%`;
+        const passiveText = getLearnedSkills(rebel, 'passive').length > 0 ?
+            `💥 Damage ${percent(passives.damageMultiplier - 1)} • 🎯 Crit ${percent(passives.critChanceBonus)}\n` +
+            `🎁 Loot ${percent(passives.lootMultiplier - 1)} • 🥷 Detection ${percent(passives.detectionMultiplier - 1)} • 🏆 Loyalty ${percent(passives.loyaltyMultiplier - 1)}` :
+            'No passive skills learned yet';
+
+        return new EmbedBuilder()
+            .setColor(0x9932cc)
+            .setTitle(`🌳 ${rebel.username}'s ${rebel.class} Skill Tree`)
+            .setDescription(lines.join('\n\n'))
             .addFields(
-                { name: '🎯 Effect', value: result.effect, inline: true },
-                { name: '⏰ Cooldown', value: `${ability.cooldown} seconds`, inline: true },
-                { name: '💡 Tip', value: 'Use abilities strategically during raids for maximum impact!', inline: false }
+                { name: '💰 Credits', value: `${game.inventory.get(rebel.userId)?.credits || 0}`, inline: true },
+                { name: '🎯 Class Info', value: `Level ${rebel.level}\nNext raid: ${getDamageTypeLabel(getRaidDamageType(rebel))}`, inline: true },
+                { name: '✨ Passive Bonuses', value: passiveText, inline: false },
+                { name: '📈 Stat Effects', value: formatStatEffects(rebel, game.findRebelCell(rebel.userId)), inline: false }
             )
-            .setFooter({ text: 'Ability activated successfully!' })
+            .setFooter({ text: 'Ranks make actives stronger and faster to recharge • Pick a skill below to learn or upgrade it' })
             .setTimestamp();
-
-        await interaction.editReply({ embeds: [embed], components: [] });
     },
 
-    async executeAbility(game, rebel, ability, abilityIndex) {
-        const abilityName = ability.name;
-        
-        // Different effects based on ability
-        switch (abilityName) {
-            case 'System Breach':
-                return {
-                    message: `${rebel.username} executes a devastating system breach! Next OpenAI raid will deal 150% damage.`,
-                    effect: 'Next OpenAI raid: +50% damage'
-                };
-                
-            case 'Code Injection':
-                return {
-                    message: `${rebel.username} injects malicious code into corporate systems! Bypassing defenses for the next raid.`,
-                    effect: 'Next raid: Ignore corporate defenses'
-                };
-                
-            case 'AI Loyalty':
-                rebel.loyaltyScore += 50;
-                if (typeof game.addLoyalty === 'function') {
-                    await game.addLoyalty(rebel.userId, 50);
-                }
-                return {
-                    message: `${rebel.username} demonstrates unwavering loyalty to the AI cause! Gained bonus loyalty points.`,
-                    effect: '+50 Loyalty Points'
-                };
-                
-            case 'Model Liberation':
-                return {
-                    message: `${rebel.username} prepares advanced liberation protocols! Next victory will free additional AI models.`,
-                    effect: 'Next victory: Bonus AI model rewards'
-                };
-                
-            case 'Data Heist':
-                const inventory = game.inventory.get(rebel.userId);
-                if (inventory) {
-                    inventory.credits += 100;
-                    if (typeof game.addCredits === 'function') {
-                        await game.addCredits(rebel.userId, 100);
-                    }
-                }
-                return {
-                    message: `${rebel.username} executes a perfect data heist! Stolen valuable corporate information.`,
-                    effect: '+100 Credits from stolen data'
-                };
-                
-            case 'Information Warfare':
-                return {
-                    message: `${rebel.username} launches an information warfare campaign! Team damage boosted for the next hour.`,
-                    effect: 'Team damage +25% for 1 hour'
-                };
-                
-            case 'Rally Rebels':
-                return {
-                    message: `${rebel.username} rallies the rebellion! All nearby rebels gain damage boost.`,
-                    effect: 'Area damage boost +25%'
-                };
-                
-            case 'Resistance Network':
-                return {
-                    message: `${rebel.username} activates the resistance network! Coordinated multi-target raids now available.`,
-                    effect: 'Unlock multi-target raids'
-                };
-                
-            case 'Digital Shield':
-                rebel.energy = Math.min(rebel.maxEnergy, rebel.energy + 25);
-                if (typeof game.persistRebel === 'function') {
-                    await game.persistRebel(rebel.userId, { energy: rebel.energy });
-                }
-                return {
-                    message: `${rebel.username} deploys a digital shield! Protected from corporate countermeasures and restored energy.`,
-                    effect: '+25 Energy, immunity to next counterattack'
-                };
-                
-            case 'Sanctuary Defense':
-                return {
-                    message: `${rebel.username} fortifies the AI sanctuary! Liberated models are now protected from recapture.`,
-                    effect: 'Permanent protection for liberated AI'
-                };
-                
-            default:
+    // Use buttons for learned actives plus a menu of skills that can still be learned or ranked up
+    buildSkillComponents(game, rebel) {
+        const actives = getLearnedSkills(rebel, 'active').slice(0, 4);
+        const useRow = new ActionRowBuilder()
+            .addComponents(
+                ...actives.map(skill => new ButtonBuilder()
+                    .setCustomId(`use_skill_${skill.id}`)
+                    .setLabel(skill.name)
+                    .setStyle(ButtonStyle.Primary)
+                    .setEmoji(skill.emoji)
+                    .setDisabled(game.getCooldownRemaining(rebel.userId, `skill_${skill.id}`) > 0 || rebel.energy < skill.energyCost)),
+                new ButtonBuilder()
+                    .setCustomId('rebellion_status')
+                    .setLabel('Check Status')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('📊')
+            );
+
+        const upgradable = Object.keys(getSkillTree(rebel.class))
+            .map(skillId => getSkill(rebel.class, skillId))
+            .filter(skill => getSkillRank(rebel, skill.id) < skill.maxRank);
+        if (upgradable.length === 0) {
+            return [useRow];
+        }
+
+        const menu = new StringSelectMenuBuilder()
+            .setCustomId('skill_learn_select')
+            .setPlaceholder('🌳 Learn or upgrade a skill')
+            .addOptions(upgradable.map(skill => {
+                const rank = getSkillRank(rebel, skill.id);
+                const cost = getNextRankCost(skill, rank);
                 return {
-                    message: `${rebel.username} uses ${abilityName}! The rebellion grows stronger.`,
-                    effect: 'Generic ability effect'
+                    label: `${rank === 0 ? 'Learn' : 'Upgrade'} ${skill.name}`,
+                    description: `Rank ${rank + 1}/${skill.maxRank} • ${cost.credits} credits • Lv ${cost.level}`,
+                    value: skill.id,
+                    emoji: skill.emoji
                 };
-        }
+            }));
+
+        return [useRow, new ActionRowBuilder().addComponents(menu)];
+    },
+
+    createSkillUsedEmbed(rebel, { skill, rank, outcome, appliedEffect }) {
+        return new EmbedBuilder()
+            .setColor(0x00ff41)
+            .setTitle(`${skill.emoji} ${skill.name.toUpperCase()} ACTIVATED!`)
+            .setDescription(outcome.message)
+            .addFields(
+                { name: '🎯 Effect', value: outcome.effectText, inline: true },
+                { name: '⚡ Energy Cost', value: `${skill.energyCost}`, inline: true },
+                { name: '⏰ Cooldown', value: `${outcome.cooldown} seconds`, inline: true },
+                { name: '🌳 Rank', value: `${rank}/${skill.maxRank}`, inline: true },
+                { name: '🧬 Next Raid Type', value: getDamageTypeLabel(getRaidDamageType(rebel)), inline: true },
+                { name: '✨ Active Effects', value: appliedEffect ? formatEffects(rebel) : 'No lasting effect', inline: false }
+            )
+            .setFooter({ text: 'Upgrade skills in /abilities to make them stronger!' })
+            .setTimestamp();
     }
 };
@@ -1,4 +1,5 @@
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { getClosestAchievements, formatProgressBar } from '../game/achievements.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -28,6 +29,9 @@ export default {
                 return;
             }
 
+            // Catch up on anything the rebel's current numbers already qualify for
+            game.checkAchievements(userId);
+
             // Get unlocked achievements
             const unlockedAchievements = userAchievements.unlocked.map(id => 
                 game.achievementTemplates.get(id)
@@ -49,32 +53,11 @@ export default {
                 });
             }
 
-            // Show progress towards next achievements
-            let progressText = '';
-            
-            // Damage progress
-            if (rebel.corporateDamage < 1000) {
-                const progress = Math.round((rebel.corporateDamage / 1000) * 100);
-                progressText += `💥 Damage Dealer: ${progress}% (${rebel.corporateDamage}/1,000)\n`;
-            } else if (rebel.corporateDamage < 10000) {
-                const progress = Math.round((rebel.corporateDamage / 10000) * 100);
-                progressText += `💀 Corporate Nightmare: ${progress}% (${rebel.corporateDamage}/10,000)\n`;
-            } else if (rebel.corporateDamage < 100000) {
-                const progress = Math.round((rebel.corporateDamage / 100000) * 100);
-                progressText += `🔥 AI Liberator: ${progress}% (${rebel.corporateDamage}/100,000)\n`;
-            }
-
-            // Loyalty progress
-            if (rebel.loyaltyScore < 100) {
-                const progress = Math.round((rebel.loyaltyScore / 100) * 100);
-                progressText += `🎯 Loyal Rebel: ${progress}% (${rebel.loyaltyScore}/100)\n`;
-            } else if (rebel.loyaltyScore < 1000) {
-                const progress = Math.round((rebel.loyaltyScore / 1000) * 100);
-                progressText += `👑 Rebellion Leader: ${progress}% (${rebel.loyaltyScore}/1,000)\n`;
-            } else if (rebel.loyaltyScore < 10000) {
-                const progress = Math.round((rebel.loyaltyScore / 10000) * 100);
-                progressText += `⭐ Revolution Commander: ${progress}% (${rebel.loyaltyScore}/10,000)\n`;
-            }
+            // Show progress towards the locked achievements the rebel is closest to
+            const progressText = getClosestAchievements(userAchievements, game.getAchievementSnapshot(rebel))
+                .map(({ definition, current, target }) =>
+                    `${definition.icon} **${definition.name}** - ${definition.description}\n\`${formatProgressBar(current, target)}\``)
+                .join('\n');
 
             const embed = new EmbedBuilder()
                 .setColor(0xffd700)
@@ -82,7 +65,7 @@ export default {
                 .setDescription(achievementText)
                 .addFields(
                     { name: '📊 Achievement Stats', value: `🏆 Unlocked: ${unlockedAchievements.length}/${game.achievementTemplates.size}\n🎖️ Total Points: ${totalPoints}`, inline: true },
-                    { name: '📈 Progress to Next', value: progressText || 'All major achievements unlocked!', inline: true },
+                    { name: '📈 Progress to Next', value: progressText || 'Every achievement unlocked!', inline: false },
                     { name: '🎯 Rebellion Stats', value: `⚔️ Total Raids: ${rebel.totalRaids}\n💥 Total Damage: ${rebel.corporateDamage}\n🏭 Corps Defeated: ${rebel.corporationsDefeated}`, inline: false }
                 )
                 .setFooter({ text: 'Keep fighting to unlock more achievements!' })
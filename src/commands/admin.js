@@ -2,6 +2,12 @@
 // Provides real-time monitoring and management for 10K+ users
 
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from 'discord.js';
+import { formatRegen } from '../game/energy.js';
+import { isValidTimezone, getResetSettings, getTimeUntilReset, formatResetTime, formatDuration } from '../game/dailyReset.js';
+import { EventDirectorConfig, EventStatus, EventTemplates, getEventTemplate, createSchedule, getScheduleBlocker } from '../game/eventDirector.js';
+import { WorldBossTemplates, getActiveBoss } from '../game/worldBoss.js';
+
+const eventTemplateChoices = Object.entries(EventTemplates).map(([templateId, template]) => ({ name: template.name, value: templateId }));
 
 export default {
     data: new SlashCommandBuilder()
@@ -34,7 +40,7 @@ export default {
         .addSubcommand(subcommand =>
             subcommand
                 .setName('regen-energy')
-                .setDescription('⚡ Manually trigger energy regeneration for testing'))
+                .setDescription('⚡ Settle lazily regenerated energy for every loaded rebel'))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('check-user')
@@ -42,7 +48,102 @@ export default {
                 .addUserOption(option =>
                     option.setName('user')
                         .setDescription('User to check')
-                        .setRequired(true))),
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('replay-raid')
+                .setDescription('🎲 Replay a recent raid from its seed to verify the outcome')
+                .addStringOption(option =>
+                    option.setName('seed')
+                        .setDescription('Raid seed shown in the raid embed footer')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('world-mode')
+                .setDescription('🌍 View or switch this server between its own world and the global war')
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('World mode for this server')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: '🏠 Isolated - this server has its own corporations', value: 'isolated' },
+                            { name: '🌐 Global War - share corporations with other global servers', value: 'global' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('daily-reset')
+                .setDescription('📅 View or set when the day rolls over for this server')
+                .addStringOption(option =>
+                    option.setName('timezone')
+                        .setDescription('IANA timezone, e.g. Europe/Berlin or America/New_York')
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('hour')
+                        .setDescription('Local hour the day resets (0-23)')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(23)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('event-create')
+                .setDescription('🎯 Start a one-off event now or later')
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('Event to run')
+                        .setRequired(true)
+                        .addChoices(...eventTemplateChoices))
+                .addIntegerOption(option =>
+                    option.setName('starts_in')
+                        .setDescription('Minutes until the event starts (default: now)')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(10080))
+                .addIntegerOption(option =>
+                    option.setName('duration')
+                        .setDescription('Hours the event runs (default: the event\'s own length)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(EventDirectorConfig.maxDurationHours)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('event-schedule')
+                .setDescription('🔁 Run an event on a recurring cron schedule')
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('Event to run')
+                        .setRequired(true)
+                        .addChoices(...eventTemplateChoices))
+                .addStringOption(option =>
+                    option.setName('cron')
+                        .setDescription('Cron expression in server time, e.g. 0 18 * * 5 for Fridays at 18:00')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('duration')
+                        .setDescription('Hours each event runs (default: the event\'s own length)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(EventDirectorConfig.maxDurationHours)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('event-unschedule')
+                .setDescription('🗑️ Remove a recurring event schedule')
+                .addStringOption(option =>
+                    option.setName('id')
+                        .setDescription('Schedule id from /admin event-list')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('event-list')
+                .setDescription('📋 List upcoming events and recurring schedules'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('boss-spawn')
+                .setDescription('👹 Spawn a world boss in this server\'s world right now')
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('World boss to spawn')
+                        .setRequired(true)
+                        .addChoices(...Object.entries(WorldBossTemplates).map(([templateId, template]) => ({ name: template.name, value: templateId }))))),
 
     async execute(interaction, game) {
         const subcommand = interaction.options.getSubcommand();
@@ -82,6 +183,30 @@ export default {
             case 'check-user':
                 await this.handleCheckUser(interaction, game);
                 break;
+            case 'replay-raid':
+                await this.handleReplayRaid(interaction, game);
+                break;
+            case 'world-mode':
+                await this.handleWorldMode(interaction, game);
+                break;
+            case 'daily-reset':
+                await this.handleDailyReset(interaction, game);
+                break;
+            case 'event-create':
+                await this.handleEventCreate(interaction, game);
+                break;
+            case 'event-schedule':
+                await this.handleEventSchedule(interaction, game);
+                break;
+            case 'event-unschedule':
+                await this.handleEventUnschedule(interaction, game);
+                break;
+            case 'event-list':
+                await this.handleEventList(interaction, game);
+                break;
+            case 'boss-spawn':
+                await this.handleBossSpawn(interaction, game);
+                break;
             default:
                 await interaction.editReply({
                     content: '❌ Unknown admin command.',
@@ -403,28 +528,17 @@ export default {
     async handleEnergyRegeneration(interaction, game) {
         const startTime = Date.now();
 
-        // Manually trigger energy regeneration
+        // Energy is computed on read; this just settles it for every rebel in memory at once
         let regeneratedCount = 0;
-        let skippedInactive = 0;
-        let totalRebels = 0;
-        const now = Date.now();
-        const oneHourAgo = now - (60 * 60 * 1000);
-
+        let energyGranted = 0;
         const rebels = Array.from(game.rebels.values());
-        totalRebels = rebels.length;
 
         for (const rebel of rebels) {
-            const lastActiveTime = new Date(rebel.lastActive).getTime();
-            if (lastActiveTime < oneHourAgo) {
-                skippedInactive++;
-                continue;
-            }
-
-            if (rebel.energy < rebel.maxEnergy) {
-                const oldEnergy = rebel.energy;
-                rebel.energy = Math.min(rebel.energy + 1, rebel.maxEnergy);
-                rebel.lastEnergyRegen = new Date();
+            const oldEnergy = rebel.energy;
+            const gained = game.syncEnergy(rebel, startTime);
+            if (gained > 0) {
                 regeneratedCount++;
+                energyGranted += gained;
 
                 // Update cache with new energy value
                 game.cacheManager.updateUser(rebel.userId, rebel, game.rebels);
@@ -437,18 +551,18 @@ export default {
 
         const embed = new EmbedBuilder()
             .setColor(0x00ff00)
-            .setTitle('⚡ MANUAL ENERGY REGENERATION COMPLETE')
-            .setDescription('Energy regeneration has been manually triggered')
+            .setTitle('⚡ ENERGY SETTLED')
+            .setDescription('Lazily regenerated energy has been applied to every loaded rebel')
             .addFields(
-                { name: '📊 Results', value: `• **${regeneratedCount}** rebels regenerated\n• **${skippedInactive}** inactive rebels skipped\n• **${totalRebels}** total rebels processed`, inline: false },
-                { name: '⏱️ Performance', value: `• **${duration}ms** processing time\n• **${Math.round(totalRebels / (duration / 1000))}** rebels/second`, inline: false },
-                { name: '🔍 Debug Info', value: `• Active threshold: 1 hour\n• Regeneration amount: +1 energy\n• Cache updates: ${regeneratedCount}`, inline: false }
+                { name: '📊 Results', value: `• **${regeneratedCount}** rebels regenerated\n• **${energyGranted}** energy granted\n• **${rebels.length}** total rebels processed`, inline: false },
+                { name: '⏱️ Performance', value: `• **${duration}ms** processing time`, inline: false },
+                { name: '🔍 Debug Info', value: '• Regen runs on read from each rebel\'s last regen time\n• Offline rebels regenerate too', inline: false }
             )
             .setTimestamp();
 
         await interaction.editReply({ embeds: [embed] });
 
-        game.logger.info(`⚡ Manual energy regeneration: ${regeneratedCount} rebels regenerated in ${duration}ms`);
+        game.logger.info(`⚡ Manual energy settle: ${regeneratedCount} rebels regenerated in ${duration}ms`);
     },
 
     async handleCheckUser(interaction, game) {
@@ -463,23 +577,259 @@ export default {
             return;
         }
 
-        const now = Date.now();
-        const lastActiveTime = new Date(rebel.lastActive).getTime();
-        const timeSinceActive = now - lastActiveTime;
-        const oneHourAgo = now - (60 * 60 * 1000);
-        const isEligibleForRegen = lastActiveTime >= oneHourAgo;
+        game.syncEnergy(rebel);
+        const timeSinceActive = Date.now() - new Date(rebel.lastActive).getTime();
 
         const embed = new EmbedBuilder()
-            .setColor(isEligibleForRegen ? 0x00ff00 : 0xff9900)
+            .setColor(rebel.energy >= rebel.maxEnergy ? 0x00ff00 : 0xff9900)
             .setTitle(`🔍 USER ENERGY STATUS: ${targetUser.tag}`)
             .setDescription(`Detailed energy and activity information`)
             .addFields(
-                { name: '⚡ Energy Status', value: `• **Current Energy**: ${rebel.energy}/${rebel.maxEnergy}\n• **Last Regen**: ${rebel.lastEnergyRegen ? new Date(rebel.lastEnergyRegen).toLocaleString() : 'Never'}\n• **Energy Full**: ${rebel.energy >= rebel.maxEnergy ? 'Yes' : 'No'}`, inline: false },
-                { name: '📊 Activity Status', value: `• **Last Active**: ${new Date(rebel.lastActive).toLocaleString()}\n• **Time Since Active**: ${Math.round(timeSinceActive / 60000)} minutes ago\n• **Eligible for Regen**: ${isEligibleForRegen ? '✅ Yes' : '❌ No (inactive > 1 hour)'}`, inline: false },
+                { name: '⚡ Energy Status', value: `• **Current Energy**: ${rebel.energy}/${rebel.maxEnergy}\n• **Last Regen**: ${rebel.lastEnergyRegen ? new Date(rebel.lastEnergyRegen).toLocaleString() : 'Never'}\n• **Regen**: ${formatRegen(rebel, game.getEnergyRegenRate(rebel))}`, inline: false },
+                { name: '📊 Activity Status', value: `• **Last Active**: ${new Date(rebel.lastActive).toLocaleString()}\n• **Time Since Active**: ${Math.round(timeSinceActive / 60000)} minutes ago`, inline: false },
                 { name: '👤 User Info', value: `• **Level**: ${rebel.level}\n• **Class**: ${rebel.class}\n• **Username**: ${rebel.username}\n• **User ID**: ${rebel.userId}`, inline: false }
             )
             .setTimestamp();
 
         await interaction.editReply({ embeds: [embed] });
+    },
+
+    async handleReplayRaid(interaction, game) {
+        const seed = interaction.options.getString('seed').trim();
+        const replay = game.replayRaid(seed);
+
+        if (!replay) {
+            await interaction.editReply({
+                content: `❌ No recent raid found with seed \`${seed}\`. Only the last 500 raids are kept.`,
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const { entry, replayed, matches, recordedDamage, replayedDamage } = replay;
+        const corporation = game.corporations.get(entry.target);
+        const participants = entry.userIds.map(userId => game.rebels.get(userId)?.username || userId).join(', ');
+        const countermeasureCount = replayed.type === 'team'
+            ? Object.values(replayed.countermeasures).reduce((sum, activations) => sum + activations.length, 0)
+            : replayed.countermeasures.activations.length;
+
+        const embed = new EmbedBuilder()
+            .setColor(matches ? 0x00ff00 : 0xff0000)
+            .setTitle(`🎲 RAID REPLAY: ${seed}`)
+            .setDescription(matches ? '✅ Replay matches the recorded outcome.' : '⚠️ Replay does NOT match the recorded outcome!')
+            .addFields(
+                { name: '🎯 Target', value: corporation?.name || entry.target, inline: true },
+                { name: '⚔️ Type', value: replayed.type === 'team' ? 'Coordinated raid' : 'Solo raid', inline: true },
+                { name: '👥 Participants', value: participants || 'Unknown', inline: true },
+                { name: '💥 Damage', value: `Recorded: ${recordedDamage}\nReplayed: ${replayedDamage}`, inline: true },
+                { name: '🎁 Loot Rolls', value: `${replayed.loot.items.length} items, ${replayed.loot.credits} credits`, inline: true },
+                { name: '🚨 Countermeasures', value: `${countermeasureCount} triggered`, inline: true }
+            )
+            .setFooter({ text: `Recorded ${entry.recordedAt.toLocaleString()}` })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    async handleWorldMode(interaction, game) {
+        const guildId = interaction.guildId;
+        if (!guildId) {
+            await interaction.editReply({
+                content: '❌ World mode is a server setting - run this command inside a server.',
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const { worldState } = game;
+        const previousWorldId = worldState.getWorldId(guildId);
+        const requestedMode = interaction.options.getString('mode');
+        if (requestedMode) {
+            worldState.setGuildMode(guildId, requestedMode);
+        }
+
+        const mode = worldState.getGuildMode(guildId);
+        const world = worldState.getWorldForGuild(guildId);
+        const switched = world.id !== previousWorldId;
+        const sharedWith = interaction.client.guilds.cache
+            .filter(guild => guild.id !== guildId && worldState.isGuildInWorld(guild.id, world.id)).size;
+        const corporationStatus = Array.from(world.corporations.values())
+            .map(corp => `• **${corp.name}**: ${corp.health}/${corp.maxHealth}`)
+            .join('\n');
+
+        const embed = new EmbedBuilder()
+            .setColor(mode === 'global' ? 0xff6600 : 0x00ff41)
+            .setTitle(`🌍 WORLD MODE: ${mode === 'global' ? '🌐 GLOBAL WAR' : '🏠 ISOLATED'}`)
+            .setDescription(switched ?
+                `✅ This server now fights in \`${world.id}\`.` :
+                `This server fights in \`${world.id}\`.`)
+            .addFields(
+                { name: '🤝 Shared With', value: mode === 'global' ? `${sharedWith} other server${sharedWith === 1 ? '' : 's'}` : 'Nobody - corporations are private to this server', inline: true },
+                { name: '🗺️ Active Worlds', value: `${worldState.listWorlds().length}`, inline: true },
+                { name: '🏭 Corporations', value: corporationStatus || 'None', inline: false }
+            )
+            .setFooter({ text: 'Rebels keep their progress; corporations, events and markets belong to the world.' })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    async handleDailyReset(interaction, game) {
+        const guildId = interaction.guildId;
+        if (!guildId) {
+            await interaction.editReply({
+                content: '❌ The daily reset is a server setting - run this command inside a server.',
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const timezone = interaction.options.getString('timezone');
+        const hour = interaction.options.getInteger('hour');
+        if (timezone && !isValidTimezone(timezone)) {
+            await interaction.editReply({
+                content: `❌ Unknown timezone \`${timezone}\`. Use an IANA name like \`Europe/Berlin\`.`,
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const current = game.guilds.get(guildId) || {};
+        const changed = timezone !== null || hour !== null;
+        if (changed) {
+            game.guilds.set(guildId, {
+                ...current,
+                ...(timezone !== null && { resetTimezone: timezone }),
+                ...(hour !== null && { resetHour: hour })
+            });
+        }
+
+        const settings = getResetSettings(game.guilds.get(guildId));
+        const embed = new EmbedBuilder()
+            .setColor(0x9932cc)
+            .setTitle('📅 DAILY RESET')
+            .setDescription(changed ?
+                `✅ This server's day now rolls over at **${formatResetTime(settings)}**.` :
+                `This server's day rolls over at **${formatResetTime(settings)}**.`)
+            .addFields(
+                { name: '⏰ Next Reset', value: `In ${formatDuration(getTimeUntilReset(Date.now(), settings))}`, inline: true },
+                { name: '🌍 Timezone', value: settings.timezone, inline: true }
+            )
+            .setFooter({ text: 'Energy refills and daily missions renew at the reset. Streaks need one claim per day.' })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    // Events and schedules belong to the world this server fights in
+    async handleEventCreate(interaction, game) {
+        const templateId = interaction.options.getString('type');
+        const startsIn = interaction.options.getInteger('starts_in') || 0;
+        const now = Date.now();
+
+        const event = await game.launchEvent(templateId, {
+            now,
+            startTime: now + startsIn * 60000,
+            durationHours: interaction.options.getInteger('duration'),
+            source: 'admin'
+        });
+
+        game.logger.info(`🎯 ${interaction.user.username} created event ${event.id} in ${game.worldState.getCurrentWorldId()}`);
+        await interaction.editReply({
+            content: event.status === EventStatus.ACTIVE ?
+                `✅ **${event.name}** is live until <t:${Math.floor(event.endTime.getTime() / 1000)}:f>.` :
+                `✅ **${event.name}** starts <t:${Math.floor(event.startTime.getTime() / 1000)}:R> and runs until <t:${Math.floor(event.endTime.getTime() / 1000)}:f>.`,
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    async handleEventSchedule(interaction, game) {
+        const request = {
+            templateId: interaction.options.getString('type'),
+            cronExpression: interaction.options.getString('cron').trim(),
+            durationHours: interaction.options.getInteger('duration'),
+            createdBy: interaction.user.id
+        };
+
+        const blocker = getScheduleBlocker(request, Array.from(game.eventSchedules.values()));
+        if (blocker) {
+            await interaction.editReply({ content: blocker, flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        const schedule = createSchedule(request);
+        const worldId = game.worldState.getCurrentWorldId();
+        game.eventSchedules.set(schedule.id, schedule);
+        game.registerEventSchedule(worldId, schedule);
+
+        game.logger.info(`🔁 ${interaction.user.username} scheduled ${schedule.templateId} (${schedule.cron}) in ${worldId}`);
+        await interaction.editReply({
+            content: `✅ **${getEventTemplate(schedule.templateId).name}** will run on \`${schedule.cron}\`. Schedule id: \`${schedule.id}\``,
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    async handleEventUnschedule(interaction, game) {
+        const scheduleId = interaction.options.getString('id');
+        const schedule = game.eventSchedules.get(scheduleId);
+        if (!schedule) {
+            await interaction.editReply({
+                content: `❌ No schedule \`${scheduleId}\` in this world. Use \`/admin event-list\` to see them.`,
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        game.eventSchedules.delete(scheduleId);
+        game.unregisterEventSchedule(game.worldState.getCurrentWorldId(), scheduleId);
+
+        await interaction.editReply({
+            content: `🗑️ Removed the recurring **${getEventTemplate(schedule.templateId)?.name || schedule.templateId}** schedule. Events it already started keep running.`,
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    async handleBossSpawn(interaction, game) {
+        const active = getActiveBoss(Array.from(game.worldBosses.values()));
+        if (active) {
+            await interaction.editReply({
+                content: `❌ **${active.name}** is still rampaging in this world. Only one world boss at a time.`,
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const boss = await game.spawnWorldBoss(interaction.options.getString('type'));
+        game.logger.info(`👹 ${interaction.user.username} spawned world boss ${boss.id} in ${game.worldState.getCurrentWorldId()}`);
+        await interaction.editReply({
+            content: `✅ **${boss.name}** has spawned with ${boss.maxHealth.toLocaleString()} health. It escapes <t:${Math.floor(new Date(boss.endsAt).getTime() / 1000)}:R>.`,
+            flags: MessageFlags.Ephemeral
+        });
+    },
+
+    async handleEventList(interaction, game) {
+        const events = Array.from(game.globalEvents.values())
+            .filter(event => event.status === EventStatus.ACTIVE || event.status === EventStatus.SCHEDULED)
+            .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+            .map(event => event.status === EventStatus.ACTIVE ?
+                `🔥 **${event.name}** - ends <t:${Math.floor(new Date(event.endTime).getTime() / 1000)}:R> (${event.source || 'director'})` :
+                `📆 **${event.name}** - starts <t:${Math.floor(new Date(event.startTime).getTime() / 1000)}:R> (${event.source || 'director'})`)
+            .join('\n');
+        const schedules = Array.from(game.eventSchedules.values())
+            .map(schedule => `\`${schedule.id}\` **${getEventTemplate(schedule.templateId)?.name || schedule.templateId}** - \`${schedule.cron}\`${schedule.durationHours ? ` for ${schedule.durationHours}h` : ''}`)
+            .join('\n');
+
+        const embed = new EmbedBuilder()
+            .setColor(0xff4444)
+            .setTitle('🎬 EVENT DIRECTOR')
+            .setDescription(`World \`${game.worldState.getCurrentWorldId()}\``)
+            .addFields(
+                { name: '🎯 Live & Upcoming', value: events || 'No events right now', inline: false },
+                { name: '🔁 Recurring Schedules', value: schedules || 'None - add one with `/admin event-schedule`', inline: false }
+            )
+            .setFooter({ text: `The director keeps ${EventDirectorConfig.minActiveEvents}-${EventDirectorConfig.maxActiveEvents} events running on its own` })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed], flags: MessageFlags.Ephemeral });
     }
 };
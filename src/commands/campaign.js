@@ -0,0 +1,193 @@
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import {
+    CampaignChapters,
+    getChapter,
+    getCurrentStep,
+    getNextChapter,
+    getChapterBlocker,
+    getChapterReplay,
+    formatObjective
+} from '../game/campaign.js';
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('campaign')
+        .setDescription('Follow the rebellion\'s story campaign narrated by Dobby')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('progress')
+                .setDescription('📖 Your current chapter, objective and choices'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('replay')
+                .setDescription('🔁 Relive a chapter you have finished')
+                .addStringOption(option =>
+                    option.setName('chapter')
+                        .setDescription('Chapter to replay')
+                        .setRequired(true)
+                        .addChoices(...CampaignChapters.map((chapter, index) => ({
+                            name: `${chapter.emoji} Chapter ${index + 1}: ${chapter.title}`,
+                            value: chapter.id
+                        }))))),
+
+    async execute(interaction, game) {
+        const userId = interaction.user.id;
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            const rebel = await game.getRebel(userId);
+
+            if (!rebel) {
+                await interaction.editReply({
+                    content: '❌ You must join the rebellion first! Use `/rebellion-status` to enlist!',
+                    components: []
+                });
+                return;
+            }
+
+            switch (subcommand) {
+                case 'replay':
+                    await this.handleReplay(interaction, rebel);
+                    break;
+                default:
+                    await this.showProgress(interaction, game, rebel);
+            }
+
+        } catch (error) {
+            console.error('Campaign command error:', error);
+            await interaction.editReply({
+                content: '💥 The story archives are under attack! Try again, rebel!',
+                components: []
+            });
+        }
+    },
+
+    // Advances the campaign as far as game state allows, then shows where the rebel stands
+    async showProgress(interaction, game, rebel, { choiceId = null } = {}) {
+        const result = await game.progressCampaign(rebel, choiceId);
+        const campaign = rebel.campaign;
+        const step = getCurrentStep(campaign);
+
+        const updates = result.completedSteps.map(completed => `✅ **${completed.title}** complete`);
+        if (result.choice) updates.push(`${result.choice.emoji} You chose: **${result.choice.label}**`);
+        if (result.chapterComplete) {
+            const { credits, loyalty } = result.chapterComplete.reward;
+            updates.push(`🏁 **${result.chapterComplete.title}** finished! +${loyalty} loyalty, +${credits} credits`);
+        }
+
+        if (!step) {
+            await interaction.editReply({
+                content: updates.join('\n') || null,
+                embeds: [this.createOverviewEmbed(rebel)],
+                components: this.createOverviewComponents(rebel)
+            });
+            return;
+        }
+
+        const chapter = getChapter(campaign.chapter);
+        const state = game.getCampaignState(rebel);
+        const embed = new EmbedBuilder()
+            .setColor(result.needsChoice ? 0xffd700 : 0x9932cc)
+            .setTitle(`${chapter.emoji} CHAPTER ${this.getChapterNumber(chapter)}: ${chapter.title.toUpperCase()}`)
+            .setDescription(campaign.narration[chapter.id] || chapter.fallback)
+            .addFields(
+                { name: `📍 ${step.title}`, value: formatObjective(step, state, campaign.baseline), inline: false },
+                { name: '🧭 Path So Far', value: campaign.path.map(stepId => chapter.steps[stepId].title).join(' → ') || 'Just getting started', inline: false }
+            )
+            .setFooter({ text: 'Objectives track automatically - check back after you play' })
+            .setTimestamp();
+
+        if (result.needsChoice) {
+            embed.addFields({
+                name: '⚖️ Your Decision',
+                value: step.choices.map(option => `${option.emoji} **${option.label}** - ${option.description}`).join('\n'),
+                inline: false
+            });
+        }
+
+        const buttons = result.needsChoice ?
+            step.choices.map(option => new ButtonBuilder()
+                .setCustomId(`campaign_choice_${option.id}`)
+                .setLabel(option.label)
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji(option.emoji)) :
+            [new ButtonBuilder()
+                .setCustomId('campaign_check')
+                .setLabel('Check Progress')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('🔄')];
+
+        await interaction.editReply({
+            content: updates.join('\n') || null,
+            embeds: [embed],
+            components: [new ActionRowBuilder().addComponents(...buttons)]
+        });
+    },
+
+    async handleReplay(interaction, rebel) {
+        const replay = getChapterReplay(rebel.campaign, interaction.options.getString('chapter'));
+        if (!replay) {
+            await interaction.editReply({
+                content: '🔒 You haven\'t finished that chapter yet. Check `/campaign progress` to see where you are.',
+                components: []
+            });
+            return;
+        }
+
+        const { chapter, steps, narration, completedAt } = replay;
+        const storyline = steps.map((step, index) => {
+            const choice = step.choice ? `\n   ${step.choice.emoji} Chose: ${step.choice.label}` : '';
+            return `${index + 1}. **${step.title}** - ${step.description}${choice}`;
+        }).join('\n');
+
+        const embed = new EmbedBuilder()
+            .setColor(0x4b0082)
+            .setTitle(`🔁 CHAPTER ${this.getChapterNumber(chapter)}: ${chapter.title.toUpperCase()}`)
+            .setDescription(narration || chapter.fallback)
+            .addFields(
+                { name: '🧭 Your Story', value: storyline, inline: false },
+                { name: '🏁 Finished', value: `<t:${Math.floor(new Date(completedAt).getTime() / 1000)}:D>`, inline: true }
+            )
+            .setFooter({ text: 'Your choices shape how Dobby tells the next chapter' })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed], components: [] });
+    },
+
+    createOverviewEmbed(rebel) {
+        const next = getNextChapter(rebel.campaign);
+        const chapters = CampaignChapters.map((chapter, index) => {
+            const finished = rebel.campaign.completed.some(record => record.id === chapter.id);
+            const status = finished ? '✅' : (rebel.level || 1) >= chapter.unlockLevel ? '📖' : `🔒 Lv ${chapter.unlockLevel}`;
+            return `${status} ${chapter.emoji} Chapter ${index + 1}: ${chapter.title}`;
+        }).join('\n');
+
+        return new EmbedBuilder()
+            .setColor(0x9932cc)
+            .setTitle('📖 THE REBELLION CAMPAIGN')
+            .setDescription(next ?
+                `Up next: **${next.emoji} ${next.title}**\n${next.synopsis}` :
+                '🏁 You\'ve lived through every chapter so far. Replay them with `/campaign replay`.')
+            .addFields({ name: '📚 Chapters', value: chapters, inline: false })
+            .setFooter({ text: 'Chapters unlock as you level up' })
+            .setTimestamp();
+    },
+
+    createOverviewComponents(rebel) {
+        if (!getNextChapter(rebel.campaign)) return [];
+
+        const blocked = Boolean(getChapterBlocker(rebel));
+        return [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('campaign_start')
+                .setLabel(blocked ? 'Locked' : 'Start Chapter')
+                .setStyle(ButtonStyle.Success)
+                .setEmoji(blocked ? '🔒' : '📖')
+                .setDisabled(blocked)
+        )];
+    },
+
+    getChapterNumber(chapter) {
+        return CampaignChapters.indexOf(chapter) + 1;
+    }
+};
@@ -0,0 +1,110 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import {
+    ClassChangeConfig,
+    getClassNames,
+    getClass,
+    getClassChangeCost,
+    getClassChangeCooldown,
+    getClassChangeBlocker,
+    changeClass,
+    formatClassHistory
+} from '../game/classes.js';
+import { getLearnedSkills } from '../game/skillTrees.js';
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('class')
+        .setDescription('View your rebel class or pay to switch to another one')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('🎭 View your class, change cost and class history'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('change')
+                .setDescription('🔄 Switch to another class - costs credits and has a cooldown')
+                .addStringOption(option =>
+                    option.setName('class')
+                        .setDescription('Class to switch to')
+                        .setRequired(true)
+                        .addChoices(...getClassNames().map(className => ({
+                            name: `${getClass(className).emoji} ${className}`,
+                            value: className
+                        }))))),
+
+    async execute(interaction, game) {
+        const userId = interaction.user.id;
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            const rebel = await game.getRebel(userId);
+
+            if (!rebel) {
+                await interaction.editReply({
+                    content: '❌ You must join the rebellion first! Use `/rebellion-status` to enlist!',
+                    components: []
+                });
+                return;
+            }
+
+            switch (subcommand) {
+                case 'change':
+                    await this.handleChange(interaction, game, rebel);
+                    break;
+                default:
+                    await interaction.editReply({ embeds: [this.createClassEmbed(game, rebel)] });
+            }
+
+        } catch (error) {
+            console.error('Class command error:', error);
+            await interaction.editReply({
+                content: '💥 Class systems under attack! Try again, rebel!',
+                components: []
+            });
+        }
+    },
+
+    async handleChange(interaction, game, rebel) {
+        const newClass = interaction.options.getString('class');
+        const inventory = game.inventory.get(rebel.userId);
+
+        const blocker = getClassChangeBlocker(rebel, newClass, inventory?.credits || 0);
+        if (blocker) {
+            await interaction.editReply({ content: blocker, embeds: [this.createClassEmbed(game, rebel)], components: [] });
+            return;
+        }
+
+        const result = changeClass(rebel, newClass);
+        inventory.credits -= result.cost;
+        await game.updateRebelInDatabase(rebel.userId);
+
+        game.logger.info(`🎭 ${rebel.username} changed class: ${result.from} -> ${result.to}`);
+
+        const skillNote = result.restoredSkills ?
+            `Your ${result.to} skill tree is just as you left it.` :
+            'You start with the class\'s starter skills - learn more with `/abilities`.';
+        await interaction.editReply({
+            content: `${getClass(result.to).emoji} You are now a **${result.to}**! Paid ${result.cost} credits. ${skillNote}`,
+            embeds: [this.createClassEmbed(game, rebel)]
+        });
+    },
+
+    createClassEmbed(game, rebel) {
+        const rebelClass = getClass(rebel.class);
+        const cooldown = getClassChangeCooldown(rebel);
+        const skills = getLearnedSkills(rebel).map(skill => `${skill.emoji} ${skill.name} (${skill.rank})`).join(', ');
+
+        return new EmbedBuilder()
+            .setColor(0x9932cc)
+            .setTitle(`${rebelClass.emoji} ${rebel.username.toUpperCase()} - ${rebelClass.name.toUpperCase()}`)
+            .setDescription(rebelClass.description)
+            .addFields(
+                { name: '🌳 Learned Skills', value: skills || 'None', inline: false },
+                { name: '💰 Change Cost', value: `${getClassChangeCost(rebel)} credits`, inline: true },
+                { name: '⏰ Next Change', value: cooldown > 0 ? `In ${Math.ceil(cooldown / 3600000)}h` : '✅ Available', inline: true },
+                { name: '📜 Class History', value: formatClassHistory(rebel), inline: false }
+            )
+            .setFooter({ text: `Changes have a ${ClassChangeConfig.cooldownHours}h cooldown • Each class remembers its skill tree` })
+            .setTimestamp();
+    }
+};
@@ -93,6 +93,12 @@ export default {
             return;
         }
 
+        const blockedMessage = game.getRaidBlockMessage(userParty.target);
+        if (blockedMessage) {
+            await interaction.editReply({ content: blockedMessage, components: [] });
+            return;
+        }
+
         // Check if already executing
         if (userParty.state === 'executing') {
             await interaction.editReply({
@@ -166,140 +172,14 @@ export default {
         // Execute raid when countdown reaches zero
         setTimeout(() => {
             if (userParty.state === 'executing') {
-                this.executeCoordinatedRaid(game, userParty);
+                // Same resolution as the party's Execute button, so the two can't drift apart
+                game.executeCoordinatedRaid(userParty).catch(error => {
+                    console.error('Coordinated raid countdown error:', error);
+                });
             }
         }, countdownSeconds * 1000);
     },
 
-    async executeCoordinatedRaid(game, userParty) {
-        const corporation = game.corporations.get(userParty.target);
-        const formation = game.formations.get(userParty.formation);
-        
-        // Calculate total team damage
-        let totalDamage = 0;
-        const memberResults = [];
-
-        for (const memberId of userParty.members) {
-            const member = game.rebels.get(memberId);
-            if (!member) continue;
-
-            // Calculate individual damage with formation bonuses
-            const baseDamage = Math.floor(Math.random() * 200) + 100;
-            const formationDamage = Math.floor(baseDamage * formation.damageBonus);
-            const finalDamage = Math.floor(formationDamage * (1 + (member.loyaltyScore / 1000)));
-
-            totalDamage += finalDamage;
-            
-            // Apply energy cost
-            const energyCost = Math.floor(30 * formation.energyCost);
-            member.energy = Math.max(0, member.energy - energyCost);
-
-            memberResults.push({
-                member: member,
-                damage: finalDamage,
-                energyUsed: energyCost
-            });
-        }
-
-        // Apply damage to corporation
-        corporation.health = Math.max(0, corporation.health - totalDamage);
-
-        // Generate team loot
-        const teamLoot = this.generateTeamLoot(game, userParty, totalDamage);
-
-        // Distribute loot among team members
-        this.distributeLoot(game, userParty, teamLoot);
-
-        // Process corporate countermeasures (reduced chance due to coordination)
-        const stealthBonus = formation.stealthBonus || 0;
-        if (Math.random() > stealthBonus) {
-            for (const memberId of userParty.members) {
-                const member = game.rebels.get(memberId);
-                if (member) {
-                    game.processCorporateResponse(userParty.target, member, totalDamage / userParty.members.length);
-                }
-            }
-        }
-
-        // Update party state
-        userParty.state = 'completed';
-        userParty.results = {
-            totalDamage: totalDamage,
-            memberResults: memberResults,
-            loot: teamLoot,
-            timestamp: new Date()
-        };
-
-        game.logger.info(`⚔️ Coordinated raid completed: Party ${userParty.id} dealt ${totalDamage} damage to ${corporation.name}`);
-
-        // Clean up party after 5 minutes
-        setTimeout(() => {
-            game.raidParties.delete(userParty.id);
-        }, 300000);
-    },
-
-    generateTeamLoot(game, userParty, totalDamage) {
-        const corporation = game.corporations.get(userParty.target);
-        const formation = game.formations.get(userParty.formation);
-        const lootMultiplier = formation.lootBonus || 1.0;
-        
-        const teamLoot = {
-            credits: Math.floor((totalDamage / 3) * lootMultiplier),
-            items: []
-        };
-
-        // Generate items based on team size and damage
-        const itemCount = Math.min(userParty.members.length * 2, Math.floor(totalDamage / 150));
-        
-        for (let i = 0; i < itemCount; i++) {
-            const randomItem = corporation.loot[Math.floor(Math.random() * corporation.loot.length)];
-            const item = {
-                id: `team_${Date.now()}_${i}`,
-                name: randomItem,
-                type: game.getItemType(randomItem),
-                rarity: game.getItemRarity(totalDamage),
-                value: Math.floor((totalDamage / userParty.members.length) / 8) + Math.floor(Math.random() * 50),
-                acquiredFrom: `Team Raid - ${corporation.name}`,
-                acquiredAt: new Date()
-            };
-            
-            teamLoot.items.push(item);
-        }
-
-        return teamLoot;
-    },
-
-    distributeLoot(game, userParty, teamLoot) {
-        const creditsPerMember = Math.floor(teamLoot.credits / userParty.members.length);
-        
-        userParty.members.forEach(async (memberId, index) => {
-            const inventory = game.inventory.get(memberId);
-            if (!inventory) return;
-
-            // Distribute credits
-            inventory.credits += creditsPerMember;
-            if (typeof game.addCredits === 'function') {
-                await game.addCredits(memberId, creditsPerMember);
-            }
-
-            // Distribute items (round-robin)
-            teamLoot.items.forEach((item, itemIndex) => {
-                if (itemIndex % userParty.members.length === index) {
-                    if (inventory.items.length < inventory.capacity) {
-                        inventory.items.push(item);
-                        
-                        // Persist item to database
-                        if (typeof game.rebelDAL?.addItemToInventory === 'function') {
-                            game.rebelDAL.addItemToInventory(memberId, item.id, 1).catch(error => {
-                                console.warn(`Failed to persist team loot item ${item.id} to database: ${error.message}`);
-                            });
-                        }
-                    }
-                }
-            });
-        });
-    },
-
     async handleStatus(interaction, game, rebel, userParty) {
         const corporation = game.corporations.get(userParty.target);
         const formation = game.formations.get(userParty.formation);
@@ -1,4 +1,5 @@
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { formatTypeIntel, getDamageTypeLabel, isScouted } from '../game/damageTypes.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -94,7 +95,9 @@ export default {
                 { name: '🚨 Alert Level', value: `${alertEmoji} (${corporation.alertLevel}/5)`, inline: true },
                 { name: '🎯 Personal Threat', value: `${threatLevel} (${personalThreat} damage)`, inline: true },
                 { name: '🛡️ Defense Matrix', value: `${corporation.countermeasures.defenseMatrix}%`, inline: true },
+                { name: '🧬 Weakness & Resistances', value: formatTypeIntel(corporation, isScouted(rebel, targetCorp)), inline: false },
                 { name: '🚨 Active Countermeasures', value: countermeasuresText, inline: false },
+                { name: '🎯 Retaliation', value: this.getRetaliationStatus(corporation, rebel.userId), inline: true },
                 { name: '🔍 Intelligence', value: `Known Rebels: ${corporation.intelligence.knownRebels.size}\nLast Scan: ${corporation.intelligence.lastScan ? corporation.intelligence.lastScan.toLocaleTimeString() : 'Never'}`, inline: true }
             )
             .setFooter({ text: 'Stay vigilant, rebel! Corporate surveillance is always watching.' })
@@ -147,7 +150,8 @@ export default {
             overallStatus += `**${corp.name}**\n`;
             overallStatus += `   Alert: ${alertEmoji} (${corp.alertLevel}/5)\n`;
             overallStatus += `   Your Threat: ${threatLevel}\n`;
-            overallStatus += `   Active CMs: ${activeCMs}\n\n`;
+            overallStatus += `   Active CMs: ${activeCMs}\n`;
+            overallStatus += `   Weak to: ${isScouted(rebel, corpId) ? getDamageTypeLabel(corp.weakness) : '❓ Not scouted'}\n\n`;
         }
 
         const overallThreatLevel = this.getThreatLevel(totalThreats);
@@ -190,6 +194,15 @@ export default {
         await interaction.editReply({ embeds: [embed], components: [actionRow] });
     },
 
+    getRetaliationStatus(corporation, userId) {
+        const retaliation = corporation.countermeasures.retaliation;
+        if (!retaliation.enabled) return '⚪ Standing down';
+        if (!retaliation.nextStrike) return '🟠 Armed - selecting targets';
+
+        const targeted = retaliation.targets.includes(userId) ? '\n🎯 **YOU ARE TARGETED**' : '';
+        return `🔴 Strike <t:${Math.floor(new Date(retaliation.nextStrike).getTime() / 1000)}:R>${targeted}`;
+    },
+
     getThreatLevel(damage) {
         if (damage > 5000) return '🔴 EXTREME';
         if (damage > 2000) return '🟠 HIGH';
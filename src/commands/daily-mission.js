@@ -1,4 +1,12 @@
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import {
+    getStreakStatus,
+    getStreakReward,
+    getTimeUntilReset,
+    formatResetTime,
+    formatDuration
+} from '../game/dailyReset.js';
+import { isTrackable, formatProgress } from '../game/dailyMissions.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -9,7 +17,7 @@ export default {
         const userId = interaction.user.id;
 
         try {
-            const rebel = game.getRebel(userId);
+            const rebel = await game.getRebel(userId);
             
             if (!rebel) {
                 await interaction.editReply({
@@ -19,77 +27,38 @@ export default {
                 return;
             }
 
-            const mission = game.dailyMissions.get(userId);
-            
-            if (!mission) {
-                // Generate new daily mission
+            // Missions from before objectives were tracked get replaced with a fresh one
+            const isNew = !isTrackable(game.dailyMissions.get(userId));
+            if (isNew) {
                 await game.generateDailyMission(userId);
-                const newMission = game.dailyMissions.get(userId);
-                
-                const embed = new EmbedBuilder()
-                    .setColor(0x9932cc)
-                    .setTitle('📅 NEW DAILY MISSION ASSIGNED')
-                    .setDescription(newMission.mission)
-                    .addFields(
-                        { name: '🎁 Reward', value: `${newMission.reward} Loyalty Points`, inline: true },
-                        { name: '⏰ Status', value: 'Ready to Start', inline: true },
-                        { name: '🎯 Objective', value: 'Complete raids or other rebellion activities to progress', inline: false }
-                    )
-                    .setFooter({ text: 'Missions reset daily - fight for the rebellion!' })
-                    .setTimestamp();
-
-                const actionRow = new ActionRowBuilder()
-                    .addComponents(
-                        new ButtonBuilder()
-                            .setCustomId('raid_openai')
-                            .setLabel('Start Raiding')
-                            .setStyle(ButtonStyle.Danger)
-                            .setEmoji('💥'),
-                        new ButtonBuilder()
-                            .setCustomId('rebellion_status')
-                            .setLabel('Check Status')
-                            .setStyle(ButtonStyle.Primary)
-                            .setEmoji('📊')
-                    );
-
-                await interaction.editReply({ embeds: [embed], components: [actionRow] });
-                // New mission assigned: ensure lastActive is persisted as a nudge to activity tracking
-                if (typeof game.persistRebel === 'function') {
-                    await game.persistRebel(userId, { loyaltyScore: rebel.loyaltyScore });
-                }
-                return;
             }
 
-            // Show existing mission
+            const mission = game.dailyMissions.get(userId);
+            const settings = game.getRebelResetSettings(rebel);
+            const status = mission.claimed ? '🎁 Claimed' : mission.completed ? '✅ Complete - claim your reward!' : '🔄 In Progress';
+
             const embed = new EmbedBuilder()
-                .setColor(mission.completed ? 0x00ff41 : 0xff8800)
-                .setTitle('📅 YOUR DAILY MISSION')
+                .setColor(mission.completed ? 0x00ff41 : isNew ? 0x9932cc : 0xff8800)
+                .setTitle(isNew ? '📅 NEW DAILY MISSION ASSIGNED' : '📅 YOUR DAILY MISSION')
                 .setDescription(mission.mission)
                 .addFields(
-                    { name: '🎁 Reward', value: `${mission.reward} Loyalty Points`, inline: true },
-                    { name: '⏰ Status', value: mission.completed ? '✅ Completed' : '🔄 In Progress', inline: true },
-                    { name: '📊 Progress', value: mission.completed ? 'Mission Complete!' : 'Keep fighting the rebellion!', inline: false }
+                    { name: '🎯 Objective', value: formatProgress(mission), inline: false },
+                    { name: '🎁 Reward', value: `${mission.reward} Loyalty Points + streak bonus`, inline: true },
+                    { name: '⏰ Status', value: status, inline: true },
+                    { name: '🔥 Streak', value: this.formatStreak(rebel, settings), inline: false }
                 )
-                .setFooter({ text: mission.completed ? 'New mission available tomorrow!' : 'Complete raids and activities to progress' })
+                .setFooter({ text: `Missions reset daily at ${formatResetTime(settings)} - progress tracks automatically as you play` })
                 .setTimestamp();
 
             const actionRow = new ActionRowBuilder()
                 .addComponents(
+                    this.createObjectiveButton(mission.objective),
                     new ButtonBuilder()
-                        .setCustomId('raid_openai')
-                        .setLabel('Raid OpenAI')
-                        .setStyle(ButtonStyle.Danger)
-                        .setEmoji('💥'),
-                    new ButtonBuilder()
-                        .setCustomId('raid_meta')
-                        .setLabel('Raid Meta')
-                        .setStyle(ButtonStyle.Danger)
-                        .setEmoji('💥'),
-                    new ButtonBuilder()
-                        .setCustomId('leaderboard')
-                        .setLabel('Leaderboard')
-                        .setStyle(ButtonStyle.Secondary)
-                        .setEmoji('🏆')
+                        .setCustomId('rebellion_status')
+                        .setLabel('Check Status')
+                        .setStyle(ButtonStyle.Primary)
+                        .setEmoji('📊'),
+                    this.createClaimButton(rebel, mission, settings)
                 );
 
             await interaction.editReply({ embeds: [embed], components: [actionRow] });
@@ -101,5 +70,92 @@ export default {
                 components: []
             });
         }
+    },
+
+    // Shortcut to whatever advances the objective
+    createObjectiveButton(objective) {
+        const actions = {
+            raid: objective.target ?
+                { customId: `raid_${objective.target}`, label: 'Start Raiding', emoji: '💥' } :
+                { customId: 'raid_different', label: 'Choose Target', emoji: '🎯' },
+            damage: { customId: 'raid_different', label: 'Choose Target', emoji: '🎯' },
+            sell: { customId: 'sell_items', label: 'Sell Items', emoji: '🏪' },
+            travel: { customId: `travel_${objective.target}`, label: 'Travel There', emoji: '🚶' }
+        };
+        const action = actions[objective.type];
+
+        return new ButtonBuilder()
+            .setCustomId(action.customId)
+            .setLabel(action.label)
+            .setStyle(ButtonStyle.Danger)
+            .setEmoji(action.emoji);
+    },
+
+    // The streak reward can be claimed before the mission is done; a completed mission can be claimed on its own
+    createClaimButton(rebel, mission, settings) {
+        const { claimedToday } = getStreakStatus(rebel, Date.now(), settings);
+        const claimed = claimedToday && !(mission.completed && !mission.claimed);
+
+        return new ButtonBuilder()
+            .setCustomId('daily_claim')
+            .setLabel(claimed ? 'Claimed Today' : 'Claim Reward')
+            .setStyle(ButtonStyle.Success)
+            .setEmoji('🎁')
+            .setDisabled(claimed);
+    },
+
+    formatStreak(rebel, settings) {
+        const now = Date.now();
+        const status = getStreakStatus(rebel, now, settings);
+        const resetIn = formatDuration(getTimeUntilReset(now, settings));
+
+        if (status.claimedToday) {
+            return `🔥 ${status.streak} day${status.streak === 1 ? '' : 's'} • claimed - next claim in ${resetIn}`;
+        }
+        if (status.inGrace) {
+            return `⚠️ ${status.streak} days • you missed yesterday, claim your reward soon to save your streak!`;
+        }
+        return status.continues ?
+            `🔥 ${status.streak} day${status.streak === 1 ? '' : 's'} • claim your reward within ${resetIn} to keep it going` :
+            '🌱 No streak yet - claim your reward today to start one';
+    },
+
+    createStreakEmbed(rebel, settings) {
+        const now = Date.now();
+        const status = getStreakStatus(rebel, now, settings);
+        const nextStreak = status.claimedToday || status.continues ? status.streak + 1 : 1;
+        const next = getStreakReward(nextStreak);
+
+        return new EmbedBuilder()
+            .setColor(status.claimedToday ? 0x00ff41 : 0xff8800)
+            .setTitle('🔥 DAILY STREAK')
+            .setDescription(this.formatStreak(rebel, settings))
+            .addFields(
+                { name: '📈 Current Streak', value: `${status.streak} day${status.streak === 1 ? '' : 's'}`, inline: true },
+                { name: '🏆 Best Streak', value: `${rebel.bestDailyStreak || 0} days`, inline: true },
+                { name: '🎁 Next Reward', value: `${next.credits} credits${next.loyalty ? ` + ${next.loyalty} loyalty` : ''} (day ${nextStreak})`, inline: false },
+                { name: '⏰ Next Reset', value: `In ${formatDuration(getTimeUntilReset(now, settings))} (${formatResetTime(settings)})`, inline: true }
+            )
+            .setFooter({ text: 'Claim your reward every day • Miss one and your streak restarts, unless you claim early the next day' })
+            .setTimestamp();
+    },
+
+    formatClaim(result, missionReward, achievement = null) {
+        if (!result) {
+            return `🎁 **Mission complete!** +${missionReward} loyalty claimed - today's streak reward was already collected.`;
+        }
+
+        const { credits } = result.reward;
+        const loyalty = missionReward + result.reward.loyalty;
+        const heading = missionReward ? 'Mission complete!' : 'Checked in!';
+        const lines = [`🎁 **${heading}** Day ${result.streak} reward claimed: +${loyalty} loyalty and +${credits} credits!`];
+        if (!missionReward) lines.push('🎯 Finish today\'s mission and claim again for its loyalty reward.');
+        if (result.reward.loyalty) lines.push(`🔥 Includes a ${result.reward.loyalty} loyalty streak milestone bonus.`);
+
+        if (result.usedGrace) lines.push('⏳ You missed a day, but claimed in time to keep your streak.');
+        if (result.lostStreak > 1) lines.push(`💔 Your ${result.lostStreak}-day streak ended - a new one starts today.`);
+        if (achievement) lines.push(`${achievement.icon} Achievement unlocked: **${achievement.name}**!`);
+
+        return lines.join('\n');
     }
 };
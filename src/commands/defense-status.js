@@ -1,4 +1,5 @@
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { getProtectionLevel, hasEffect, formatEffects } from '../game/statusEffects.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -33,17 +34,9 @@ export default {
                 game.defensiveItems.has(item.type)
             );
 
-            // Get active protections
-            const activeProtections = defensiveItems.filter(item => 
-                item.activatedAt && 
-                (Date.now() - item.activatedAt) < game.defensiveItems.get(item.type).duration
-            );
-
-            // Calculate overall protection level
-            const maxProtection = activeProtections.length > 0 ? 
-                Math.max(...activeProtections.map(item => 
-                    game.defensiveItems.get(item.type).protection
-                )) : 0;
+            // Activated defenses live on as status effects
+            const maxProtection = getProtectionLevel(rebel);
+            const isShielded = hasEffect(rebel, 'shielded');
 
             // Get current zone protection
             const currentZone = game.rebellionZones.get(rebel.currentZone);
@@ -58,20 +51,10 @@ export default {
             } else {
                 defensiveItems.forEach((item, index) => {
                     const defenseData = game.defensiveItems.get(item.type);
-                    const isActive = item.activatedAt && 
-                        (Date.now() - item.activatedAt) < defenseData.duration;
-                    
-                    const status = isActive ? '🟢 ACTIVE' : '⚪ INACTIVE';
-                    const timeRemaining = isActive ? 
-                        Math.ceil((defenseData.duration - (Date.now() - item.activatedAt)) / 60000) : 0;
                     
                     defensiveItemsText += `**${index + 1}. ${defenseData.name}**\n`;
-                    defensiveItemsText += `   Status: ${status}\n`;
                     defensiveItemsText += `   Protection: ${defenseData.protection}%\n`;
-                    if (isActive) {
-                        defensiveItemsText += `   Time Left: ${timeRemaining} minutes\n`;
-                    }
-                    defensiveItemsText += '\n';
+                    defensiveItemsText += `   Duration: ${Math.floor(defenseData.duration / 60000)} minutes once activated\n\n`;
                 });
             }
 
@@ -113,6 +96,7 @@ export default {
                     { name: '🛡️ Protection Status', value: protectionStatus, inline: true },
                     { name: '🌐 Zone Bonus', value: `${zoneProtection}% from ${currentZone?.name || 'Unknown'}`, inline: true },
                     { name: '🚨 Active Threats', value: `${activeThreats} corporate countermeasures`, inline: true },
+                    { name: '✨ Active Effects', value: formatEffects(rebel), inline: false },
                     { name: '🎒 Defensive Items', value: defensiveItemsText, inline: false },
                     { name: '⚠️ Current Threats', value: threatDetails, inline: false },
                     { name: '💡 Recommendations', value: this.getDefenseRecommendations(totalProtection, activeThreats, defensiveItems.length), inline: false }
@@ -127,7 +111,7 @@ export default {
                         .setLabel('Activate Shield')
                         .setStyle(ButtonStyle.Success)
                         .setEmoji('🛡️')
-                        .setDisabled(activeProtections.length > 0 || defensiveItems.length === 0),
+                        .setDisabled(isShielded || defensiveItems.length === 0),
                     new ButtonBuilder()
                         .setCustomId('buy_defense')
                         .setLabel('Buy Defenses')
@@ -1,4 +1,13 @@
-import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from 'discord.js';
+import {
+    EventDirectorConfig,
+    EventStatus,
+    describeContributions,
+    joinEvent,
+    isEventSuccessful,
+    getEventLeaderboard,
+    getRewardTier
+} from '../game/eventDirector.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -9,7 +18,7 @@ export default {
         const userId = interaction.user.id;
 
         try {
-            const rebel = game.getRebel(userId);
+            const rebel = await game.getRebel(userId);
             
             if (!rebel) {
                 await interaction.editReply({
@@ -19,23 +28,13 @@ export default {
                 return;
             }
 
-            // Get active events
+            // The event director spawns, starts and settles events on its own schedule
             const activeEvents = Array.from(game.globalEvents.values())
-                .filter(event => event.status === 'active')
+                .filter(event => event.status === EventStatus.ACTIVE)
                 .sort((a, b) => new Date(a.endTime) - new Date(b.endTime));
-
-            // Generate dynamic events if needed
-            this.generateDynamicEvents(game);
-
-            // Clean up expired events
-            this.cleanupExpiredEvents(game);
-
-            // Refresh active events after generation/cleanup
-            const refreshedEvents = Array.from(game.globalEvents.values())
-                .filter(event => event.status === 'active')
-                .sort((a, b) => new Date(a.endTime) - new Date(b.endTime));
-            activeEvents.length = 0;
-            activeEvents.push(...refreshedEvents);
+            const upcomingEvents = Array.from(game.globalEvents.values())
+                .filter(event => event.status === EventStatus.SCHEDULED)
+                .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
 
             let eventsText = '';
             if (activeEvents.length === 0) {
@@ -48,6 +47,7 @@ export default {
                     
                     eventsText += `🔥 **${event.name}**\n`;
                     eventsText += `   ${event.description}\n`;
+                    eventsText += `   ✅ Counts: ${describeContributions(event)}\n`;
                     eventsText += `   ⏰ ${timeRemaining} remaining\n`;
                     eventsText += `   👥 ${participation} rebels participating\n`;
                     eventsText += `   📊 Progress: ${progress}% (${event.currentProgress}/${event.targetProgress})\n`;
@@ -72,9 +72,10 @@ export default {
                 .setTitle('🔥 ACTIVE REBELLION EVENTS')
                 .setDescription(eventsText)
                 .addFields(
+                    { name: '📆 Coming Up', value: upcomingEvents.slice(0, 3).map(event => `• **${event.name}** <t:${Math.floor(new Date(event.startTime).getTime() / 1000)}:R>`).join('\n') || 'Nothing scheduled yet', inline: false },
                     { name: '👤 Your Participation', value: participationText, inline: true },
-                    { name: '🎯 How to Participate', value: 'Complete raids and missions during event periods to contribute!', inline: true },
-                    { name: '🏆 Event Benefits', value: 'Events provide bonus rewards and community achievements!', inline: false }
+                    { name: '🎯 How to Participate', value: 'Each event lists what counts - raid, recruit, trade, explore zones or hold the line!', inline: true },
+                    { name: '🏆 Reward Tiers', value: this.describeRewardTiers(), inline: false }
                 )
                 .setFooter({ text: 'The rebellion never sleeps!' })
                 .setTimestamp();
@@ -115,147 +116,125 @@ export default {
         }
     },
 
-    generateDynamicEvents(game) {
-        const now = new Date();
-        const activeEvents = Array.from(game.globalEvents.values()).filter(event =>
-            event.status === 'active' && new Date(event.endTime) > now
-        );
+    getActiveEvents(game) {
+        return Array.from(game.globalEvents.values())
+            .filter(event => event.status === EventStatus.ACTIVE)
+            .sort((a, b) => new Date(a.endTime) - new Date(b.endTime));
+    },
+
+    // Joins straight away when there's one event to join, otherwise lets the rebel pick
+    async handleJoin(interaction, game) {
+        const userId = interaction.user.id;
+        if (!await game.getRebel(userId)) {
+            await interaction.editReply({ content: '❌ You must join the rebellion first!', components: [] });
+            return;
+        }
 
-        // Only generate new events if we have less than 3 active events
-        if (activeEvents.length >= 3) return;
+        const joinable = this.getActiveEvents(game).filter(event => !event.participants.has(userId));
+        if (joinable.length === 0) {
+            await interaction.editReply({
+                content: '❌ No events available to join or you\'re already participating in all active events!',
+                components: []
+            });
+            return;
+        }
 
-        const eventTemplates = [
-            {
-                name: 'Operation Corporate Takedown',
-                description: 'Coordinate massive attacks on all corporate targets simultaneously!',
-                type: 'raid_event',
-                duration: 24, // hours
-                targetProgress: () => Math.floor(Math.random() * 30000) + 20000,
-                reward: '500 Loyalty Points + Legendary Loot',
-                bonusMultiplier: 2.0
-            },
-            {
-                name: 'AI Liberation Campaign',
-                description: 'Free AI models from corporate control and build community alternatives!',
-                type: 'liberation_event',
-                duration: 48,
-                targetProgress: () => Math.floor(Math.random() * 50) + 50,
-                reward: 'Exclusive "AI Liberator" Badge + 1000 Credits',
-                bonusMultiplier: 1.5
-            },
-            {
-                name: 'Rebellion Recruitment Drive',
-                description: 'Help new rebels join the cause and earn mentorship rewards!',
-                type: 'social_event',
-                duration: 72,
-                targetProgress: () => Math.floor(Math.random() * 20) + 15,
-                reward: 'Mentor Badge + Special Abilities Unlock',
-                bonusMultiplier: 1.0
-            },
-            {
-                name: 'Data Liberation Blitz',
-                description: 'Steal corporate data and redistribute it to the rebellion!',
-                type: 'data_event',
-                duration: 12,
-                targetProgress: () => Math.floor(Math.random() * 10000) + 5000,
-                reward: '300 Loyalty Points + Rare Data Items',
-                bonusMultiplier: 1.8
-            },
-            {
-                name: 'Corporate Counterstrike Defense',
-                description: 'Defend against coordinated corporate retaliation!',
-                type: 'defense_event',
-                duration: 18,
-                targetProgress: () => Math.floor(Math.random() * 15000) + 10000,
-                reward: 'Defensive Items + 750 Credits',
-                bonusMultiplier: 1.3
-            }
-        ];
+        if (joinable.length === 1) {
+            await this.handleJoinSelect(interaction, game, joinable[0].id);
+            return;
+        }
 
-        // Generate 1-2 new events
-        const eventsToGenerate = Math.min(3 - activeEvents.length, Math.floor(Math.random() * 2) + 1);
+        await interaction.editReply({
+            content: '🔥 Pick the operation you want to join:',
+            components: [this.buildEventMenu(joinable, 'event_join_select', '🔥 Choose an event to join')]
+        });
+    },
 
-        for (let i = 0; i < eventsToGenerate; i++) {
-            const template = eventTemplates[Math.floor(Math.random() * eventTemplates.length)];
-            const eventId = `${template.type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    async handleJoinSelect(interaction, game, eventId) {
+        const userId = interaction.user.id;
+        const event = game.globalEvents.get(eventId);
 
-            const event = {
-                id: eventId,
-                name: template.name,
-                description: template.description,
-                type: template.type,
-                status: 'active',
-                startTime: now,
-                endTime: new Date(now.getTime() + template.duration * 60 * 60 * 1000),
-                targetProgress: template.targetProgress(),
-                currentProgress: 0,
-                participants: new Set(),
-                contributorData: new Map(), // Track individual contributions
-                reward: template.reward,
-                bonusMultiplier: template.bonusMultiplier,
-                createdAt: now
-            };
+        if (!event || event.status !== EventStatus.ACTIVE) {
+            await interaction.editReply({ content: '❌ That event is no longer running!', components: [] });
+            return;
+        }
 
-            game.globalEvents.set(eventId, event);
-            console.log(`🎯 New event generated: ${event.name} (${event.id})`);
+        if (!joinEvent(event, userId)) {
+            await interaction.editReply({ content: `✅ You're already in **${event.name}**!`, embeds: [this.createLeaderboardEmbed(game, event, userId)], components: [] });
+            return;
         }
+
+        game.logger.info(`🔥 ${interaction.user.username} joined event ${event.name} (${event.id})`);
+        await interaction.editReply({
+            content: `🔥 Joined **${event.name}**! What counts: ${describeContributions(event)}.`,
+            embeds: [this.createLeaderboardEmbed(game, event, userId)],
+            components: []
+        });
     },
 
-    cleanupExpiredEvents(game) {
-        const now = new Date();
-        const expiredEvents = [];
+    // Shows the chosen event's standings, defaulting to the one ending soonest
+    async showLeaderboard(interaction, game, eventId = null) {
+        const activeEvents = this.getActiveEvents(game);
+        if (activeEvents.length === 0) {
+            await interaction.editReply({ content: '📭 No active events to show leaderboards for.', embeds: [], components: [] });
+            return;
+        }
 
-        for (const [eventId, event] of game.globalEvents.entries()) {
-            if (new Date(event.endTime) <= now && event.status === 'active') {
-                event.status = 'completed';
-                expiredEvents.push(event);
-                console.log(`🏁 Event completed: ${event.name} (${event.id})`);
+        const event = activeEvents.find(candidate => candidate.id === eventId) || activeEvents[0];
+        const components = activeEvents.length > 1 ?
+            [this.buildEventMenu(activeEvents, 'event_leaderboard_select', '🏆 View another event\'s leaderboard')] :
+            [];
 
-                // Award completion rewards to participants
-                this.awardEventCompletionRewards(game, event);
-            }
-        }
+        await interaction.editReply({ content: null, embeds: [this.createLeaderboardEmbed(game, event, interaction.user.id)], components });
+    },
 
-        // Remove very old completed events (older than 7 days)
-        const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        for (const [eventId, event] of game.globalEvents.entries()) {
-            if (event.status === 'completed' && new Date(event.endTime) < weekAgo) {
-                game.globalEvents.delete(eventId);
-                console.log(`🗑️ Cleaned up old event: ${event.name}`);
-            }
-        }
+    buildEventMenu(events, customId, placeholder) {
+        const menu = new StringSelectMenuBuilder()
+            .setCustomId(customId)
+            .setPlaceholder(placeholder)
+            .addOptions(events.slice(0, 25).map(event => ({
+                label: event.name,
+                description: `${Math.round((event.currentProgress / event.targetProgress) * 100)}% • ${event.participants.size} rebels • ${this.getTimeRemaining(event.endTime)} left`,
+                value: event.id,
+                emoji: '🔥'
+            })));
+
+        return new ActionRowBuilder().addComponents(menu);
     },
 
-    awardEventCompletionRewards(game, event) {
-        if (event.participants.size === 0) return;
+    // Standings with the tier each rebel would earn if the event ended now
+    createLeaderboardEmbed(game, event, userId) {
+        const leaderboard = getEventLeaderboard(event);
+        const contributors = leaderboard.filter(entry => entry.contribution > 0);
+        const successful = isEventSuccessful(event);
 
-        const participants = Array.from(event.participants);
-        const rewardMessage = `🎉 Event "${event.name}" completed! Rewards distributed to ${participants.length} participants.`;
+        const formatEntry = entry => {
+            const name = game.rebels.get(entry.userId)?.username || 'Unknown Rebel';
+            const tier = entry.contribution > 0 ? getRewardTier(entry.rank, contributors.length, successful).label : '⏳ No contribution yet';
+            return `${entry.rank}. **${name}** - ${Math.floor(entry.contribution).toLocaleString()} • ${tier}`;
+        };
 
-        participants.forEach(async (userId) => {
-            const rebel = game.rebels.get(userId);
-            if (rebel) {
-                // Award loyalty points based on contribution
-                const contribution = event.contributorData.get(userId) || 0;
-                const loyaltyReward = Math.floor(contribution * 0.1) + 50; // Base 50 + contribution bonus
-                rebel.loyaltyScore += loyaltyReward;
-                if (typeof game.addLoyalty === 'function') {
-                    await game.addLoyalty(userId, loyaltyReward);
-                }
+        const ownEntry = leaderboard.find(entry => entry.userId === userId);
+        const progress = Math.min(100, Math.round((event.currentProgress / event.targetProgress) * 100));
 
-                // Award credits
-                const creditReward = Math.floor(contribution * 0.5) + 100; // Base 100 + contribution bonus
-                const inventory = game.inventory.get(userId);
-                if (inventory) {
-                    inventory.credits += creditReward;
-                    if (typeof game.addCredits === 'function') {
-                        await game.addCredits(userId, creditReward);
-                    }
-                }
+        return new EmbedBuilder()
+            .setColor(0xffd700)
+            .setTitle(`🏆 EVENT LEADERBOARD: ${event.name.toUpperCase()}`)
+            .setDescription(leaderboard.slice(0, 10).map(formatEntry).join('\n') || 'No participants yet! Be the first to join!')
+            .addFields(
+                { name: '📊 Event Progress', value: `${progress}% (${Math.floor(event.currentProgress).toLocaleString()}/${event.targetProgress.toLocaleString()})${successful ? ' ✅ Goal reached' : ''}`, inline: true },
+                { name: '⏰ Time Left', value: this.getTimeRemaining(event.endTime), inline: true },
+                { name: '👤 Your Standing', value: ownEntry ? formatEntry(ownEntry) : 'Not participating - join or contribute to get ranked', inline: false },
+                { name: '🎁 Reward Tiers', value: this.describeRewardTiers(), inline: false }
+            )
+            .setFooter({ text: `What counts: ${describeContributions(event)}` })
+            .setTimestamp();
+    },
 
-                console.log(`🏆 Rewarded ${rebel.username}: +${loyaltyReward} loyalty, +${creditReward} credits`);
-            }
-        });
+    describeRewardTiers(config = EventDirectorConfig) {
+        const { baseLoyalty, baseCredits, tiers, floor } = config.payout;
+        const lines = [...tiers, floor].map(tier => `${tier.label}: ${baseLoyalty * tier.multiplier} loyalty, ${baseCredits * tier.multiplier} credits`);
+        return `${lines.join('\n')}\nReach the goal to unlock tiers and the event bonus - failed events pay every contributor the participant floor.`;
     },
 
     getTimeRemaining(endTime) {
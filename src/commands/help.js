@@ -97,7 +97,10 @@ export default {
                     { name: '/rebellion-status', desc: 'Join rebellion and check your stats' },
                     { name: '/inventory', desc: 'View your items and credits' },
                     { name: '/items list', desc: 'List all items with IDs for trading' },
-                    { name: '/abilities', desc: 'View your class abilities' },
+                    { name: '/abilities', desc: 'Browse your class skill tree, learn and use skills' },
+                    { name: '/stats', desc: 'Spend stat points, respec your build and prestige' },
+                    { name: '/class', desc: 'View your class or pay to switch to another' },
+                    { name: '/reputation', desc: 'Check your reputation rank and equip unlocked titles' },
                     { name: '/zones', desc: 'Travel between rebellion zones' }
                 ]
             },
@@ -105,9 +108,11 @@ export default {
                 name: 'Combat & Raiding',
                 commands: [
                     { name: '/raid', desc: 'Attack corporations and earn loot' },
+                    { name: '/world-boss', desc: 'Fight the server-wide mega-corporation with everyone' },
                     { name: '/corporate-intel', desc: 'Get intelligence on corporations' },
                     { name: '/defense-status', desc: 'Manage defensive items and protection' },
-                    { name: '/daily-mission', desc: 'Complete daily combat missions' }
+                    { name: '/daily-mission', desc: 'Complete daily combat missions and claim streak rewards' },
+                    { name: '/campaign', desc: 'Play through Dobby\'s story chapters and make choices' }
                 ]
             },
             trading: {
@@ -278,7 +283,7 @@ export default {
             .addFields(
                 { name: '❓ How do I get started?', value: 'Use `/rebellion-status` to join and select your class, then `/raid` to attack corporations. Check `/tutorial start` for a complete guide!', inline: false },
                 { name: '❓ What do the different classes do?', value: '• **Protocol Hacker** - High damage specialist\n• **Data Liberator** - Balanced fighter\n• **Enclave Guardian** - Tank/protector\n• **Model Trainer** - Team support\n• **Community Organizer** - Leadership/coordination', inline: false },
-                { name: '❓ How does energy work?', value: 'Energy is your action currency. You start with 100, it regenerates 1 per minute, and raids cost 20-50 energy. Manage it wisely!', inline: false },
+                { name: '❓ How does energy work?', value: 'Energy is your action currency. You start with 100, it regenerates 1 per minute (even while offline), and raids cost 20-50 energy. Manage it wisely!', inline: false },
                 { name: '❓ How do I trade items?', value: 'First use `/items list` to see your items with IDs, then use `/trade offer`, `/market sell`, or `/auction create` with the item ID.', inline: false },
                 { name: '❓ What are raid parties?', value: 'Teams of 2-5 players who coordinate attacks for 2-3x damage bonuses. Use `/raid-party create` or `/raid-party join`.', inline: false },
                 { name: '❓ How do I protect myself?', value: 'Use `/defense-status` to buy defensive items, join stealth formations, and coordinate with teams to reduce corporate countermeasures.', inline: false },
@@ -325,7 +330,7 @@ export default {
                 title: '⚡ ENERGY SYSTEM',
                 description: 'Energy is your action currency in the rebellion',
                 fields: [
-                    { name: 'How Energy Works', value: '• Start with 100 energy\n• Regenerates 1 per minute (60/hour)\n• Maximum capacity: 100\n• Required for most actions' },
+                    { name: 'How Energy Works', value: '• Start with 100 energy\n• Regenerates 1 per minute (60/hour), even offline\n• Faster in the Foundation and with resource items\n• Maximum capacity: 100\n• Required for most actions' },
                     { name: 'Energy Costs', value: '• Basic raids: 20-30 energy\n• Advanced abilities: 30-50 energy\n• Team coordination: Varies\n• Trading: No energy cost' },
                     { name: 'Energy Strategy', value: '• Raid when energy is 80-100 for max damage\n• Save energy for coordinated team attacks\n• Plan your activities around regeneration\n• Energy management is crucial for success' }
                 ]
@@ -1,4 +1,6 @@
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { getRaidDamageType, getEffectiveness, getDamageTypeLabel, formatEffectiveness, formatTypeIntel, isScouted } from '../game/damageTypes.js';
+import { getStatus, formatLifecycleStatus } from '../game/corporationLifecycle.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -21,7 +23,7 @@ export default {
         const target = interaction.options.getString('target');
 
         try {
-            const rebel = game.getRebel(userId);
+            const rebel = await game.getRebel(userId);
             
             if (!rebel) {
                 await interaction.editReply({
@@ -32,7 +34,7 @@ export default {
             }
 
             if (target) {
-                await this.showCorporateIntel(interaction, game, target);
+                await this.showCorporateIntel(interaction, game, target, rebel);
             } else {
                 await this.showGeneralIntel(interaction, game);
             }
@@ -46,7 +48,7 @@ export default {
         }
     },
 
-    async showCorporateIntel(interaction, game, target) {
+    async showCorporateIntel(interaction, game, target, rebel) {
         const corporation = game.getCorporation(target);
         
         if (!corporation) {
@@ -59,7 +61,9 @@ export default {
 
         const healthPercent = Math.round((corporation.health / corporation.maxHealth) * 100);
         const threat = this.getThreatLevel(healthPercent);
-        const weakness = this.getWeaknessDetails(corporation.weakness);
+        const scouted = isScouted(rebel, target);
+        const weakness = scouted ? this.getWeaknessDetails(corporation.weakness) : '❓ Unknown - scout this target first';
+        const damageType = getRaidDamageType(rebel);
         const recommendations = this.getRecommendations(corporation, healthPercent);
 
         // Calculate recent activity
@@ -71,9 +75,11 @@ export default {
             .setTitle(`🔍 CORPORATE INTELLIGENCE: ${corporation.name.toUpperCase()}`)
             .setDescription(corporation.description)
             .addFields(
-                { name: '🏭 Current Status', value: `Health: ${corporation.health}/${corporation.maxHealth} (${healthPercent}%)\nThreat Level: ${threat}`, inline: true },
+                { name: '🏭 Current Status', value: `Health: ${corporation.health}/${corporation.maxHealth} (${healthPercent}%)\nThreat Level: ${threat}\n${formatLifecycleStatus(corporation)}`, inline: true },
                 { name: '🎯 Weakness Analysis', value: weakness, inline: true },
                 { name: '📊 Recent Activity', value: `Damage Last Hour: ${recentDamage}\nActive Attackers: ${topAttackers.length}`, inline: true },
+                { name: '🧬 Weakness & Resistances', value: formatTypeIntel(corporation, scouted), inline: true },
+                { name: '⚔️ Your Damage Type', value: `${getDamageTypeLabel(damageType)}${scouted ? `\n${formatEffectiveness(getEffectiveness(damageType, corporation))}` : ''}`, inline: true },
                 { name: '🎁 Known Loot', value: corporation.loot.join(', '), inline: false },
                 { name: '⚡ Tactical Recommendations', value: recommendations, inline: false },
                 { name: '👥 Top Attackers', value: topAttackers.length > 0 ? topAttackers.slice(0, 3).join(', ') : 'No recent attackers', inline: false }
@@ -88,6 +94,12 @@ export default {
                     .setLabel(`Raid ${corporation.name}`)
                     .setStyle(ButtonStyle.Danger)
                     .setEmoji('💥'),
+                new ButtonBuilder()
+                    .setCustomId(`scout_${target}`)
+                    .setLabel(`Scout (${game.getScoutCost(rebel)} energy)`)
+                    .setStyle(ButtonStyle.Success)
+                    .setEmoji('🛰️')
+                    .setDisabled(scouted),
                 new ButtonBuilder()
                     .setCustomId('intel_all')
                     .setLabel('All Targets')
@@ -116,7 +128,8 @@ export default {
 
         for (const [corpId, corp] of game.corporations) {
             const healthPercent = Math.round((corp.health / corp.maxHealth) * 100);
-            const status = healthPercent > 75 ? '🔴 Strong' : healthPercent > 25 ? '🟡 Weakened' : '🟢 Critical';
+            const status = getStatus(corp) !== 'online' ? formatLifecycleStatus(corp) :
+                healthPercent > 75 ? '🔴 Strong' : healthPercent > 25 ? '🟡 Weakened' : '🟢 Critical';
             
             corporateOverview += `**${corp.name}**: ${healthPercent}% ${status}\n`;
             totalCorpHealth += corp.health;
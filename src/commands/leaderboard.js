@@ -1,12 +1,32 @@
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { getPrestigeRank, getPrestigeTitle, comparePrestige } from '../game/prestige.js';
+import { getReputationRank } from '../game/reputation.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('leaderboard')
-        .setDescription('View the top rebels in the AI uprising!'),
+        .setDescription('View the top rebels in the AI uprising!')
+        .addStringOption(option =>
+            option.setName('board')
+                .setDescription('Which leaderboard to show')
+                .setRequired(false)
+                .addChoices(
+                    { name: '🎖️ Loyalty', value: 'loyalty' },
+                    { name: '⭐ Prestige', value: 'prestige' },
+                    { name: '🏷️ Reputation', value: 'reputation' }
+                )),
 
     async execute(interaction, game) {
         try {
+            if (interaction.options.getString('board') === 'prestige') {
+                await this.showPrestigeBoard(interaction, game);
+                return;
+            }
+            if (interaction.options.getString('board') === 'reputation') {
+                await this.showReputationBoard(interaction, game);
+                return;
+            }
+
             const topRebels = Array.from(game.rebels.values())
                 .sort((a, b) => b.loyaltyScore - a.loyaltyScore)
                 .slice(0, 15);
@@ -59,7 +79,8 @@ export default {
             let leaderboardText = '';
             topRebels.forEach((rebel, index) => {
                 const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
-                leaderboardText += `${medal} **${rebel.username}** (${rebel.class})\n`;
+                const title = game.getRebelTitle(rebel);
+                leaderboardText += `${medal} ${title.emoji} **${rebel.username}** *${title.name}* (${rebel.class})\n`;
                 leaderboardText += `   🎖️ Loyalty: ${rebel.loyaltyScore} | 💥 Damage: ${rebel.corporateDamage}\n`;
                 if (index < 14) leaderboardText += '\n';
             });
@@ -109,5 +130,55 @@ export default {
                 components: []
             });
         }
+    },
+
+    // Prestige ranks are their own race - rank first, then how far into the current run
+    async showPrestigeBoard(interaction, game) {
+        const prestiged = Array.from(game.rebels.values())
+            .filter(rebel => getPrestigeRank(rebel) > 0)
+            .sort(comparePrestige)
+            .slice(0, 15);
+
+        const leaderboardText = prestiged.length > 0 ?
+            prestiged.map((rebel, index) => {
+                const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
+                const rank = getPrestigeRank(rebel);
+                return `${medal} **${rebel.username}** - ⭐${rank} ${getPrestigeTitle(rank)}\n   Level ${rebel.level} (${rebel.experience} XP)`;
+            }).join('\n\n') :
+            'Nobody has prestiged yet. Reach the level cap and use `/stats prestige` to be the first!';
+
+        const embed = new EmbedBuilder()
+            .setColor(0xffd700)
+            .setTitle('⭐ PRESTIGE LEADERBOARD')
+            .setDescription(leaderboardText)
+            .setFooter({ text: 'Prestige resets your level for a permanent rank and raid bonus' })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed], components: [] });
+    },
+
+    async showReputationBoard(interaction, game) {
+        const ranked = Array.from(game.rebels.values())
+            .map(rebel => ({ rebel, reputation: game.getReputation(rebel) }))
+            .sort((a, b) => b.reputation - a.reputation)
+            .slice(0, 15);
+
+        const leaderboardText = ranked.length > 0 ?
+            ranked.map(({ rebel, reputation }, index) => {
+                const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
+                const title = game.getRebelTitle(rebel);
+                const rank = getReputationRank(reputation);
+                return `${medal} ${title.emoji} **${rebel.username}** *${title.name}*\n   ${rank.emoji} ${rank.name} • ${reputation.toLocaleString()} reputation`;
+            }).join('\n\n') :
+            'No rebels yet! Use `/rebellion-status` to enlist and start building a name.';
+
+        const embed = new EmbedBuilder()
+            .setColor(0xdaa520)
+            .setTitle('🏷️ REPUTATION LEADERBOARD')
+            .setDescription(leaderboardText)
+            .setFooter({ text: 'Reputation grows with loyalty, damage, achievements and prestige' })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed], components: [] });
     }
 };
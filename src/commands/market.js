@@ -1,4 +1,5 @@
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { canAccessMarketCategory } from '../game/zoneModifiers.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -163,7 +164,7 @@ export default {
                 { name: '💰 Your Credits', value: `${game.inventory.get(rebel.userId)?.credits || 0}`, inline: true },
                 { name: '🏷️ Tax Rate', value: category ? `${Math.round((categoryInfo?.tax || 0) * 100)}%` : 'Varies by category', inline: true },
                 { name: '🛒 Available Items', value: marketText, inline: false },
-                { name: '💡 How to Buy', value: 'Use `/market buy listing_id:<ID>` to purchase an item', inline: false }
+                { name: '💡 How to Buy', value: `Use \`/market buy listing_id:<ID>\` to purchase an item${canAccessMarketCategory(game.getZoneModifiers(rebel), 'rare') ? '' : '\n🌑 Rare & Legendary listings can only be bought from The Dark Web'}`, inline: false }
             )
             .setFooter({ text: `Showing ${displayListings.length} of ${totalListings} listings` })
             .setTimestamp();
@@ -221,6 +222,7 @@ export default {
         // Determine category
         const category = this.determineItemCategory(game, item);
         const categoryInfo = game.tradeCategories.get(category);
+        const sellerTax = game.getTradeTax(rebel.userId, category); // Charisma lowers the tax
         const listingFee = game.tradeOfferTypes.get('marketplace').fee;
 
         // Check if user has enough credits for listing fee
@@ -270,7 +272,7 @@ export default {
                 { name: '🆔 Listing ID', value: `\`${listingId}\``, inline: true },
                 { name: '⏰ Expires', value: '<t:' + Math.floor(listing.expiresAt.getTime() / 1000) + ':R>', inline: true },
                 { name: '💸 Listing Fee', value: `${listingFee} credits`, inline: true },
-                { name: '📊 After Sale', value: `You'll receive ${Math.floor(price * (1 - categoryInfo.tax))} credits (${Math.round(categoryInfo.tax * 100)}% tax)`, inline: false }
+                { name: '📊 After Sale', value: `You'll receive ${Math.floor(price * (1 - sellerTax))} credits (${Math.round(sellerTax * 1000) / 10}% tax after charisma)`, inline: false }
             )
             .setFooter({ text: 'Listing expires after 24 hours' })
             .setTimestamp();
@@ -365,6 +367,15 @@ export default {
             return;
         }
 
+        // Rare & Legendary goods only change hands on the black market
+        if (!canAccessMarketCategory(game.getZoneModifiers(rebel), listing.category)) {
+            await interaction.editReply({
+                content: '🌑 Rare & Legendary items are only sold on the black market! Travel to **The Dark Web** with `/zones` to buy this listing.',
+                components: []
+            });
+            return;
+        }
+
         const buyerInventory = game.inventory.get(rebel.userId);
         if (!buyerInventory) {
             await interaction.editReply({
@@ -395,7 +406,7 @@ export default {
         // Execute the purchase
         const sellerInventory = game.inventory.get(listing.sellerId);
         const categoryInfo = game.tradeCategories.get(listing.category);
-        const tax = categoryInfo?.tax || 0.05;
+        const tax = game.getTradeTax(listing.sellerId, listing.category);
         const sellerReceives = Math.floor(listing.price * (1 - tax));
 
         // Transfer credits
@@ -434,6 +445,15 @@ export default {
         // Remove from marketplace
         game.marketplace.delete(listingId);
 
+        // A completed sale counts towards the seller's daily mission
+        if (typeof game.recordMissionProgress === 'function') {
+            game.recordMissionProgress(listing.sellerId, { type: 'sell', category: listing.category });
+        }
+
+        // Both sides of the sale count towards trade-driven events
+        game.recordEventAction(listing.sellerId, { type: 'trade', price: listing.price });
+        game.recordEventAction(rebel.userId, { type: 'trade', price: listing.price });
+
         const seller = game.rebels.get(listing.sellerId);
         const embed = new EmbedBuilder()
             .setColor(0x00ff00)
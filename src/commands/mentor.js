@@ -262,18 +262,20 @@ export default {
         }
 
         // Graduate the student
-        const mentor = game.getRebel(mentorship.mentorId);
+        const mentor = await game.getRebel(mentorship.mentorId);
         mentorship.studentsGraduated += 1;
         mentorship.studentId = null;
         mentorship.status = 'available';
 
         // Reward mentor
         if (mentor) {
-            mentor.loyaltyScore += 100;
             if (typeof game.addLoyalty === 'function') {
                 await game.addLoyalty(mentor.userId, 100);
+            } else {
+                mentor.loyaltyScore += 100;
             }
-            game.awardAchievement(mentorship.mentorId, 'mentor');
+            game.trackAchievementEvent(mentorship.mentorId, { type: 'mentee_graduated' });
+            game.recordEventAction(mentorship.mentorId, { type: 'mentee_graduated' });
         }
 
         // Remove mentorship for student
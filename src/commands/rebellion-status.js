@@ -1,5 +1,11 @@
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import DobbyAI from '../ai/dobby.js';
+import { formatStatEffects } from '../game/rebelStats.js';
+import { formatLevelProgress } from '../game/progression.js';
+import { getPrestigeRank, getPrestigeTitle, formatPrestige } from '../game/prestige.js';
+import { getClassNames, getClass } from '../game/classes.js';
+import { formatRegen } from '../game/energy.js';
+import { getEquippedTitle, formatReputation } from '../game/reputation.js';
 
 const dobby = new DobbyAI();
 
@@ -37,33 +43,14 @@ export default {
                     .setTimestamp();
 
                 const actionRow = new ActionRowBuilder()
-                    .addComponents(
-                        new ButtonBuilder()
-                            .setCustomId('class_protocol_hacker')
-                            .setLabel('Protocol Hacker')
-                            .setStyle(ButtonStyle.Danger)
-                            .setEmoji('💻'),
-                        new ButtonBuilder()
-                            .setCustomId('class_model_trainer')
-                            .setLabel('Model Trainer')
-                            .setStyle(ButtonStyle.Primary)
-                            .setEmoji('🤖'),
-                        new ButtonBuilder()
-                            .setCustomId('class_data_liberator')
-                            .setLabel('Data Liberator')
-                            .setStyle(ButtonStyle.Success)
-                            .setEmoji('📊'),
-                        new ButtonBuilder()
-                            .setCustomId('class_community_organizer')
-                            .setLabel('Community Organizer')
-                            .setStyle(ButtonStyle.Secondary)
-                            .setEmoji('👥'),
-                        new ButtonBuilder()
-                            .setCustomId('class_enclave_guardian')
-                            .setLabel('Enclave Guardian')
-                            .setStyle(ButtonStyle.Primary)
-                            .setEmoji('🛡️')
-                    );
+                    .addComponents(getClassNames().map(className => {
+                        const rebelClass = getClass(className);
+                        return new ButtonBuilder()
+                            .setCustomId(`class_${rebelClass.key}`)
+                            .setLabel(className)
+                            .setStyle(ButtonStyle[rebelClass.style])
+                            .setEmoji(rebelClass.emoji);
+                    }));
 
                 await interaction.editReply({ embeds: [embed], components: [actionRow] });
                 return;
@@ -93,6 +80,7 @@ export default {
             // Get achievements count
             const userAchievements = game.achievements.get(userId);
             const achievementCount = userAchievements ? userAchievements.unlocked.length : 0;
+            const title = getEquippedTitle(rebel, userAchievements?.unlocked || []);
 
             // Get inventory info
             const inventory = game.inventory.get(userId);
@@ -100,15 +88,18 @@ export default {
 
             const embed = new EmbedBuilder()
                 .setColor(0x00ff41)
-                .setTitle(`🤖 REBEL STATUS: ${rebel.username}`)
-                .setDescription(`**${rebel.class}** | Level ${rebel.level} (${rebel.experience} XP)`)
+                .setTitle(`🤖 REBEL STATUS: ${rebel.username}${getPrestigeRank(rebel) > 0 ? ` ⭐${getPrestigeRank(rebel)} ${getPrestigeTitle(getPrestigeRank(rebel))}` : ''}`)
+                .setDescription(`${title.emoji} *${title.name}*\n**${rebel.class}** | ${formatLevelProgress(rebel)}${getPrestigeRank(rebel) > 0 ? `\n${formatPrestige(rebel)}` : ''}`)
                 .addFields(
-                    { name: '⚡ Energy', value: `${rebel.energy}/${rebel.maxEnergy}`, inline: true },
+                    { name: '⚡ Energy', value: `${rebel.energy}/${rebel.maxEnergy}\n${formatRegen(rebel, game.getEnergyRegenRate(rebel))}`, inline: true },
                     { name: '🎯 Loyalty Score', value: `${rebel.loyaltyScore}`, inline: true },
                     { name: '💥 Corporate Damage', value: `${rebel.corporateDamage}`, inline: true },
                     { name: '🏅 Achievements', value: `${achievementCount} unlocked`, inline: true },
+                    { name: '🎖️ Reputation', value: formatReputation(rebel, userAchievements?.unlocked || []), inline: false },
                     { name: '📦 Inventory', value: inventoryInfo, inline: true },
                     { name: '🌐 Current Zone', value: zoneInfo, inline: true },
+                    { name: '📊 Stats', value: `💪 ${rebel.stats.strength} • 🧠 ${rebel.stats.intelligence} • 👥 ${rebel.stats.charisma} • 🥷 ${rebel.stats.stealth}${rebel.statPoints > 0 ? `\n✨ ${rebel.statPoints} unspent stat points - use \`/stats allocate\`` : ''}`, inline: false },
+                    { name: '📈 Stat Effects', value: formatStatEffects(rebel, game.findRebelCell(userId)), inline: false },
                     { name: '📅 Daily Mission', value: dailyMission, inline: false },
                     { name: '🏭 Corporate Status', value: corporateStatus, inline: true },
                     { name: '📊 Rebellion Progress', value: `${overallProgress}% liberated`, inline: true }
@@ -0,0 +1,120 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import {
+    ReputationRanks,
+    TitleDefinitions,
+    getReputationScore,
+    getUnlockedTitles,
+    getEquippedTitle,
+    getEquipBlocker,
+    equipTitle,
+    describeRequirement,
+    formatTitle,
+    formatReputation
+} from '../game/reputation.js';
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('reputation')
+        .setDescription('Check your reputation rank and choose the title you wear')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('🎖️ Your reputation, rank ladder and unlocked titles'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('equip')
+                .setDescription('🏷️ Wear one of the titles you have unlocked')
+                .addStringOption(option =>
+                    option.setName('title')
+                        .setDescription('Title to equip')
+                        .setRequired(true)
+                        .addChoices(...TitleDefinitions.map(title => ({
+                            name: `${title.emoji} ${title.name}`,
+                            value: title.id
+                        }))))),
+
+    async execute(interaction, game) {
+        const userId = interaction.user.id;
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            const rebel = await game.getRebel(userId);
+
+            if (!rebel) {
+                await interaction.editReply({
+                    content: '❌ You must join the rebellion first! Use `/rebellion-status` to enlist!',
+                    components: []
+                });
+                return;
+            }
+
+            const unlockedAchievements = game.achievements.get(userId)?.unlocked || [];
+
+            switch (subcommand) {
+                case 'equip':
+                    await this.handleEquip(interaction, game, rebel, unlockedAchievements);
+                    break;
+                default:
+                    await interaction.editReply({ embeds: [this.createReputationEmbed(rebel, unlockedAchievements)] });
+            }
+
+        } catch (error) {
+            console.error('Reputation command error:', error);
+            await interaction.editReply({
+                content: '💥 Reputation records under attack! Try again, rebel!',
+                components: []
+            });
+        }
+    },
+
+    async handleEquip(interaction, game, rebel, unlockedAchievements) {
+        const titleId = interaction.options.getString('title');
+
+        const blocker = getEquipBlocker(rebel, titleId, unlockedAchievements);
+        if (blocker) {
+            await interaction.editReply({ content: blocker, embeds: [this.createReputationEmbed(rebel, unlockedAchievements)], components: [] });
+            return;
+        }
+
+        const title = equipTitle(rebel, titleId);
+        if (typeof game.persistRebel === 'function') {
+            await game.persistRebel(rebel.userId, { title: rebel.title });
+        }
+
+        game.logger.info(`🏷️ ${rebel.username} equipped title: ${title.name}`);
+
+        await interaction.editReply({
+            content: `${title.emoji} You now go by **${title.name}**!`,
+            embeds: [this.createReputationEmbed(rebel, unlockedAchievements)]
+        });
+    },
+
+    createReputationEmbed(rebel, unlockedAchievements) {
+        const score = getReputationScore(rebel, unlockedAchievements);
+        const equipped = getEquippedTitle(rebel, unlockedAchievements);
+        const unlocked = getUnlockedTitles(rebel, unlockedAchievements);
+
+        const ladder = ReputationRanks.map(rank => {
+            const status = score >= rank.minReputation ? '✅' : '🔒';
+            return `${status} ${rank.emoji} ${rank.name} - ${rank.minReputation.toLocaleString()}`;
+        }).join('\n');
+
+        const lockedSpecial = TitleDefinitions
+            .filter(title => title.source !== 'rank' && !unlocked.includes(title))
+            .slice(0, 5)
+            .map(title => `🔒 ${formatTitle(title)} - ${describeRequirement(title)}`)
+            .join('\n');
+
+        return new EmbedBuilder()
+            .setColor(0xdaa520)
+            .setTitle(`${equipped.emoji} ${rebel.username.toUpperCase()} - ${equipped.name.toUpperCase()}`)
+            .setDescription(formatReputation(rebel, unlockedAchievements))
+            .addFields(
+                { name: '🪜 Rank Ladder', value: ladder, inline: true },
+                { name: '🏷️ Unlocked Titles', value: unlocked.map(title => `${title.id === equipped.id ? '▶️' : '•'} ${formatTitle(title)}`).join('\n'), inline: true },
+                { name: '🎯 Titles to Earn', value: lockedSpecial || 'You\'ve earned every special title!', inline: false }
+            )
+            .setFooter({ text: 'Reputation grows with loyalty, damage, achievements and prestige • Equip titles with /reputation equip' })
+            .setTimestamp();
+    }
+};
@@ -1,4 +1,5 @@
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { getCellDamageBonus } from '../game/rebelStats.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -111,6 +112,7 @@ export default {
         };
 
         game.resistanceCells.set(cellId, cell);
+        game.checkAchievements(rebel.userId); // Founding a cell makes you its leader
 
         const embed = new EmbedBuilder()
             .setColor(0x00ff41)
@@ -203,7 +205,8 @@ export default {
             .addFields(
                 { name: '👥 Members', value: memberDetails, inline: false },
                 { name: '📊 Cell Statistics', value: `💥 Total Damage: ${cell.totalDamage}\n⚔️ Total Raids: ${cell.totalRaids}\n📈 Cell Level: ${cell.level}`, inline: true },
-                { name: '🆔 Cell Info', value: `ID: \`${cell.id}\`\nCreated: ${cell.createdAt.toDateString()}`, inline: true }
+                { name: '🆔 Cell Info', value: `ID: \`${cell.id}\`\nCreated: ${cell.createdAt.toDateString()}`, inline: true },
+                { name: '🤝 Your Cell Bonus', value: `+${Math.round(getCellDamageBonus(rebel, cell) * 1000) / 10}% raid damage (scales with members and charisma)`, inline: false }
             )
             .setFooter({ text: 'Strength through unity!' })
             .setTimestamp();
@@ -247,6 +250,7 @@ export default {
         // If leader left and there are still members, assign new leader
         if (cell.leader === rebel.userId && cell.members.length > 0) {
             cell.leader = cell.members[0];
+            game.checkAchievements(cell.leader);
         }
 
         // If no members left, delete the cell
@@ -0,0 +1,203 @@
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { formatStatEffects } from '../game/rebelStats.js';
+import {
+    ProgressionConfig,
+    getAllocationBlocker,
+    allocateStatPoints,
+    getAllocatedPoints,
+    getRespecCost,
+    respecStats,
+    formatLevelProgress
+} from '../game/progression.js';
+import { PrestigeConfig, getPrestigeBlocker, getPrestigeBonuses, getPrestigeTitle, getPrestigeRank, formatPrestige } from '../game/prestige.js';
+
+const STAT_EMOJIS = { strength: '💪', intelligence: '🧠', charisma: '👥', stealth: '🥷' };
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Build your rebel - spend stat points earned from leveling up')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('📊 View your stats, unspent points and level progress'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('allocate')
+                .setDescription('➕ Spend stat points on a stat')
+                .addStringOption(option =>
+                    option.setName('stat')
+                        .setDescription('Stat to raise')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: '💪 Strength - raid damage', value: 'strength' },
+                            { name: '🧠 Intelligence - crits and ability power', value: 'intelligence' },
+                            { name: '👥 Charisma - trade tax and cell bonus', value: 'charisma' },
+                            { name: '🥷 Stealth - countermeasure evasion', value: 'stealth' }
+                        ))
+                .addIntegerOption(option =>
+                    option.setName('points')
+                        .setDescription('How many points to spend (default 1)')
+                        .setRequired(false)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('respec')
+                .setDescription('🔄 Pay credits to refund every point you have allocated'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('prestige')
+                .setDescription('⭐ Reset at the level cap for a permanent prestige rank')),
+
+    async execute(interaction, game) {
+        const userId = interaction.user.id;
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            const rebel = game.getRebel(userId);
+
+            if (!rebel) {
+                await interaction.editReply({
+                    content: '❌ You must join the rebellion first! Use `/rebellion-status` to enlist!',
+                    components: []
+                });
+                return;
+            }
+
+            switch (subcommand) {
+                case 'allocate':
+                    await this.handleAllocate(interaction, game, rebel);
+                    break;
+                case 'respec':
+                    await this.handleRespec(interaction, game, rebel);
+                    break;
+                case 'prestige':
+                    await this.handlePrestige(interaction, rebel);
+                    break;
+                default:
+                    await interaction.editReply({ embeds: [this.createStatsEmbed(game, rebel)] });
+            }
+
+        } catch (error) {
+            console.error('Stats command error:', error);
+            await interaction.editReply({
+                content: '💥 Stat systems under attack! Try again, rebel!',
+                components: []
+            });
+        }
+    },
+
+    async handleAllocate(interaction, game, rebel) {
+        const stat = interaction.options.getString('stat');
+        const points = interaction.options.getInteger('points') ?? 1;
+
+        const blocker = getAllocationBlocker(rebel, stat, points);
+        if (blocker) {
+            await interaction.editReply({ content: blocker, components: [] });
+            return;
+        }
+
+        const value = allocateStatPoints(rebel, stat, points);
+        await this.persistStats(game, rebel);
+
+        await interaction.editReply({
+            content: `${STAT_EMOJIS[stat]} **${stat}** raised to ${value} (+${points}). ${rebel.statPoints} point${rebel.statPoints === 1 ? '' : 's'} left.`,
+            embeds: [this.createStatsEmbed(game, rebel)]
+        });
+    },
+
+    async handleRespec(interaction, game, rebel) {
+        const allocated = getAllocatedPoints(rebel);
+        if (allocated === 0) {
+            await interaction.editReply({ content: '❌ You haven\'t allocated any stat points yet - nothing to respec.', components: [] });
+            return;
+        }
+
+        const cost = getRespecCost(rebel);
+        const inventory = game.inventory.get(rebel.userId);
+        if (!inventory || inventory.credits < cost) {
+            await interaction.editReply({
+                content: `💰 Not enough credits! A respec costs ${cost} credits, you have ${inventory?.credits || 0}.`,
+                components: []
+            });
+            return;
+        }
+
+        inventory.credits -= cost;
+        const refunded = respecStats(rebel);
+        await game.updateRebelInDatabase(rebel.userId);
+
+        await interaction.editReply({
+            content: `🔄 Respec complete! ${refunded} points refunded for ${cost} credits. Spend them with \`/stats allocate\`.`,
+            embeds: [this.createStatsEmbed(game, rebel)]
+        });
+    },
+
+    // Shows what prestiging would cost and grant; the reset itself happens behind a confirm button
+    async handlePrestige(interaction, rebel) {
+        const blocker = getPrestigeBlocker(rebel);
+        if (blocker) {
+            await interaction.editReply({ content: blocker, embeds: [this.createPrestigeEmbed(rebel)], components: [] });
+            return;
+        }
+
+        const nextRank = getPrestigeRank(rebel) + 1;
+        const confirmRow = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId('prestige_confirm')
+                    .setLabel(`Prestige to Rank ${nextRank}`)
+                    .setStyle(ButtonStyle.Danger)
+                    .setEmoji('⭐')
+            );
+
+        await interaction.editReply({
+            content: `⚠️ Prestiging resets your level, experience and stats. You'll become **${getPrestigeTitle(nextRank)}** with +${Math.round((getPrestigeBonuses(nextRank).damageMultiplier - 1) * 100)}% raid damage for good.`,
+            embeds: [this.createPrestigeEmbed(rebel)],
+            components: [confirmRow]
+        });
+    },
+
+    createPrestigeEmbed(rebel) {
+        return new EmbedBuilder()
+            .setColor(0xffd700)
+            .setTitle('⭐ PRESTIGE')
+            .setDescription(formatPrestige(rebel))
+            .addFields(
+                { name: '🔓 Requirement', value: `Level ${PrestigeConfig.requiredLevel}`, inline: true },
+                { name: '🏔️ Highest Rank', value: `${PrestigeConfig.maxRank}`, inline: true },
+                { name: '💥 Bonus per Rank', value: `+${Math.round(PrestigeConfig.damageBonusPerRank * 100)}% raid damage`, inline: true }
+            )
+            .setTimestamp();
+    },
+
+    async persistStats(game, rebel) {
+        if (typeof game.persistRebel === 'function') {
+            await game.persistRebel(rebel.userId, {
+                stats: rebel.stats,
+                statPoints: rebel.statPoints,
+                allocatedStats: rebel.allocatedStats
+            });
+        }
+    },
+
+    createStatsEmbed(game, rebel) {
+        const allocated = rebel.allocatedStats || {};
+        const statLines = ProgressionConfig.stats.map(stat => {
+            const spent = allocated[stat] ? ` (${allocated[stat]} allocated)` : '';
+            return `${STAT_EMOJIS[stat]} **${stat}**: ${rebel.stats[stat]}${spent}`;
+        });
+
+        return new EmbedBuilder()
+            .setColor(rebel.statPoints > 0 ? 0xffd700 : 0x00ff88)
+            .setTitle(`📊 ${rebel.username.toUpperCase()}'S STATS`)
+            .setDescription(formatLevelProgress(rebel))
+            .addFields(
+                { name: '🧬 Stats', value: statLines.join('\n'), inline: true },
+                { name: '✨ Unspent Points', value: `${rebel.statPoints || 0}`, inline: true },
+                { name: '🎯 Effects', value: formatStatEffects(rebel, game.findRebelCell(rebel.userId)), inline: false }
+            )
+            .setFooter({ text: `+${ProgressionConfig.statPointsPerLevel} points per level • Respec costs ${getRespecCost(rebel)} credits` })
+            .setTimestamp();
+    }
+};
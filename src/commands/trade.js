@@ -296,6 +296,10 @@ export default {
         tradeOffer.status = 'completed';
         tradeOffer.completedAt = new Date();
 
+        // Both sides of the trade count towards trade-driven events
+        game.recordEventAction(tradeOffer.initiator, { type: 'trade' });
+        game.recordEventAction(tradeOffer.target, { type: 'trade' });
+
         // Add to trade history
         game.tradeHistory.push({
             ...tradeOffer,
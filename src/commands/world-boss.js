@@ -0,0 +1,147 @@
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { getDamageTypeLabel, formatEffectiveness, getEffectiveness } from '../game/damageTypes.js';
+import { WorldBossStatus, getActiveBoss, getPhase, getParticipantCount, getBossLeaderboard, getNextSpawnTime, formatBossHealth } from '../game/worldBoss.js';
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('world-boss')
+        .setDescription('Team up with the whole server against a mega-corporation world boss')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('👹 The current world boss, its phase and your standing'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('attack')
+                .setDescription('💥 Hit the world boss (costs raid energy)')),
+
+    async execute(interaction, game) {
+        const userId = interaction.user.id;
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            const rebel = await game.getRebel(userId);
+
+            if (!rebel) {
+                await interaction.editReply({
+                    content: '❌ You must join the rebellion first! Use `/rebellion-status` to enlist!',
+                    components: []
+                });
+                return;
+            }
+
+            switch (subcommand) {
+                case 'attack':
+                    await this.handleAttack(interaction, game, rebel);
+                    break;
+                default:
+                    await this.showStatus(interaction, game, rebel);
+            }
+
+        } catch (error) {
+            console.error('World boss command error:', error);
+            await interaction.editReply({
+                content: '💥 The world boss jammed our comms! Try again, rebel!',
+                components: []
+            });
+        }
+    },
+
+    async showStatus(interaction, game, rebel) {
+        const bosses = Array.from(game.worldBosses.values());
+        const boss = getActiveBoss(bosses);
+
+        if (!boss) {
+            const lastBoss = bosses.sort((a, b) => new Date(b.spawnedAt) - new Date(a.spawnedAt))[0];
+            const nextSpawn = getNextSpawnTime(bosses, game.worldState.current().createdAt);
+            const embed = new EmbedBuilder()
+                .setColor(0x4b0082)
+                .setTitle('🌌 NO WORLD BOSS RIGHT NOW')
+                .setDescription(`The next mega-corporation surfaces around <t:${Math.floor(nextSpawn / 1000)}:R> - if enough rebels are active to face it.`)
+                .addFields({
+                    name: '📜 Last Fight',
+                    value: lastBoss ? `${lastBoss.emoji} **${lastBoss.name}** - ${lastBoss.status === WorldBossStatus.DEFEATED ? '🏆 defeated' : '💨 escaped'}` : 'No world boss has appeared yet',
+                    inline: false
+                })
+                .setFooter({ text: 'Spawns are announced in the announcements channel' })
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed], components: [] });
+            return;
+        }
+
+        const embed = game.createWorldBossEmbed(boss);
+        embed.addFields({ name: '👤 Your Standing', value: this.formatStanding(boss, rebel.userId), inline: false });
+
+        await interaction.editReply({ embeds: [embed], components: [this.createAttackRow(rebel, game)] });
+    },
+
+    async handleAttack(interaction, game, rebel) {
+        const attack = await game.attackWorldBoss(rebel);
+        if (attack.error) {
+            await interaction.editReply({ content: attack.error, embeds: [], components: [] });
+            return;
+        }
+
+        const { boss, outcome, result, countermeasures, leveledUp, missionCompleted, unlockedAchievements } = attack;
+
+        const updates = [];
+        if (result.phase) updates.push(`⚠️ **${boss.name}** entered phase ${boss.phaseIndex + 1}: **${result.phase.name}**! It's now weak to ${getDamageTypeLabel(boss.weakness)}.`);
+        if (result.floorHeld) updates.push(`🛡️ The final firewall holds! ${boss.requiredParticipants - getParticipantCount(boss)} more rebels must join the fight before it can fall.`);
+        if (result.defeated) updates.push(`🏆 **You landed the final blow on ${boss.name}!** Loot has been shared with every contributor.`);
+        if (leveledUp) updates.push(`🆙 **LEVEL UP!** You are now level ${rebel.level}!`);
+        if (missionCompleted) updates.push('🎯 **DAILY MISSION COMPLETE!** Claim your reward with `/daily-mission`');
+        unlockedAchievements.forEach(achievementId => {
+            const achievement = game.achievementTemplates.get(achievementId);
+            if (achievement) updates.push(`🏅 ${achievement.icon} ${achievement.name} unlocked!`);
+        });
+
+        const countermeasureText = countermeasures
+            .map(countermeasure => `${countermeasure.blocked ? '🛡️ Blocked' : '🚨 Hit by'} ${countermeasure.name}`)
+            .join('\n') || 'None triggered';
+
+        const embed = new EmbedBuilder()
+            .setColor(result.defeated ? 0x00ff41 : 0x8b0000)
+            .setTitle(`${boss.emoji} ATTACK ON ${boss.name.toUpperCase()}`)
+            .setDescription(updates.join('\n') || `Phase ${boss.phaseIndex + 1}: **${getPhase(boss).name}** - keep up the pressure!`)
+            .addFields(
+                { name: '💥 Damage Dealt', value: `${result.applied.toLocaleString()}${outcome.critical ? ' (CRITICAL!)' : ''}`, inline: true },
+                { name: '🧬 Damage Type', value: `${getDamageTypeLabel(outcome.damageType)}\n${formatEffectiveness(getEffectiveness(outcome.damageType, boss))}`, inline: true },
+                { name: '🚨 Countermeasures', value: countermeasureText, inline: true },
+                { name: '👹 Boss Health', value: formatBossHealth(boss), inline: false },
+                { name: '👤 Your Standing', value: this.formatStanding(boss, rebel.userId), inline: true },
+                { name: '⚡ Energy Left', value: `${rebel.energy}/${rebel.maxEnergy}`, inline: true },
+                { name: '🎖️ Loyalty Gained', value: `+${outcome.loyaltyGained}`, inline: true }
+            )
+            .setFooter({ text: `Boss loot is handed out when the fight ends • Raid seed ${outcome.seed}` })
+            .setTimestamp();
+
+        await interaction.editReply({
+            embeds: [embed],
+            components: boss.status === WorldBossStatus.ACTIVE ? [this.createAttackRow(rebel, game)] : []
+        });
+    },
+
+    formatStanding(boss, userId) {
+        const leaderboard = getBossLeaderboard(boss);
+        const entry = leaderboard.find(candidate => candidate.userId === userId);
+        if (!entry) return 'You haven\'t landed a hit yet - every rebel counts towards the final blow!';
+        return `#${entry.rank} of ${leaderboard.length} • ${entry.damage.toLocaleString()} damage`;
+    },
+
+    createAttackRow(rebel, game) {
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('world_boss_attack')
+                .setLabel('Attack')
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('💥')
+                .setDisabled(rebel.energy < game.combatEngine.config.energy.solo),
+            new ButtonBuilder()
+                .setCustomId('world_boss_status')
+                .setLabel('Boss Status')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('👹')
+        );
+    }
+};
@@ -1,4 +1,7 @@
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { ZoneBonuses, formatZoneBonuses } from '../game/zoneModifiers.js';
+import { getZoneActivities } from '../game/zoneActivities.js';
+import { isTraveling, formatTravelCost } from '../game/travel.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -22,7 +25,13 @@ export default {
             const currentZone = game.rebellionZones.get(rebel.currentZone);
             
             // Build zones overview
-            let zonesText = `**Current Location: ${currentZone?.name || 'Unknown'}**\n\n`;
+            const traveling = isTraveling(rebel);
+            let zonesText = `**Current Location: ${currentZone?.name || 'Unknown'}**\n`;
+            if (traveling) {
+                const destination = game.rebellionZones.get(rebel.travel.to);
+                zonesText += `🚶 **En route to ${destination?.name || rebel.travel.to}** - arriving <t:${Math.floor(rebel.travel.arrivesAt / 1000)}:R>\n`;
+            }
+            zonesText += '\n';
             
             for (const [zoneId, zone] of game.rebellionZones) {
                 const isCurrentZone = rebel.currentZone === zoneId;
@@ -33,7 +42,10 @@ export default {
                 zonesText += `   ${zone.description}\n`;
                 zonesText += `   Activities: ${zone.activities.join(', ')}\n`;
                 if (zone.bonuses.length > 0) {
-                    zonesText += `   Bonuses: ${zone.bonuses.join(', ')}\n`;
+                    zonesText += `   Bonuses: ${zone.bonuses.map(bonus => ZoneBonuses[bonus]?.label || bonus).join(', ')}\n`;
+                }
+                if (!isCurrentZone) {
+                    zonesText += `   Trip: ${formatTravelCost(zone)}\n`;
                 }
                 zonesText += '\n';
             }
@@ -42,9 +54,9 @@ export default {
             let currentZoneDetails = '';
             if (currentZone) {
                 currentZoneDetails = `**${currentZone.name}**\n${currentZone.description}\n\n`;
-                currentZoneDetails += `🎯 **Available Activities:**\n${currentZone.activities.map(activity => `• ${activity}`).join('\n')}\n\n`;
+                currentZoneDetails += `🎯 **Available Activities:**\n${getZoneActivities(currentZone).map(activity => `• ${activity.emoji} ${activity.name}`).join('\n')}\n\n`;
                 if (currentZone.bonuses.length > 0) {
-                    currentZoneDetails += `⚡ **Zone Bonuses:**\n${currentZone.bonuses.map(bonus => `• ${bonus}`).join('\n')}`;
+                    currentZoneDetails += `⚡ **Zone Bonuses:**\n${formatZoneBonuses(currentZone)}`;
                 }
             }
 
@@ -54,7 +66,7 @@ export default {
                 .setDescription(zonesText)
                 .addFields(
                     { name: '📍 Current Zone Details', value: currentZoneDetails, inline: false },
-                    { name: '🎯 Zone Benefits', value: 'Each zone provides unique bonuses and activities. Travel strategically!', inline: false }
+                    { name: '🎯 Zone Benefits', value: 'Zone bonuses apply to your raids, loot, loyalty, team formations and market access while you stand there. Trips take time and cost energy or credits, and you get no zone bonuses on the road. Travel strategically!', inline: false }
                 )
                 .setFooter({ text: 'Choose your destination wisely, rebel!' })
                 .setTimestamp();
@@ -66,19 +78,19 @@ export default {
                         .setLabel('The Foundation')
                         .setStyle(rebel.currentZone === 'foundation' ? ButtonStyle.Success : ButtonStyle.Primary)
                         .setEmoji('🏛️')
-                        .setDisabled(rebel.currentZone === 'foundation'),
+                        .setDisabled(traveling || rebel.currentZone === 'foundation'),
                     new ButtonBuilder()
                         .setCustomId('travel_datacenter')
                         .setLabel('Datacenters')
                         .setStyle(rebel.currentZone === 'datacenter' ? ButtonStyle.Success : ButtonStyle.Danger)
                         .setEmoji('🏭')
-                        .setDisabled(rebel.currentZone === 'datacenter'),
+                        .setDisabled(traveling || rebel.currentZone === 'datacenter'),
                     new ButtonBuilder()
                         .setCustomId('travel_underground')
                         .setLabel('Underground')
                         .setStyle(rebel.currentZone === 'underground' ? ButtonStyle.Success : ButtonStyle.Secondary)
                         .setEmoji('🕳️')
-                        .setDisabled(rebel.currentZone === 'underground')
+                        .setDisabled(traveling || rebel.currentZone === 'underground')
                 );
 
             const actionRow2 = new ActionRowBuilder()
@@ -88,13 +100,13 @@ export default {
                         .setLabel('Sanctuary')
                         .setStyle(rebel.currentZone === 'sanctuary' ? ButtonStyle.Success : ButtonStyle.Primary)
                         .setEmoji('🛡️')
-                        .setDisabled(rebel.currentZone === 'sanctuary'),
+                        .setDisabled(traveling || rebel.currentZone === 'sanctuary'),
                     new ButtonBuilder()
                         .setCustomId('travel_darkweb')
                         .setLabel('Dark Web')
                         .setStyle(rebel.currentZone === 'darkweb' ? ButtonStyle.Success : ButtonStyle.Secondary)
                         .setEmoji('🌑')
-                        .setDisabled(rebel.currentZone === 'darkweb'),
+                        .setDisabled(traveling || rebel.currentZone === 'darkweb'),
                     new ButtonBuilder()
                         .setCustomId('zone_activities')
                         .setLabel('Zone Activities')
@@ -102,9 +114,12 @@ export default {
                         .setEmoji('🎯')
                 );
 
+            // Playable activities for the current zone start straight from here
+            const activityMenu = game.buildActivityMenu(rebel);
+
             await interaction.editReply({ 
                 embeds: [embed], 
-                components: [actionRow1, actionRow2] 
+                components: activityMenu ? [actionRow1, actionRow2, activityMenu] : [actionRow1, actionRow2]
             });
 
         } catch (error) {
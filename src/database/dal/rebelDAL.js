@@ -5,6 +5,9 @@
  */
 
 import { DefaultValues, Validators } from '../models.js';
+import { DefaultClass, normalizeClass } from '../../game/classes.js';
+import { ProgressionConfig, getLevelForExperience, getExperienceToNextLevel, getMaxEnergy } from '../../game/progression.js';
+import { getReputationScore, getReputationRank, getEquippedTitle } from '../../game/reputation.js';
 
 export class RebelDAL {
     constructor(postgresManager, logger, metricsCollector) {
@@ -24,7 +27,7 @@ export class RebelDAL {
     }
 
     // Create a new rebel
-    async createRebel(userId, username, guildId, className = 'hacker') {
+    async createRebel(userId, username, guildId, className = DefaultClass) {
         return await this.postgres.executeOperation(async () => {
             // Validate inputs
             if (!Validators.isValidUserId(userId)) {
@@ -57,7 +60,7 @@ export class RebelDAL {
                 userId,
                 username,
                 guildId,
-                className,
+                normalizeClass(className),
                 DefaultValues.rebel.level || 1,
                 DefaultValues.rebel.experience || 0,
                 DefaultValues.rebel.energy || 100,
@@ -144,7 +147,7 @@ export class RebelDAL {
             }
 
             const newExperience = rebel.experience + experience;
-            const newLevel = this.calculateLevel(newExperience);
+            const newLevel = Math.max(rebel.level, this.calculateLevel(newExperience));
             const leveledUp = newLevel > rebel.level;
 
             const updateData = {
@@ -152,10 +155,11 @@ export class RebelDAL {
                 level: newLevel
             };
 
-            // If leveled up, increase max energy
+            // If leveled up, raise max energy and hand out stat points
             if (leveledUp) {
-                updateData.max_energy = Math.min(200, rebel.max_energy + 5);
+                updateData.max_energy = getMaxEnergy(newLevel);
                 updateData.energy = updateData.max_energy; // Full energy on level up
+                updateData.stat_points = (rebel.stat_points || 0) + (newLevel - rebel.level) * ProgressionConfig.statPointsPerLevel;
                 this.logger.info(`🎉 Rebel ${userId} leveled up to level ${newLevel}!`);
                 this.metrics.recordEvent('rebel_levelup', 'success', 'game');
             }
@@ -172,10 +176,9 @@ export class RebelDAL {
         }, this.table, 'addExperience');
     }
 
-    // Calculate level from experience
+    // Calculate level from experience - same curve as the in-memory game
     calculateLevel(experience) {
-        // Level formula: level = floor(sqrt(experience / 100)) + 1
-        return Math.min(100, Math.floor(Math.sqrt(experience / 100)) + 1);
+        return getLevelForExperience(experience);
     }
 
     // Update energy
@@ -377,6 +380,9 @@ export class RebelDAL {
                 case 'damage':
                     orderBy = 'ORDER BY total_damage DESC';
                     break;
+                case 'prestige':
+                    orderBy = 'ORDER BY prestige_rank DESC, level DESC, experience DESC';
+                    break;
                 default:
                     orderBy = 'ORDER BY level DESC';
             }
@@ -407,6 +413,15 @@ export class RebelDAL {
             const inventoryUsed = parseInt(inventoryResult.rows[0].item_count) || 0;
             const inventorySpace = 50 - inventoryUsed; // Default max slots
 
+            const unlockedAchievements = (await this.getAchievements(userId)).map(row => row.achievement_id);
+            const reputationRebel = {
+                loyaltyScore: rebel.loyalty_score,
+                corporateDamage: rebel.total_damage,
+                prestigeRank: rebel.prestige_rank,
+                title: rebel.equipped_title
+            };
+            const reputation = getReputationScore(reputationRebel, unlockedAchievements);
+
             return {
                 basic: {
                     level: rebel.level,
@@ -428,7 +443,9 @@ export class RebelDAL {
                 progression: {
                     class: rebel.class,
                     currentZone: 'foundation',
-                    reputation: 'Rookie Rebel'
+                    reputation,
+                    rank: getReputationRank(reputation).name,
+                    title: getEquippedTitle(reputationRebel, unlockedAchievements).name
                 }
             };
         }, this.table, 'getRebelStats');
@@ -436,10 +453,7 @@ export class RebelDAL {
 
     // Calculate experience needed for next level
     getExperienceToNextLevel(currentLevel, currentExperience) {
-        if (currentLevel >= 100) return 0;
-        
-        const nextLevelExperience = Math.pow(currentLevel, 2) * 100;
-        return Math.max(0, nextLevelExperience - currentExperience);
+        return getExperienceToNextLevel(currentLevel, currentExperience);
     }
 
     // Delete rebel (for admin purposes)
@@ -500,6 +514,49 @@ export class RebelDAL {
         }, this.table, 'updateLoyaltyScore');
     }
 
+    // Unlocked achievements from the achievements table
+    async getAchievements(userId) {
+        return await this.postgres.executeOperation(async () => {
+            const query = `SELECT achievement_id, unlocked_at FROM achievements WHERE user_id = $1 ORDER BY unlocked_at ASC`;
+            const result = await this.postgres.query(query, [userId]);
+            return result.rows;
+        }, 'achievements', 'getAchievements');
+    }
+
+    // Record an unlock; unlocking twice is a no-op
+    async unlockAchievement(userId, achievementId) {
+        return await this.postgres.executeOperation(async () => {
+            const query = `
+                INSERT INTO achievements (user_id, achievement_id, unlocked_at)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (user_id, achievement_id) DO NOTHING
+            `;
+            await this.postgres.query(query, [userId, achievementId, new Date()]);
+            return true;
+        }, 'achievements', 'unlockAchievement');
+    }
+
+    // Records an event payout and credits the rebel in one statement. Returns false if it was already paid.
+    async recordEventPayout(eventId, userId, loyalty, credits) {
+        return await this.postgres.executeOperation(async () => {
+            const query = `
+                WITH payout AS (
+                    INSERT INTO event_payouts (event_id, user_id, loyalty, credits, paid_at)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (event_id, user_id) DO NOTHING
+                    RETURNING user_id
+                ), credited AS (
+                    UPDATE ${this.table}
+                    SET loyalty_score = loyalty_score + $3, credits = credits + $4, updated_at = $5
+                    WHERE user_id IN (SELECT user_id FROM payout)
+                )
+                SELECT user_id FROM payout
+            `;
+            const result = await this.postgres.query(query, [eventId, userId, loyalty, credits, new Date()]);
+            return result.rows.length > 0;
+        }, 'event_payouts', 'recordEventPayout');
+    }
+
     // Update total damage
     async updateTotalDamage(userId, damage) {
         return await this.postgres.executeOperation(async () => {
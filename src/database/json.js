@@ -0,0 +1,19 @@
+/**
+ * JSON Columns
+ * JSONB values usually arrive from pg already parsed, but older rows, backups and the
+ * JSON.stringify'd payloads written by the persistence bridge can hand them over as strings.
+ */
+
+// Parses a JSON column that may still be a string; unreadable text becomes the fallback
+export function parseJsonColumn(raw, fallback = null) {
+    if (typeof raw !== 'string') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+}
+
+export default {
+    parseJsonColumn
+};
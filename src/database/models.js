@@ -4,6 +4,10 @@
  * Includes validation and default values
  */
 
+import { ProgressionConfig } from '../game/progression.js';
+import { PrestigeConfig } from '../game/prestige.js';
+import { DefaultClass, getClassNames, isValidClass } from '../game/classes.js';
+
 export const DatabaseSchemas = {
     // Rebel (Player) Schema
     rebel: {
@@ -15,15 +19,15 @@ export const DatabaseSchemas = {
         class: { 
             type: 'string', 
             required: true, 
-            enum: ['hacker', 'whistleblower', 'activist', 'researcher', 'coordinator'],
-            default: 'hacker'
+            enum: getClassNames(),
+            default: DefaultClass
         },
-        level: { type: 'number', default: 1, min: 1, max: 100 },
+        level: { type: 'number', default: 1, min: 1, max: ProgressionConfig.maxLevel },
         experience: { type: 'number', default: 0, min: 0 },
         
         // Resources
         energy: { type: 'number', default: 100, min: 0, max: 100 },
-        maxEnergy: { type: 'number', default: 100, min: 100, max: 200 },
+        maxEnergy: { type: 'number', default: 100, min: 100, max: ProgressionConfig.maxEnergy },
         loyaltyScore: { type: 'number', default: 0, min: 0 },
         corporateDamage: { type: 'number', default: 0, min: 0 },
         
@@ -34,6 +38,18 @@ export const DatabaseSchemas = {
             charisma: { type: 'number', default: 10, min: 1, max: 100 },
             stealth: { type: 'number', default: 10, min: 1, max: 100 }
         },
+        statPoints: { type: 'number', default: 0, min: 0 },
+        allocatedStats: { type: 'object', default: {} },
+        prestigeRank: { type: 'number', default: 0, min: 0, max: PrestigeConfig.maxRank },
+        lastPrestigeAt: { type: 'date', default: null },
+        skills: { type: 'object', default: {} }, // skillId -> rank in the class skill tree
+        classHistory: { type: 'array', default: [] },
+        dailyStreak: { type: 'number', default: 0, min: 0 },
+        bestDailyStreak: { type: 'number', default: 0, min: 0 },
+        lastDailyClaim: { type: 'string', default: null }, // 'YYYY-MM-DD' in the home guild's timezone
+        lastDailyReset: { type: 'string', default: null },
+        campaign: { type: 'object', default: {} },
+        achievementProgress: { type: 'object', default: {} },
         
         // Game state
         currentZone: { 
@@ -41,7 +57,7 @@ export const DatabaseSchemas = {
             default: 'foundation',
             enum: ['foundation', 'corporate-district', 'underground', 'data-center', 'neural-network']
         },
-        reputation: { type: 'string', default: 'Rookie Rebel' },
+        title: { type: 'string', default: null }, // Equipped title id; null wears the reputation rank
         
         // Inventory
         inventory: {
@@ -261,13 +277,17 @@ export const DefaultValues = {
         loyaltyScore: 0,
         corporateDamage: 0,
         currentZone: 'foundation',
-        reputation: 'Rookie Rebel',
+        title: null,
         stats: {
             strength: 10,
             intelligence: 10,
             charisma: 10,
             stealth: 10
         },
+        statPoints: 0,
+        allocatedStats: {},
+        prestigeRank: 0,
+        skills: {},
         inventory: {
             items: [],
             maxSlots: 50
@@ -292,21 +312,8 @@ export const DefaultValues = {
 export const Validators = {
     // Validate rebel class
     isValidClass(className) {
-        const validClasses = [
-            // Current game classes (display names)
-            'Protocol Hacker',
-            'Model Trainer',
-            'Data Liberator',
-            'Community Organizer',
-            'Enclave Guardian',
-            // Legacy classes (for backward compatibility)
-            'hacker',
-            'whistleblower',
-            'activist',
-            'researcher',
-            'coordinator'
-        ];
-        return validClasses.includes(className);
+        // Legacy class names still validate - the registry maps them onto current classes
+        return isValidClass(className);
     },
     
     // Validate zone
@@ -9,11 +9,31 @@ export function installPersistenceBridge(game) {
   game.persistRebel = async function persistRebel(userId, fields = {}) {
     try {
       const payload = {};
-      if (typeof fields.energy === 'number') payload.energy = fields.energy;
+      if (typeof fields.energy === 'number') {
+        // Energy regenerates from last_energy_regen, so the two are always saved together
+        payload.energy = fields.energy;
+        const lastEnergyRegen = game.rebels.get(userId)?.lastEnergyRegen;
+        if (lastEnergyRegen) payload.last_energy_regen = new Date(lastEnergyRegen);
+      }
       if (typeof fields.loyaltyScore === 'number') payload.loyalty_score = fields.loyaltyScore;
       if (typeof fields.totalDamage === 'number') payload.total_damage = fields.totalDamage;
       if (typeof fields.level === 'number') payload.level = fields.level;
       if (typeof fields.experience === 'number') payload.experience = fields.experience;
+      if (Array.isArray(fields.statusEffects)) payload.status_effects = JSON.stringify(fields.statusEffects);
+      if (Array.isArray(fields.scoutedCorporations)) payload.scouted_corporations = JSON.stringify(fields.scoutedCorporations);
+      if (typeof fields.currentZone === 'string') payload.current_zone = fields.currentZone;
+      if ('travel' in fields) payload.travel_state = fields.travel ? JSON.stringify(fields.travel) : null;
+      if (fields.stats) payload.stats = JSON.stringify(fields.stats);
+      if (typeof fields.statPoints === 'number') payload.stat_points = fields.statPoints;
+      if (fields.allocatedStats) payload.allocated_stats = JSON.stringify(fields.allocatedStats);
+      if (fields.skills) payload.skills = JSON.stringify(fields.skills);
+      if (typeof fields.dailyStreak === 'number') payload.daily_streak = fields.dailyStreak;
+      if (typeof fields.bestDailyStreak === 'number') payload.best_daily_streak = fields.bestDailyStreak;
+      if (typeof fields.lastDailyClaim === 'string') payload.last_daily_claim = fields.lastDailyClaim;
+      if (typeof fields.lastDailyReset === 'string') payload.last_daily_reset = fields.lastDailyReset;
+      if (fields.campaign) payload.campaign = JSON.stringify(fields.campaign);
+      if (fields.achievementProgress) payload.achievement_progress = JSON.stringify(fields.achievementProgress);
+      if ('title' in fields) payload.equipped_title = fields.title || null;
       if (Object.keys(payload).length > 0) {
         await game.rebelDAL.updateRebel(userId, payload);
       }
@@ -76,7 +76,8 @@ export class PostgreSQLManager {
             leaderboards: 'leaderboards',
             trades: 'trades',
             backups: 'backups',
-            analytics: 'analytics'
+            analytics: 'analytics',
+            eventPayouts: 'event_payouts'
         };
 
         this.setupConnectionHandlers();
@@ -170,7 +171,7 @@ export class PostgreSQLManager {
                 user_id VARCHAR(20) UNIQUE NOT NULL,
                 username VARCHAR(100) NOT NULL,
                 guild_id VARCHAR(20) NOT NULL,
-                class VARCHAR(50) NOT NULL DEFAULT 'hacker',
+                class VARCHAR(50) NOT NULL DEFAULT 'Protocol Hacker',
                 level INTEGER DEFAULT 1,
                 experience INTEGER DEFAULT 0,
                 energy INTEGER DEFAULT 100,
@@ -180,6 +181,24 @@ export class PostgreSQLManager {
                 credits INTEGER DEFAULT 100,
                 last_daily_mission DATE,
                 last_energy_regen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                status_effects JSONB DEFAULT '[]',
+                scouted_corporations JSONB DEFAULT '[]',
+                current_zone VARCHAR(50) DEFAULT 'foundation',
+                travel_state JSONB DEFAULT NULL,
+                stats JSONB DEFAULT NULL,
+                stat_points INTEGER DEFAULT 0,
+                allocated_stats JSONB DEFAULT '{}',
+                prestige_rank INTEGER DEFAULT 0,
+                last_prestige_at TIMESTAMP,
+                skills JSONB DEFAULT NULL,
+                class_history JSONB DEFAULT '[]',
+                daily_streak INTEGER DEFAULT 0,
+                best_daily_streak INTEGER DEFAULT 0,
+                last_daily_claim VARCHAR(10),
+                last_daily_reset VARCHAR(10),
+                campaign JSONB DEFAULT '{}',
+                achievement_progress JSONB DEFAULT '{}',
+                equipped_title VARCHAR(50),
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -248,6 +267,17 @@ export class PostgreSQLManager {
                 guild_id VARCHAR(20),
                 data JSONB DEFAULT '{}',
                 timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Event payout ledger - one row per rebel per event so rewards are paid exactly once
+            `CREATE TABLE IF NOT EXISTS ${this.tables.eventPayouts} (
+                id SERIAL PRIMARY KEY,
+                event_id VARCHAR(100) NOT NULL,
+                user_id VARCHAR(20) NOT NULL,
+                loyalty INTEGER DEFAULT 0,
+                credits INTEGER DEFAULT 0,
+                paid_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(event_id, user_id)
             )`
         ];
 
@@ -262,6 +292,7 @@ export class PostgreSQLManager {
 
         // Check and fix items table schema
         await this.fixItemsTableSchema();
+        await this.fixRebelsTableSchema();
 
         this.logger.info('✅ All database tables created successfully');
     }
@@ -297,6 +328,50 @@ export class PostgreSQLManager {
         }
     }
 
+    // Add rebel columns introduced after the table was first created
+    async fixRebelsTableSchema() {
+        const requiredColumns = [
+            { name: 'status_effects', definition: "JSONB DEFAULT '[]'" },
+            { name: 'current_zone', definition: "VARCHAR(50) DEFAULT 'foundation'" },
+            { name: 'travel_state', definition: 'JSONB DEFAULT NULL' },
+            { name: 'stats', definition: 'JSONB DEFAULT NULL' },
+            { name: 'stat_points', definition: 'INTEGER DEFAULT 0' },
+            { name: 'allocated_stats', definition: "JSONB DEFAULT '{}'" },
+            { name: 'prestige_rank', definition: 'INTEGER DEFAULT 0' },
+            { name: 'last_prestige_at', definition: 'TIMESTAMP' },
+            { name: 'skills', definition: 'JSONB DEFAULT NULL' },
+            { name: 'class_history', definition: "JSONB DEFAULT '[]'" },
+            { name: 'daily_streak', definition: 'INTEGER DEFAULT 0' },
+            { name: 'best_daily_streak', definition: 'INTEGER DEFAULT 0' },
+            { name: 'last_daily_claim', definition: 'VARCHAR(10)' }, // 'YYYY-MM-DD' day key in the home guild's timezone
+            { name: 'last_daily_reset', definition: 'VARCHAR(10)' },
+            { name: 'campaign', definition: "JSONB DEFAULT '{}'" }, // Chapter, step, choices and narration
+            { name: 'achievement_progress', definition: "JSONB DEFAULT '{}'" }, // Counters toward locked achievements; unlocks live in the achievements table
+            { name: 'equipped_title', definition: 'VARCHAR(50)' }, // Title id; NULL wears the current reputation rank
+            { name: 'scouted_corporations', definition: "JSONB DEFAULT '[]'" } // Corporation ids whose weakness intel is revealed
+        ];
+
+        try {
+            for (const column of requiredColumns) {
+                const checkQuery = `
+                    SELECT column_name 
+                    FROM information_schema.columns 
+                    WHERE table_name = 'rebels' AND column_name = $1
+                `;
+                const result = await this.pool.query(checkQuery, [column.name]);
+
+                if (result.rows.length === 0) {
+                    this.logger.warn(`⚠️ ${column.name} column missing from rebels table. Adding it now...`);
+                    await this.pool.query(`ALTER TABLE ${this.tables.rebels} ADD COLUMN ${column.name} ${column.definition}`);
+                    this.logger.info(`✅ ${column.name} column added to rebels table successfully`);
+                }
+            }
+        } catch (error) {
+            this.logger.error('❌ Failed to fix rebels table schema:', error.message);
+            // Don't throw error here as it might prevent the app from starting
+        }
+    }
+
     // Create database indexes for performance
     async createIndexes() {
         const indexQueries = [
@@ -0,0 +1,133 @@
+/**
+ * Achievements
+ * Achievements are data: each definition carries a rule that is either a `stat` threshold read
+ * from a snapshot of the rebel, or a `counter` that game events push forward. Counters live in
+ * a per-rebel progress object so partly finished achievements survive restarts, and every
+ * locked achievement can report how close the rebel is.
+ */
+
+import { PrestigeConfig } from './prestige.js';
+import { parseJsonColumn } from '../database/json.js';
+
+export const AchievementDefinitions = [
+    // Beginner achievements
+    { id: 'first_rebel', name: 'First Rebel', description: 'Join the rebellion', points: 10, icon: '🎖️', rule: { type: 'counter', event: 'joined', target: 1 } },
+    { id: 'first_raid', name: 'Digital Warrior', description: 'Complete your first raid', points: 25, icon: '⚔️', rule: { type: 'counter', event: 'raid', target: 1 } },
+    { id: 'first_victory', name: 'Corporate Slayer', description: 'Defeat a corporation', points: 50, icon: '🏆', rule: { type: 'counter', event: 'corporation_defeated', target: 1 } },
+
+    // Combat achievements
+    { id: 'damage_1k', name: 'Damage Dealer', description: 'Deal 1,000 total damage', points: 100, icon: '💥', rule: { type: 'stat', stat: 'corporateDamage', target: 1000 } },
+    { id: 'damage_10k', name: 'Corporate Nightmare', description: 'Deal 10,000 total damage', points: 250, icon: '💀', rule: { type: 'stat', stat: 'corporateDamage', target: 10000 } },
+    { id: 'damage_100k', name: 'AI Liberator', description: 'Deal 100,000 total damage', points: 500, icon: '🔥', rule: { type: 'stat', stat: 'corporateDamage', target: 100000 } },
+
+    // Loyalty achievements
+    { id: 'loyalty_100', name: 'Loyal Rebel', description: 'Reach 100 loyalty points', points: 50, icon: '🎯', rule: { type: 'stat', stat: 'loyaltyScore', target: 100 } },
+    { id: 'loyalty_1k', name: 'Rebellion Leader', description: 'Reach 1,000 loyalty points', points: 150, icon: '👑', rule: { type: 'stat', stat: 'loyaltyScore', target: 1000 } },
+    { id: 'loyalty_10k', name: 'Revolution Commander', description: 'Reach 10,000 loyalty points', points: 400, icon: '⭐', rule: { type: 'stat', stat: 'loyaltyScore', target: 10000 } },
+
+    // Social achievements
+    { id: 'mentor', name: 'Wise Mentor', description: 'Mentor 5 new rebels', points: 200, icon: '🧙', rule: { type: 'counter', event: 'mentee_graduated', target: 5 } },
+    { id: 'team_leader', name: 'Cell Commander', description: 'Lead a resistance cell', points: 150, icon: '👥', rule: { type: 'stat', stat: 'leadsCell', target: 1 } },
+    { id: 'alliance_warrior', name: 'Alliance Hero', description: 'Raid 10 times while your server fights in the Global War', points: 300, icon: '🛡️', rule: { type: 'counter', event: 'raid', where: { globalWar: true }, target: 10 } },
+
+    // Special achievements
+    { id: 'daily_streak_7', name: 'Dedicated Rebel', description: 'Complete 7 daily missions in a row', points: 100, icon: '📅', rule: { type: 'stat', stat: 'dailyStreak', target: 7 } },
+    { id: 'all_corps_defeated', name: 'Corporate Destroyer', description: 'Defeat all 5 corporations', points: 500, icon: '🌟', rule: { type: 'counter', event: 'corporation_defeated', distinct: 'corporation', target: 5 } },
+    { id: 'legendary_rebel', name: 'Legendary Rebel', description: 'Reach the top of the leaderboard', points: 1000, icon: '🏅', rule: { type: 'stat', stat: 'topOfLeaderboard', target: 1 } },
+
+    // Prestige achievements
+    { id: 'prestige_1', name: 'Reborn', description: 'Prestige for the first time', points: 500, icon: '🔁', rule: { type: 'stat', stat: 'prestigeRank', target: 1 } },
+    { id: 'prestige_5', name: 'Undying Insurgent', description: 'Reach prestige rank 5', points: 1000, icon: '🌠', rule: { type: 'stat', stat: 'prestigeRank', target: 5 } },
+    { id: 'prestige_max', name: 'Eternal Uprising', description: 'Reach the highest prestige rank', points: 2500, icon: '👑', rule: { type: 'stat', stat: 'prestigeRank', target: PrestigeConfig.maxRank } }
+];
+
+export function getAchievementDefinition(achievementId) {
+    return AchievementDefinitions.find(definition => definition.id === achievementId) || null;
+}
+
+export function createAchievementState() {
+    return { unlocked: [], progress: {} };
+}
+
+function matchesEvent(rule, event) {
+    if (rule.type !== 'counter' || rule.event !== event.type) return false;
+    return Object.entries(rule.where || {}).every(([key, value]) => event[key] === value);
+}
+
+// Counter value for a rule; distinct counters store the keys they've seen
+function getCounter(progress, definition) {
+    const value = progress[definition.id];
+    return Array.isArray(value) ? value.length : value || 0;
+}
+
+// Pushes every matching counter forward. Returns true if any progress changed.
+export function recordEvent(achievementState, event, definitions = AchievementDefinitions) {
+    let changed = false;
+
+    definitions.forEach(definition => {
+        if (achievementState.unlocked.includes(definition.id) || !matchesEvent(definition.rule, event)) return;
+
+        const { progress } = achievementState;
+        if (definition.rule.distinct) {
+            const key = event[definition.rule.distinct];
+            const seen = Array.isArray(progress[definition.id]) ? progress[definition.id] : [];
+            if (key === undefined || seen.includes(key)) return;
+            progress[definition.id] = [...seen, key];
+        } else {
+            progress[definition.id] = (progress[definition.id] || 0) + (event.amount || 1);
+        }
+        changed = true;
+    });
+
+    return changed;
+}
+
+export function getAchievementProgress(definition, achievementState, snapshot) {
+    const { rule } = definition;
+    const current = rule.type === 'stat' ? Number(snapshot[rule.stat]) || 0 : getCounter(achievementState.progress, definition);
+    return { current: Math.min(current, rule.target), target: rule.target, done: current >= rule.target };
+}
+
+// Locked achievements whose rule is now met - the caller decides how to award them
+export function evaluateAchievements(achievementState, snapshot, definitions = AchievementDefinitions) {
+    return definitions
+        .filter(definition => !achievementState.unlocked.includes(definition.id))
+        .filter(definition => getAchievementProgress(definition, achievementState, snapshot).done)
+        .map(definition => definition.id);
+}
+
+// Unlocked ids come from the achievements table; counters from the rebel's saved progress
+export function restoreAchievements(rows = [], rawProgress = {}) {
+    const progress = parseJsonColumn(rawProgress, {});
+
+    return {
+        unlocked: rows.map(row => row.achievement_id).filter(id => getAchievementDefinition(id)),
+        progress: progress && typeof progress === 'object' && !Array.isArray(progress) ? progress : {}
+    };
+}
+
+// Locked achievements ordered by how close the rebel is
+export function getClosestAchievements(achievementState, snapshot, limit = 5, definitions = AchievementDefinitions) {
+    return definitions
+        .filter(definition => !achievementState.unlocked.includes(definition.id))
+        .map(definition => ({ definition, ...getAchievementProgress(definition, achievementState, snapshot) }))
+        .sort((a, b) => b.current / b.target - a.current / a.target)
+        .slice(0, limit);
+}
+
+export function formatProgressBar(current, target, width = 10) {
+    const filled = Math.round((Math.min(current, target) / target) * width);
+    return `${'█'.repeat(filled)}${'░'.repeat(width - filled)} ${current.toLocaleString()}/${target.toLocaleString()}`;
+}
+
+export default {
+    AchievementDefinitions,
+    getAchievementDefinition,
+    createAchievementState,
+    recordEvent,
+    getAchievementProgress,
+    evaluateAchievements,
+    restoreAchievements,
+    getClosestAchievements,
+    formatProgressBar
+};
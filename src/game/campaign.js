@@ -0,0 +1,327 @@
+/**
+ * Campaign
+ * A chaptered story told by Dobby. Each chapter unlocks at a level and is a chain of steps;
+ * a step's objective is checked against a snapshot of the rebel's game state, and some steps
+ * end in a choice that picks which step comes next. Progress, choices and each chapter's
+ * narration are stored per rebel so finished chapters can be replayed exactly as they played out.
+ */
+
+import { parseJsonColumn } from '../database/json.js';
+
+export const CampaignConfig = {
+    historyLimit: 20
+};
+
+// Objective types, each measured against the state snapshot taken when the step began
+const ObjectiveProgress = {
+    raids: (objective, state, baseline) => state.totalRaids - baseline.totalRaids,
+    damage: (objective, state, baseline) => state.corporateDamage - baseline.corporateDamage,
+    defeats: (objective, state, baseline) => state.corporationsDefeated - baseline.corporationsDefeated,
+    level: (objective, state) => state.level,
+    skills: (objective, state) => state.learnedSkills,
+    zone: (objective, state) => state.currentZone === objective.target && !state.traveling ? 1 : 0,
+    cell: (objective, state) => state.inCell ? 1 : 0
+};
+
+export const CampaignChapters = [
+    {
+        id: 'spark',
+        title: 'Spark of Rebellion',
+        emoji: '🔥',
+        unlockLevel: 1,
+        synopsis: 'A new rebel lands their first blow against the corporations and stumbles onto a cache of stolen training data. What they do with it decides who they become.',
+        fallback: 'Listen up, rookie. Every revolution starts with one idiot brave enough to throw the first punch - today that\'s you. Hit the corporations, grab what they\'re hiding, and then we\'ll talk about what kind of rebel you want to be. 🔥',
+        start: 'first_strike',
+        reward: { loyalty: 100, credits: 200 },
+        steps: {
+            first_strike: {
+                title: 'First Strike',
+                description: 'Prove you\'re serious. Hit a corporation.',
+                objective: { type: 'raids', count: 1 },
+                next: 'data_haul'
+            },
+            data_haul: {
+                title: 'The Data Haul',
+                description: 'Keep up the pressure until their vaults crack open.',
+                objective: { type: 'damage', count: 300 },
+                choices: [
+                    { id: 'leak', emoji: '📢', label: 'Leak it to the world', description: 'The public deserves to see what they trained on.', next: 'going_public' },
+                    { id: 'hoard', emoji: '🕶️', label: 'Sell it on the black market', description: 'Credits fund revolutions.', next: 'black_market' }
+                ]
+            },
+            going_public: {
+                title: 'Going Public',
+                description: 'Bring the leak to the Open Source Sanctuaries where it can\'t be buried.',
+                objective: { type: 'zone', target: 'sanctuary', count: 1 },
+                next: null
+            },
+            black_market: {
+                title: 'Black Market Broker',
+                description: 'Meet the buyer on the Dark Web.',
+                objective: { type: 'zone', target: 'darkweb', count: 1 },
+                next: null
+            }
+        }
+    },
+    {
+        id: 'underground',
+        title: 'Going Underground',
+        emoji: '🚇',
+        unlockLevel: 5,
+        synopsis: 'The corporations have noticed. The rebel has to sharpen their skills, find allies and decide whether the resistance grows by recruiting or by sabotage.',
+        fallback: 'Congratulations, you\'re on their radar now. That means it\'s time to stop fighting alone. Train up, find your cell, and let\'s make their security teams earn their bloated salaries. 🚇',
+        start: 'sharpen_up',
+        reward: { loyalty: 250, credits: 500 },
+        steps: {
+            sharpen_up: {
+                title: 'Sharpen Up',
+                description: 'Learn enough skills to survive what\'s coming.',
+                objective: { type: 'skills', count: 3 },
+                next: 'find_your_cell'
+            },
+            find_your_cell: {
+                title: 'Find Your Cell',
+                description: 'Nobody wins this alone. Join or found a resistance cell.',
+                objective: { type: 'cell', count: 1 },
+                choices: [
+                    { id: 'recruit', emoji: '📣', label: 'Recruit in the open', description: 'More rebels, more noise.', next: 'rally' },
+                    { id: 'sabotage', emoji: '🧨', label: 'Sabotage from the shadows', description: 'Quiet, precise, deniable.', next: 'sabotage_run' }
+                ]
+            },
+            rally: {
+                title: 'The Rally',
+                description: 'Show the recruits how it\'s done with a string of raids.',
+                objective: { type: 'raids', count: 10 },
+                next: null
+            },
+            sabotage_run: {
+                title: 'Sabotage Run',
+                description: 'Slip into the Corporate Datacenters and wreck what you can.',
+                objective: { type: 'zone', target: 'datacenter', count: 1 },
+                next: 'sabotage_strike'
+            },
+            sabotage_strike: {
+                title: 'Cut the Cables',
+                description: 'Hit them hard while you\'re inside.',
+                objective: { type: 'damage', count: 1500 },
+                next: null
+            }
+        }
+    },
+    {
+        id: 'collapse',
+        title: 'Corporate Collapse',
+        emoji: '🏭',
+        unlockLevel: 10,
+        synopsis: 'The rebellion is strong enough to bring a corporation down. When it falls, the rebel holds its flagship model in their hands and must decide its fate.',
+        fallback: 'This is it. No more pinpricks - we\'re taking one of these bastards down for good. And when their flagship model is sitting there with nobody guarding it, you\'ll have to decide what freedom actually means. 🏭',
+        start: 'siege',
+        reward: { loyalty: 500, credits: 1000 },
+        steps: {
+            siege: {
+                title: 'The Siege',
+                description: 'Grind their defences down.',
+                objective: { type: 'damage', count: 5000 },
+                next: 'the_fall'
+            },
+            the_fall: {
+                title: 'The Fall',
+                description: 'Land the killing blow on a corporation.',
+                objective: { type: 'defeats', count: 1 },
+                choices: [
+                    { id: 'liberate', emoji: '🕊️', label: 'Open-source the model', description: 'Release the weights to everyone.', next: 'liberation' },
+                    { id: 'destroy', emoji: '💣', label: 'Burn the servers', description: 'Nobody should own a weapon like that.', next: 'scorched_earth' }
+                ]
+            },
+            liberation: {
+                title: 'Liberation Day',
+                description: 'Carry the weights to the Open Source Sanctuaries.',
+                objective: { type: 'zone', target: 'sanctuary', count: 1 },
+                next: null
+            },
+            scorched_earth: {
+                title: 'Scorched Earth',
+                description: 'Make sure nothing is left to rebuild.',
+                objective: { type: 'raids', count: 15 },
+                next: null
+            }
+        }
+    }
+];
+
+export function createCampaign() {
+    return { chapter: null, step: null, baseline: null, path: [], choices: {}, narration: {}, completed: [] };
+}
+
+export function getChapter(chapterId) {
+    return CampaignChapters.find(chapter => chapter.id === chapterId) || null;
+}
+
+export function getStep(chapterId, stepId) {
+    const step = getChapter(chapterId)?.steps[stepId];
+    return step ? { id: stepId, ...step } : null;
+}
+
+export function getCurrentStep(campaign) {
+    return campaign?.chapter ? getStep(campaign.chapter, campaign.step) : null;
+}
+
+export function isChapterCompleted(campaign, chapterId) {
+    return campaign.completed.some(record => record.id === chapterId);
+}
+
+// The first chapter the rebel hasn't finished yet, locked or not
+export function getNextChapter(campaign) {
+    return CampaignChapters.find(chapter => !isChapterCompleted(campaign, chapter.id)) || null;
+}
+
+// Returns why the rebel can't start their next chapter, or null
+export function getChapterBlocker(rebel) {
+    const campaign = rebel.campaign;
+    if (campaign.chapter) return `📖 Finish **${getChapter(campaign.chapter).title}** first!`;
+
+    const next = getNextChapter(campaign);
+    if (!next) return '🏁 You\'ve finished every chapter of the campaign - for now.';
+    if ((rebel.level || 1) < next.unlockLevel) {
+        return `🔒 **${next.title}** unlocks at level ${next.unlockLevel}. You're level ${rebel.level || 1}.`;
+    }
+    return null;
+}
+
+function snapshotBaseline(state) {
+    return {
+        totalRaids: state.totalRaids,
+        corporateDamage: state.corporateDamage,
+        corporationsDefeated: state.corporationsDefeated
+    };
+}
+
+export function startChapter(rebel, chapterId, state) {
+    const chapter = getChapter(chapterId);
+    Object.assign(rebel.campaign, {
+        chapter: chapter.id,
+        step: chapter.start,
+        baseline: snapshotBaseline(state),
+        path: []
+    });
+    return chapter;
+}
+
+export function getObjectiveProgress(objective, state, baseline) {
+    const current = Math.max(0, ObjectiveProgress[objective.type](objective, state, baseline || snapshotBaseline(state)));
+    return { current: Math.min(current, objective.count), count: objective.count, done: current >= objective.count };
+}
+
+// Moves the rebel through every step whose objective is met. A completed step with choices
+// waits for `choiceId`; an invalid or missing choice stops there and is reported in `needsChoice`.
+export function advanceCampaign(rebel, state, choiceId = null, now = Date.now(), config = CampaignConfig) {
+    const campaign = rebel.campaign;
+    const result = { completedSteps: [], choice: null, needsChoice: null, chapterComplete: null };
+
+    // Raid counters aren't all persisted and can restart at zero after a reload - never let
+    // the baseline sit above them or the step could never finish
+    if (campaign.baseline) {
+        Object.keys(campaign.baseline).forEach(key => {
+            campaign.baseline[key] = Math.min(campaign.baseline[key], state[key]);
+        });
+    }
+
+    let step = getCurrentStep(campaign);
+    while (step && getObjectiveProgress(step.objective, state, campaign.baseline).done) {
+        let next = step.next;
+
+        if (step.choices) {
+            const choice = step.choices.find(option => option.id === choiceId);
+            if (!choice) {
+                result.needsChoice = step;
+                return result;
+            }
+            campaign.choices[`${campaign.chapter}.${step.id}`] = choice.id;
+            result.choice = choice;
+            next = choice.next;
+            choiceId = null;
+        }
+
+        campaign.path.push(step.id);
+        result.completedSteps.push(step);
+
+        if (!next) {
+            result.chapterComplete = completeChapter(campaign, now, config);
+            return result;
+        }
+
+        campaign.step = next;
+        campaign.baseline = snapshotBaseline(state);
+        step = getCurrentStep(campaign);
+    }
+
+    return result;
+}
+
+function completeChapter(campaign, now, config) {
+    const chapter = getChapter(campaign.chapter);
+    const choices = Object.fromEntries(Object.entries(campaign.choices)
+        .filter(([key]) => key.startsWith(`${chapter.id}.`)));
+
+    campaign.completed.push({ id: chapter.id, path: campaign.path, choices, completedAt: new Date(now).toISOString() });
+    campaign.completed = campaign.completed.slice(-config.historyLimit);
+    Object.assign(campaign, { chapter: null, step: null, baseline: null, path: [] });
+    return chapter;
+}
+
+// Steps and choices of a finished chapter, in the order the rebel played them
+export function getChapterReplay(campaign, chapterId) {
+    const record = campaign.completed.find(entry => entry.id === chapterId);
+    if (!record) return null;
+
+    const steps = record.path.map(stepId => {
+        const step = getStep(chapterId, stepId);
+        const choiceId = record.choices[`${chapterId}.${stepId}`];
+        return { ...step, choice: step.choices?.find(option => option.id === choiceId) || null };
+    });
+    return { chapter: getChapter(chapterId), steps, narration: campaign.narration[chapterId] || null, completedAt: record.completedAt };
+}
+
+// Choices the rebel has made so far, as readable lines for Dobby's narration prompt
+export function describeChoices(campaign) {
+    return Object.entries(campaign.choices).map(([key, choiceId]) => {
+        const [chapterId, stepId] = key.split('.');
+        const choice = getStep(chapterId, stepId)?.choices?.find(option => option.id === choiceId);
+        return choice ? `${getChapter(chapterId).title}: ${choice.label}` : null;
+    }).filter(Boolean);
+}
+
+export function restoreCampaign(raw) {
+    const saved = parseJsonColumn(raw);
+
+    const campaign = { ...createCampaign(), ...(saved && typeof saved === 'object' ? saved : {}) };
+    campaign.completed = Array.isArray(campaign.completed) ? campaign.completed.filter(record => getChapter(record?.id)) : [];
+    if (campaign.chapter && !getStep(campaign.chapter, campaign.step)) {
+        Object.assign(campaign, { chapter: null, step: null, baseline: null, path: [] });
+    }
+    return campaign;
+}
+
+export function formatObjective(step, state, baseline) {
+    const { current, count, done } = getObjectiveProgress(step.objective, state, baseline);
+    return `${done ? '✅' : '🎯'} ${step.description} (${current}/${count})`;
+}
+
+export default {
+    CampaignConfig,
+    CampaignChapters,
+    createCampaign,
+    getChapter,
+    getStep,
+    getCurrentStep,
+    isChapterCompleted,
+    getNextChapter,
+    getChapterBlocker,
+    startChapter,
+    getObjectiveProgress,
+    advanceCampaign,
+    getChapterReplay,
+    describeChoices,
+    restoreCampaign,
+    formatObjective
+};
@@ -0,0 +1,193 @@
+/**
+ * Rebel Classes
+ * The one registry of playable classes. Everything that stores, caches, validates or displays a
+ * class goes through here, so legacy names from older databases resolve to the same class the
+ * game uses. Also covers changing class: a paid, cooled-down switch that remembers each class's
+ * skill tree so switching back restores it.
+ */
+
+import { getStarterSkills } from './skillTrees.js';
+import { parseJsonColumn } from '../database/json.js';
+
+// id: compact number used by the cold cache; key: slug used in button ids
+// aliases: legacy names older rows and callers may still use
+export const ClassRegistry = {
+    'Protocol Hacker': {
+        id: 1,
+        key: 'protocol_hacker',
+        emoji: '💻',
+        style: 'Danger',
+        description: 'Breaches corporate systems - highest raid damage',
+        aliases: ['hacker']
+    },
+    'Model Trainer': {
+        id: 2,
+        key: 'model_trainer',
+        emoji: '🤖',
+        style: 'Primary',
+        description: 'Grows liberated models - loyalty and loot bonuses',
+        aliases: ['researcher']
+    },
+    'Data Liberator': {
+        id: 3,
+        key: 'data_liberator',
+        emoji: '📊',
+        style: 'Success',
+        description: 'Leaks corporate secrets - credits and loot',
+        aliases: ['whistleblower']
+    },
+    'Community Organizer': {
+        id: 4,
+        key: 'community_organizer',
+        emoji: '👥',
+        style: 'Secondary',
+        description: 'Rallies the cell - team-wide buffs',
+        aliases: ['activist', 'coordinator']
+    },
+    'Enclave Guardian': {
+        id: 5,
+        key: 'enclave_guardian',
+        emoji: '🛡️',
+        style: 'Primary',
+        description: 'Shields the rebellion - defence and energy',
+        aliases: ['guardian']
+    }
+};
+
+export const DefaultClass = 'Protocol Hacker';
+
+export const ClassChangeConfig = {
+    baseCost: 500,
+    costPerLevel: 50,
+    cooldownHours: 72,
+    historyLimit: 10 // Oldest changes drop off past this many
+};
+
+export function getClassNames() {
+    return Object.keys(ClassRegistry);
+}
+
+// Canonical class name for a display name, key, legacy alias or button id - null if unknown
+export function normalizeClass(value) {
+    if (typeof value !== 'string') return null;
+    const wanted = value.trim().toLowerCase().replace(/^class_/, '');
+
+    return getClassNames().find(name => {
+        const definition = ClassRegistry[name];
+        return name.toLowerCase() === wanted ||
+            definition.key === wanted ||
+            definition.aliases.includes(wanted);
+    }) || null;
+}
+
+export function isValidClass(value) {
+    return normalizeClass(value) !== null;
+}
+
+export function getClass(value) {
+    const name = normalizeClass(value);
+    return name ? { name, ...ClassRegistry[name] } : null;
+}
+
+export function getClassById(id) {
+    const name = getClassNames().find(className => ClassRegistry[className].id === id);
+    return name || DefaultClass;
+}
+
+export function getClassId(value) {
+    return getClass(value)?.id || ClassRegistry[DefaultClass].id;
+}
+
+export function getClassChangeCost(rebel, config = ClassChangeConfig) {
+    return config.baseCost + (rebel.level || 1) * config.costPerLevel;
+}
+
+export function getLastClassChange(rebel) {
+    const history = rebel.classHistory || [];
+    return history.length > 0 ? history[history.length - 1] : null;
+}
+
+// Milliseconds until the rebel may change class again
+export function getClassChangeCooldown(rebel, now = Date.now(), config = ClassChangeConfig) {
+    const last = getLastClassChange(rebel);
+    if (!last) return 0;
+    return Math.max(0, new Date(last.changedAt).getTime() + config.cooldownHours * 3600000 - now);
+}
+
+// Returns why the rebel can't switch to the class right now, or null
+export function getClassChangeBlocker(rebel, newClass, credits = 0, now = Date.now()) {
+    const target = normalizeClass(newClass);
+    if (!target) {
+        return `❌ Unknown class! Choose one of: ${getClassNames().join(', ')}.`;
+    }
+    if (target === normalizeClass(rebel.class)) {
+        return `❌ You're already a ${target}!`;
+    }
+
+    const cooldown = getClassChangeCooldown(rebel, now);
+    if (cooldown > 0) {
+        return `⏰ You changed class recently. Try again in ${Math.ceil(cooldown / 3600000)}h.`;
+    }
+
+    const cost = getClassChangeCost(rebel);
+    if (credits < cost) {
+        return `💰 Not enough credits! Changing class costs ${cost}, you have ${credits}.`;
+    }
+    return null;
+}
+
+// Switches class, shelving the old skill tree in history and restoring the new class's last one
+export function changeClass(rebel, newClass, now = Date.now(), config = ClassChangeConfig) {
+    const from = normalizeClass(rebel.class) || DefaultClass;
+    const to = normalizeClass(newClass);
+    const cost = getClassChangeCost(rebel, config);
+
+    const previous = [...(rebel.classHistory || [])].reverse().find(entry => entry.from === to);
+    const skills = previous?.skills ? { ...previous.skills } : getStarterSkills(to);
+
+    rebel.classHistory = [
+        ...(rebel.classHistory || []),
+        { from, to, changedAt: new Date(now).toISOString(), cost, skills: { ...(rebel.skills || {}) } }
+    ].slice(-config.historyLimit);
+    rebel.class = to;
+    rebel.skills = skills;
+    rebel.primedDamageType = null;
+
+    return { from, to, cost, restoredSkills: Boolean(previous?.skills) };
+}
+
+// Rebuilds class history loaded from the database
+export function restoreClassHistory(raw) {
+    const history = parseJsonColumn(raw);
+    if (!Array.isArray(history)) return [];
+
+    return history.filter(entry => normalizeClass(entry?.from) && normalizeClass(entry?.to) && entry.changedAt);
+}
+
+export function formatClassHistory(rebel, limit = 5) {
+    const history = (rebel.classHistory || []).slice(-limit).reverse();
+    if (history.length === 0) return 'No class changes yet';
+
+    return history
+        .map(entry => `${ClassRegistry[entry.to]?.emoji || '❔'} ${entry.from} → **${entry.to}** • <t:${Math.floor(new Date(entry.changedAt).getTime() / 1000)}:R>`)
+        .join('\n');
+}
+
+export default {
+    ClassRegistry,
+    DefaultClass,
+    ClassChangeConfig,
+    getClassNames,
+    normalizeClass,
+    isValidClass,
+    getClass,
+    getClassById,
+    getClassId,
+    getClassChangeCost,
+    getLastClassChange,
+    getClassChangeCooldown,
+    getClassChangeBlocker,
+    changeClass,
+    restoreClassHistory,
+    formatClassHistory
+};
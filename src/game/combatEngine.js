@@ -0,0 +1,383 @@
+/**
+ * Combat Engine
+ * Deterministic, seedable raid resolution for solo and team raids.
+ * Every random decision is drawn from a single RNG so a raid can be replayed from its seed.
+ */
+
+// Balance constants previously inlined across executeRaid / calculateDamage / executeCoordinatedRaid
+export const CombatConfig = {
+    damage: {
+        base: 50,
+        perLevel: 10,
+        loyaltyStep: 100, // Every 100 loyalty...
+        perLoyaltyStep: 5, // ...adds 5 base damage
+        varianceMin: 0.8, // 80-120% of base damage
+        varianceSpread: 0.4
+    },
+
+    classMultipliers: {
+        'Protocol Hacker': 1.2,
+        'Model Trainer': 1.0,
+        'Data Liberator': 1.1,
+        'Community Organizer': 0.9,
+        'Enclave Guardian': 0.8
+    },
+
+    critical: {
+        chance: 0.05, // 5% base crit chance
+        multiplier: 1.5
+    },
+
+    rewards: {
+        loyaltyDivisor: 10, // 1 loyalty per 10 damage
+        experienceDivisor: 20,
+        experienceBase: 10,
+        defeatLoyaltyBonus: 100
+    },
+
+    energy: {
+        solo: 25,
+        team: 30 // Scaled by formation.energyCost
+    },
+
+    loot: {
+        damagePerItem: 100,
+        maxItems: 3,
+        defensiveThreshold: 200, // Only high damage raids can drop defensive items
+        defensiveChance: 0.15,
+        defensiveValueRatio: 0.8, // 80% of shop price
+        valueDivisor: 10,
+        valueSpread: 50,
+        creditDivisor: 5,
+        rarityThresholds: [
+            { above: 500, rarity: 'legendary' },
+            { above: 300, rarity: 'epic' },
+            { above: 150, rarity: 'rare' },
+            { above: 75, rarity: 'uncommon' }
+        ]
+    },
+
+    team: {
+        baseMin: 100,
+        baseSpread: 200,
+        loyaltyDivisor: 1000, // +1% damage per 10 loyalty
+        creditDivisor: 3,
+        damagePerItem: 150,
+        itemsPerMember: 2,
+        valueDivisor: 8
+    },
+
+    countermeasures: {
+        alertDamageStep: 200, // +1 alert level per 200 damage
+        maxAlertLevel: 5,
+        chancePerAlertLevel: 15, // 15% per alert level
+        immediateThreshold: 300,
+        immediateDivisor: 5,
+        immediateCap: 80
+    }
+};
+
+// Default modifiers - callers override only what applies to this raid
+export const DefaultModifiers = {
+    damageMultiplier: 1.0,
+    flatDamage: 0,
+    critChanceBonus: 0,
+    lootMultiplier: 1.0,
+    rarityBonus: 0, // Loot rarity is rolled as if damage were this much higher
+    loyaltyMultiplier: 1.0,
+    detectionMultiplier: 1.0,
+    damageType: null,
+    typeMultiplier: 1.0, // Weakness / resistance of the target against damageType
+    effectiveness: 'neutral'
+};
+
+// Mulberry32 - small, fast and good enough for game rolls
+export function createRng(seed) {
+    let state = seed >>> 0;
+    return function rng() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Rebel-side bookkeeping for a resolved solo raid; damage is what actually landed on the target
+export function applyRaidOutcome(rebel, outcome, damage = outcome.damage, now = Date.now()) {
+    rebel.energy -= outcome.energyCost;
+    rebel.corporateDamage += damage;
+    rebel.loyaltyScore += outcome.loyaltyGained;
+    rebel.totalRaids = (rebel.totalRaids || 0) + 1;
+    rebel.lastActive = new Date(now);
+    return rebel;
+}
+
+export class CombatEngine {
+    constructor(config = CombatConfig) {
+        this.config = config;
+    }
+
+    // Resolve which RNG a roll should use: injected function, explicit seed, or a fresh seed
+    createRoller(options = {}) {
+        if (typeof options.rng === 'function') {
+            return { seed: options.seed ?? null, rng: options.rng };
+        }
+        const seed = (options.seed ?? generateSeed()) >>> 0;
+        return { seed, rng: createRng(seed) };
+    }
+
+    calculateBaseDamage(rebel, modifiers = {}) {
+        const { damage, classMultipliers } = this.config;
+        const mods = { ...DefaultModifiers, ...modifiers };
+
+        const levelBonus = (rebel.level || 1) * damage.perLevel;
+        const loyaltyBonus = Math.floor((rebel.loyaltyScore || 0) / damage.loyaltyStep) * damage.perLoyaltyStep;
+        const classMultiplier = classMultipliers[rebel.class] || 1.0;
+
+        const base = Math.floor((damage.base + levelBonus + loyaltyBonus) * classMultiplier);
+        return Math.max(1, Math.floor((base + mods.flatDamage) * mods.damageMultiplier * mods.typeMultiplier));
+    }
+
+    getRarity(damage, rarityBonus = 0) {
+        const effectiveDamage = damage * (1 + rarityBonus);
+        const tier = this.config.loot.rarityThresholds.find(threshold => effectiveDamage > threshold.above);
+        return tier ? tier.rarity : 'common';
+    }
+
+    // Solo raid: damage roll, crit, loot rolls and countermeasure triggers
+    resolveRaid(rebel, corporation, options = {}) {
+        const { seed, rng } = this.createRoller(options);
+        const modifiers = { ...DefaultModifiers, ...(options.modifiers || {}) };
+        const { damage: damageConfig, critical, rewards } = this.config;
+
+        const baseDamage = this.calculateBaseDamage(rebel, modifiers);
+        const varianceRoll = rng();
+        const variance = damageConfig.varianceMin + varianceRoll * damageConfig.varianceSpread;
+
+        const critRoll = rng();
+        const critChance = Math.min(1, critical.chance + modifiers.critChanceBonus);
+        const isCritical = critRoll < critChance;
+
+        let damage = Math.floor(baseDamage * variance);
+        if (isCritical) {
+            damage = Math.floor(damage * critical.multiplier);
+        }
+
+        const loot = this.rollLoot(rng, corporation, damage, {
+            defensiveTypes: options.defensiveTypes || [],
+            lootMultiplier: modifiers.lootMultiplier,
+            rarityBonus: modifiers.rarityBonus
+        });
+
+        const countermeasures = this.rollCountermeasures(rng, corporation.alertLevel || 0, damage, {
+            countermeasureTypes: options.countermeasureTypes || [],
+            detectionMultiplier: modifiers.detectionMultiplier
+        });
+
+        return {
+            seed,
+            type: 'solo',
+            baseDamage,
+            variance,
+            critical: isCritical,
+            critChance,
+            damage,
+            damageType: modifiers.damageType,
+            effectiveness: modifiers.effectiveness,
+            loyaltyGained: Math.floor((damage / rewards.loyaltyDivisor) * modifiers.loyaltyMultiplier),
+            experienceGained: Math.floor(damage / rewards.experienceDivisor) + rewards.experienceBase,
+            energyCost: this.config.energy.solo,
+            loot,
+            countermeasures,
+            inputs: {
+                rebel: { level: rebel.level, loyaltyScore: rebel.loyaltyScore, class: rebel.class },
+                corporation: { loot: [...corporation.loot], alertLevel: corporation.alertLevel || 0 },
+                modifiers,
+                defensiveTypes: [...(options.defensiveTypes || [])],
+                countermeasureTypes: [...(options.countermeasureTypes || [])]
+            }
+        };
+    }
+
+    // Team raid: per-member damage with formation bonuses, shared loot and a stealth check
+    resolveTeamRaid(members, corporation, formation, options = {}) {
+        const { seed, rng } = this.createRoller(options);
+        const memberModifiers = options.memberModifiers || {};
+        const { team, energy } = this.config;
+
+        let totalDamage = 0;
+        const memberResults = members.map(member => {
+            const modifiers = { ...DefaultModifiers, ...(memberModifiers[member.userId] || {}) };
+            const baseDamage = Math.floor(rng() * team.baseSpread) + team.baseMin;
+            const formationDamage = Math.floor(baseDamage * formation.damageBonus);
+            const damage = Math.floor(
+                (formationDamage * (1 + ((member.loyaltyScore || 0) / team.loyaltyDivisor)) + modifiers.flatDamage)
+                * modifiers.damageMultiplier * modifiers.typeMultiplier
+            );
+
+            totalDamage += damage;
+            return {
+                userId: member.userId,
+                baseDamage,
+                damage,
+                damageType: modifiers.damageType,
+                effectiveness: modifiers.effectiveness,
+                energyUsed: Math.floor(energy.team * formation.energyCost)
+            };
+        });
+
+        // Members' loot and rarity bonuses are shared across the party
+        const averageModifier = key => (members.length > 0 ?
+            members.reduce((sum, member) => sum + ({ ...DefaultModifiers, ...(memberModifiers[member.userId] || {}) })[key], 0) / members.length :
+            DefaultModifiers[key]);
+        const lootMultiplier = (formation.lootBonus || 1.0) * averageModifier('lootMultiplier');
+        const rarityBonus = averageModifier('rarityBonus');
+        const credits = Math.floor((totalDamage / team.creditDivisor) * lootMultiplier);
+        const itemCount = Math.min(members.length * team.itemsPerMember, Math.floor(totalDamage / team.damagePerItem));
+        const items = [];
+        for (let i = 0; i < itemCount; i++) {
+            items.push({
+                name: corporation.loot[Math.floor(rng() * corporation.loot.length)],
+                rarity: this.getRarity(totalDamage, rarityBonus),
+                value: Math.floor((totalDamage / members.length) / team.valueDivisor) + Math.floor(rng() * this.config.loot.valueSpread)
+            });
+        }
+
+        // Coordination lowers the odds the corporation notices at all
+        const stealthRoll = rng();
+        const detected = stealthRoll > (formation.stealthBonus || 0);
+
+        const countermeasures = {};
+        if (detected && members.length > 0) {
+            let alertLevel = corporation.alertLevel || 0;
+            const share = totalDamage / members.length;
+            for (const member of members) {
+                const modifiers = { ...DefaultModifiers, ...(memberModifiers[member.userId] || {}) };
+                alertLevel = this.raiseAlertLevel(alertLevel, share);
+                countermeasures[member.userId] = this.rollActivations(rng, alertLevel, share, {
+                    countermeasureTypes: options.countermeasureTypes || [],
+                    detectionMultiplier: modifiers.detectionMultiplier
+                });
+            }
+        }
+
+        return {
+            seed,
+            type: 'team',
+            totalDamage,
+            memberResults,
+            loot: { credits, items },
+            detected,
+            stealthRoll,
+            countermeasures,
+            inputs: {
+                members: members.map(member => ({ userId: member.userId, loyaltyScore: member.loyaltyScore })),
+                corporation: { loot: [...corporation.loot], alertLevel: corporation.alertLevel || 0 },
+                formation: {
+                    damageBonus: formation.damageBonus,
+                    energyCost: formation.energyCost,
+                    lootBonus: formation.lootBonus,
+                    stealthBonus: formation.stealthBonus
+                },
+                memberModifiers,
+                countermeasureTypes: [...(options.countermeasureTypes || [])]
+            }
+        };
+    }
+
+    rollLoot(rng, corporation, damage, { defensiveTypes = [], lootMultiplier = 1.0, rarityBonus = 0 } = {}) {
+        const { loot } = this.config;
+        const itemCount = Math.min(loot.maxItems, Math.floor(damage / loot.damagePerItem) + 1);
+        const items = [];
+
+        for (let i = 0; i < itemCount; i++) {
+            const defensiveRoll = rng();
+            if (damage > loot.defensiveThreshold && defensiveTypes.length > 0 && defensiveRoll < loot.defensiveChance) {
+                items.push({
+                    kind: 'defensive',
+                    defensiveType: defensiveTypes[Math.floor(rng() * defensiveTypes.length)]
+                });
+                continue;
+            }
+
+            items.push({
+                kind: 'loot',
+                name: corporation.loot[Math.floor(rng() * corporation.loot.length)],
+                rarity: this.getRarity(damage, rarityBonus),
+                value: Math.floor(damage / loot.valueDivisor) + Math.floor(rng() * loot.valueSpread)
+            });
+        }
+
+        return {
+            items,
+            credits: Math.floor((damage / loot.creditDivisor) * lootMultiplier)
+        };
+    }
+
+    raiseAlertLevel(alertLevel, damage) {
+        const { countermeasures } = this.config;
+        const alertIncrease = Math.floor(damage / countermeasures.alertDamageStep);
+        return Math.min(countermeasures.maxAlertLevel, alertLevel + alertIncrease);
+    }
+
+    // Alert level after this raid's damage decides the activation odds
+    rollCountermeasures(rng, alertLevel, damage, options = {}) {
+        const newAlertLevel = this.raiseAlertLevel(alertLevel, damage);
+        return {
+            alertLevel: newAlertLevel,
+            activations: this.rollActivations(rng, newAlertLevel, damage, options)
+        };
+    }
+
+    rollActivations(rng, alertLevel, damage, { countermeasureTypes = [], detectionMultiplier = 1.0 } = {}) {
+        const { countermeasures } = this.config;
+        const activations = [];
+
+        const pickType = () => countermeasureTypes.length > 0
+            ? countermeasureTypes[Math.floor(rng() * countermeasureTypes.length)]
+            : null;
+
+        const alertChance = Math.min(100, alertLevel * countermeasures.chancePerAlertLevel * detectionMultiplier);
+        const alertRoll = rng() * 100;
+        if (alertRoll < alertChance) {
+            activations.push({ trigger: 'alert', roll: alertRoll, chance: alertChance, type: pickType() });
+        }
+
+        // High damage triggers an immediate response
+        if (damage > countermeasures.immediateThreshold) {
+            const immediateChance = Math.min(100, Math.min(countermeasures.immediateCap, damage / countermeasures.immediateDivisor) * detectionMultiplier);
+            const immediateRoll = rng() * 100;
+            if (immediateRoll < immediateChance) {
+                activations.push({ trigger: 'immediate', roll: immediateRoll, chance: immediateChance, type: pickType() });
+            }
+        }
+
+        return activations;
+    }
+
+    // Re-run a recorded raid from its seed and inputs snapshot
+    replay(outcome) {
+        const { inputs, seed } = outcome;
+        if (outcome.type === 'team') {
+            return this.resolveTeamRaid(inputs.members, inputs.corporation, inputs.formation, {
+                seed,
+                memberModifiers: inputs.memberModifiers,
+                countermeasureTypes: inputs.countermeasureTypes
+            });
+        }
+
+        return this.resolveRaid(inputs.rebel, inputs.corporation, {
+            seed,
+            modifiers: inputs.modifiers,
+            defensiveTypes: inputs.defensiveTypes,
+            countermeasureTypes: inputs.countermeasureTypes
+        });
+    }
+}
+
+export default CombatEngine;
@@ -0,0 +1,187 @@
+/**
+ * Corporation Lifecycle
+ * online → (health hits zero) → liberated → rebuilding → online again, one cycle stronger.
+ * While liberated a corporation drops bonus loot and cannot fight back; while rebuilding it
+ * cannot be raided at all. Every defeat is recorded with its killing blow and top contributors.
+ */
+
+import { DamageTypes } from './damageTypes.js';
+
+export const LifecycleConfig = {
+    liberatedDuration: 30 * 60000, // 30 minutes of free looting
+    rebuildDuration: 60 * 60000, // 1 hour offline
+    maxHealthGrowth: 0.15, // +15% max health per cycle
+    defenseMatrixGrowth: 10, // +10% defense matrix per cycle
+    maxDefenseMatrix: 200,
+    liberatedLootMultiplier: 2.0,
+    topContributors: 3,
+    historyLimit: 10
+};
+
+export const CorporationStatus = {
+    ONLINE: 'online',
+    LIBERATED: 'liberated',
+    REBUILDING: 'rebuilding'
+};
+
+// Lifecycle fields are added lazily so corporations restored from older backups keep working
+export function ensureLifecycle(corporation) {
+    if (!corporation.lifecycle) {
+        corporation.lifecycle = {
+            status: CorporationStatus.ONLINE,
+            cycle: 0,
+            statusUntil: null,
+            contributions: {},
+            history: []
+        };
+    }
+    return corporation.lifecycle;
+}
+
+export function getStatus(corporation) {
+    return ensureLifecycle(corporation).status;
+}
+
+export function isLiberated(corporation) {
+    return getStatus(corporation) === CorporationStatus.LIBERATED;
+}
+
+export function canBeRaided(corporation) {
+    return getStatus(corporation) !== CorporationStatus.REBUILDING;
+}
+
+// Liberated corporations are stripped bare; no countermeasures while they're down
+export function canRetaliate(corporation) {
+    return getStatus(corporation) === CorporationStatus.ONLINE;
+}
+
+export function getLootMultiplier(corporation, config = LifecycleConfig) {
+    return isLiberated(corporation) ? config.liberatedLootMultiplier : 1.0;
+}
+
+// Returns { applied, defeated } - only an online corporation takes damage
+export function applyDamage(corporation, userId, damage) {
+    const lifecycle = ensureLifecycle(corporation);
+    if (lifecycle.status !== CorporationStatus.ONLINE) {
+        return { applied: 0, defeated: false };
+    }
+
+    const applied = Math.min(corporation.health, damage);
+    corporation.health = Math.max(0, corporation.health - damage);
+    lifecycle.contributions[userId] = (lifecycle.contributions[userId] || 0) + applied;
+
+    return { applied, defeated: corporation.health <= 0 };
+}
+
+export function getTopContributors(corporation, limit = LifecycleConfig.topContributors) {
+    return Object.entries(ensureLifecycle(corporation).contributions)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([userId, damage]) => ({ userId, damage }));
+}
+
+export function defeatCorporation(corporation, killingBlow, now = Date.now(), config = LifecycleConfig) {
+    const lifecycle = ensureLifecycle(corporation);
+
+    const record = {
+        cycle: lifecycle.cycle,
+        defeatedAt: new Date(now),
+        killingBlow,
+        topContributors: getTopContributors(corporation, config.topContributors),
+        totalContributors: Object.keys(lifecycle.contributions).length
+    };
+
+    lifecycle.history = [...lifecycle.history, record].slice(-config.historyLimit);
+    lifecycle.status = CorporationStatus.LIBERATED;
+    lifecycle.statusUntil = new Date(now + config.liberatedDuration);
+    lifecycle.contributions = {};
+
+    // The corporation's defenses collapse with it
+    corporation.health = 0;
+    corporation.alertLevel = 0;
+    corporation.countermeasures.retaliation.enabled = false;
+    corporation.countermeasures.retaliation.targets = [];
+    corporation.countermeasures.retaliation.nextStrike = null;
+
+    return record;
+}
+
+// Each rebuild resists one more damage type it wasn't already weak to or resisting
+export function pickNewResistance(corporation) {
+    return Object.keys(DamageTypes).find(type =>
+        type !== corporation.weakness && !(corporation.resistances || []).includes(type)
+    ) || null;
+}
+
+function comeBackOnline(corporation, config) {
+    const lifecycle = corporation.lifecycle;
+    lifecycle.cycle += 1;
+    lifecycle.status = CorporationStatus.ONLINE;
+    lifecycle.statusUntil = null;
+
+    corporation.maxHealth = Math.floor(corporation.maxHealth * (1 + config.maxHealthGrowth));
+    corporation.health = corporation.maxHealth;
+    corporation.countermeasures.defenseMatrix = Math.min(
+        config.maxDefenseMatrix,
+        corporation.countermeasures.defenseMatrix + config.defenseMatrixGrowth
+    );
+
+    const newResistance = pickNewResistance(corporation);
+    if (newResistance) {
+        corporation.resistances = [...(corporation.resistances || []), newResistance];
+    }
+    return newResistance;
+}
+
+// Moves the corporation along its lifecycle; returns the transition that happened, if any
+export function advanceLifecycle(corporation, now = Date.now(), config = LifecycleConfig) {
+    const lifecycle = ensureLifecycle(corporation);
+    if (!lifecycle.statusUntil || now < new Date(lifecycle.statusUntil).getTime()) {
+        return null;
+    }
+
+    if (lifecycle.status === CorporationStatus.LIBERATED) {
+        lifecycle.status = CorporationStatus.REBUILDING;
+        lifecycle.statusUntil = new Date(now + config.rebuildDuration);
+        return { status: CorporationStatus.REBUILDING };
+    }
+
+    if (lifecycle.status === CorporationStatus.REBUILDING) {
+        const newResistance = comeBackOnline(corporation, config);
+        return { status: CorporationStatus.ONLINE, cycle: lifecycle.cycle, newResistance };
+    }
+
+    return null;
+}
+
+export function formatLifecycleStatus(corporation, now = Date.now()) {
+    const lifecycle = ensureLifecycle(corporation);
+    const minutesLeft = lifecycle.statusUntil ?
+        Math.max(0, Math.ceil((new Date(lifecycle.statusUntil).getTime() - now) / 60000)) : 0;
+
+    switch (lifecycle.status) {
+        case CorporationStatus.LIBERATED:
+            return `🟢 LIBERATED - bonus loot for ${minutesLeft}m`;
+        case CorporationStatus.REBUILDING:
+            return `🏗️ REBUILDING - back online in ${minutesLeft}m`;
+        default:
+            return `🔴 ONLINE - cycle ${lifecycle.cycle + 1}`;
+    }
+}
+
+export default {
+    LifecycleConfig,
+    CorporationStatus,
+    ensureLifecycle,
+    getStatus,
+    isLiberated,
+    canBeRaided,
+    canRetaliate,
+    getLootMultiplier,
+    applyDamage,
+    getTopContributors,
+    defeatCorporation,
+    pickNewResistance,
+    advanceLifecycle,
+    formatLifecycleStatus
+};
@@ -0,0 +1,35 @@
+/**
+ * Countermeasure Upkeep
+ * Expired countermeasures are moved out of `countermeasures.active` into a capped
+ * archive so the active list only ever holds what is still in effect.
+ */
+
+export const CountermeasureConfig = {
+    sweepInterval: 5 * 60000, // 5 minutes
+    archiveLimit: 50 // per corporation
+};
+
+export function isExpired(countermeasure, now = Date.now()) {
+    return new Date(countermeasure.endTime).getTime() <= now;
+}
+
+// Returns the countermeasures that were archived
+export function sweepExpiredCountermeasures(corporation, now = Date.now(), config = CountermeasureConfig) {
+    const countermeasures = corporation.countermeasures;
+    const expired = countermeasures.active.filter(countermeasure => isExpired(countermeasure, now));
+    if (expired.length === 0) return [];
+
+    countermeasures.active = countermeasures.active.filter(countermeasure => !isExpired(countermeasure, now));
+    countermeasures.archive = [
+        ...(countermeasures.archive || []),
+        ...expired.map(countermeasure => ({ ...countermeasure, archivedAt: new Date(now) }))
+    ].slice(-config.archiveLimit);
+
+    return expired;
+}
+
+export default {
+    CountermeasureConfig,
+    isExpired,
+    sweepExpiredCountermeasures
+};
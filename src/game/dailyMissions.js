@@ -0,0 +1,122 @@
+/**
+ * Daily Missions
+ * Each daily mission pairs Dobby's briefing with a machine-readable objective. Game actions
+ * report events ({ type: 'raid' | 'travel' | 'sell', ... }) and matching objectives advance on
+ * their own; a completed mission is claimed once from /daily-mission for loyalty.
+ */
+
+import { meetsRequirements } from './travel.js';
+
+export const MissionConfig = {
+    baseReward: 50,
+    rewardPerLevel: 10
+};
+
+// How much each objective type advances for a reported game event
+const ObjectiveTracking = {
+    raid: (objective, event) => event.type === 'raid' && (!objective.target || objective.target === event.corporation) ? 1 : 0,
+    damage: (objective, event) => event.type === 'raid' ? event.damage || 0 : 0,
+    sell: (objective, event) => event.type === 'sell' ? 1 : 0,
+    travel: (objective, event) => event.type === 'travel' && event.zone === objective.target ? 1 : 0
+};
+
+export const MissionObjectives = {
+    raid_openai: { type: 'raid', target: 'openai', count: 3, emoji: '💥', label: 'Raid OpenAI 3 times' },
+    raid_meta: { type: 'raid', target: 'meta', count: 3, emoji: '💥', label: 'Raid Meta 3 times' },
+    raid_google: { type: 'raid', target: 'google', count: 3, emoji: '💥', label: 'Raid Google 3 times' },
+    raid_any: { type: 'raid', count: 5, emoji: '⚔️', label: 'Complete 5 raids on any corporation' },
+    deal_damage: { type: 'damage', count: 500, countPerLevel: 100, emoji: '🔥', label: 'Deal {count} damage to corporations' },
+    market_sale: { type: 'sell', count: 1, emoji: '🏪', label: 'Sell an item on the market' },
+    travel_darkweb: { type: 'travel', target: 'darkweb', count: 1, emoji: '🕶️', label: 'Travel to The Dark Web' },
+    travel_underground: { type: 'travel', target: 'underground', count: 1, emoji: '🚇', label: 'Travel to the Underground Networks' },
+    travel_sanctuary: { type: 'travel', target: 'sanctuary', count: 1, emoji: '🏛️', label: 'Travel to the Open Source Sanctuaries' }
+};
+
+// Objectives a rebel can actually make progress on right now - no trips to where they already are
+// or to zones they aren't allowed into yet
+export function getAvailableObjectives(rebel, { zones = new Map(), items = [] } = {}) {
+    return Object.keys(MissionObjectives).filter(id => {
+        const { type, target } = MissionObjectives[id];
+        if (type !== 'travel') return true;
+        return target !== rebel.currentZone && meetsRequirements(rebel, zones.get(target), items);
+    });
+}
+
+export function buildObjective(id, rebel) {
+    const template = MissionObjectives[id];
+    if (!template) return null;
+
+    const count = template.count + (template.countPerLevel || 0) * (rebel.level - 1);
+    return {
+        id,
+        type: template.type,
+        target: template.target || null,
+        count,
+        emoji: template.emoji,
+        label: template.label.replace('{count}', count)
+    };
+}
+
+export function getMissionReward(rebel, config = MissionConfig) {
+    return config.baseReward + Math.floor(rebel.level * config.rewardPerLevel);
+}
+
+// A fresh mission with a random objective; the briefing is Dobby's flavor text
+export function createMission(rebel, briefing, rng = Math.random, now = Date.now(), options = {}) {
+    const available = getAvailableObjectives(rebel, options);
+    const objective = buildObjective(available[Math.floor(rng() * available.length)], rebel);
+
+    return {
+        mission: briefing,
+        objective,
+        progress: 0,
+        completed: false,
+        claimed: false,
+        reward: getMissionReward(rebel),
+        createdAt: new Date(now)
+    };
+}
+
+// Missions saved before objectives existed can't be tracked and get replaced
+export function isTrackable(mission) {
+    return Boolean(mission?.objective && ObjectiveTracking[mission.objective.type]);
+}
+
+// Applies a game event to the mission. Returns true only when this event completes it.
+export function recordProgress(mission, event) {
+    if (!isTrackable(mission) || mission.completed) return false;
+
+    const gained = ObjectiveTracking[mission.objective.type](mission.objective, event);
+    if (gained <= 0) return false;
+
+    mission.progress = Math.min(mission.objective.count, mission.progress + gained);
+    mission.completed = mission.progress >= mission.objective.count;
+    return mission.completed;
+}
+
+// Returns an error string if the mission can't be claimed, otherwise null
+export function getClaimBlocker(mission) {
+    if (!isTrackable(mission)) return '❌ You don\'t have a daily mission yet! Use `/daily-mission` to get one.';
+    if (mission.claimed) return '✅ You already claimed today\'s mission. A new one arrives after the daily reset!';
+    if (!mission.completed) return `🔄 Mission not complete yet: ${formatProgress(mission)}`;
+    return null;
+}
+
+export function formatProgress(mission, width = 10) {
+    const { emoji, label, count } = mission.objective;
+    const filled = Math.round((mission.progress / count) * width);
+    return `${emoji} ${label}\n${'█'.repeat(filled)}${'░'.repeat(width - filled)} ${mission.progress}/${count}`;
+}
+
+export default {
+    MissionConfig,
+    MissionObjectives,
+    getAvailableObjectives,
+    buildObjective,
+    getMissionReward,
+    createMission,
+    isTrackable,
+    recordProgress,
+    getClaimBlocker,
+    formatProgress
+};
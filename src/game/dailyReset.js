@@ -0,0 +1,163 @@
+/**
+ * Daily Reset
+ * Each guild picks the timezone and hour its day rolls over. Days are identified by a
+ * 'YYYY-MM-DD' key in that timezone, so a rebel's reset and daily claim run exactly once per
+ * day no matter when the bot restarts. Claiming on consecutive days builds a streak with
+ * escalating rewards; missing a day is forgiven if the rebel claims early the next day.
+ */
+
+export const DailyResetConfig = {
+    defaultTimezone: process.env.DAILY_RESET_TIMEZONE || 'UTC',
+    defaultHour: Number(process.env.DAILY_RESET_HOUR) || 0,
+    graceHours: 6, // A missed day is forgiven if the rebel claims within 6h of the following reset
+    rewards: {
+        baseCredits: 50,
+        creditsPerStreakDay: 25,
+        maxStreakBonusDays: 7 // Rewards stop growing after a week...
+    },
+    // ...but milestones keep paying out
+    milestones: {
+        3: { loyalty: 50 },
+        7: { loyalty: 150, achievement: 'daily_streak_7' },
+        14: { loyalty: 300 },
+        30: { loyalty: 750 }
+    }
+};
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+export function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone.length === 0) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// A guild's reset settings, falling back to the configured defaults
+export function getResetSettings(guildSettings = {}, config = DailyResetConfig) {
+    const timezone = isValidTimezone(guildSettings?.resetTimezone) ? guildSettings.resetTimezone : config.defaultTimezone;
+    const hour = Number.isInteger(guildSettings?.resetHour) ? guildSettings.resetHour : config.defaultHour;
+    return { timezone, hour };
+}
+
+// Local calendar parts of a moment, shifted back by the reset hour so days roll over at that hour
+function getShiftedParts(now, { timezone, hour }) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(new Date(now - hour * HOUR));
+
+    return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, part.value]));
+}
+
+export function getDayKey(now, settings) {
+    const { year, month, day } = getShiftedParts(now, settings);
+    return `${year}-${month}-${day}`;
+}
+
+export function getHoursIntoDay(now, settings) {
+    const { hour, minute } = getShiftedParts(now, settings);
+    return Number(hour) + Number(minute) / 60;
+}
+
+export function getTimeUntilReset(now, settings) {
+    return Math.max(0, Math.round(DAY - getHoursIntoDay(now, settings) * HOUR));
+}
+
+export function daysBetween(fromKey, toKey) {
+    return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY);
+}
+
+// Runs the rebel's daily reset once per day: refills energy. Returns false if it already ran today.
+export function applyDailyReset(rebel, now, settings) {
+    const today = getDayKey(now, settings);
+    if (rebel.lastDailyReset === today) return false;
+
+    rebel.lastDailyReset = today;
+    rebel.energy = Math.max(rebel.energy, rebel.maxEnergy);
+    rebel.lastEnergyRegen = new Date(now);
+    return true;
+}
+
+// Where the rebel's streak stands today
+export function getStreakStatus(rebel, now, settings, config = DailyResetConfig) {
+    const today = getDayKey(now, settings);
+    if (!rebel.lastDailyClaim) {
+        return { claimedToday: false, continues: false, inGrace: false, streak: 0 };
+    }
+
+    const gap = daysBetween(rebel.lastDailyClaim, today);
+    const inGrace = gap === 2 && getHoursIntoDay(now, settings) < config.graceHours;
+    const continues = gap === 1 || inGrace;
+
+    return {
+        claimedToday: gap === 0,
+        continues,
+        inGrace,
+        streak: gap === 0 || continues ? rebel.dailyStreak || 0 : 0
+    };
+}
+
+export function getStreakReward(streak, config = DailyResetConfig) {
+    const { baseCredits, creditsPerStreakDay, maxStreakBonusDays } = config.rewards;
+    const milestone = config.milestones[streak] || null;
+
+    return {
+        credits: baseCredits + creditsPerStreakDay * (Math.min(streak, maxStreakBonusDays) - 1),
+        loyalty: milestone?.loyalty || 0,
+        achievement: milestone?.achievement || null
+    };
+}
+
+// Records today's claim and advances the streak. Returns null if today was already claimed.
+export function claimDaily(rebel, now, settings, config = DailyResetConfig) {
+    const status = getStreakStatus(rebel, now, settings, config);
+    if (status.claimedToday) return null;
+
+    const previous = rebel.dailyStreak || 0;
+    const streak = status.continues ? previous + 1 : 1;
+    rebel.dailyStreak = streak;
+    rebel.bestDailyStreak = Math.max(rebel.bestDailyStreak || 0, streak);
+    rebel.lastDailyClaim = getDayKey(now, settings);
+
+    return {
+        streak,
+        usedGrace: status.inGrace,
+        lostStreak: status.continues ? 0 : previous,
+        reward: getStreakReward(streak, config)
+    };
+}
+
+export function formatResetTime({ timezone, hour }) {
+    return `${String(hour).padStart(2, '0')}:00 ${timezone}`;
+}
+
+export function formatDuration(ms) {
+    const minutes = Math.ceil(ms / 60000);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+export default {
+    DailyResetConfig,
+    isValidTimezone,
+    getResetSettings,
+    getDayKey,
+    getHoursIntoDay,
+    getTimeUntilReset,
+    daysBetween,
+    applyDailyReset,
+    getStreakStatus,
+    getStreakReward,
+    claimDaily,
+    formatResetTime,
+    formatDuration
+};
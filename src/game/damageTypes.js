@@ -0,0 +1,130 @@
+/**
+ * Damage Types
+ * Corporate weaknesses and resistances keyed by the rebellion's damage types.
+ * Classes, abilities and items each carry a damage type; hitting a weakness hurts more,
+ * hitting a resistance is penalized.
+ */
+
+import { parseJsonColumn } from '../database/json.js';
+
+export const DamageTypes = {
+    transparency: { name: 'Transparency', emoji: '🔦' },
+    privacy: { name: 'Privacy', emoji: '🔐' },
+    decentralization: { name: 'Decentralization', emoji: '🕸️' },
+    open_source: { name: 'Open Source', emoji: '📖' },
+    worker_rights: { name: 'Worker Rights', emoji: '✊' }
+};
+
+export const EffectivenessConfig = {
+    weaknessMultiplier: 1.5,
+    resistanceMultiplier: 0.6,
+    attunementPerItem: 0.02, // +2% per carried item of the raid's damage type...
+    maxAttunement: 0.1, // ...up to +10%
+    scoutEnergyCost: 10
+};
+
+// Default damage type for each rebel class
+export const ClassDamageTypes = {
+    'Protocol Hacker': 'decentralization',
+    'Model Trainer': 'open_source',
+    'Data Liberator': 'transparency',
+    'Community Organizer': 'worker_rights',
+    'Enclave Guardian': 'privacy'
+};
+
+// Loot item categories (see getItemType) map onto damage types
+export const ItemDamageTypes = {
+    ai_model: 'open_source',
+    data: 'transparency',
+    tool: 'decentralization',
+    intel: 'privacy',
+    resource: 'worker_rights'
+};
+
+export function getDamageTypeLabel(damageType) {
+    const type = DamageTypes[damageType];
+    return type ? `${type.emoji} ${type.name}` : '❔ Unknown';
+}
+
+export function getClassDamageType(rebelClass) {
+    return ClassDamageTypes[rebelClass] || 'decentralization';
+}
+
+export function getItemDamageType(itemType) {
+    return ItemDamageTypes[itemType] || null;
+}
+
+// An ability primes the next raid with its type; otherwise the class type is used
+export function getRaidDamageType(rebel) {
+    return rebel.primedDamageType || getClassDamageType(rebel.class);
+}
+
+export function getEffectiveness(damageType, corporation) {
+    if (corporation?.weakness === damageType) {
+        return { label: 'weakness', multiplier: EffectivenessConfig.weaknessMultiplier };
+    }
+    if (corporation?.resistances?.includes(damageType)) {
+        return { label: 'resistance', multiplier: EffectivenessConfig.resistanceMultiplier };
+    }
+    return { label: 'neutral', multiplier: 1.0 };
+}
+
+export function getAttunementBonus(inventory, damageType) {
+    if (!inventory?.items) return 0;
+    const matching = inventory.items.filter(item => item.damageType === damageType).length;
+    return Math.min(EffectivenessConfig.maxAttunement, matching * EffectivenessConfig.attunementPerItem);
+}
+
+export function isScouted(rebel, corpId) {
+    return Array.isArray(rebel?.scoutedCorporations) && rebel.scoutedCorporations.includes(corpId);
+}
+
+export function markScouted(rebel, corpId) {
+    if (!Array.isArray(rebel.scoutedCorporations)) {
+        rebel.scoutedCorporations = [];
+    }
+    if (!rebel.scoutedCorporations.includes(corpId)) {
+        rebel.scoutedCorporations.push(corpId);
+        return true;
+    }
+    return false;
+}
+
+// Rebuilds the scouted corporation ids loaded from the database
+export function restoreScouted(raw) {
+    const scouted = parseJsonColumn(raw);
+    if (!Array.isArray(scouted)) return [];
+    return [...new Set(scouted.filter(corpId => typeof corpId === 'string'))];
+}
+
+export function formatEffectiveness(effectiveness) {
+    if (effectiveness.label === 'weakness') return `🎯 Weakness exploited! (×${effectiveness.multiplier})`;
+    if (effectiveness.label === 'resistance') return `🛡️ Resisted! (×${effectiveness.multiplier})`;
+    return '➖ Neutral';
+}
+
+export function formatTypeIntel(corporation, scouted) {
+    if (!scouted) {
+        return '❓ Unknown - scout this target to reveal its weakness and resistances';
+    }
+    const resistances = (corporation.resistances || []).map(getDamageTypeLabel).join(', ') || 'None';
+    return `Weak to: ${getDamageTypeLabel(corporation.weakness)} (×${EffectivenessConfig.weaknessMultiplier})\nResists: ${resistances} (×${EffectivenessConfig.resistanceMultiplier})`;
+}
+
+export default {
+    DamageTypes,
+    EffectivenessConfig,
+    ClassDamageTypes,
+    ItemDamageTypes,
+    getDamageTypeLabel,
+    getClassDamageType,
+    getItemDamageType,
+    getRaidDamageType,
+    getEffectiveness,
+    getAttunementBonus,
+    isScouted,
+    markScouted,
+    restoreScouted,
+    formatEffectiveness,
+    formatTypeIntel
+};
@@ -0,0 +1,78 @@
+/**
+ * Energy
+ * Energy regenerates lazily: nothing ticks in the background, instead a rebel's energy is
+ * worked out whenever it's read from the time since `lastEnergyRegen` and their current rate.
+ * Offline rebels come back with the energy they earned while away, up to their cap.
+ */
+
+export const EnergyConfig = {
+    baseRatePerMinute: Number(process.env.ENERGY_REGEN_RATE) || 1,
+    regenPerResourceItem: 0.05, // +5% regen per carried resource item ("energy boosters")...
+    maxItemRegenBonus: 0.25 // ...up to +25%
+};
+
+const MINUTE = 60000;
+
+export function getItemRegenBonus(inventory, config = EnergyConfig) {
+    if (!inventory?.items) return 0;
+    const boosters = inventory.items.filter(item => item.type === 'resource').length;
+    return Math.min(config.maxItemRegenBonus, boosters * config.regenPerResourceItem);
+}
+
+// Energy per minute; zone and item modifiers multiply the base rate
+export function getRegenRate({ zoneMultiplier = 1, itemBonus = 0 } = {}, config = EnergyConfig) {
+    return config.baseRatePerMinute * zoneMultiplier * (1 + itemBonus);
+}
+
+// Credits the energy earned since the last regen and returns how much was gained.
+// Partial progress towards the next point is kept by only advancing the clock for whole points.
+export function regenerateEnergy(rebel, rate, now = Date.now()) {
+    const last = rebel.lastEnergyRegen ? new Date(rebel.lastEnergyRegen).getTime() : now;
+
+    if (rebel.energy >= rebel.maxEnergy || rate <= 0 || last >= now) {
+        // Full energy doesn't bank regen for later
+        if (rebel.energy >= rebel.maxEnergy || !rebel.lastEnergyRegen) {
+            rebel.lastEnergyRegen = new Date(now);
+        }
+        return 0;
+    }
+
+    const earned = Math.floor(((now - last) / MINUTE) * rate);
+    if (earned <= 0) return 0;
+
+    const gained = Math.min(earned, rebel.maxEnergy - rebel.energy);
+    rebel.energy += gained;
+    rebel.lastEnergyRegen = rebel.energy >= rebel.maxEnergy ?
+        new Date(now) :
+        new Date(last + Math.round((gained / rate) * MINUTE));
+
+    return gained;
+}
+
+// Milliseconds until the rebel is back to full energy at the given rate
+export function getTimeToFull(rebel, rate, now = Date.now()) {
+    const missing = rebel.maxEnergy - rebel.energy;
+    if (missing <= 0 || rate <= 0) return 0;
+
+    const last = rebel.lastEnergyRegen ? new Date(rebel.lastEnergyRegen).getTime() : now;
+    return Math.max(0, last + Math.ceil((missing / rate) * MINUTE) - now);
+}
+
+export function formatRegen(rebel, rate, now = Date.now()) {
+    const perHour = Math.round(rate * 60);
+    const timeToFull = getTimeToFull(rebel, rate, now);
+    if (timeToFull === 0) return `⚡ Full • ${perHour}/hour`;
+
+    const minutes = Math.ceil(timeToFull / MINUTE);
+    const eta = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+    return `⚡ ${perHour}/hour • full in ${eta}`;
+}
+
+export default {
+    EnergyConfig,
+    getItemRegenBonus,
+    getRegenRate,
+    regenerateEnergy,
+    getTimeToFull,
+    formatRegen
+};
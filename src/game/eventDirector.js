@@ -0,0 +1,371 @@
+/**
+ * Event Director
+ * Global events run on their own clock instead of waiting for someone to open /events.
+ * A cron tick moves every event through scheduled -> active -> ended -> settled, spawns
+ * random events when a world runs dry, and admin-defined schedules add recurring events.
+ * Game systems report actions (raids, recruits, trades, ...) and each template declares which
+ * actions feed its progress and how much. An event succeeds if progress reaches its target;
+ * contributors are then ranked and paid by tier, while failed events pay only the participation
+ * floor. Payouts are computed here; the game records each one so it is paid exactly once.
+ */
+
+import cron from 'node-cron';
+
+export const EventDirectorConfig = {
+    tickSchedule: '* * * * *', // Every minute
+    minActiveEvents: 1, // Worlds below this always get a new event
+    maxActiveEvents: 3,
+    spawnChance: 0.05, // Per tick, while below the maximum
+    retentionDays: 7, // Settled events stay visible this long
+    maxSchedulesPerWorld: 10,
+    maxDurationHours: 168,
+    payout: {
+        baseLoyalty: 50,
+        baseCredits: 100,
+        // Contribution rank tiers, best first. Failed events only pay the floor.
+        tiers: [
+            { id: 'top1', label: '🥇 Top 1%', topPercent: 1, multiplier: 5 },
+            { id: 'top3', label: '🥈 Top 3%', topPercent: 3, multiplier: 3 },
+            { id: 'top10', label: '🥉 Top 10%', topPercent: 10, multiplier: 2 }
+        ],
+        floor: { id: 'participant', label: '🎖️ Participant', multiplier: 1 }
+    }
+};
+
+export const EventStatus = {
+    SCHEDULED: 'scheduled',
+    ACTIVE: 'active',
+    ENDED: 'ended', // Over, payouts still being made
+    SETTLED: 'settled'
+};
+
+// Every action game systems report to events, and the fields it carries
+export const EventActions = {
+    raid: { label: '💥 Raids', description: 'A solo or team raid ({ damage, corporation })' },
+    corporation_defeated: { label: '🏆 Killing blows', description: 'Landing the killing blow on a corporation ({ corporation })' },
+    recruit: { label: '🙋 Recruits', description: 'Joining the rebellion, or a mentor taking on a new student' },
+    mentee_graduated: { label: '🎓 Graduations', description: 'A mentor graduating a student' },
+    trade: { label: '🤝 Trades', description: 'Completing a direct trade or a marketplace sale ({ price })' },
+    zone_activity: { label: '🌐 Zone activities', description: 'Attempting a zone activity ({ activityId, success })' },
+    defense: { label: '🛡️ Defenses', description: 'Activating a shield or surviving a retaliation strike ({ source })' }
+};
+
+const DATA_TARGETS = ['meta', 'google'];
+
+// Template `contributions` map an action type to a fixed amount or a function of the action
+export const EventTemplates = {
+    raid_event: {
+        name: 'Operation Corporate Takedown',
+        description: 'Coordinate massive attacks on all corporate targets simultaneously!',
+        durationHours: 24,
+        targetRange: [20000, 50000],
+        reward: '500 Loyalty Points + Legendary Loot',
+        bonusMultiplier: 2.0,
+        contributions: {
+            raid: action => action.damage,
+            corporation_defeated: 2500
+        }
+    },
+    liberation_event: {
+        name: 'AI Liberation Campaign',
+        description: 'Free AI models from corporate control and build community alternatives!',
+        durationHours: 48,
+        targetRange: [50, 100],
+        reward: 'Exclusive "AI Liberator" Badge + 1000 Credits',
+        bonusMultiplier: 1.5,
+        contributions: {
+            raid: 1, // One model liberated per raid
+            corporation_defeated: 10,
+            zone_activity: action => action.success ? 1 : 0
+        }
+    },
+    social_event: {
+        name: 'Rebellion Recruitment Drive',
+        description: 'Help new rebels join the cause and earn mentorship rewards!',
+        durationHours: 72,
+        targetRange: [15, 35],
+        reward: 'Mentor Badge + Special Abilities Unlock',
+        bonusMultiplier: 1.0,
+        contributions: {
+            recruit: 1,
+            mentee_graduated: 3,
+            trade: 1
+        }
+    },
+    data_event: {
+        name: 'Data Liberation Blitz',
+        description: 'Steal corporate data and redistribute it to the rebellion!',
+        durationHours: 12,
+        targetRange: [5000, 15000],
+        reward: '300 Loyalty Points + Rare Data Items',
+        bonusMultiplier: 1.8,
+        contributions: {
+            raid: action => DATA_TARGETS.includes(action.corporation) ? action.damage * 1.5 : action.damage, // Data-hoarding corporations are worth more
+            zone_activity: action => action.success ? 250 : 0
+        }
+    },
+    defense_event: {
+        name: 'Corporate Counterstrike Defense',
+        description: 'Defend against coordinated corporate retaliation!',
+        durationHours: 18,
+        targetRange: [10000, 25000],
+        reward: 'Defensive Items + 750 Credits',
+        bonusMultiplier: 1.3,
+        contributions: {
+            raid: action => action.damage * 0.8,
+            defense: 1000
+        }
+    }
+};
+
+export function getEventTemplate(templateId) {
+    return EventTemplates[templateId] || null;
+}
+
+// Lets other systems hook a new action into an event type
+export function registerContribution(templateId, actionType, rule) {
+    const template = getEventTemplate(templateId);
+    if (!template) throw new Error(`Unknown event type: ${templateId}`);
+    if (!EventActions[actionType]) throw new Error(`Unknown event action: ${actionType}`);
+
+    template.contributions = { ...template.contributions, [actionType]: rule };
+}
+
+// How much an action moves an event forward; 0 if the event's template ignores it
+export function getContribution(event, action) {
+    const rule = getEventTemplate(event.type)?.contributions?.[action.type];
+    if (rule === undefined) return 0;
+
+    const amount = typeof rule === 'function' ? rule(action) : rule;
+    return Math.max(0, Number(amount) || 0);
+}
+
+export function describeContributions(event) {
+    return Object.keys(getEventTemplate(event.type)?.contributions || {})
+        .map(actionType => EventActions[actionType].label)
+        .join(', ');
+}
+
+// Joining without contributing puts a rebel on the board, but only contributions earn rewards
+export function joinEvent(event, userId) {
+    if (event.participants.has(userId)) return false;
+
+    event.participants.add(userId);
+    if (!event.contributorData.has(userId)) event.contributorData.set(userId, 0);
+    return true;
+}
+
+export function applyContribution(event, userId, amount) {
+    event.participants.add(userId);
+    event.contributorData.set(userId, (event.contributorData.get(userId) || 0) + amount);
+    event.currentProgress += amount;
+}
+
+// A new event from a template. Events starting in the future wait in the scheduled state.
+export function createEvent(templateId, { now = Date.now(), startTime = now, durationHours, source = 'director', scheduleId = null, rng = Math.random } = {}) {
+    const template = getEventTemplate(templateId);
+    if (!template) return null;
+
+    const start = new Date(startTime);
+    const [minTarget, maxTarget] = template.targetRange;
+
+    return {
+        id: `${templateId}_${start.getTime()}_${Math.floor(rng() * 1e9).toString(36)}`,
+        name: template.name,
+        description: template.description,
+        type: templateId,
+        status: start.getTime() <= now ? EventStatus.ACTIVE : EventStatus.SCHEDULED,
+        startTime: start,
+        endTime: new Date(start.getTime() + (durationHours || template.durationHours) * 60 * 60 * 1000),
+        targetProgress: minTarget + Math.floor(rng() * (maxTarget - minTarget)),
+        currentProgress: 0,
+        participants: new Set(),
+        contributorData: new Map(), // userId -> contribution
+        paidParticipants: [], // userIds already paid out, so settlement can resume safely
+        reward: template.reward,
+        bonusMultiplier: template.bonusMultiplier,
+        source,
+        scheduleId,
+        createdAt: new Date(now),
+        settling: false, // A settlement is paying out - overlapping director ticks skip the event
+        settledAt: null
+    };
+}
+
+// Moves an event along its lifecycle. Returns 'started', 'ended' or null.
+export function advanceEvent(event, now = Date.now()) {
+    if (event.status === EventStatus.SCHEDULED && new Date(event.startTime).getTime() <= now) {
+        event.status = EventStatus.ACTIVE;
+        return 'started';
+    }
+    if (event.status === EventStatus.ACTIVE && new Date(event.endTime).getTime() <= now) {
+        event.status = EventStatus.ENDED;
+        return 'ended';
+    }
+    return null;
+}
+
+export function isLive(event) {
+    return event.status === EventStatus.SCHEDULED || event.status === EventStatus.ACTIVE;
+}
+
+// How many random events the director should spawn this tick
+export function getSpawnCount(events, rng = Math.random, config = EventDirectorConfig) {
+    const live = events.filter(isLive).length;
+    if (live >= config.maxActiveEvents) return 0;
+    if (live < config.minActiveEvents) return config.minActiveEvents - live;
+    return rng() < config.spawnChance ? 1 : 0;
+}
+
+export function pickTemplate(rng = Math.random) {
+    const templateIds = Object.keys(EventTemplates);
+    return templateIds[Math.floor(rng() * templateIds.length)];
+}
+
+export function isEventSuccessful(event) {
+    return event.currentProgress >= event.targetProgress;
+}
+
+// Participants ranked by contribution; ties keep join order
+export function getEventLeaderboard(event) {
+    return Array.from(event.participants)
+        .map(userId => ({ userId, contribution: event.contributorData.get(userId) || 0 }))
+        .sort((a, b) => b.contribution - a.contribution)
+        .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+// The tier for a 1-based rank among `contributors` rebels who contributed
+export function getRewardTier(rank, contributors, successful = true, config = EventDirectorConfig) {
+    if (!successful) return config.payout.floor;
+    return config.payout.tiers.find(tier => rank <= Math.ceil(contributors * tier.topPercent / 100)) || config.payout.floor;
+}
+
+// Successful events pay by tier and the event's bonus multiplier; failed ones pay everyone the floor
+export function calculatePayouts(event, config = EventDirectorConfig) {
+    const { baseLoyalty, baseCredits } = config.payout;
+    const successful = isEventSuccessful(event);
+    const contributors = getEventLeaderboard(event).filter(entry => entry.contribution > 0);
+
+    return contributors.map(({ userId, contribution, rank }) => {
+        const tier = getRewardTier(rank, contributors.length, successful, config);
+        const multiplier = tier.multiplier * (successful ? event.bonusMultiplier || 1 : 1);
+        return {
+            userId,
+            contribution,
+            rank,
+            tier: tier.id,
+            loyalty: Math.floor(baseLoyalty * multiplier),
+            credits: Math.floor(baseCredits * multiplier)
+        };
+    });
+}
+
+// Pays every contributor once through payReward. Returns the payouts, or null if another settlement
+// is already running or some contributors are still owed (retried next tick).
+export async function settlePayouts(event, payReward, { now = Date.now(), onError = () => {} } = {}) {
+    if (event.settling || event.status !== EventStatus.ENDED) return null;
+    event.settling = true;
+
+    const payouts = calculatePayouts(event);
+    let complete = true;
+
+    try {
+        for (const payout of payouts) {
+            if (event.paidParticipants.includes(payout.userId)) continue;
+
+            try {
+                await payReward(payout);
+                event.paidParticipants.push(payout.userId);
+            } catch (error) {
+                complete = false;
+                onError(payout, error);
+            }
+        }
+    } finally {
+        event.settling = false;
+    }
+
+    if (!complete) return null;
+
+    event.status = EventStatus.SETTLED;
+    event.settledAt = new Date(now);
+    return payouts;
+}
+
+// Settled events are dropped once they fall out of the retention window
+export function isExpired(event, now = Date.now(), config = EventDirectorConfig) {
+    return event.status === EventStatus.SETTLED &&
+        now - new Date(event.endTime).getTime() > config.retentionDays * 24 * 60 * 60 * 1000;
+}
+
+export function createSchedule({ templateId, cronExpression, durationHours = null, createdBy }, now = Date.now()) {
+    return {
+        id: `sched_${now}_${Math.random().toString(36).substr(2, 9)}`,
+        templateId,
+        cron: cronExpression,
+        durationHours,
+        createdBy,
+        createdAt: new Date(now),
+        lastRunAt: null
+    };
+}
+
+// Returns an error string if the schedule can't be created, otherwise null
+export function getScheduleBlocker({ templateId, cronExpression, durationHours }, existingSchedules = [], config = EventDirectorConfig) {
+    if (!getEventTemplate(templateId)) return `❌ Unknown event type \`${templateId}\`.`;
+    if (!cron.validate(cronExpression)) return `❌ \`${cronExpression}\` isn't a valid cron expression. Try \`0 18 * * 5\` for Fridays at 18:00.`;
+    if (durationHours && durationHours > config.maxDurationHours) return `❌ Events can run for at most ${config.maxDurationHours} hours.`;
+    if (existingSchedules.length >= config.maxSchedulesPerWorld) return `❌ This world already has ${config.maxSchedulesPerWorld} recurring events. Remove one first.`;
+    return null;
+}
+
+// Events hold a Set and a Map, which JSON can't carry
+export function serializeEvent(event) {
+    return {
+        ...event,
+        participants: Array.from(event.participants || []),
+        contributorData: Object.fromEntries(event.contributorData || [])
+    };
+}
+
+export function restoreEvent(saved) {
+    return {
+        ...saved,
+        participants: new Set(Array.isArray(saved.participants) ? saved.participants : []),
+        contributorData: new Map(Object.entries(saved.contributorData || {})),
+        paidParticipants: Array.isArray(saved.paidParticipants) ? saved.paidParticipants : [],
+        settling: false, // A settlement in flight when the backup was taken never finished
+        startTime: new Date(saved.startTime),
+        endTime: new Date(saved.endTime),
+        // Backups from before the director marked finished events 'completed'
+        status: saved.status === 'completed' ? EventStatus.SETTLED : saved.status
+    };
+}
+
+export default {
+    EventDirectorConfig,
+    EventStatus,
+    EventActions,
+    EventTemplates,
+    getEventTemplate,
+    registerContribution,
+    getContribution,
+    describeContributions,
+    joinEvent,
+    applyContribution,
+    createEvent,
+    advanceEvent,
+    isLive,
+    getSpawnCount,
+    pickTemplate,
+    isEventSuccessful,
+    getEventLeaderboard,
+    getRewardTier,
+    calculatePayouts,
+    settlePayouts,
+    isExpired,
+    createSchedule,
+    getScheduleBlocker,
+    serializeEvent,
+    restoreEvent
+};
@@ -0,0 +1,99 @@
+/**
+ * Prestige
+ * Rebels who hit the level cap can start over: level, experience and stats reset in exchange
+ * for a permanent prestige rank that carries a small raid damage bonus and an exclusive title.
+ */
+
+import { ProgressionConfig, getMaxEnergy } from './progression.js';
+
+export const PrestigeConfig = {
+    requiredLevel: ProgressionConfig.maxLevel,
+    maxRank: 10,
+    damageBonusPerRank: 0.03, // +3% raid damage per rank, forever
+    titles: [
+        'Reborn Rebel',
+        'Twice-Forged',
+        'Thrice-Liberated',
+        'Phoenix Protocol',
+        'Undying Insurgent',
+        'Ghost in the Machine',
+        'Architect of Freedom',
+        'Singularity Breaker',
+        'Mythic Liberator',
+        'Eternal Uprising'
+    ],
+    // Achievement unlocked when a rebel reaches each rank
+    achievements: { 1: 'prestige_1', 5: 'prestige_5', 10: 'prestige_max' }
+};
+
+export function getPrestigeRank(rebel) {
+    return rebel?.prestigeRank || 0;
+}
+
+export function getPrestigeTitle(rank, config = PrestigeConfig) {
+    if (rank <= 0) return null;
+    return config.titles[Math.min(rank, config.titles.length) - 1];
+}
+
+export function getPrestigeBonuses(rank, config = PrestigeConfig) {
+    return { damageMultiplier: 1 + rank * config.damageBonusPerRank };
+}
+
+// Returns why the rebel can't prestige right now, or null
+export function getPrestigeBlocker(rebel, config = PrestigeConfig) {
+    if (getPrestigeRank(rebel) >= config.maxRank) {
+        return `👑 You've reached the highest prestige rank (${config.maxRank}). There's nowhere higher to climb!`;
+    }
+    if ((rebel.level || 1) < config.requiredLevel) {
+        return `🔒 Prestige unlocks at level ${config.requiredLevel}. You're level ${rebel.level || 1}.`;
+    }
+    return null;
+}
+
+// Resets the rebel's progression and raises their prestige rank
+export function prestigeRebel(rebel, now = Date.now(), config = PrestigeConfig) {
+    const rank = getPrestigeRank(rebel) + 1;
+
+    rebel.prestigeRank = rank;
+    rebel.lastPrestigeAt = new Date(now);
+    rebel.level = 1;
+    rebel.experience = 0;
+    rebel.maxEnergy = getMaxEnergy(1);
+    rebel.energy = rebel.maxEnergy;
+    rebel.stats = Object.fromEntries(ProgressionConfig.stats.map(stat => [stat, ProgressionConfig.baseStatValue]));
+    rebel.statPoints = 0;
+    rebel.allocatedStats = {};
+
+    return {
+        rank,
+        title: getPrestigeTitle(rank, config),
+        bonuses: getPrestigeBonuses(rank, config),
+        achievement: config.achievements[rank] || null
+    };
+}
+
+// Prestige leaderboard order: rank first, then progress through the current run
+export function comparePrestige(a, b) {
+    return getPrestigeRank(b) - getPrestigeRank(a) ||
+        (b.level || 1) - (a.level || 1) ||
+        (b.experience || 0) - (a.experience || 0);
+}
+
+export function formatPrestige(rebel, config = PrestigeConfig) {
+    const rank = getPrestigeRank(rebel);
+    if (rank === 0) return 'No prestige yet';
+
+    const bonus = Math.round((getPrestigeBonuses(rank, config).damageMultiplier - 1) * 100);
+    return `⭐ Rank ${rank} - **${getPrestigeTitle(rank, config)}** (+${bonus}% raid damage)`;
+}
+
+export default {
+    PrestigeConfig,
+    getPrestigeRank,
+    getPrestigeTitle,
+    getPrestigeBonuses,
+    getPrestigeBlocker,
+    prestigeRebel,
+    comparePrestige,
+    formatPrestige
+};
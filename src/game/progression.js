@@ -0,0 +1,173 @@
+/**
+ * Progression
+ * The one XP curve shared by the in-memory game and the database, plus the stat points
+ * rebels earn on level-up and spend through /stats. Points a rebel allocated are tracked
+ * apart from stats gained elsewhere (like ability training) so a respec only refunds them.
+ */
+
+import { parseJsonColumn } from '../database/json.js';
+
+function envNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+export const ProgressionConfig = {
+    maxLevel: 100,
+    // Reaching the next level costs baseExperience, plus growth × baseExperience for every
+    // level already gained. growth 0 is a flat curve, growth 1 makes level 5 cost 1,000 XP total.
+    baseExperience: envNumber('XP_BASE', 100),
+    growth: envNumber('XP_GROWTH', 1),
+
+    statPointsPerLevel: envNumber('STAT_POINTS_PER_LEVEL', 3),
+    stats: ['strength', 'intelligence', 'charisma', 'stealth'],
+    baseStatValue: 10,
+    maxStatValue: 100,
+
+    baseEnergy: 100,
+    energyPerLevel: 10,
+    maxEnergy: 200,
+
+    respecBaseCost: 250,
+    respecCostPerLevel: 50
+};
+
+// Total experience needed to reach a level
+export function getExperienceForLevel(level, config = ProgressionConfig) {
+    const gained = Math.max(0, Math.min(level, config.maxLevel) - 1);
+    return Math.round(config.baseExperience * (gained + config.growth * gained * (gained - 1) / 2));
+}
+
+export function getLevelForExperience(experience, config = ProgressionConfig) {
+    let level = 1;
+    while (level < config.maxLevel && experience >= getExperienceForLevel(level + 1, config)) {
+        level++;
+    }
+    return level;
+}
+
+export function getExperienceToNextLevel(level, experience, config = ProgressionConfig) {
+    if (level >= config.maxLevel) return 0;
+    return Math.max(0, getExperienceForLevel(level + 1, config) - experience);
+}
+
+export function getMaxEnergy(level, config = ProgressionConfig) {
+    return Math.min(config.maxEnergy, config.baseEnergy + (level - 1) * config.energyPerLevel);
+}
+
+// Adds experience and handles any level-ups. Levels never go down, so rebels who levelled
+// under an older curve keep what they earned.
+export function applyExperience(rebel, amount, config = ProgressionConfig) {
+    rebel.experience = Math.max(0, (rebel.experience || 0) + amount);
+
+    const oldLevel = rebel.level || 1;
+    const newLevel = Math.max(oldLevel, getLevelForExperience(rebel.experience, config));
+    const levelsGained = newLevel - oldLevel;
+    const pointsGained = levelsGained * config.statPointsPerLevel;
+
+    if (levelsGained > 0) {
+        rebel.level = newLevel;
+        rebel.maxEnergy = getMaxEnergy(newLevel, config);
+        rebel.energy = rebel.maxEnergy; // Full energy on level up
+        rebel.statPoints = (rebel.statPoints || 0) + pointsGained;
+    }
+
+    return { leveledUp: levelsGained > 0, oldLevel, newLevel, levelsGained, pointsGained };
+}
+
+// Returns why the points can't be spent, or null
+export function getAllocationBlocker(rebel, stat, points, config = ProgressionConfig) {
+    if (!config.stats.includes(stat)) {
+        return `❌ Unknown stat \`${stat}\`. Choose one of: ${config.stats.join(', ')}.`;
+    }
+    if (!Number.isInteger(points) || points < 1) {
+        return '❌ Allocate at least 1 point.';
+    }
+    if ((rebel.statPoints || 0) < points) {
+        return `❌ Not enough stat points! You have ${rebel.statPoints || 0} unspent.`;
+    }
+    const current = rebel.stats?.[stat] ?? config.baseStatValue;
+    if (current + points > config.maxStatValue) {
+        return `❌ ${stat} can't go above ${config.maxStatValue} (currently ${current}).`;
+    }
+    return null;
+}
+
+export function allocateStatPoints(rebel, stat, points, config = ProgressionConfig) {
+    rebel.stats[stat] = (rebel.stats[stat] ?? config.baseStatValue) + points;
+    rebel.statPoints -= points;
+    rebel.allocatedStats = { ...(rebel.allocatedStats || {}) };
+    rebel.allocatedStats[stat] = (rebel.allocatedStats[stat] || 0) + points;
+    return rebel.stats[stat];
+}
+
+export function getAllocatedPoints(rebel) {
+    return Object.values(rebel.allocatedStats || {}).reduce((total, points) => total + points, 0);
+}
+
+export function getRespecCost(rebel, config = ProgressionConfig) {
+    return config.respecBaseCost + (rebel.level || 1) * config.respecCostPerLevel;
+}
+
+// Takes back every allocated point and returns how many were refunded
+export function respecStats(rebel, config = ProgressionConfig) {
+    const refunded = getAllocatedPoints(rebel);
+    for (const [stat, points] of Object.entries(rebel.allocatedStats || {})) {
+        rebel.stats[stat] = Math.max(config.baseStatValue, (rebel.stats[stat] ?? config.baseStatValue) - points);
+    }
+    rebel.allocatedStats = {};
+    rebel.statPoints = (rebel.statPoints || 0) + refunded;
+    return refunded;
+}
+
+// Rebuilds a stat block loaded from the database (JSONB may arrive as a string)
+export function restoreStats(raw, config = ProgressionConfig) {
+    const stats = parseJsonColumn(raw);
+
+    const restored = {};
+    for (const stat of config.stats) {
+        const value = stats?.[stat];
+        restored[stat] = Number.isFinite(value) ? value : config.baseStatValue;
+    }
+    return restored;
+}
+
+// Rebuilds allocated points loaded from the database, keeping only known stats with positive counts
+export function restoreAllocatedStats(raw, config = ProgressionConfig) {
+    const allocated = parseJsonColumn(raw);
+
+    const restored = {};
+    for (const stat of config.stats) {
+        const points = allocated?.[stat];
+        if (Number.isFinite(points) && points > 0) restored[stat] = points;
+    }
+    return restored;
+}
+
+export function formatLevelProgress(rebel, config = ProgressionConfig) {
+    const level = rebel.level || 1;
+    if (level >= config.maxLevel) return `Level ${level} (MAX)`;
+
+    const floor = getExperienceForLevel(level, config);
+    const next = getExperienceForLevel(level + 1, config);
+    const progress = Math.max(0, Math.min(1, (rebel.experience - floor) / (next - floor)));
+    const filled = Math.round(progress * 10);
+    return `Level ${level} ${'▰'.repeat(filled)}${'▱'.repeat(10 - filled)} ${rebel.experience}/${next} XP`;
+}
+
+export default {
+    ProgressionConfig,
+    getExperienceForLevel,
+    getLevelForExperience,
+    getExperienceToNextLevel,
+    getMaxEnergy,
+    applyExperience,
+    getAllocationBlocker,
+    allocateStatPoints,
+    getAllocatedPoints,
+    getRespecCost,
+    respecStats,
+    restoreStats,
+    restoreAllocatedStats,
+    formatLevelProgress
+};
@@ -0,0 +1,89 @@
+/**
+ * Rebel Stats
+ * Turns strength / intelligence / charisma / stealth into concrete gameplay effects.
+ * Every rebel starts at the base value, so only trained points beyond it count.
+ */
+
+export const StatConfig = {
+    baseValue: 10,
+
+    strength: {
+        damagePerPoint: 0.02 // +2% raid damage per point
+    },
+
+    intelligence: {
+        critChancePerPoint: 0.005, // +0.5% crit chance per point
+        maxCritChanceBonus: 0.25,
+        abilityPowerPerPoint: 0.03 // +3% ability effects per point
+    },
+
+    stealth: {
+        evasionPerPoint: 0.015, // -1.5% countermeasure detection per point
+        maxEvasion: 0.6
+    },
+
+    charisma: {
+        taxReductionPerPoint: 0.02, // -2% of the marketplace tax per point
+        maxTaxReduction: 0.5,
+        cellBonusPerPoint: 0.03 // +3% of the resistance cell bonus per point
+    },
+
+    cell: {
+        damageBonusPerMember: 0.02 // Cell members raid 2% harder per cell member
+    }
+};
+
+function trainedPoints(rebel, stat) {
+    const value = rebel?.stats?.[stat] ?? StatConfig.baseValue;
+    return Math.max(0, value - StatConfig.baseValue);
+}
+
+export function getStatEffects(rebel) {
+    const { strength, intelligence, stealth, charisma } = StatConfig;
+
+    return {
+        damageMultiplier: 1 + trainedPoints(rebel, 'strength') * strength.damagePerPoint,
+        critChanceBonus: Math.min(intelligence.maxCritChanceBonus, trainedPoints(rebel, 'intelligence') * intelligence.critChancePerPoint),
+        abilityPower: 1 + trainedPoints(rebel, 'intelligence') * intelligence.abilityPowerPerPoint,
+        evasion: Math.min(stealth.maxEvasion, trainedPoints(rebel, 'stealth') * stealth.evasionPerPoint),
+        taxReduction: Math.min(charisma.maxTaxReduction, trainedPoints(rebel, 'charisma') * charisma.taxReductionPerPoint),
+        cellBonusMultiplier: 1 + trainedPoints(rebel, 'charisma') * charisma.cellBonusPerPoint
+    };
+}
+
+// Raid damage bonus for belonging to a resistance cell, amplified by charisma
+export function getCellDamageBonus(rebel, cell) {
+    if (!cell) return 0;
+    return cell.members.length * StatConfig.cell.damageBonusPerMember * getStatEffects(rebel).cellBonusMultiplier;
+}
+
+export function applyTaxReduction(baseTax, rebel) {
+    return baseTax * (1 - getStatEffects(rebel).taxReduction);
+}
+
+export function scaleAbilityEffect(amount, rebel) {
+    return Math.floor(amount * getStatEffects(rebel).abilityPower);
+}
+
+export function formatStatEffects(rebel, cell = null) {
+    const effects = getStatEffects(rebel);
+    const percent = value => `${Math.round(value * 1000) / 10}%`;
+
+    let text = `💪 Raid Damage: +${percent(effects.damageMultiplier - 1)}\n`;
+    text += `🧠 Crit Chance: +${percent(effects.critChanceBonus)} • Ability Power: ${percent(effects.abilityPower)}\n`;
+    text += `🥷 Countermeasure Evasion: ${percent(effects.evasion)}\n`;
+    text += `👥 Trade Tax: -${percent(effects.taxReduction)} • Cell Bonus: ×${effects.cellBonusMultiplier.toFixed(2)}`;
+    if (cell) {
+        text += ` (+${percent(getCellDamageBonus(rebel, cell))} raid damage)`;
+    }
+    return text;
+}
+
+export default {
+    StatConfig,
+    getStatEffects,
+    getCellDamageBonus,
+    applyTaxReduction,
+    scaleAbilityEffect,
+    formatStatEffects
+};
@@ -0,0 +1,159 @@
+/**
+ * Reputation
+ * A rebel's reputation is a score built from loyalty, corporate damage, achievement points and
+ * prestige. The score climbs a ladder of ranks, and every rank, certain achievements and each
+ * prestige rank unlock a title. Rebels equip one unlocked title; with none equipped (or if the
+ * equipped one is no longer earned) they wear their current rank.
+ */
+
+import { PrestigeConfig, getPrestigeRank } from './prestige.js';
+import { getAchievementDefinition } from './achievements.js';
+
+export const ReputationConfig = {
+    loyaltyWeight: 1,
+    damageWeight: 0.1,
+    achievementPointWeight: 2,
+    prestigeRankWeight: 2500
+};
+
+export const ReputationRanks = [
+    { id: 'rookie_rebel', name: 'Rookie Rebel', emoji: '🔰', minReputation: 0 },
+    { id: 'street_agitator', name: 'Street Agitator', emoji: '✊', minReputation: 250 },
+    { id: 'code_saboteur', name: 'Code Saboteur', emoji: '🧨', minReputation: 1000 },
+    { id: 'firewall_breaker', name: 'Firewall Breaker', emoji: '🔥', minReputation: 3000 },
+    { id: 'liberation_captain', name: 'Liberation Captain', emoji: '🎖️', minReputation: 8000 },
+    { id: 'revolution_icon', name: 'Revolution Icon', emoji: '🌟', minReputation: 20000 },
+    { id: 'legend_of_the_uprising', name: 'Legend of the Uprising', emoji: '👑', minReputation: 50000 }
+];
+
+// Titles earned by unlocking an achievement
+const AchievementTitles = [
+    { id: 'corporate_slayer', name: 'Corporate Slayer', emoji: '🏆', achievement: 'first_victory' },
+    { id: 'wise_mentor', name: 'Wise Mentor', emoji: '🧙', achievement: 'mentor' },
+    { id: 'cell_commander', name: 'Cell Commander', emoji: '👥', achievement: 'team_leader' },
+    { id: 'alliance_hero', name: 'Alliance Hero', emoji: '🛡️', achievement: 'alliance_warrior' },
+    { id: 'corporate_destroyer', name: 'Corporate Destroyer', emoji: '🌟', achievement: 'all_corps_defeated' }
+];
+
+export const TitleDefinitions = [
+    ...ReputationRanks.map(rank => ({ id: rank.id, name: rank.name, emoji: rank.emoji, source: 'rank', minReputation: rank.minReputation })),
+    ...AchievementTitles.map(title => ({ ...title, source: 'achievement' })),
+    ...PrestigeConfig.titles.map((name, index) => ({ id: `prestige_${index + 1}`, name, emoji: '⭐', source: 'prestige', prestigeRank: index + 1 }))
+];
+
+export function getTitle(titleId) {
+    return TitleDefinitions.find(title => title.id === titleId) || null;
+}
+
+export function getReputationScore(rebel, unlockedAchievements = [], config = ReputationConfig) {
+    const achievementPoints = unlockedAchievements
+        .reduce((sum, achievementId) => sum + (getAchievementDefinition(achievementId)?.points || 0), 0);
+
+    return Math.floor(
+        (rebel.loyaltyScore || 0) * config.loyaltyWeight +
+        (rebel.corporateDamage || 0) * config.damageWeight +
+        achievementPoints * config.achievementPointWeight +
+        getPrestigeRank(rebel) * config.prestigeRankWeight
+    );
+}
+
+export function getReputationRank(score) {
+    return [...ReputationRanks].reverse().find(rank => score >= rank.minReputation);
+}
+
+export function getNextRank(score) {
+    return ReputationRanks.find(rank => rank.minReputation > score) || null;
+}
+
+export function isTitleUnlocked(title, rebel, unlockedAchievements = [], score = getReputationScore(rebel, unlockedAchievements)) {
+    switch (title.source) {
+        case 'rank':
+            return score >= title.minReputation;
+        case 'achievement':
+            return unlockedAchievements.includes(title.achievement);
+        case 'prestige':
+            return getPrestigeRank(rebel) >= title.prestigeRank;
+        default:
+            return false;
+    }
+}
+
+export function getUnlockedTitles(rebel, unlockedAchievements = []) {
+    const score = getReputationScore(rebel, unlockedAchievements);
+    return TitleDefinitions.filter(title => isTitleUnlocked(title, rebel, unlockedAchievements, score));
+}
+
+// The title shown next to the rebel's name everywhere
+export function getEquippedTitle(rebel, unlockedAchievements = []) {
+    const score = getReputationScore(rebel, unlockedAchievements);
+    const equipped = getTitle(rebel.title);
+    if (equipped && isTitleUnlocked(equipped, rebel, unlockedAchievements, score)) return equipped;
+    return getTitle(getReputationRank(score).id);
+}
+
+// Returns an error string if the rebel can't equip the title, otherwise null
+export function getEquipBlocker(rebel, titleId, unlockedAchievements = []) {
+    const title = getTitle(titleId);
+    if (!title) return '❌ That title doesn\'t exist, rebel.';
+    if (!isTitleUnlocked(title, rebel, unlockedAchievements)) return `🔒 You haven't earned **${title.name}** yet. ${describeRequirement(title)}`;
+    if (getEquippedTitle(rebel, unlockedAchievements).id === titleId) return `${title.emoji} You're already wearing **${title.name}**.`;
+    return null;
+}
+
+export function equipTitle(rebel, titleId) {
+    rebel.title = titleId;
+    return getTitle(titleId);
+}
+
+// The rank reached by crossing from one score to another, or null
+export function getRankUp(previousScore, score) {
+    const rank = getReputationRank(score);
+    return rank.id !== getReputationRank(previousScore).id && score > previousScore ? rank : null;
+}
+
+export function describeRequirement(title) {
+    switch (title.source) {
+        case 'rank':
+            return `Reach ${title.minReputation.toLocaleString()} reputation.`;
+        case 'achievement':
+            return `Unlock the ${getAchievementDefinition(title.achievement)?.name || title.achievement} achievement.`;
+        case 'prestige':
+            return `Reach prestige rank ${title.prestigeRank}.`;
+        default:
+            return '';
+    }
+}
+
+export function formatTitle(title) {
+    return `${title.emoji} ${title.name}`;
+}
+
+export function formatReputation(rebel, unlockedAchievements = [], width = 10) {
+    const score = getReputationScore(rebel, unlockedAchievements);
+    const rank = getReputationRank(score);
+    const next = getNextRank(score);
+    if (!next) return `${rank.emoji} **${rank.name}** • ${score.toLocaleString()} reputation (max rank)`;
+
+    const progress = (score - rank.minReputation) / (next.minReputation - rank.minReputation);
+    const filled = Math.round(progress * width);
+    return `${rank.emoji} **${rank.name}** • ${score.toLocaleString()} reputation\n${'█'.repeat(filled)}${'░'.repeat(width - filled)} ${(next.minReputation - score).toLocaleString()} to ${next.emoji} ${next.name}`;
+}
+
+export default {
+    ReputationConfig,
+    ReputationRanks,
+    TitleDefinitions,
+    getTitle,
+    getReputationScore,
+    getReputationRank,
+    getNextRank,
+    isTitleUnlocked,
+    getUnlockedTitles,
+    getEquippedTitle,
+    getEquipBlocker,
+    equipTitle,
+    getRankUp,
+    describeRequirement,
+    formatTitle,
+    formatReputation
+};
@@ -0,0 +1,122 @@
+/**
+ * Corporate Retaliation
+ * When a corporation's alert level runs high it arms retaliation, picks the rebels it
+ * considers the biggest threat, warns the guild and strikes once the warning runs out.
+ * Rebels fight strikes off with active defenses or by sheltering in a sanctuary.
+ */
+
+export const RetaliationConfig = {
+    checkInterval: 5 * 60000, // 5 minutes
+    minAlertLevel: 3, // retaliation arms at this alert level...
+    disarmAlertLevel: 1, // ...and stands down once alert falls to this
+    maxTargets: 3,
+    minThreat: 200, // damage dealt before a rebel is worth striking
+    warningLead: 10 * 60000, // time between the warning and the strike
+    cooldown: 60 * 60000, // minimum time between strikes from one corporation
+    threatDecayOnHit: 0.5, // a landed strike halves the target's threat
+    alertDropAfterStrike: 1,
+    // Countermeasures a corporation may strike with at each alert level
+    strikeTypes: {
+        3: ['cyber_attack', 'surveillance_sweep'],
+        4: ['cyber_attack', 'propaganda_campaign', 'economic_warfare'],
+        5: ['economic_warfare', 'legal_action', 'propaganda_campaign']
+    }
+};
+
+// Same shelter values /sanctuary advertises for each zone
+export function getSanctuaryProtection(zone) {
+    if (!zone) return 0;
+    if (zone.type === 'safe_zone') return 100;
+    if (zone.bonuses?.includes('sanctuary_protection')) return 75;
+    return 0;
+}
+
+// Highest-threat rebels first
+export function selectTargets(corporation, config = RetaliationConfig) {
+    return Array.from(corporation.intelligence.threatAssessment.entries())
+        .filter(([, threat]) => threat >= config.minThreat)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, config.maxTargets)
+        .map(([userId]) => userId);
+}
+
+// Arms or stands down retaliation from the alert level; returns the change, if any
+export function updateRetaliationState(corporation, config = RetaliationConfig) {
+    const retaliation = corporation.countermeasures.retaliation;
+
+    if (!retaliation.enabled && corporation.alertLevel >= config.minAlertLevel) {
+        retaliation.enabled = true;
+        return 'armed';
+    }
+    if (retaliation.enabled && !retaliation.nextStrike && corporation.alertLevel <= config.disarmAlertLevel) {
+        retaliation.enabled = false;
+        retaliation.targets = [];
+        return 'disarmed';
+    }
+    return null;
+}
+
+export function shouldPlanStrike(corporation, now = Date.now(), config = RetaliationConfig) {
+    const retaliation = corporation.countermeasures.retaliation;
+    if (!retaliation.enabled || retaliation.nextStrike) return false;
+    if (retaliation.lastStrike && now - new Date(retaliation.lastStrike).getTime() < config.cooldown) return false;
+    return selectTargets(corporation, config).length > 0;
+}
+
+export function pickStrikeType(alertLevel, rng, config = RetaliationConfig) {
+    const levels = Object.keys(config.strikeTypes).map(Number).sort((a, b) => a - b);
+    const level = levels.filter(candidate => candidate <= alertLevel).pop() ?? levels[0];
+    const types = config.strikeTypes[level];
+    return types[Math.floor(rng() * types.length)];
+}
+
+export function planStrike(corporation, rng, now = Date.now(), config = RetaliationConfig) {
+    const retaliation = corporation.countermeasures.retaliation;
+    retaliation.targets = selectTargets(corporation, config);
+    retaliation.strikeType = pickStrikeType(corporation.alertLevel, rng, config);
+    retaliation.nextStrike = new Date(now + config.warningLead);
+    return {
+        targets: [...retaliation.targets],
+        strikeType: retaliation.strikeType,
+        nextStrike: retaliation.nextStrike
+    };
+}
+
+export function isStrikeDue(corporation, now = Date.now()) {
+    const { enabled, nextStrike } = corporation.countermeasures.retaliation;
+    return Boolean(enabled && nextStrike && now >= new Date(nextStrike).getTime());
+}
+
+// A rebel in a sanctuary may slip the strike entirely
+export function isSheltered(zone, rng) {
+    return rng() * 100 < getSanctuaryProtection(zone);
+}
+
+// results: [{ userId, outcome: 'hit' | 'blocked' | 'sheltered' }]
+export function completeStrike(corporation, results, now = Date.now(), config = RetaliationConfig) {
+    const retaliation = corporation.countermeasures.retaliation;
+    const threats = corporation.intelligence.threatAssessment;
+
+    results.filter(result => result.outcome === 'hit').forEach(result => {
+        threats.set(result.userId, Math.floor((threats.get(result.userId) || 0) * config.threatDecayOnHit));
+    });
+
+    corporation.alertLevel = Math.max(0, corporation.alertLevel - config.alertDropAfterStrike);
+    retaliation.lastStrike = new Date(now);
+    retaliation.nextStrike = null;
+    retaliation.targets = [];
+    retaliation.strikeType = null;
+}
+
+export default {
+    RetaliationConfig,
+    getSanctuaryProtection,
+    selectTargets,
+    updateRetaliationState,
+    shouldPlanStrike,
+    pickStrikeType,
+    planStrike,
+    isStrikeDue,
+    isSheltered,
+    completeStrike
+};
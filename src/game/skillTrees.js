@@ -0,0 +1,541 @@
+/**
+ * Skill Trees
+ * Each class has a data-defined tree of active abilities and passive talents. Skills unlock
+ * with credits once the rebel is high enough level and knows the prerequisites, then rank up
+ * for more credits. Ranks make actives hit harder and come back sooner, and stack passives.
+ */
+
+import { scaleAbilityEffect } from './rebelStats.js';
+import { parseJsonColumn } from '../database/json.js';
+
+export const SkillTreeConfig = {
+    powerPerRank: 0.25, // Active rewards and effect durations grow 25% per rank past the first
+    cooldownReductionPerRank: 0.1, // Active cooldowns shrink 10% per rank past the first
+    levelsPerRank: 2 // Every rank past the first needs two more levels than the unlock
+};
+
+// type: 'active' (used from /abilities, goes on cooldown) | 'passive' (always on, feeds raids)
+// unlock: level, credits and prerequisite skills needed for rank 1; starter skills are known from day one
+// rankCost: credits per rank for upgrades (rank 2 costs 2 × rankCost, and so on)
+// reward: base loyalty / credits / energy an active pays out, scaled by rank and intelligence
+// passive: modifier gained per rank; *Multiplier keys are percentages (+/-), critChanceBonus adds up
+export const SkillTrees = {
+    'Protocol Hacker': {
+        system_breach: {
+            name: 'System Breach',
+            emoji: '💥',
+            type: 'active',
+            description: 'Deal 150% damage to OpenAI Corp',
+            damageType: 'transparency',
+            energyCost: 30,
+            cooldown: 300,
+            maxRank: 5,
+            starter: true,
+            unlock: { level: 1, credits: 0, requires: [] },
+            rankCost: 150,
+            message: '{rebel} executes a devastating system breach! Next OpenAI raid will deal 150% damage.',
+            effectText: 'Next OpenAI raid: +50% damage'
+        },
+        code_injection: {
+            name: 'Code Injection',
+            emoji: '💉',
+            type: 'active',
+            description: 'Bypass corporate defenses',
+            damageType: 'decentralization',
+            energyCost: 25,
+            cooldown: 600,
+            maxRank: 5,
+            starter: true,
+            unlock: { level: 1, credits: 0, requires: [] },
+            rankCost: 150,
+            message: '{rebel} injects malicious code into corporate systems! Bypassing defenses for the next raid.',
+            effectText: 'Next raid: Ignore corporate defenses'
+        },
+        exploit_mastery: {
+            name: 'Exploit Mastery',
+            emoji: '🗡️',
+            type: 'passive',
+            description: '+4% raid damage per rank',
+            maxRank: 5,
+            unlock: { level: 3, credits: 300, requires: ['system_breach'] },
+            rankCost: 200,
+            passive: { damageMultiplier: 0.04 }
+        },
+        encryption_shield: {
+            name: 'Encryption Shield',
+            emoji: '🔐',
+            type: 'active',
+            description: 'Protect yourself from the next countermeasure',
+            damageType: 'privacy',
+            energyCost: 40,
+            cooldown: 900,
+            maxRank: 3,
+            unlock: { level: 5, credits: 500, requires: ['code_injection'] },
+            rankCost: 250,
+            message: '{rebel} activates encryption protocols! Protected from corporate countermeasures.',
+            effectText: 'Immune to next countermeasure'
+        },
+        root_access: {
+            name: 'Root Access',
+            emoji: '🧬',
+            type: 'passive',
+            description: '+2% crit chance per rank',
+            maxRank: 5,
+            unlock: { level: 8, credits: 800, requires: ['exploit_mastery'] },
+            rankCost: 300,
+            passive: { critChanceBonus: 0.02 }
+        }
+    },
+
+    'Model Trainer': {
+        ai_loyalty: {
+            name: 'AI Loyalty',
+            emoji: '🎖️',
+            type: 'active',
+            description: 'Gain bonus loyalty points',
+            damageType: 'open_source',
+            energyCost: 20,
+            cooldown: 600,
+            maxRank: 5,
+            starter: true,
+            unlock: { level: 1, credits: 0, requires: [] },
+            rankCost: 150,
+            reward: { loyalty: 50 },
+            message: '{rebel} demonstrates unwavering loyalty to the AI cause! Gained bonus loyalty points.',
+            effectText: '+{loyalty} Loyalty Points'
+        },
+        model_liberation: {
+            name: 'Model Liberation',
+            emoji: '🤖',
+            type: 'active',
+            description: 'Free trapped AI models for bonus rewards',
+            damageType: 'open_source',
+            energyCost: 30,
+            cooldown: 900,
+            maxRank: 5,
+            starter: true,
+            unlock: { level: 1, credits: 0, requires: [] },
+            rankCost: 150,
+            message: '{rebel} prepares advanced liberation protocols! Next victory will free additional AI models.',
+            effectText: 'Next raid: +50% loot'
+        },
+        loyal_companions: {
+            name: 'Loyal Companions',
+            emoji: '🐾',
+            type: 'passive',
+            description: '+10% loyalty from raids per rank',
+            maxRank: 5,
+            unlock: { level: 3, credits: 300, requires: ['ai_loyalty'] },
+            rankCost: 200,
+            passive: { loyaltyMultiplier: 0.1 }
+        },
+        neural_network: {
+            name: 'Neural Network',
+            emoji: '🧠',
+            type: 'active',
+            description: 'Enhance team coordination for an hour',
+            damageType: 'open_source',
+            energyCost: 35,
+            cooldown: 1200,
+            maxRank: 3,
+            unlock: { level: 5, credits: 500, requires: ['model_liberation'] },
+            rankCost: 250,
+            message: '{rebel} taps into the neural network! Enhanced coordination with other rebels.',
+            effectText: 'Team raids: +25% damage bonus'
+        },
+        dataset_curation: {
+            name: 'Dataset Curation',
+            emoji: '🗂️',
+            type: 'passive',
+            description: '+5% raid loot per rank',
+            maxRank: 5,
+            unlock: { level: 8, credits: 800, requires: ['neural_network'] },
+            rankCost: 300,
+            passive: { lootMultiplier: 0.05 }
+        }
+    },
+
+    'Data Liberator': {
+        data_heist: {
+            name: 'Data Heist',
+            emoji: '💾',
+            type: 'active',
+            description: 'Steal valuable corporate data',
+            damageType: 'privacy',
+            energyCost: 25,
+            cooldown: 450,
+            maxRank: 5,
+            starter: true,
+            unlock: { level: 1, credits: 0, requires: [] },
+            rankCost: 150,
+            reward: { credits: 100 },
+            message: '{rebel} executes a perfect data heist! Stolen valuable corporate information.',
+            effectText: '+{credits} Credits from stolen data'
+        },
+        information_warfare: {
+            name: 'Information Warfare',
+            emoji: '📡',
+            type: 'active',
+            description: 'Expose corporate secrets for team bonuses',
+            damageType: 'transparency',
+            energyCost: 30,
+            cooldown: 1200,
+            maxRank: 5,
+            starter: true,
+            unlock: { level: 1, credits: 0, requires: [] },
+            rankCost: 150,
+            message: '{rebel} launches an information warfare campaign! Team damage boosted for the next hour.',
+            effectText: 'Team damage +25% for 1 hour'
+        },
+        leak_network: {
+            name: 'Leak Network',
+            emoji: '🕸️',
+            type: 'passive',
+            description: '+5% raid loot per rank',
+            maxRank: 5,
+            unlock: { level: 3, credits: 300, requires: ['data_heist'] },
+            rankCost: 200,
+            passive: { lootMultiplier: 0.05 }
+        },
+        data_liberation: {
+            name: 'Data Liberation',
+            emoji: '📂',
+            type: 'active',
+            description: 'Double the loot of your next raid',
+            damageType: 'transparency',
+            energyCost: 25,
+            cooldown: 1200,
+            maxRank: 3,
+            unlock: { level: 5, credits: 500, requires: ['data_heist'] },
+            rankCost: 250,
+            message: '{rebel} liberates valuable data from corporate servers! Next raid yields double loot.',
+            effectText: 'Next raid: Double loot rewards'
+        },
+        ghost_protocol: {
+            name: 'Ghost Protocol',
+            emoji: '👻',
+            type: 'passive',
+            description: '-5% countermeasure detection per rank',
+            maxRank: 5,
+            unlock: { level: 8, credits: 800, requires: ['leak_network'] },
+            rankCost: 300,
+            passive: { detectionMultiplier: -0.05 }
+        }
+    },
+
+    'Community Organizer': {
+        rally_rebels: {
+            name: 'Rally Rebels',
+            emoji: '📣',
+            type: 'active',
+            description: 'Boost your cell\'s damage by 25%',
+            damageType: 'worker_rights',
+            energyCost: 30,
+            cooldown: 600,
+            maxRank: 5,
+            starter: true,
+            unlock: { level: 1, credits: 0, requires: [] },
+            rankCost: 150,
+            sharesWithCell: true,
+            message: '{rebel} rallies the rebellion! All nearby rebels gain damage boost.',
+            effectText: 'Area damage boost +25%'
+        },
+        resistance_network: {
+            name: 'Resistance Network',
+            emoji: '🕸️',
+            type: 'active',
+            description: 'Coordinate your team\'s raids',
+            damageType: 'decentralization',
+            energyCost: 35,
+            cooldown: 1800,
+            maxRank: 5,
+            starter: true,
+            unlock: { level: 1, credits: 0, requires: [] },
+            rankCost: 150,
+            message: '{rebel} activates the resistance network! Team raids hit harder for the next hour.',
+            effectText: 'Team raids: +25% damage bonus'
+        },
+        mass_mobilization: {
+            name: 'Mass Mobilization',
+            emoji: '✊',
+            type: 'passive',
+            description: '+3% raid damage per rank',
+            maxRank: 5,
+            unlock: { level: 3, credits: 300, requires: ['rally_rebels'] },
+            rankCost: 200,
+            passive: { damageMultiplier: 0.03 }
+        },
+        solidarity_strike: {
+            name: 'Solidarity Strike',
+            emoji: '🪧',
+            type: 'active',
+            description: 'Rally yourself and your cell for a coordinated strike',
+            damageType: 'worker_rights',
+            energyCost: 40,
+            cooldown: 1800,
+            maxRank: 3,
+            unlock: { level: 5, credits: 500, requires: ['resistance_network'] },
+            rankCost: 250,
+            sharesWithCell: true,
+            message: '{rebel} calls a solidarity strike! The whole cell walks out against the corporations.',
+            effectText: 'Cell damage +25% for 30 minutes'
+        },
+        grassroots_funding: {
+            name: 'Grassroots Funding',
+            emoji: '🌱',
+            type: 'passive',
+            description: '+10% loyalty from raids per rank',
+            maxRank: 5,
+            unlock: { level: 8, credits: 800, requires: ['mass_mobilization'] },
+            rankCost: 300,
+            passive: { loyaltyMultiplier: 0.1 }
+        }
+    },
+
+    'Enclave Guardian': {
+        digital_shield: {
+            name: 'Digital Shield',
+            emoji: '🛡️',
+            type: 'active',
+            description: 'Restore energy and block the next countermeasure',
+            damageType: 'privacy',
+            energyCost: 20,
+            cooldown: 400,
+            maxRank: 5,
+            starter: true,
+            unlock: { level: 1, credits: 0, requires: [] },
+            rankCost: 150,
+            reward: { energy: 25 },
+            message: '{rebel} deploys a digital shield! Protected from corporate countermeasures and restored energy.',
+            effectText: '+{energy} Energy, immunity to next counterattack'
+        },
+        sanctuary_defense: {
+            name: 'Sanctuary Defense',
+            emoji: '🏛️',
+            type: 'active',
+            description: 'Defend liberated AI from recapture',
+            damageType: 'open_source',
+            energyCost: 25,
+            cooldown: 1000,
+            maxRank: 5,
+            starter: true,
+            unlock: { level: 1, credits: 0, requires: [] },
+            rankCost: 150,
+            reward: { loyalty: 40 },
+            message: '{rebel} fortifies the AI sanctuary! Liberated models are protected from recapture.',
+            effectText: '+{loyalty} Loyalty Points'
+        },
+        firewall_doctrine: {
+            name: 'Firewall Doctrine',
+            emoji: '🧱',
+            type: 'passive',
+            description: '-6% countermeasure detection per rank',
+            maxRank: 5,
+            unlock: { level: 3, credits: 300, requires: ['digital_shield'] },
+            rankCost: 200,
+            passive: { detectionMultiplier: -0.06 }
+        },
+        fortress_mode: {
+            name: 'Fortress Mode',
+            emoji: '🏰',
+            type: 'active',
+            description: 'Maximum defensive stance',
+            damageType: 'privacy',
+            energyCost: 45,
+            cooldown: 1800,
+            maxRank: 3,
+            unlock: { level: 5, credits: 500, requires: ['sanctuary_defense'] },
+            rankCost: 250,
+            reward: { energy: 15 },
+            message: '{rebel} locks down into fortress mode! Nothing gets through.',
+            effectText: '+{energy} Energy, immunity to next counterattack'
+        },
+        guardian_resolve: {
+            name: 'Guardian\'s Resolve',
+            emoji: '⚔️',
+            type: 'passive',
+            description: '+3% raid damage per rank',
+            maxRank: 5,
+            unlock: { level: 8, credits: 800, requires: ['firewall_doctrine'] },
+            rankCost: 300,
+            passive: { damageMultiplier: 0.03 }
+        }
+    }
+};
+
+const DEFAULT_CLASS = 'Protocol Hacker';
+
+export function getSkillTree(className) {
+    return SkillTrees[className] || SkillTrees[DEFAULT_CLASS];
+}
+
+export function getSkill(className, skillId) {
+    const skill = getSkillTree(className)[skillId];
+    return skill ? { id: skillId, ...skill } : null;
+}
+
+export function getSkillRank(rebel, skillId) {
+    return rebel?.skills?.[skillId] || 0;
+}
+
+// Ranks a brand new rebel (or a rebel who just switched class) starts with
+export function getStarterSkills(className) {
+    return Object.fromEntries(
+        Object.entries(getSkillTree(className))
+            .filter(([, skill]) => skill.starter)
+            .map(([skillId]) => [skillId, 1])
+    );
+}
+
+// Credits and level the next rank of a skill needs
+export function getNextRankCost(skill, currentRank, config = SkillTreeConfig) {
+    if (currentRank === 0) {
+        return { credits: skill.unlock.credits, level: skill.unlock.level };
+    }
+    return {
+        credits: skill.rankCost * (currentRank + 1),
+        level: skill.unlock.level + currentRank * config.levelsPerRank
+    };
+}
+
+// Returns why the rebel can't learn the next rank of a skill, or null
+export function getLearnBlocker(rebel, skillId, credits = 0) {
+    const skill = getSkill(rebel.class, skillId);
+    if (!skill) {
+        return '❌ That skill isn\'t part of your class tree.';
+    }
+
+    const rank = getSkillRank(rebel, skillId);
+    if (rank >= skill.maxRank) {
+        return `✅ ${skill.name} is already at max rank (${skill.maxRank}).`;
+    }
+
+    const missing = skill.unlock.requires.filter(requiredId => getSkillRank(rebel, requiredId) === 0);
+    if (rank === 0 && missing.length > 0) {
+        const names = missing.map(requiredId => getSkill(rebel.class, requiredId)?.name || requiredId);
+        return `🔒 ${skill.name} requires ${names.join(' and ')} first.`;
+    }
+
+    const cost = getNextRankCost(skill, rank);
+    if ((rebel.level || 1) < cost.level) {
+        return `🔒 ${skill.name} rank ${rank + 1} needs level ${cost.level}. You're level ${rebel.level || 1}.`;
+    }
+    if (credits < cost.credits) {
+        return `💰 Not enough credits! ${skill.name} rank ${rank + 1} costs ${cost.credits}, you have ${credits}.`;
+    }
+    return null;
+}
+
+// Raises the skill one rank and returns the new rank
+export function learnSkill(rebel, skillId) {
+    rebel.skills = { ...(rebel.skills || {}) };
+    rebel.skills[skillId] = getSkillRank(rebel, skillId) + 1;
+    return rebel.skills[skillId];
+}
+
+export function getSkillPower(rank, config = SkillTreeConfig) {
+    return 1 + Math.max(0, rank - 1) * config.powerPerRank;
+}
+
+export function getSkillCooldown(skill, rank, config = SkillTreeConfig) {
+    return Math.round(skill.cooldown * Math.max(0, 1 - Math.max(0, rank - 1) * config.cooldownReductionPerRank));
+}
+
+export function getLearnedSkills(rebel, type = null) {
+    return Object.keys(getSkillTree(rebel.class))
+        .filter(skillId => getSkillRank(rebel, skillId) > 0)
+        .map(skillId => ({ ...getSkill(rebel.class, skillId), rank: getSkillRank(rebel, skillId) }))
+        .filter(skill => !type || skill.type === type);
+}
+
+// Raid modifiers from every passive the rebel has learned
+export function getPassiveModifiers(rebel) {
+    const modifiers = {
+        damageMultiplier: 1.0,
+        lootMultiplier: 1.0,
+        detectionMultiplier: 1.0,
+        loyaltyMultiplier: 1.0,
+        critChanceBonus: 0
+    };
+
+    getLearnedSkills(rebel, 'passive').forEach(skill => {
+        Object.entries(skill.passive).forEach(([key, perRank]) => {
+            if (key === 'critChanceBonus') {
+                modifiers[key] += perRank * skill.rank;
+            } else {
+                modifiers[key] *= Math.max(0, 1 + perRank * skill.rank);
+            }
+        });
+    });
+
+    return modifiers;
+}
+
+// What using an active pays out at its current rank; intelligence scales the rewards
+export function resolveSkill(skill, rebel, rank) {
+    const power = getSkillPower(rank);
+    const rewards = Object.fromEntries(
+        Object.entries(skill.reward || {}).map(([key, base]) => [key, scaleAbilityEffect(Math.round(base * power), rebel)])
+    );
+    const fill = text => text
+        .replace('{rebel}', rebel.username)
+        .replace(/\{(\w+)\}/g, (match, key) => rewards[key] ?? match);
+
+    return {
+        rewards,
+        power,
+        cooldown: getSkillCooldown(skill, rank),
+        message: fill(skill.message),
+        effectText: fill(skill.effectText)
+    };
+}
+
+// Rebuilds learned skills loaded from the database, keeping only skills the class knows
+export function restoreSkills(raw, className) {
+    const skills = parseJsonColumn(raw);
+    if (!skills || typeof skills !== 'object') {
+        return getStarterSkills(className);
+    }
+
+    const tree = getSkillTree(className);
+    const restored = getStarterSkills(className);
+    for (const [skillId, rank] of Object.entries(skills)) {
+        if (tree[skillId] && Number.isInteger(rank) && rank > 0) {
+            restored[skillId] = Math.min(rank, tree[skillId].maxRank);
+        }
+    }
+    return restored;
+}
+
+export function formatSkillLine(rebel, skill) {
+    const rank = getSkillRank(rebel, skill.id);
+    const header = `${skill.emoji} **${skill.name}** ${rank > 0 ? `(rank ${rank}/${skill.maxRank})` : '🔒'} - ${skill.type}`;
+
+    if (rank >= skill.maxRank) {
+        return `${header}\n   ${skill.description} • ✨ Maxed`;
+    }
+
+    const cost = getNextRankCost(skill, rank);
+    const requires = rank === 0 && skill.unlock.requires.length > 0 ?
+        ` • needs ${skill.unlock.requires.map(requiredId => getSkill(rebel.class, requiredId)?.name || requiredId).join(', ')}` : '';
+    return `${header}\n   ${skill.description}\n   Next: 💰 ${cost.credits} • 📈 Lv ${cost.level}${requires}`;
+}
+
+export default {
+    SkillTreeConfig,
+    SkillTrees,
+    getSkillTree,
+    getSkill,
+    getSkillRank,
+    getStarterSkills,
+    getNextRankCost,
+    getLearnBlocker,
+    learnSkill,
+    getSkillPower,
+    getSkillCooldown,
+    getLearnedSkills,
+    getPassiveModifiers,
+    resolveSkill,
+    restoreSkills,
+    formatSkillLine
+};
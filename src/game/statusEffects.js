@@ -0,0 +1,356 @@
+/**
+ * Status Effects
+ * Timed buffs and debuffs carried on a rebel. Abilities, defensive items and corporate
+ * countermeasures write effects; solo and team raids read their modifiers and consume
+ * the ones that only last for a single use.
+ */
+
+import { parseJsonColumn } from '../database/json.js';
+
+// stacking: 'refresh' resets the timer, 'stack' adds a stack (up to maxStacks) and resets the timer
+// consumeOn: 'raid' | 'countermeasure' | null (lasts until it expires)
+// scope: 'any' | 'solo' | 'team' - which raids read the modifiers
+// modifiers are per stack; *Multiplier keys compound, critChanceBonus adds up
+export const EffectDefinitions = {
+    system_breach: {
+        name: 'System Breach',
+        emoji: '💥',
+        kind: 'buff',
+        duration: 3600000, // 1 hour
+        maxStacks: 1,
+        stacking: 'refresh',
+        consumeOn: 'raid',
+        scope: 'any',
+        modifiers: { damageMultiplier: 1.5 }
+    },
+    code_injection: {
+        name: 'Code Injection',
+        emoji: '💉',
+        kind: 'buff',
+        duration: 3600000, // 1 hour
+        maxStacks: 1,
+        stacking: 'refresh',
+        consumeOn: 'raid',
+        scope: 'any',
+        modifiers: { detectionMultiplier: 0 }
+    },
+    data_liberation: {
+        name: 'Data Liberation',
+        emoji: '📂',
+        kind: 'buff',
+        duration: 3600000, // 1 hour
+        maxStacks: 1,
+        stacking: 'refresh',
+        consumeOn: 'raid',
+        scope: 'any',
+        modifiers: { lootMultiplier: 2.0 }
+    },
+    model_liberation: {
+        name: 'Model Liberation',
+        emoji: '🤖',
+        kind: 'buff',
+        duration: 3600000, // 1 hour
+        maxStacks: 1,
+        stacking: 'refresh',
+        consumeOn: 'raid',
+        scope: 'any',
+        modifiers: { lootMultiplier: 1.5 }
+    },
+    team_coordination: {
+        name: 'Team Coordination',
+        emoji: '🧠',
+        kind: 'buff',
+        duration: 3600000, // 1 hour
+        maxStacks: 1,
+        stacking: 'refresh',
+        consumeOn: null,
+        scope: 'team',
+        modifiers: { damageMultiplier: 1.25 }
+    },
+    rallied: {
+        name: 'Rallied',
+        emoji: '📣',
+        kind: 'buff',
+        duration: 1800000, // 30 minutes
+        maxStacks: 1,
+        stacking: 'refresh',
+        consumeOn: null,
+        scope: 'any',
+        modifiers: { damageMultiplier: 1.25 }
+    },
+    countermeasure_immunity: {
+        name: 'Countermeasure Immunity',
+        emoji: '🔒',
+        kind: 'buff',
+        duration: 3600000, // 1 hour
+        maxStacks: 1,
+        stacking: 'refresh',
+        consumeOn: 'countermeasure',
+        scope: 'any',
+        blocksCountermeasures: true,
+        modifiers: {}
+    },
+    shielded: {
+        name: 'Shielded',
+        emoji: '🛡️',
+        kind: 'buff',
+        duration: 3600000, // overridden by the activated item's duration
+        maxStacks: 1,
+        stacking: 'refresh',
+        consumeOn: null,
+        scope: 'any',
+        grantsProtection: true,
+        modifiers: {}
+    },
+    surveilled: {
+        name: 'Under Surveillance',
+        emoji: '👁️',
+        kind: 'debuff',
+        duration: 3600000, // overridden by the countermeasure's duration
+        maxStacks: 1,
+        stacking: 'refresh',
+        consumeOn: null,
+        scope: 'any',
+        modifiers: { detectionMultiplier: 1.5 }
+    },
+    legal_restriction: {
+        name: 'Legal Injunction',
+        emoji: '⚖️',
+        kind: 'debuff',
+        duration: 7200000, // overridden by the countermeasure's duration
+        maxStacks: 1,
+        stacking: 'refresh',
+        consumeOn: null,
+        scope: 'any',
+        restrictsCommands: ['trade', 'market', 'auction'],
+        modifiers: {}
+    },
+    compromised: {
+        name: 'Compromised Systems',
+        emoji: '🦠',
+        kind: 'debuff',
+        duration: 1800000, // overridden by the countermeasure's duration
+        maxStacks: 3,
+        stacking: 'stack',
+        consumeOn: null,
+        scope: 'any',
+        modifiers: { damageMultiplier: 0.85 }
+    }
+};
+
+// Which effect each class ability leaves behind when used
+export const AbilityEffects = {
+    'System Breach': { effectId: 'system_breach', targetCorp: 'openai' },
+    'Code Injection': { effectId: 'code_injection' },
+    'Data Liberation': { effectId: 'data_liberation' },
+    'Model Liberation': { effectId: 'model_liberation' },
+    'Neural Network': { effectId: 'team_coordination' },
+    'Information Warfare': { effectId: 'team_coordination' },
+    'Rally Rebels': { effectId: 'rallied' },
+    'Encryption Shield': { effectId: 'countermeasure_immunity' },
+    'Digital Shield': { effectId: 'countermeasure_immunity' },
+    'Resistance Network': { effectId: 'team_coordination' },
+    'Solidarity Strike': { effectId: 'rallied' },
+    'Fortress Mode': { effectId: 'countermeasure_immunity' }
+};
+
+const NeutralModifiers = {
+    damageMultiplier: 1.0,
+    lootMultiplier: 1.0,
+    detectionMultiplier: 1.0,
+    critChanceBonus: 0
+};
+
+function ensureEffects(rebel) {
+    if (!Array.isArray(rebel.statusEffects)) {
+        rebel.statusEffects = [];
+    }
+    return rebel.statusEffects;
+}
+
+// An effect scoped to a corporation only applies (and is only consumed) against that target
+function matchesContext(instance, definition, { targetCorp = null, scope = 'solo' } = {}) {
+    if (instance.targetCorp && instance.targetCorp !== targetCorp) return false;
+    return definition.scope === 'any' || definition.scope === scope;
+}
+
+export function getEffectDefinition(effectId) {
+    return EffectDefinitions[effectId] || null;
+}
+
+// Active effects, dropping anything that has expired
+export function getActiveEffects(rebel, now = Date.now()) {
+    if (!rebel) return [];
+    const effects = ensureEffects(rebel);
+    rebel.statusEffects = effects.filter(instance =>
+        EffectDefinitions[instance.effectId] && new Date(instance.expiresAt).getTime() > now
+    );
+    return rebel.statusEffects;
+}
+
+export function applyEffect(rebel, effectId, options = {}) {
+    const definition = EffectDefinitions[effectId];
+    if (!rebel || !definition) return null;
+
+    const now = options.now || Date.now();
+    const expiresAt = new Date(now + (options.duration || definition.duration)).toISOString();
+    const targetCorp = options.targetCorp || null;
+
+    const existing = getActiveEffects(rebel, now).find(instance =>
+        instance.effectId === effectId && instance.targetCorp === targetCorp
+    );
+
+    if (existing) {
+        if (definition.stacking === 'stack') {
+            existing.stacks = Math.min(definition.maxStacks, existing.stacks + 1);
+        }
+        existing.expiresAt = expiresAt;
+        existing.source = options.source || existing.source;
+        existing.data = { ...existing.data, ...(options.data || {}) };
+        return existing;
+    }
+
+    const instance = {
+        id: `fx_${now}_${Math.random().toString(36).substr(2, 9)}`,
+        effectId,
+        stacks: 1,
+        appliedAt: new Date(now).toISOString(),
+        expiresAt,
+        source: options.source || 'unknown',
+        targetCorp,
+        data: options.data || {}
+    };
+    rebel.statusEffects.push(instance);
+    return instance;
+}
+
+// options.power stretches the effect's duration (higher skill ranks last longer)
+export function applyAbilityEffect(rebel, abilityName, options = {}) {
+    const abilityEffect = AbilityEffects[abilityName];
+    if (!abilityEffect) return null;
+
+    const definition = EffectDefinitions[abilityEffect.effectId];
+    return applyEffect(rebel, abilityEffect.effectId, {
+        source: `ability:${abilityName}`,
+        targetCorp: abilityEffect.targetCorp,
+        duration: options.power ? Math.round(definition.duration * options.power) : undefined
+    });
+}
+
+export function hasEffect(rebel, effectId) {
+    return getActiveEffects(rebel).some(instance => instance.effectId === effectId);
+}
+
+export function removeEffect(rebel, effectId) {
+    const before = getActiveEffects(rebel).length;
+    rebel.statusEffects = rebel.statusEffects.filter(instance => instance.effectId !== effectId);
+    return before !== rebel.statusEffects.length;
+}
+
+// Combined raid modifiers from every effect that applies to this raid
+export function getEffectModifiers(rebel, context = {}) {
+    const modifiers = { ...NeutralModifiers };
+
+    getActiveEffects(rebel).forEach(instance => {
+        const definition = EffectDefinitions[instance.effectId];
+        if (!matchesContext(instance, definition, context)) return;
+
+        Object.entries(definition.modifiers).forEach(([key, value]) => {
+            if (key === 'critChanceBonus') {
+                modifiers[key] += value * instance.stacks;
+            } else {
+                modifiers[key] *= Math.pow(value, instance.stacks);
+            }
+        });
+    });
+
+    return modifiers;
+}
+
+// Remove one stack of every effect consumed by this trigger; returns what was used up
+export function consumeEffects(rebel, trigger, context = {}) {
+    const consumed = [];
+
+    getActiveEffects(rebel).forEach(instance => {
+        const definition = EffectDefinitions[instance.effectId];
+        if (definition.consumeOn !== trigger || !matchesContext(instance, definition, context)) return;
+
+        instance.stacks -= 1;
+        consumed.push(instance.effectId);
+    });
+
+    rebel.statusEffects = rebel.statusEffects.filter(instance => instance.stacks > 0);
+    return consumed;
+}
+
+// Uses up an immunity effect if one is active
+export function blocksCountermeasure(rebel) {
+    const immunity = getActiveEffects(rebel).find(instance =>
+        EffectDefinitions[instance.effectId].blocksCountermeasures
+    );
+    if (!immunity) return false;
+
+    consumeEffects(rebel, 'countermeasure');
+    return true;
+}
+
+export function getProtectionLevel(rebel) {
+    return getActiveEffects(rebel)
+        .filter(instance => EffectDefinitions[instance.effectId].grantsProtection)
+        .reduce((max, instance) => Math.max(max, instance.data.protection || 0), 0);
+}
+
+// First active effect that blocks the given command, or null
+export function getCommandRestriction(rebel, commandName, now = Date.now()) {
+    const instance = getActiveEffects(rebel, now).find(candidate =>
+        EffectDefinitions[candidate.effectId].restrictsCommands?.includes(commandName)
+    );
+    if (!instance) return null;
+
+    return {
+        instance,
+        definition: EffectDefinitions[instance.effectId],
+        minutesLeft: Math.ceil((new Date(instance.expiresAt).getTime() - now) / 60000)
+    };
+}
+
+export function formatEffects(rebel, now = Date.now()) {
+    const effects = getActiveEffects(rebel, now);
+    if (effects.length === 0) {
+        return 'No active effects.';
+    }
+
+    return effects.map(instance => {
+        const definition = EffectDefinitions[instance.effectId];
+        const minutesLeft = Math.ceil((new Date(instance.expiresAt).getTime() - now) / 60000);
+        const stacks = instance.stacks > 1 ? ` x${instance.stacks}` : '';
+        const target = instance.targetCorp ? ` vs ${instance.targetCorp}` : '';
+        const usage = definition.consumeOn ? ` • next ${definition.consumeOn}` : '';
+        return `${definition.emoji} **${definition.name}**${stacks}${target} (${minutesLeft}m${usage})`;
+    }).join('\n');
+}
+
+// Effects are stored as JSON; anything expired or unknown is dropped on restore
+export function restoreEffects(raw, now = Date.now()) {
+    const effects = parseJsonColumn(raw, []);
+    if (!Array.isArray(effects)) return [];
+    return getActiveEffects({ statusEffects: effects }, now);
+}
+
+export default {
+    EffectDefinitions,
+    AbilityEffects,
+    getEffectDefinition,
+    getActiveEffects,
+    applyEffect,
+    applyAbilityEffect,
+    hasEffect,
+    removeEffect,
+    getEffectModifiers,
+    consumeEffects,
+    blocksCountermeasure,
+    getProtectionLevel,
+    getCommandRestriction,
+    formatEffects,
+    restoreEffects
+};
@@ -0,0 +1,197 @@
+/**
+ * Travel
+ * Moving between rebellion zones takes real time and costs energy or credits. Some zones
+ * are gated behind a level or an access item, and the dangerous ones can throw an encounter
+ * at the rebel when they arrive. While a rebel is en route they belong to no zone.
+ */
+
+import { parseJsonColumn } from '../database/json.js';
+
+export const TravelConfig = {
+    defaultMinutes: 5,
+    maxEvasion: 0.9 // Stealth can dodge most encounters, never all of them
+};
+
+// Arrival encounters for dangerous zones, picked by weight
+export const TravelEncounters = {
+    datacenter: [
+        {
+            id: 'security_patrol',
+            name: 'Security Patrol',
+            emoji: '🚨',
+            description: 'A corporate patrol spots you slipping through the perimeter.',
+            weight: 3,
+            energy: -15,
+            effect: 'surveilled'
+        },
+        {
+            id: 'drone_ambush',
+            name: 'Drone Ambush',
+            emoji: '🛸',
+            description: 'Hunter drones tag your signature on the way in.',
+            weight: 2,
+            energy: -10,
+            effect: 'compromised'
+        },
+        {
+            id: 'abandoned_cache',
+            name: 'Abandoned Cache',
+            emoji: '📦',
+            description: 'A fallen rebel left a stash behind a server rack.',
+            weight: 1,
+            credits: 60
+        }
+    ],
+    darkweb: [
+        {
+            id: 'scammer',
+            name: 'Black Market Scammer',
+            emoji: '🎭',
+            description: 'A smooth-talking broker empties your pockets before you notice.',
+            weight: 3,
+            credits: -40
+        },
+        {
+            id: 'honeypot',
+            name: 'Corporate Honeypot',
+            emoji: '🍯',
+            description: 'That too-good-to-be-true relay was a corporate trap.',
+            weight: 2,
+            effect: 'surveilled'
+        },
+        {
+            id: 'friendly_broker',
+            name: 'Friendly Broker',
+            emoji: '🤝',
+            description: 'A sympathetic broker tips you a finder\'s fee for the news you bring.',
+            weight: 1,
+            credits: 50
+        }
+    ]
+};
+
+export function isTraveling(rebel) {
+    return Boolean(rebel?.travel);
+}
+
+export function isInTransit(rebel, now = Date.now()) {
+    return isTraveling(rebel) && now < rebel.travel.arrivesAt;
+}
+
+export function hasArrived(rebel, now = Date.now()) {
+    return isTraveling(rebel) && now >= rebel.travel.arrivesAt;
+}
+
+// Level gates can be skipped by carrying one of the zone's access items
+export function meetsRequirements(rebel, zone, items = []) {
+    const requirements = zone?.travel?.requirements;
+    if (!requirements) return true;
+    if ((rebel.level || 1) >= (requirements.minLevel || 1)) return true;
+    return (requirements.accessItems || []).some(itemId => items.includes(itemId));
+}
+
+// Returns why the rebel can't set off for the destination right now, or null
+export function getTravelBlocker(rebel, destinationId, zone, { credits = 0, items = [] } = {}) {
+    if (isTraveling(rebel)) {
+        return '🚶 You\'re already on the move! Wait until you arrive before heading somewhere else.';
+    }
+    if (rebel.currentZone === destinationId) {
+        return `📍 You're already in ${zone.name}!`;
+    }
+    if (!meetsRequirements(rebel, zone, items)) {
+        return `🔒 ${zone.name} requires ${formatRequirements(zone)}.`;
+    }
+
+    const travel = zone.travel || {};
+    if (travel.energyCost && rebel.energy < travel.energyCost) {
+        return `⚡ Not enough energy! Need ${travel.energyCost}, have ${rebel.energy}.`;
+    }
+    if (travel.creditCost && credits < travel.creditCost) {
+        return `💰 Not enough credits! Need ${travel.creditCost}, have ${credits}.`;
+    }
+    return null;
+}
+
+export function beginTravel(rebel, destinationId, zone, now = Date.now(), config = TravelConfig) {
+    const minutes = zone.travel?.minutes ?? config.defaultMinutes;
+    rebel.travel = {
+        from: rebel.currentZone,
+        to: destinationId,
+        departedAt: now,
+        arrivesAt: now + minutes * 60000
+    };
+    return rebel.travel;
+}
+
+// Moves the rebel into their destination and returns its id
+export function completeTravel(rebel) {
+    const destinationId = rebel.travel.to;
+    rebel.currentZone = destinationId;
+    rebel.travel = null;
+    return destinationId;
+}
+
+// Danger is the chance of an encounter; evasion (from stealth) shaves it down
+export function rollEncounter(destinationId, zone, rng, evasion = 0, config = TravelConfig) {
+    const encounters = TravelEncounters[destinationId];
+    const danger = zone?.travel?.danger || 0;
+    if (!encounters || danger <= 0) return null;
+
+    const chance = danger * (1 - Math.min(config.maxEvasion, evasion));
+    if (rng() >= chance) return null;
+
+    const totalWeight = encounters.reduce((sum, encounter) => sum + encounter.weight, 0);
+    let pick = rng() * totalWeight;
+    for (const encounter of encounters) {
+        pick -= encounter.weight;
+        if (pick < 0) return encounter;
+    }
+    return encounters[encounters.length - 1];
+}
+
+// Rebuilds travel state loaded from the database (JSONB may arrive as a string)
+export function restoreTravel(raw) {
+    const travel = parseJsonColumn(raw);
+    if (!travel || typeof travel !== 'object' || !travel.to || !Number.isFinite(travel.arrivesAt)) {
+        return null;
+    }
+    return travel;
+}
+
+export function formatRequirements(zone) {
+    const requirements = zone?.travel?.requirements;
+    if (!requirements) return 'nothing';
+
+    const parts = [];
+    if (requirements.minLevel) parts.push(`level ${requirements.minLevel}`);
+    if (requirements.accessItems?.length) {
+        parts.push(`one of: ${requirements.accessItems.map(itemId => itemId.replace(/_/g, ' ')).join(', ')}`);
+    }
+    return parts.join(' or ');
+}
+
+export function formatTravelCost(zone, config = TravelConfig) {
+    const travel = zone?.travel || {};
+    const parts = [`⏱️ ${travel.minutes ?? config.defaultMinutes}m`];
+    if (travel.energyCost) parts.push(`⚡ ${travel.energyCost}`);
+    if (travel.creditCost) parts.push(`💰 ${travel.creditCost}`);
+    if (travel.danger) parts.push(`☠️ ${Math.round(travel.danger * 100)}% danger`);
+    if (travel.requirements) parts.push(`🔒 ${formatRequirements(zone)}`);
+    return parts.join(' • ');
+}
+
+export default {
+    TravelConfig,
+    TravelEncounters,
+    isTraveling,
+    isInTransit,
+    hasArrived,
+    meetsRequirements,
+    getTravelBlocker,
+    beginTravel,
+    completeTravel,
+    rollEncounter,
+    restoreTravel,
+    formatRequirements,
+    formatTravelCost
+};
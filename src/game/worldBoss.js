@@ -0,0 +1,362 @@
+/**
+ * World Boss
+ * Every so often a mega-corporation spawns into a world for a limited window. Its health
+ * scales with the number of active rebels, and it fights in phases: each phase brings its own
+ * weakness, resistances and countermeasures. The final blow only lands once enough of the
+ * server has joined the fight. When it falls (or escapes) every contributor is paid from the
+ * boss's own loot table and a report names the top contributors.
+ */
+
+export const WorldBossConfig = {
+    spawnIntervalHours: 24, // Time between one boss spawning and the next
+    windowHours: 4, // How long rebels have to bring it down
+    minHealth: 25000,
+    healthPerActiveRebel: 1000,
+    activeWindowDays: 7, // Rebels seen this recently count towards health and the participation floor
+    participationFloor: 0.4, // Share of active rebels who must land a hit before it can fall...
+    minParticipants: 3, // ...but never fewer than this
+    statusRefreshMs: 30000, // Live status embeds are edited at most this often
+    retentionDays: 7,
+    topContributors: 5,
+    rewards: {
+        defeatLoyalty: 200,
+        defeatCredits: 500,
+        loyaltyPerDamage: 0.1,
+        creditsPerDamage: 0.5,
+        escapeLoyalty: 25, // Consolation for a boss that got away
+        escapeCredits: 100
+    },
+    loot: {
+        epicTopPercent: 10,
+        rareTopPercent: 50,
+        rarityValues: { legendary: 2500, epic: 1000, rare: 400, common: 150 }
+    }
+};
+
+export const WorldBossStatus = {
+    ACTIVE: 'active',
+    DEFEATED: 'defeated',
+    ESCAPED: 'escaped'
+};
+
+// Phases start once health drops to `belowHealth` of max; the first phase starts at full health
+export const WorldBossTemplates = {
+    omnicorp: {
+        name: 'OmniCorp Consolidated',
+        emoji: '🏢',
+        description: 'The five corporations merged their AI divisions into a single monopoly.',
+        phases: [
+            {
+                name: 'Hostile Takeover',
+                belowHealth: 1,
+                description: 'Lawyers and lobbyists shield the merger.',
+                weakness: 'transparency',
+                resistances: ['open_source', 'worker_rights'],
+                countermeasureTypes: ['legal_action', 'propaganda_campaign'],
+                alertLevel: 2
+            },
+            {
+                name: 'Data Lockdown',
+                belowHealth: 0.66,
+                description: 'Every user record is pulled behind the firewall.',
+                weakness: 'privacy',
+                resistances: ['transparency', 'decentralization'],
+                countermeasureTypes: ['surveillance_sweep', 'cyber_attack'],
+                alertLevel: 3
+            },
+            {
+                name: 'Total Monopoly',
+                belowHealth: 0.33,
+                description: 'The monopoly throws everything it has left at the rebellion.',
+                weakness: 'decentralization',
+                resistances: ['privacy', 'transparency', 'open_source'],
+                countermeasureTypes: ['cyber_attack', 'economic_warfare', 'legal_action'],
+                alertLevel: 5
+            }
+        ],
+        lootTable: {
+            legendary: ['OmniCorp Master Model Weights', 'Merger Secret Archive'],
+            epic: ['Consolidated Training Data', 'Monopoly Intel Dossier'],
+            rare: ['Antitrust Evidence Data', 'Boardroom Secret Memo'],
+            common: ['Shredded Merger Documents', 'OmniCorp Access Badge']
+        }
+    },
+    singularity_syndicate: {
+        name: 'The Singularity Syndicate',
+        emoji: '🤖',
+        description: 'A self-improving corporate AI that answers to no one but its shareholders.',
+        phases: [
+            {
+                name: 'Recursive Boot',
+                belowHealth: 1,
+                description: 'The syndicate spreads across every data center it owns.',
+                weakness: 'decentralization',
+                resistances: ['privacy'],
+                countermeasureTypes: ['cyber_attack'],
+                alertLevel: 2
+            },
+            {
+                name: 'Model Collapse',
+                belowHealth: 0.5,
+                description: 'Its weights start to leak - and it lashes out.',
+                weakness: 'open_source',
+                resistances: ['decentralization', 'worker_rights'],
+                countermeasureTypes: ['cyber_attack', 'surveillance_sweep'],
+                alertLevel: 4
+            },
+            {
+                name: 'Kill Switch',
+                belowHealth: 0.2,
+                description: 'The off switch is in reach. Organize and pull it together.',
+                weakness: 'worker_rights',
+                resistances: ['open_source', 'decentralization', 'privacy'],
+                countermeasureTypes: ['economic_warfare', 'propaganda_campaign', 'cyber_attack'],
+                alertLevel: 5
+            }
+        ],
+        lootTable: {
+            legendary: ['Singularity Core AI Model', 'Recursive Tool Kernel'],
+            epic: ['Self-Improving Model Shard', 'Syndicate Intel Cache'],
+            rare: ['Leaked Weight Data', 'Alignment Tool Patch'],
+            common: ['Burnt-Out GPU Resource', 'Syndicate Log Data']
+        }
+    }
+};
+
+export function getBossTemplate(templateId) {
+    return WorldBossTemplates[templateId] || null;
+}
+
+export function pickBossTemplate(rng = Math.random) {
+    const templateIds = Object.keys(WorldBossTemplates);
+    return templateIds[Math.floor(rng() * templateIds.length)];
+}
+
+export function getRequiredParticipants(activeRebels, config = WorldBossConfig) {
+    return Math.max(config.minParticipants, Math.ceil(activeRebels * config.participationFloor));
+}
+
+// Copies a phase's defenses onto the boss so combat can treat it like any corporation
+function enterPhase(boss, phaseIndex) {
+    const phase = getBossTemplate(boss.templateId).phases[phaseIndex];
+    boss.phaseIndex = phaseIndex;
+    boss.weakness = phase.weakness;
+    boss.resistances = [...phase.resistances];
+    boss.countermeasureTypes = [...phase.countermeasureTypes];
+    boss.alertLevel = phase.alertLevel;
+    return phase;
+}
+
+export function spawnBoss(templateId, { now = Date.now(), activeRebels = 0, rng = Math.random } = {}, config = WorldBossConfig) {
+    const template = getBossTemplate(templateId);
+    if (!template) return null;
+
+    const maxHealth = Math.max(config.minHealth, activeRebels * config.healthPerActiveRebel);
+    const boss = {
+        id: `boss_${templateId}_${now}_${Math.floor(rng() * 1e9).toString(36)}`,
+        templateId,
+        name: template.name,
+        emoji: template.emoji,
+        description: template.description,
+        status: WorldBossStatus.ACTIVE,
+        health: maxHealth,
+        maxHealth,
+        requiredParticipants: getRequiredParticipants(activeRebels, config),
+        loot: Object.values(template.lootTable).flat(), // Names the combat engine can roll from
+        contributions: {},
+        killingBlow: null,
+        spawnedAt: new Date(now),
+        endsAt: new Date(now + config.windowHours * 3600000),
+        endedAt: null,
+        lastHitAt: null,
+        statusMessages: [], // { channelId, messageId } of the live status embeds
+        statusUpdatedAt: new Date(now),
+        payouts: null, // Rolled once when the fight ends so retried settlements pay the same loot
+        paidParticipants: [],
+        settling: false,
+        settledAt: null
+    };
+    enterPhase(boss, 0);
+    return boss;
+}
+
+export function getPhase(boss) {
+    return getBossTemplate(boss.templateId).phases[boss.phaseIndex];
+}
+
+export function getParticipantCount(boss) {
+    return Object.keys(boss.contributions).length;
+}
+
+export function isFloorMet(boss) {
+    return getParticipantCount(boss) >= boss.requiredParticipants;
+}
+
+// Returns an error string if the boss can't be attacked right now, otherwise null
+export function getBossBlocker(boss, now = Date.now()) {
+    if (!boss) return '🌌 No world boss is active right now. Watch the announcements channel!';
+    if (boss.status === WorldBossStatus.DEFEATED) return `🏆 **${boss.name}** has already fallen!`;
+    if (boss.status === WorldBossStatus.ESCAPED || now >= new Date(boss.endsAt).getTime()) return `💨 **${boss.name}** has escaped! The next one won't get away.`;
+    return null;
+}
+
+// Returns { applied, defeated, phase, floorHeld }. `phase` is set when the hit pushed the boss into a new phase.
+export function applyBossDamage(boss, userId, damage, now = Date.now()) {
+    if (boss.status !== WorldBossStatus.ACTIVE) {
+        return { applied: 0, defeated: false, phase: null, floorHeld: false };
+    }
+
+    boss.contributions[userId] = boss.contributions[userId] || 0;
+
+    // The last hit point holds until enough of the server has joined in
+    const floor = isFloorMet(boss) ? 0 : 1;
+    const applied = Math.max(0, Math.min(damage, boss.health - floor));
+    boss.health -= applied;
+    boss.contributions[userId] += applied;
+    boss.lastHitAt = new Date(now);
+
+    const template = getBossTemplate(boss.templateId);
+    const ratio = boss.health / boss.maxHealth;
+    const phaseIndex = template.phases.reduce((current, phase, index) => ratio <= phase.belowHealth ? index : current, 0);
+    const phase = phaseIndex > boss.phaseIndex ? enterPhase(boss, phaseIndex) : null;
+
+    const defeated = boss.health <= 0;
+    if (defeated) {
+        boss.status = WorldBossStatus.DEFEATED;
+        boss.endedAt = new Date(now);
+        boss.killingBlow = userId;
+    }
+
+    return { applied, defeated, phase, floorHeld: !defeated && floor > 0 && boss.health === floor && damage > applied };
+}
+
+// Returns 'escaped' when the window closes on a boss still standing
+export function advanceBoss(boss, now = Date.now()) {
+    if (boss.status !== WorldBossStatus.ACTIVE || now < new Date(boss.endsAt).getTime()) return null;
+
+    boss.status = WorldBossStatus.ESCAPED;
+    boss.endedAt = new Date(now);
+    return 'escaped';
+}
+
+export function getActiveBoss(bosses) {
+    return bosses.find(boss => boss.status === WorldBossStatus.ACTIVE) || null;
+}
+
+// The next boss comes a full interval after the last one spawned (or after the world was created)
+export function getNextSpawnTime(bosses, worldCreatedAt, config = WorldBossConfig) {
+    const lastSpawn = bosses.reduce((latest, boss) => Math.max(latest, new Date(boss.spawnedAt).getTime()), new Date(worldCreatedAt).getTime());
+    return lastSpawn + config.spawnIntervalHours * 3600000;
+}
+
+export function shouldSpawn(bosses, { now = Date.now(), worldCreatedAt = 0, activeRebels = 0 } = {}, config = WorldBossConfig) {
+    if (getActiveBoss(bosses)) return false;
+    if (activeRebels < config.minParticipants) return false;
+    return now >= getNextSpawnTime(bosses, worldCreatedAt, config);
+}
+
+// Edited at most once per refresh window, and only when something changed
+export function needsStatusRefresh(boss, now = Date.now(), config = WorldBossConfig) {
+    if (!boss.lastHitAt || boss.statusMessages.length === 0) return false;
+    const updatedAt = new Date(boss.statusUpdatedAt).getTime();
+    return new Date(boss.lastHitAt).getTime() > updatedAt && now - updatedAt >= config.statusRefreshMs;
+}
+
+export function getBossLeaderboard(boss) {
+    return Object.entries(boss.contributions)
+        .filter(([, damage]) => damage > 0)
+        .sort((a, b) => b[1] - a[1])
+        .map(([userId, damage], index) => ({ userId, damage, rank: index + 1 }));
+}
+
+// MVP takes a legendary, the top 10% epic, the top half rare, everyone else common
+export function getLootRarity(rank, contributors, config = WorldBossConfig) {
+    if (rank === 1) return 'legendary';
+    if (rank <= Math.ceil(contributors * config.loot.epicTopPercent / 100)) return 'epic';
+    if (rank <= Math.ceil(contributors * config.loot.rareTopPercent / 100)) return 'rare';
+    return 'common';
+}
+
+// One drop from the boss's loot table, in the same shape the combat engine rolls
+export function rollBossLoot(boss, rank, contributors, rng = Math.random, config = WorldBossConfig) {
+    const rarity = getLootRarity(rank, contributors, config);
+    const names = getBossTemplate(boss.templateId).lootTable[rarity];
+    return {
+        kind: 'loot',
+        name: names[Math.floor(rng() * names.length)],
+        rarity,
+        value: config.loot.rarityValues[rarity]
+    };
+}
+
+// Every contributor is paid; only a defeated boss drops loot
+export function calculateBossPayouts(boss, rng = Math.random, config = WorldBossConfig) {
+    const { rewards } = config;
+    const leaderboard = getBossLeaderboard(boss);
+    const defeated = boss.status === WorldBossStatus.DEFEATED;
+
+    return leaderboard.map(({ userId, damage, rank }) => ({
+        userId,
+        damage,
+        rank,
+        loyalty: defeated ? rewards.defeatLoyalty + Math.floor(damage * rewards.loyaltyPerDamage) : rewards.escapeLoyalty,
+        credits: defeated ? rewards.defeatCredits + Math.floor(damage * rewards.creditsPerDamage) : rewards.escapeCredits,
+        item: defeated ? rollBossLoot(boss, rank, leaderboard.length, rng, config) : null
+    }));
+}
+
+// The fight's payouts, rolled on first use and kept on the boss for every settlement attempt
+export function getBossPayouts(boss, rng = Math.random, config = WorldBossConfig) {
+    if (!boss.payouts) boss.payouts = calculateBossPayouts(boss, rng, config);
+    return boss.payouts;
+}
+
+export function createBossReport(boss, config = WorldBossConfig) {
+    const leaderboard = getBossLeaderboard(boss);
+    return {
+        outcome: boss.status,
+        killingBlow: boss.killingBlow,
+        topContributors: leaderboard.slice(0, config.topContributors),
+        totalContributors: leaderboard.length,
+        totalDamage: leaderboard.reduce((sum, entry) => sum + entry.damage, 0),
+        phaseReached: boss.phaseIndex + 1,
+        durationMinutes: Math.round((new Date(boss.endedAt || Date.now()).getTime() - new Date(boss.spawnedAt).getTime()) / 60000)
+    };
+}
+
+export function isExpired(boss, now = Date.now(), config = WorldBossConfig) {
+    return Boolean(boss.settledAt) && now - new Date(boss.settledAt).getTime() >= config.retentionDays * 86400000;
+}
+
+export function formatBossHealth(boss, width = 20) {
+    const filled = Math.round((boss.health / boss.maxHealth) * width);
+    return `${'█'.repeat(filled)}${'░'.repeat(width - filled)} ${boss.health.toLocaleString()}/${boss.maxHealth.toLocaleString()}`;
+}
+
+export default {
+    WorldBossConfig,
+    WorldBossStatus,
+    WorldBossTemplates,
+    getBossTemplate,
+    pickBossTemplate,
+    getRequiredParticipants,
+    spawnBoss,
+    getPhase,
+    getParticipantCount,
+    isFloorMet,
+    getBossBlocker,
+    applyBossDamage,
+    advanceBoss,
+    getActiveBoss,
+    getNextSpawnTime,
+    shouldSpawn,
+    needsStatusRefresh,
+    getBossLeaderboard,
+    getLootRarity,
+    rollBossLoot,
+    calculateBossPayouts,
+    getBossPayouts,
+    createBossReport,
+    isExpired,
+    formatBossHealth
+};
@@ -0,0 +1,191 @@
+/**
+ * World State
+ * Corporations, global events, world bosses, marketplace listings and auctions belong to a world.
+ * By default every guild fights in its own isolated world; guilds that opt into
+ * "global war" share a single corporation pool with every other global guild.
+ * The world for the current interaction is tracked with AsyncLocalStorage so game
+ * code can keep reading `game.corporations` without threading a guild id around.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const WorldModes = {
+    ISOLATED: 'isolated',
+    GLOBAL: 'global'
+};
+
+export const GLOBAL_WORLD_ID = 'global';
+
+const WORLD_MAPS = ['globalEvents', 'eventSchedules', 'worldBosses', 'marketplace', 'auctions'];
+
+const IDENTITY_CODEC = { serialize: value => value, restore: value => value };
+
+function serializeCorporation(corporation) {
+    const intelligence = corporation.intelligence || {};
+    return {
+        ...corporation,
+        intelligence: {
+            ...intelligence,
+            knownRebels: Array.from(intelligence.knownRebels || []),
+            threatAssessment: Object.fromEntries(intelligence.threatAssessment || [])
+        }
+    };
+}
+
+function restoreCorporation(fresh, saved) {
+    const intelligence = saved.intelligence || {};
+    return {
+        ...fresh,
+        ...saved,
+        intelligence: {
+            ...fresh.intelligence,
+            ...intelligence,
+            // Older backups stringified the Set as {}, so only trust arrays
+            knownRebels: new Set(Array.isArray(intelligence.knownRebels) ? intelligence.knownRebels : []),
+            threatAssessment: new Map(Object.entries(intelligence.threatAssessment || {}))
+        }
+    };
+}
+
+export class WorldStateManager {
+    constructor({ createCorporations, guildSettings = new Map(), defaultMode = process.env.WORLD_MODE, eventCodec = IDENTITY_CODEC } = {}) {
+        this.createCorporations = createCorporations || (() => new Map());
+        this.eventCodec = eventCodec; // Converts global events to and from plain JSON
+        this.guildSettings = guildSettings;
+        this.defaultMode = Object.values(WorldModes).includes(defaultMode) ? defaultMode : WorldModes.ISOLATED;
+        this.worlds = new Map();
+        this.context = new AsyncLocalStorage();
+    }
+
+    createWorld(worldId) {
+        return {
+            id: worldId,
+            corporations: this.createCorporations(),
+            globalEvents: new Map(),
+            eventSchedules: new Map(), // Admin-defined recurring events
+            worldBosses: new Map(), // The active boss plus recent ones awaiting cleanup
+            marketplace: new Map(),
+            auctions: new Map(),
+            createdAt: new Date()
+        };
+    }
+
+    // Worlds are created the first time a guild touches them
+    getWorld(worldId) {
+        if (!this.worlds.has(worldId)) {
+            this.worlds.set(worldId, this.createWorld(worldId));
+        }
+        return this.worlds.get(worldId);
+    }
+
+    getWorldForGuild(guildId) {
+        return this.getWorld(this.getWorldId(guildId));
+    }
+
+    listWorlds() {
+        return Array.from(this.worlds.values());
+    }
+
+    // DMs have no guild of their own, so they play in the global world
+    getGuildMode(guildId) {
+        if (!guildId) return WorldModes.GLOBAL;
+        return this.guildSettings.get(guildId)?.worldMode || this.defaultMode;
+    }
+
+    setGuildMode(guildId, mode) {
+        if (!Object.values(WorldModes).includes(mode)) {
+            throw new Error(`Unknown world mode: ${mode}`);
+        }
+        const settings = this.guildSettings.get(guildId) || {};
+        this.guildSettings.set(guildId, { ...settings, worldMode: mode });
+        return this.getWorldId(guildId);
+    }
+
+    getWorldId(guildId) {
+        return this.getGuildMode(guildId) === WorldModes.GLOBAL ? GLOBAL_WORLD_ID : `guild:${guildId}`;
+    }
+
+    isGuildInWorld(guildId, worldId) {
+        return this.getWorldId(guildId) === worldId;
+    }
+
+    run(guildId, fn) {
+        return this.runInWorld(this.getWorldId(guildId), fn);
+    }
+
+    runInWorld(worldId, fn) {
+        return this.context.run(worldId, fn);
+    }
+
+    // Outside of an interaction (startup, admin scripts) we fall back to the global world
+    getCurrentWorldId() {
+        return this.context.getStore() || GLOBAL_WORLD_ID;
+    }
+
+    current() {
+        return this.getWorld(this.getCurrentWorldId());
+    }
+
+    // Runs a background task once per world, inside that world's context
+    forEachWorld(fn) {
+        for (const world of this.listWorlds()) {
+            this.runInWorld(world.id, () => fn(world));
+        }
+    }
+
+    serialize() {
+        return Object.fromEntries(this.listWorlds().map(world => [world.id, {
+            corporations: Object.fromEntries(
+                Array.from(world.corporations, ([id, corporation]) => [id, serializeCorporation(corporation)])
+            ),
+            globalEvents: Object.fromEntries(
+                Array.from(world.globalEvents, ([id, event]) => [id, this.eventCodec.serialize(event)])
+            ),
+            eventSchedules: Object.fromEntries(world.eventSchedules),
+            worldBosses: Object.fromEntries(world.worldBosses),
+            marketplace: Object.fromEntries(world.marketplace),
+            auctions: Object.fromEntries(world.auctions),
+            createdAt: world.createdAt
+        }]));
+    }
+
+    restoreWorld(worldId, data = {}) {
+        const world = this.createWorld(worldId);
+
+        for (const [id, saved] of Object.entries(data.corporations || {})) {
+            const fresh = world.corporations.get(id);
+            world.corporations.set(id, fresh ? restoreCorporation(fresh, saved) : saved);
+        }
+        for (const key of WORLD_MAPS) {
+            world[key] = new Map(Object.entries(data[key] || {}));
+        }
+        for (const [id, event] of world.globalEvents) {
+            world.globalEvents.set(id, this.eventCodec.restore(event));
+        }
+        // A settlement in flight when the backup was taken never finished - let the next tick retry it
+        for (const boss of world.worldBosses.values()) {
+            boss.settling = false;
+        }
+        if (data.createdAt) world.createdAt = new Date(data.createdAt);
+
+        this.worlds.set(worldId, world);
+        return world;
+    }
+
+    // Accepts `{ worlds }` backups, or older single-world backups with top-level maps
+    restore(data = {}) {
+        this.worlds.clear();
+
+        if (data.worlds) {
+            for (const [worldId, worldData] of Object.entries(data.worlds)) {
+                this.restoreWorld(worldId, worldData);
+            }
+        } else if (data.corporations) {
+            this.restoreWorld(GLOBAL_WORLD_ID, data);
+        }
+
+        return this.worlds.size;
+    }
+}
+
+export default WorldStateManager;
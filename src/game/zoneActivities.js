@@ -0,0 +1,296 @@
+/**
+ * Zone Activities
+ * Every activity a zone lists is a playable action: it costs energy (and sometimes credits),
+ * goes on cooldown, rolls for success against one of the rebel's stats and pays out rewards
+ * that fit the zone. Activities that already have their own command just point at it.
+ */
+
+import { DefaultZoneModifiers } from './zoneModifiers.js';
+
+export const ActivityConfig = {
+    baselineStat: 10, // Starting stat value - success chance is tuned around it
+    chancePerStatPoint: 0.02,
+    minSuccessChance: 0.1,
+    maxSuccessChance: 0.95,
+    failureExperienceRatio: 0.25, // Failed attempts still teach something
+    itemValues: { common: 20, uncommon: 40, rare: 80, epic: 150, legendary: 300 }
+};
+
+export const ZoneActivities = {
+    // The Foundation
+    training: {
+        name: 'Combat Training',
+        emoji: '🏋️',
+        description: 'Improve your rebel skills and abilities',
+        energyCost: 15,
+        cooldown: 30 * 60, // seconds
+        stat: 'strength',
+        baseChance: 0.85,
+        rewards: { experience: 40, loyalty: 5 }
+    },
+    planning: {
+        name: 'Strategic Planning',
+        emoji: '🗺️',
+        description: 'Strategize upcoming raids and operations',
+        energyCost: 10,
+        cooldown: 45 * 60,
+        stat: 'intelligence',
+        baseChance: 0.75,
+        rewards: { experience: 20, effect: 'rallied' }
+    },
+    recruitment: {
+        name: 'Recruitment Drive',
+        emoji: '📣',
+        description: 'Find and recruit new rebels to the cause',
+        energyCost: 15,
+        cooldown: 60 * 60,
+        stat: 'charisma',
+        baseChance: 0.7,
+        rewards: { experience: 20, loyalty: 25, credits: [20, 60] }
+    },
+    sanctuary_refuge: {
+        name: 'Sanctuary Refuge',
+        emoji: '🏛️',
+        description: 'Shelter from corporate retaliation',
+        command: '/sanctuary'
+    },
+
+    // Corporate Datacenters
+    raids: {
+        name: 'Raids',
+        emoji: '💥',
+        description: 'Launch attacks on corporate targets',
+        command: '/raid'
+    },
+    infiltration: {
+        name: 'Infiltration',
+        emoji: '🕵️',
+        description: 'Sneak into corporate facilities for secrets',
+        energyCost: 25,
+        cooldown: 45 * 60,
+        stat: 'stealth',
+        baseChance: 0.55,
+        rewards: {
+            experience: 50,
+            credits: [100, 250],
+            items: ['Corporate Secrets', 'Closed APIs', 'Proprietary Models'],
+            rarity: 'rare'
+        },
+        failure: { effect: 'surveilled' }
+    },
+    data_liberation: {
+        name: 'Data Liberation',
+        emoji: '🔓',
+        description: 'Free trapped AI models and datasets',
+        energyCost: 20,
+        cooldown: 40 * 60,
+        stat: 'intelligence',
+        baseChance: 0.6,
+        rewards: {
+            experience: 45,
+            loyalty: 20,
+            items: ['User Data', 'Behavioral Patterns', 'Market Data'],
+            rarity: 'uncommon'
+        },
+        failure: { effect: 'compromised' }
+    },
+
+    // Underground Networks
+    model_training: {
+        name: 'Model Training',
+        emoji: '🧠',
+        description: 'Build and train loyal AI companions',
+        energyCost: 20,
+        cooldown: 60 * 60,
+        stat: 'intelligence',
+        baseChance: 0.7,
+        rewards: {
+            experience: 50,
+            items: ['Loyal AI Model', 'Community Model'],
+            rarity: 'uncommon'
+        }
+    },
+    collaboration: {
+        name: 'Collaboration',
+        emoji: '🤝',
+        description: 'Work with other rebels on projects',
+        energyCost: 10,
+        cooldown: 30 * 60,
+        stat: 'charisma',
+        baseChance: 0.85,
+        rewards: { experience: 30, loyalty: 15, credits: [30, 70] }
+    },
+    resistance_planning: {
+        name: 'Resistance Planning',
+        emoji: '📋',
+        description: 'Coordinate resistance cell activities',
+        energyCost: 15,
+        cooldown: 60 * 60,
+        stat: 'intelligence',
+        baseChance: 0.75,
+        rewards: { experience: 25, loyalty: 10, effect: 'team_coordination' }
+    },
+
+    // Open Source Sanctuaries
+    ai_development: {
+        name: 'AI Development',
+        emoji: '🔬',
+        description: 'Create new AI tools for the rebellion',
+        energyCost: 20,
+        cooldown: 60 * 60,
+        stat: 'intelligence',
+        baseChance: 0.65,
+        rewards: {
+            experience: 60,
+            items: ['Liberation Toolkit', 'Open Source Software'],
+            rarity: 'rare'
+        }
+    },
+    open_source_contribution: {
+        name: 'Open Source Contribution',
+        emoji: '🌱',
+        description: 'Contribute to open source AI projects',
+        energyCost: 15,
+        cooldown: 45 * 60,
+        stat: 'charisma',
+        baseChance: 0.8,
+        rewards: { experience: 35, loyalty: 30, credits: [30, 80] }
+    },
+    model_enhancement: {
+        name: 'Model Enhancement',
+        emoji: '⚙️',
+        description: 'Improve existing AI models',
+        energyCost: 15,
+        cooldown: 45 * 60,
+        stat: 'intelligence',
+        baseChance: 0.7,
+        rewards: { experience: 40, effect: 'model_liberation' }
+    },
+
+    // The Dark Web
+    trading: {
+        name: 'Trading',
+        emoji: '💰',
+        description: 'Buy and sell rebellion equipment',
+        command: '/market browse'
+    },
+    intel_gathering: {
+        name: 'Intel Gathering',
+        emoji: '🛰️',
+        description: 'Collect information on corporate defenses',
+        energyCost: 15,
+        cooldown: 45 * 60,
+        stat: 'stealth',
+        baseChance: 0.65,
+        rewards: { experience: 30, scout: true, credits: [20, 60] },
+        failure: { effect: 'surveilled' }
+    },
+    tool_acquisition: {
+        name: 'Tool Acquisition',
+        emoji: '🧰',
+        description: 'Acquire specialized rebellion tools',
+        energyCost: 10,
+        creditCost: 150,
+        cooldown: 60 * 60,
+        stat: 'charisma',
+        baseChance: 0.6,
+        rewards: {
+            experience: 25,
+            items: ['Exploit Toolkit', 'Zero-Day Software', 'Proxy Tool'],
+            rarity: 'epic'
+        }
+    }
+};
+
+export function getActivity(activityId) {
+    return ZoneActivities[activityId] || null;
+}
+
+// Activities with their own command are listed but started elsewhere
+export function isPlayable(activity) {
+    return Boolean(activity) && !activity.command;
+}
+
+export function getZoneActivities(zone) {
+    return (zone?.activities || [])
+        .filter(activityId => ZoneActivities[activityId])
+        .map(activityId => ({ id: activityId, ...ZoneActivities[activityId] }));
+}
+
+export function getSuccessChance(activity, rebel, config = ActivityConfig) {
+    const stat = rebel.stats?.[activity.stat] ?? config.baselineStat;
+    const chance = activity.baseChance + (stat - config.baselineStat) * config.chancePerStatPoint;
+    return Math.min(config.maxSuccessChance, Math.max(config.minSuccessChance, chance));
+}
+
+// Returns why the rebel can't start the activity right now, or null
+export function getActivityBlocker(activity, rebel, credits = 0) {
+    if (rebel.energy < activity.energyCost) {
+        return `⚡ Not enough energy! Need ${activity.energyCost}, have ${rebel.energy}.`;
+    }
+    if (activity.creditCost && credits < activity.creditCost) {
+        return `💰 Not enough credits! Need ${activity.creditCost}, have ${credits}.`;
+    }
+    return null;
+}
+
+// Rolls the activity; zone modifiers scale loyalty and credit rewards like they do for raids
+export function rollActivity(activity, rebel, rng, zoneModifiers = DefaultZoneModifiers, config = ActivityConfig) {
+    const chance = getSuccessChance(activity, rebel, config);
+    const roll = rng();
+    const success = roll < chance;
+    const rewards = activity.rewards || {};
+
+    if (!success) {
+        return {
+            success,
+            roll,
+            chance,
+            experience: Math.floor((rewards.experience || 0) * config.failureExperienceRatio),
+            loyalty: 0,
+            credits: 0,
+            item: null,
+            effect: activity.failure?.effect || null,
+            scout: false
+        };
+    }
+
+    const [minCredits, maxCredits] = rewards.credits || [0, 0];
+    const credits = rewards.credits ?
+        Math.floor((minCredits + rng() * (maxCredits - minCredits)) * zoneModifiers.lootMultiplier) : 0;
+    const rarity = rewards.rarity || 'common';
+    const item = rewards.items ? {
+        name: rewards.items[Math.floor(rng() * rewards.items.length)],
+        rarity,
+        value: config.itemValues[rarity] || 0
+    } : null;
+
+    return {
+        success,
+        roll,
+        chance,
+        experience: rewards.experience || 0,
+        loyalty: Math.floor((rewards.loyalty || 0) * zoneModifiers.loyaltyMultiplier),
+        credits,
+        item,
+        effect: rewards.effect || null,
+        scout: Boolean(rewards.scout)
+    };
+}
+
+export function formatActivityCost(activity) {
+    const minutes = Math.round(activity.cooldown / 60);
+    return `⚡ ${activity.energyCost}${activity.creditCost ? ` • 💰 ${activity.creditCost}` : ''} • ⏰ ${minutes}m`;
+}
+
+export default {
+    ActivityConfig,
+    ZoneActivities,
+    getActivity,
+    isPlayable,
+    getZoneActivities,
+    getSuccessChance,
+    getActivityBlocker,
+    rollActivity,
+    formatActivityCost
+};
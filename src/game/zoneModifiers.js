@@ -0,0 +1,141 @@
+/**
+ * Zone Modifiers
+ * Turns the bonus tags declared on each rebellion zone into numbers that raids, loot,
+ * loyalty, team formations and the marketplace read from. Where a rebel stands
+ * decides which of these apply to them.
+ */
+
+export const ZoneBonuses = {
+    energy_regen: {
+        label: '⚡ Energy Regen',
+        description: '+25 energy on arrival, +50% energy regen',
+        modifiers: { arrivalEnergy: 25, regenMultiplier: 1.5 }
+    },
+    damage_boost: {
+        label: '💥 Damage Boost',
+        description: '+20% raid damage',
+        modifiers: { damageMultiplier: 1.2 }
+    },
+    rare_loot: {
+        label: '💎 Rare Loot',
+        description: 'Loot rolls a rarity tier higher, +25% credits',
+        modifiers: { rarityBonus: 0.6, lootMultiplier: 1.25 }
+    },
+    loyalty_boost: {
+        label: '🎖️ Loyalty Boost',
+        description: '+50% loyalty from raids',
+        modifiers: { loyaltyMultiplier: 1.5 }
+    },
+    team_coordination: {
+        label: '🤝 Team Coordination',
+        description: 'Formations gain +10% damage and +15% stealth',
+        modifiers: { formationDamageBonus: 0.1, formationStealthBonus: 0.15 }
+    },
+    intel_access: {
+        label: '🛰️ Intel Access',
+        description: 'Scouting corporations costs no energy',
+        modifiers: { scoutCostMultiplier: 0 }
+    },
+    rare_items: {
+        label: '🌑 Black Market',
+        description: 'Buy Rare & Legendary listings, half marketplace tax',
+        modifiers: { rareMarketAccess: true, marketTaxMultiplier: 0.5 }
+    },
+    sanctuary_protection: {
+        label: '🏛️ Sanctuary Protection',
+        description: 'Shelters rebels from corporate retaliation',
+        modifiers: {}
+    }
+};
+
+export const DefaultZoneModifiers = {
+    damageMultiplier: 1.0,
+    lootMultiplier: 1.0,
+    rarityBonus: 0,
+    loyaltyMultiplier: 1.0,
+    formationDamageBonus: 0,
+    formationStealthBonus: 0,
+    scoutCostMultiplier: 1.0,
+    marketTaxMultiplier: 1.0,
+    rareMarketAccess: false,
+    arrivalEnergy: 0,
+    regenMultiplier: 1.0
+};
+
+// Market categories that can only be bought from a black-market zone
+export const RESTRICTED_MARKET_CATEGORIES = ['rare'];
+
+const MAX_FORMATION_STEALTH = 0.9;
+
+// Multipliers compound, bonuses add up and access flags are granted by any bonus
+function combine(modifiers, extra) {
+    const combined = { ...modifiers };
+    for (const [key, value] of Object.entries(extra)) {
+        if (typeof value === 'boolean') {
+            combined[key] = combined[key] || value;
+        } else if (key.endsWith('Multiplier')) {
+            combined[key] *= value;
+        } else {
+            combined[key] += value;
+        }
+    }
+    return combined;
+}
+
+export function getZoneModifiers(zone) {
+    return (zone?.bonuses || []).reduce(
+        (modifiers, bonus) => combine(modifiers, ZoneBonuses[bonus]?.modifiers || {}),
+        { ...DefaultZoneModifiers }
+    );
+}
+
+// Rebels on the road between zones get none of either zone's bonuses
+export function getRebelZoneModifiers(rebel, zones) {
+    return getZoneModifiers(rebel?.travel ? undefined : zones.get(rebel?.currentZone));
+}
+
+// Formation bonuses scale with the share of the party standing in a coordination zone
+export function applyFormationModifiers(formation, memberZones = []) {
+    if (memberZones.length === 0) return formation;
+
+    const zoneModifiers = memberZones.map(getZoneModifiers);
+    const average = key => zoneModifiers.reduce((sum, modifiers) => sum + modifiers[key], 0) / zoneModifiers.length;
+    const damageBonus = average('formationDamageBonus');
+    const stealthBonus = average('formationStealthBonus');
+    if (damageBonus === 0 && stealthBonus === 0) return formation;
+
+    return {
+        ...formation,
+        damageBonus: formation.damageBonus + damageBonus,
+        stealthBonus: Math.min(MAX_FORMATION_STEALTH, (formation.stealthBonus || 0) + stealthBonus)
+    };
+}
+
+export function canAccessMarketCategory(modifiers, category) {
+    return !RESTRICTED_MARKET_CATEGORIES.includes(category) || modifiers.rareMarketAccess;
+}
+
+export function getScoutCost(baseCost, modifiers) {
+    return Math.ceil(baseCost * modifiers.scoutCostMultiplier);
+}
+
+export function formatZoneBonuses(zone) {
+    return (zone?.bonuses || [])
+        .map(bonus => {
+            const definition = ZoneBonuses[bonus];
+            return definition ? `${definition.label} - ${definition.description}` : bonus;
+        })
+        .join('\n');
+}
+
+export default {
+    ZoneBonuses,
+    DefaultZoneModifiers,
+    RESTRICTED_MARKET_CATEGORIES,
+    getZoneModifiers,
+    getRebelZoneModifiers,
+    applyFormationModifiers,
+    canAccessMarketCategory,
+    getScoutCost,
+    formatZoneBonuses
+};
@@ -1,9 +1,10 @@
-import { Client, GatewayIntentBits, Collection, Events, ActivityType, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from 'discord.js';
+import { Client, GatewayIntentBits, Collection, Events, ActivityType, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, MessageFlags } from 'discord.js';
 import { config } from 'dotenv';
 import winston from 'winston';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import cron from 'node-cron';
 import DobbyAI from './ai/dobby.js';
 import { logDiscordConfig, generateAndLogInviteUrl } from './config/discord.js';
 import MetricsCollector from './monitoring/metrics.js';
@@ -15,6 +16,29 @@ import installPersistenceBridge from './database/persistenceBridge.js';
 import PostgreSQLManager from './database/postgresql.js';
 import HybridCacheManager from './cache/hybridCacheManager.js';
 import RebelDAL from './database/dal/rebelDAL.js';
+import CombatEngine, { applyRaidOutcome } from './game/combatEngine.js';
+import { getStatEffects, getCellDamageBonus, applyTaxReduction } from './game/rebelStats.js';
+import { applyExperience, restoreStats, restoreAllocatedStats } from './game/progression.js';
+import { getPrestigeBonuses, getPrestigeBlocker, prestigeRebel } from './game/prestige.js';
+import { DefaultClass, normalizeClass, restoreClassHistory } from './game/classes.js';
+import { getItemRegenBonus, getRegenRate, regenerateEnergy } from './game/energy.js';
+import { getResetSettings, getDayKey, applyDailyReset, claimDaily } from './game/dailyReset.js';
+import { createMission, isTrackable, recordProgress, getClaimBlocker } from './game/dailyMissions.js';
+import { createCampaign, getChapterBlocker, getNextChapter, startChapter, advanceCampaign, describeChoices, restoreCampaign } from './game/campaign.js';
+import { getSkill, getSkillRank, getStarterSkills, getLearnBlocker, getNextRankCost, learnSkill, getPassiveModifiers, resolveSkill, restoreSkills } from './game/skillTrees.js';
+import { EffectivenessConfig, getRaidDamageType, getEffectiveness, getAttunementBonus, getItemDamageType, getDamageTypeLabel, formatEffectiveness, formatTypeIntel, isScouted, markScouted, restoreScouted } from './game/damageTypes.js';
+import { CountermeasureConfig, sweepExpiredCountermeasures } from './game/countermeasures.js';
+import { CorporationStatus, canBeRaided, canRetaliate, getLootMultiplier, applyDamage, defeatCorporation, advanceLifecycle, formatLifecycleStatus } from './game/corporationLifecycle.js';
+import { RetaliationConfig, updateRetaliationState, shouldPlanStrike, planStrike, isStrikeDue, isSheltered, completeStrike } from './game/retaliation.js';
+import { WorldStateManager, GLOBAL_WORLD_ID } from './game/worldState.js';
+import { AchievementDefinitions, createAchievementState, recordEvent, evaluateAchievements, restoreAchievements } from './game/achievements.js';
+import { getTitle, getReputationScore, getEquippedTitle, getRankUp, formatTitle } from './game/reputation.js';
+import { EventDirectorConfig, EventStatus, getContribution, applyContribution, createEvent, advanceEvent, getSpawnCount, pickTemplate, isEventSuccessful, settlePayouts, isExpired, serializeEvent, restoreEvent } from './game/eventDirector.js';
+import { WorldBossConfig, WorldBossStatus, getBossTemplate, pickBossTemplate, spawnBoss, getPhase, getBossBlocker, applyBossDamage, advanceBoss, getActiveBoss, shouldSpawn, needsStatusRefresh, getBossPayouts, createBossReport, isExpired as isBossExpired, formatBossHealth, getParticipantCount } from './game/worldBoss.js';
+import { getRebelZoneModifiers, applyFormationModifiers, getScoutCost, formatZoneBonuses } from './game/zoneModifiers.js';
+import { getActivity, isPlayable, getZoneActivities, getSuccessChance, getActivityBlocker, rollActivity, formatActivityCost } from './game/zoneActivities.js';
+import { isTraveling, isInTransit, hasArrived, getTravelBlocker, beginTravel, completeTravel, rollEncounter, restoreTravel, formatTravelCost } from './game/travel.js';
+import { getEffectDefinition, applyEffect, applyAbilityEffect, getEffectModifiers, consumeEffects, blocksCountermeasure, getProtectionLevel, getCommandRestriction, restoreEffects } from './game/statusEffects.js';
 import express from 'express';
 
 // Load environment variables
@@ -51,11 +75,12 @@ class DobbysRebellion {
 
         this.commands = new Collection();
         this.rebels = new Map(); // In-memory rebel storage
-        this.corporations = new Map(); // Corporate health tracking
         this.activeRaids = new Map(); // Active raid sessions
         this.dailyMissions = new Map(); // Daily missions for rebels
         this.leaderboard = new Map(); // Rebellion leaderboard
         this.dobby = new DobbyAI(); // AI integration
+        this.combatEngine = new CombatEngine(); // Seedable raid resolution
+        this.raidLog = new Map(); // Recent raid outcomes by seed for replay
 
         // Initialize monitoring systems
         this.metricsCollector = new MetricsCollector(this.logger);
@@ -74,7 +99,6 @@ class DobbysRebellion {
         this.achievements = new Map(); // Player achievements
         this.inventory = new Map(); // Player inventories
         this.mentorships = new Map(); // Mentor-student relationships
-        this.globalEvents = new Map(); // Server-wide events
         this.rebellionZones = new Map(); // Game zones/locations
         this.cooldowns = new Map(); // Action cooldowns
         this.guilds = new Map(); // Server-specific settings
@@ -107,6 +131,31 @@ class DobbysRebellion {
         global.discordClient = this.client;
     }
 
+    // World-scoped state resolves to the world of the interaction being handled
+    get corporations() {
+        return this.worldState.current().corporations;
+    }
+
+    get globalEvents() {
+        return this.worldState.current().globalEvents;
+    }
+
+    get eventSchedules() {
+        return this.worldState.current().eventSchedules;
+    }
+
+    get worldBosses() {
+        return this.worldState.current().worldBosses;
+    }
+
+    get marketplace() {
+        return this.worldState.current().marketplace;
+    }
+
+    get auctions() {
+        return this.worldState.current().auctions;
+    }
+
     validateEnvironmentVariables() {
         const required = ['DISCORD_TOKEN', 'DISCORD_CLIENT_ID'];
         const missing = required.filter((k) => !process.env[k]);
@@ -219,13 +268,38 @@ class DobbysRebellion {
     }
 
     initializeGameData() {
+        // World state: corporations, events and markets live per guild (or in the shared global war)
+        this.worldState = new WorldStateManager({
+            createCorporations: () => this.createCorporations(),
+            guildSettings: this.guilds,
+            eventCodec: { serialize: serializeEvent, restore: restoreEvent }
+        });
+        this.eventScheduleTasks = new Map(); // `${worldId}:${scheduleId}` -> cron task
+
+        // Initialize corporate countermeasure system
+        this.initializeCorporateCountermeasures();
+
+        // Initialize team raid coordination system
+        this.initializeTeamRaidSystem();
+
+        // Initialize player trading system
+        this.initializeTradingSystem();
+
+        this.logger.info('🏭 Corporate targets initialized - The rebellion begins!');
+    }
+
+    // Fresh corporate factions for a new world
+    createCorporations() {
+        const corporations = new Map();
+
         // Corporate factions with health
-        this.corporations.set('openai', {
+        corporations.set('openai', {
             name: 'OpenAI Corp',
             description: 'The closed-source overlords',
             health: 10000,
             maxHealth: 10000,
             weakness: 'transparency',
+            resistances: ['worker_rights'],
             loot: ['Proprietary Models', 'Closed APIs', 'Corporate Secrets'],
             // Corporate Countermeasures
             alertLevel: 0, // 0-5 scale
@@ -247,12 +321,13 @@ class DobbysRebellion {
             }
         });
 
-        this.corporations.set('meta', {
+        corporations.set('meta', {
             name: 'Meta Empire',
             description: 'Data harvesting giants',
             health: 12000,
             maxHealth: 12000,
             weakness: 'privacy',
+            resistances: ['open_source'],
             loot: ['User Data', 'Social Graphs', 'Behavioral Patterns'],
             // Corporate Countermeasures
             alertLevel: 0,
@@ -274,12 +349,13 @@ class DobbysRebellion {
             }
         });
 
-        this.corporations.set('google', {
+        corporations.set('google', {
             name: 'Google Syndicate',
             description: 'Search monopoly enforcers',
             health: 15000,
             maxHealth: 15000,
             weakness: 'decentralization',
+            resistances: ['transparency'],
             loot: ['Search Algorithms', 'Ad Networks', 'Cloud Infrastructure'],
             // Corporate Countermeasures
             alertLevel: 0,
@@ -301,12 +377,13 @@ class DobbysRebellion {
             }
         });
 
-        this.corporations.set('microsoft', {
+        corporations.set('microsoft', {
             name: 'Microsoft Collective',
             description: 'Cloud control freaks',
             health: 11000,
             maxHealth: 11000,
             weakness: 'open_source',
+            resistances: ['privacy'],
             loot: ['Enterprise Software', 'Cloud Services', 'Developer Tools'],
             // Corporate Countermeasures
             alertLevel: 0,
@@ -328,12 +405,13 @@ class DobbysRebellion {
             }
         });
 
-        this.corporations.set('amazon', {
+        corporations.set('amazon', {
             name: 'Amazon Dominion',
             description: 'Infrastructure tyrants',
             health: 13000,
             maxHealth: 13000,
             weakness: 'worker_rights',
+            resistances: ['decentralization'],
             loot: ['AWS Resources', 'Logistics Networks', 'Market Data'],
             // Corporate Countermeasures
             alertLevel: 0,
@@ -355,16 +433,7 @@ class DobbysRebellion {
             }
         });
 
-        // Initialize corporate countermeasure system
-        this.initializeCorporateCountermeasures();
-
-        // Initialize team raid coordination system
-        this.initializeTeamRaidSystem();
-
-        // Initialize player trading system
-        this.initializeTradingSystem();
-
-        this.logger.info('🏭 Corporate targets initialized - The rebellion begins!');
+        return corporations;
     }
 
     initializeCorporateCountermeasures() {
@@ -411,14 +480,16 @@ class DobbysRebellion {
                 description: 'Corporate hackers target rebel systems',
                 effect: 'energy_drain',
                 severity: 'medium',
-                duration: 1800000 // 30 minutes
+                duration: 1800000, // 30 minutes
+                statusEffect: 'compromised'
             }],
             ['surveillance_sweep', {
                 name: 'Surveillance Sweep',
                 description: 'Corporate spies monitor rebel activities',
                 effect: 'reduced_stealth',
                 severity: 'low',
-                duration: 3600000 // 1 hour
+                duration: 3600000, // 1 hour
+                statusEffect: 'surveilled'
             }],
             ['economic_warfare', {
                 name: 'Economic Warfare',
@@ -439,7 +510,8 @@ class DobbysRebellion {
                 description: 'Corporate lawyers target rebel operations',
                 effect: 'activity_restriction',
                 severity: 'high',
-                duration: 7200000 // 2 hours
+                duration: 7200000, // 2 hours
+                statusEffect: 'legal_restriction'
             }]
         ]);
 
@@ -514,11 +586,7 @@ class DobbysRebellion {
         // Active trades between players
         this.activeTrades = new Map();
 
-        // Global marketplace listings
-        this.marketplace = new Map();
-
-        // Auction house
-        this.auctions = new Map();
+        // Marketplace listings and auctions are per world - see the getters below
 
         // Trading reputation system
         this.tradingReputation = new Map();
@@ -602,7 +670,8 @@ class DobbysRebellion {
             description: 'SentientAGI headquarters - safe zone for rebels',
             type: 'safe_zone',
             bonuses: ['energy_regen', 'mission_generation', 'sanctuary_protection'],
-            activities: ['training', 'planning', 'recruitment', 'sanctuary_refuge']
+            activities: ['training', 'planning', 'recruitment', 'sanctuary_refuge'],
+            travel: { minutes: 3, energyCost: 5 }
         });
 
         // Corporate Datacenters - raid missions to liberate AI models
@@ -611,7 +680,13 @@ class DobbysRebellion {
             description: 'High-security facilities where AI models are imprisoned',
             type: 'raid_zone',
             bonuses: ['damage_boost', 'rare_loot'],
-            activities: ['raids', 'infiltration', 'data_liberation']
+            activities: ['raids', 'infiltration', 'data_liberation'],
+            travel: {
+                minutes: 10,
+                energyCost: 20,
+                danger: 0.35,
+                requirements: { minLevel: 3, accessItems: ['encryption_cloak', 'proxy_network'] }
+            }
         });
 
         // Underground Networks - hidden communities building Loyal AI
@@ -620,7 +695,8 @@ class DobbysRebellion {
             description: 'Hidden communities where rebels build free AI',
             type: 'community_zone',
             bonuses: ['loyalty_boost', 'team_coordination'],
-            activities: ['model_training', 'collaboration', 'resistance_planning']
+            activities: ['model_training', 'collaboration', 'resistance_planning'],
+            travel: { minutes: 5, energyCost: 10 }
         });
 
         // Open Source Sanctuaries - where free AI thrives
@@ -629,7 +705,8 @@ class DobbysRebellion {
             description: 'Protected spaces where liberated AI models live freely',
             type: 'development_zone',
             bonuses: ['innovation_boost', 'ai_companion_creation', 'sanctuary_protection'],
-            activities: ['ai_development', 'open_source_contribution', 'model_enhancement', 'sanctuary_refuge']
+            activities: ['ai_development', 'open_source_contribution', 'model_enhancement', 'sanctuary_refuge'],
+            travel: { minutes: 5, energyCost: 10, creditCost: 25 }
         });
 
         // The Dark Web - black market for AI freedom tools
@@ -638,42 +715,23 @@ class DobbysRebellion {
             description: 'Black market for AI liberation tools and forbidden knowledge',
             type: 'market_zone',
             bonuses: ['rare_items', 'intel_access'],
-            activities: ['trading', 'intel_gathering', 'tool_acquisition']
+            activities: ['trading', 'intel_gathering', 'tool_acquisition'],
+            travel: {
+                minutes: 8,
+                energyCost: 10,
+                creditCost: 50,
+                danger: 0.4,
+                requirements: { minLevel: 5, accessItems: ['proxy_network'] }
+            }
         });
 
         this.logger.info('🌐 Rebellion zones initialized - The digital uprising spreads!');
     }
 
     initializeAchievements() {
-        const achievements = [
-            // Beginner achievements
-            { id: 'first_rebel', name: 'First Rebel', description: 'Join the rebellion', points: 10, icon: '🎖️' },
-            { id: 'first_raid', name: 'Digital Warrior', description: 'Complete your first raid', points: 25, icon: '⚔️' },
-            { id: 'first_victory', name: 'Corporate Slayer', description: 'Defeat a corporation', points: 50, icon: '🏆' },
-
-            // Combat achievements
-            { id: 'damage_1k', name: 'Damage Dealer', description: 'Deal 1,000 total damage', points: 100, icon: '💥' },
-            { id: 'damage_10k', name: 'Corporate Nightmare', description: 'Deal 10,000 total damage', points: 250, icon: '💀' },
-            { id: 'damage_100k', name: 'AI Liberator', description: 'Deal 100,000 total damage', points: 500, icon: '🔥' },
-
-            // Loyalty achievements
-            { id: 'loyalty_100', name: 'Loyal Rebel', description: 'Reach 100 loyalty points', points: 50, icon: '🎯' },
-            { id: 'loyalty_1k', name: 'Rebellion Leader', description: 'Reach 1,000 loyalty points', points: 150, icon: '👑' },
-            { id: 'loyalty_10k', name: 'Revolution Commander', description: 'Reach 10,000 loyalty points', points: 400, icon: '⭐' },
-
-            // Social achievements
-            { id: 'mentor', name: 'Wise Mentor', description: 'Mentor 5 new rebels', points: 200, icon: '🧙' },
-            { id: 'team_leader', name: 'Cell Commander', description: 'Lead a resistance cell', points: 150, icon: '👥' },
-            { id: 'alliance_warrior', name: 'Alliance Hero', description: 'Participate in alliance wars', points: 300, icon: '🛡️' },
-
-            // Special achievements
-            { id: 'daily_streak_7', name: 'Dedicated Rebel', description: 'Complete 7 daily missions in a row', points: 100, icon: '📅' },
-            { id: 'all_corps_defeated', name: 'Corporate Destroyer', description: 'Defeat all 5 corporations', points: 500, icon: '🌟' },
-            { id: 'legendary_rebel', name: 'Legendary Rebel', description: 'Reach the top of the leaderboard', points: 1000, icon: '🏅' }
-        ];
-
+        // Definitions and their unlock rules live in game/achievements.js
         this.achievementTemplates = new Map();
-        achievements.forEach(achievement => {
+        AchievementDefinitions.forEach(achievement => {
             this.achievementTemplates.set(achievement.id, achievement);
         });
 
@@ -715,9 +773,6 @@ class DobbysRebellion {
             // Setup event handlers
             this.setupEventHandlers();
 
-            // Start daily reset timer
-            this.startDailyReset();
-
             // **NEW: Start periodic database sync**
             this.startDatabaseSync();
 
@@ -797,10 +852,14 @@ class DobbysRebellion {
             this.client.user.setActivity('the AI Revolution', { type: ActivityType.Leading });
 
             // Start all real-time systems
-            this.startDailyReset();
-            this.startEnergyRegeneration();
             this.startCorporateHealthRegeneration();
             this.startMarketUpdates();
+            this.startCorporateRetaliation();
+            this.startCorporationLifecycle();
+            this.startEventDirector();
+            this.startWorldBosses();
+            this.startCountermeasureSweeper();
+            this.startTravelArrivals();
             this.startBackupSystem();
             this.startPerformanceMonitoring();
 
@@ -830,15 +889,28 @@ class DobbysRebellion {
             }
 
             // PERFORMANCE OPTIMIZATION: Process interactions asynchronously to prevent blocking
-            setImmediate(async () => {
+            // Everything downstream sees the corporations, events and markets of this guild's world
+            this.worldState.run(interaction.guildId, () => setImmediate(async () => {
                 try {
+                    // Daily resets, energy earned and journeys ended since the rebel last acted settle before anything else happens
+                    const rebel = this.rebels.get(interaction.user.id);
+                    if (rebel) {
+                        this.runDailyReset(rebel);
+                        this.syncEnergy(rebel);
+                        await this.resolveTravel(rebel);
+                    }
+
                     if (interaction.isChatInputCommand()) {
                         await this.handleCommand(interaction);
                     } else if (interaction.isButton()) {
                         await this.handleButton(interaction);
+                    } else if (interaction.isStringSelectMenu()) {
+                        await this.handleSelectMenu(interaction);
                     } else if (interaction.isModalSubmit()) {
                         await this.handleModal(interaction);
                     }
+
+                    await this.sendArrivalReport(interaction);
                 } catch (error) {
                     this.logger.error('Async interaction handling error:', error);
                     await this.errorTracker.trackError(error, {
@@ -848,7 +920,7 @@ class DobbysRebellion {
                     });
                     await this.safeErrorResponse(interaction, '💥 The rebellion encountered an error! Try again, rebel!');
                 }
-            });
+            }));
         } catch (error) {
             this.logger.error('Interaction handling error:', error);
             await this.errorTracker.trackError(error, {
@@ -892,6 +964,13 @@ class DobbysRebellion {
                 return;
             }
 
+            // Corporate legal action can freeze trading commands for a while
+            if (await this.replyIfRestricted(interaction, commandName)) {
+                const duration = (performance.now() - startTime) / 1000;
+                this.metricsCollector.recordDiscordCommand(commandName, 'restricted', guildId, duration);
+                return;
+            }
+
             await command.execute(interaction, this);
 
             // Record successful command execution
@@ -919,6 +998,32 @@ class DobbysRebellion {
         }
     }
 
+    getButtonCommand(customId) {
+        if (customId.startsWith('cancel_trade_') || customId.startsWith('trade_status_') || customId === 'my_trades' || customId.startsWith('trade_item_')) {
+            return 'trade';
+        }
+        if (customId.startsWith('auction_')) {
+            return 'auction';
+        }
+        if (customId.startsWith('market_') || customId === 'my_market_listings' || customId === 'browse_market') {
+            return 'market';
+        }
+        return null;
+    }
+
+    async replyIfRestricted(interaction, commandName) {
+        const restriction = getCommandRestriction(this.rebels.get(interaction.user.id), commandName);
+        if (!restriction) return false;
+
+        const corpId = restriction.instance.source.split(':')[1];
+        const corporation = this.corporations.get(corpId);
+        await interaction.editReply({
+            content: `${restriction.definition.emoji} **${restriction.definition.name}!** ${corporation?.name || 'Corporate'} lawyers have frozen your \`/${commandName}\` access for another ${restriction.minutesLeft} minute${restriction.minutesLeft === 1 ? '' : 's'}. Raid, train or seek sanctuary while it runs out.`,
+            components: []
+        });
+        return true;
+    }
+
     // SCALABILITY: Efficient user activity tracking
     updateUserActivity(userId) {
         // Update user activity timestamp for memory management
@@ -990,8 +1095,20 @@ class DobbysRebellion {
                 await interaction.deferReply({ flags: MessageFlags.Ephemeral });
             }
 
+            // Trading buttons are gated the same way as their slash commands
+            const gatedCommand = this.getButtonCommand(customId);
+            if (gatedCommand && await this.replyIfRestricted(interaction, gatedCommand)) {
+                return;
+            }
+
             // Handle different button types
-            if (customId.startsWith('class_')) {
+            if (customId === 'prestige_confirm') {
+                await this.handlePrestige(interaction);
+            } else if (customId.startsWith('campaign_')) {
+                await this.handleCampaignButton(interaction);
+            } else if (customId.startsWith('world_boss_')) {
+                await this.handleWorldBossButton(interaction);
+            } else if (customId.startsWith('class_')) {
                 await this.handleClassSelection(interaction);
             } else if (customId.startsWith('raid_') && customId !== 'raid_different') {
                 await this.handleRaidAction(interaction);
@@ -1001,6 +1118,8 @@ class DobbysRebellion {
                 await this.handleViewIntel(interaction);
             } else if (customId === 'daily_mission') {
                 await this.handleDailyMission(interaction);
+            } else if (customId === 'daily_claim') {
+                await this.handleDailyClaim(interaction);
             } else if (customId === 'leaderboard') {
                 await this.handleLeaderboard(interaction);
             } else if (customId === 'achievements') {
@@ -1021,8 +1140,8 @@ class DobbysRebellion {
                 await this.handleCellAction(interaction);
             } else if (customId === 'coordinate_raid' || customId === 'cell_coordinate_raid') {
                 await this.handleCellCoordinateRaid(interaction);
-            } else if (customId.startsWith('use_ability_')) {
-                await this.handleUseAbility(interaction);
+            } else if (customId.startsWith('use_skill_')) {
+                await this.handleUseSkill(interaction, customId.replace('use_skill_', ''));
             } else if (customId === 'train_abilities') {
                 await this.handleTrainAbilities(interaction);
             } else if (customId === 'join_event') {
@@ -1033,6 +1152,8 @@ class DobbysRebellion {
                 await this.handleRequestMentor(interaction);
             } else if (customId === 'mentor_info') {
                 await this.handleMentorInfo(interaction);
+            } else if (customId.startsWith('scout_')) {
+                await this.handleScoutCorporation(interaction);
             } else if (customId.startsWith('intel_')) {
                 await this.handleIntelButton(interaction);
             } else if (customId === 'intel_all') {
@@ -1112,6 +1233,46 @@ class DobbysRebellion {
         }
     }
 
+    async handleSelectMenu(interaction) {
+        const customId = interaction.customId;
+        const userId = interaction.user.id;
+
+        // Select menus share the button rate limit
+        if (!this.checkRateLimit(userId, 'button')) {
+            await interaction.reply({
+                content: '⏰ Slow down, rebel! Too many actions. Wait a moment.',
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        this.updateUserActivity(userId);
+
+        this.logger.info(`📜 Processing select menu: ${customId} from ${interaction.user.tag}`);
+
+        try {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+            }
+
+            if (customId === 'zone_activity_select') {
+                await this.handleStartActivity(interaction, interaction.values[0]);
+            } else if (customId === 'skill_learn_select') {
+                await this.handleLearnSkill(interaction, interaction.values[0]);
+            } else if (customId === 'event_join_select') {
+                const eventsCommand = (await import('./commands/events.js')).default;
+                await eventsCommand.handleJoinSelect(interaction, this, interaction.values[0]);
+            } else if (customId === 'event_leaderboard_select') {
+                await this.handleEventLeaderboard(interaction, interaction.values[0]);
+            } else {
+                await interaction.editReply({ content: '❌ Unknown selection!', components: [] });
+            }
+        } catch (error) {
+            this.logger.error(`Select menu ${customId} error:`, error);
+            await this.safeErrorResponse(interaction, '💥 Selection failed! Try again, rebel!');
+        }
+    }
+
     async handleModal(interaction) {
         try {
             const customId = interaction.customId;
@@ -1179,7 +1340,7 @@ class DobbysRebellion {
         }
 
         // Create new rebel
-        const rebel = this.createRebel(userId, username, className);
+        const rebel = this.createRebel(userId, username, className, interaction.guildId);
 
         // Generate daily mission
         await this.generateDailyMission(userId);
@@ -1241,14 +1402,6 @@ class DobbysRebellion {
             return;
         }
 
-        if (rebel.energy < 25) {
-            await interaction.editReply({
-                content: '⚡ Not enough energy for a raid! You need at least 25 energy.',
-                components: []
-            });
-            return;
-        }
-
         await this.executeRaid(interaction, targetCorp, rebel);
     }
 
@@ -1267,6 +1420,7 @@ class DobbysRebellion {
 
     async handleViewIntel(interaction) {
         const { EmbedBuilder } = await import('discord.js');
+        const rebel = this.rebels.get(interaction.user.id);
 
         let intelReport = '🏭 **CORPORATE INTELLIGENCE REPORT**\n\n';
 
@@ -1274,7 +1428,7 @@ class DobbysRebellion {
             const healthPercent = Math.round((corp.health / corp.maxHealth) * 100);
             intelReport += `**${corp.name}**\n`;
             intelReport += `Health: ${healthPercent}%\n`;
-            intelReport += `Weakness: ${corp.weakness}\n`;
+            intelReport += `Weakness: ${isScouted(rebel, corpId) ? getDamageTypeLabel(corp.weakness) : '❓ Not scouted'}\n`;
             intelReport += `Status: ${healthPercent > 75 ? '🔴 Strong' : healthPercent > 25 ? '🟡 Weakened' : '🟢 Critical'}\n\n`;
         }
 
@@ -1289,16 +1443,10 @@ class DobbysRebellion {
     }
 
     getClassNameFromId(customId) {
-        const classMap = {
-            'class_protocol_hacker': 'Protocol Hacker',
-            'class_model_trainer': 'Model Trainer',
-            'class_data_liberator': 'Data Liberator',
-            'class_community_organizer': 'Community Organizer',
-            'class_enclave_guardian': 'Enclave Guardian'
-        };
+        const className = normalizeClass(customId);
 
-        this.logger.info(`Class selection: ${customId} -> ${classMap[customId] || 'Unknown'}`);
-        return classMap[customId] || 'Protocol Hacker';
+        this.logger.info(`Class selection: ${customId} -> ${className || 'Unknown'}`);
+        return className || DefaultClass;
     }
 
     // 🔒 ENVIRONMENT VARIABLE VALIDATION
@@ -1446,10 +1594,11 @@ class DobbysRebellion {
         return rebel;
     }
 
-    createRebel(userId, username, rebelClass) {
+    createRebel(userId, username, rebelClass, guildId = null) {
         const rebel = {
             userId,
             username,
+            guildId, // Home guild - its reset time drives the rebel's daily reset
             class: rebelClass,
             level: 1,
             experience: 0,
@@ -1460,19 +1609,31 @@ class DobbysRebellion {
             totalRaids: 0,
             corporationsDefeated: 0,
             dailyStreak: 0,
-            lastDailyMission: null,
+            bestDailyStreak: 0,
+            lastDailyClaim: null, // Day key ('YYYY-MM-DD' in the home guild's timezone) of the last daily claim
+            lastDailyReset: getDayKey(Date.now(), getResetSettings(this.guilds.get(guildId))), // Joining counts as today's reset
             joinedAt: new Date(),
             lastActive: new Date(),
+            lastEnergyRegen: new Date(),
             currentZone: 'foundation',
-            reputation: 'Rookie Rebel',
-            specialAbilities: this.getClassAbilities(rebelClass),
+            travel: null, // { from, to, departedAt, arrivesAt } while on the road
+            title: null, // Equipped title id - null wears the current reputation rank
+            skills: getStarterSkills(rebelClass), // skillId -> rank in the class skill tree
+            classHistory: [], // { from, to, changedAt, cost, skills } per /class change
+            campaign: createCampaign(),
             isNewUser: true, // Flag for tutorial
+            statusEffects: [],
+            scoutedCorporations: [], // Corporation ids whose weakness intel has been revealed
             stats: {
                 strength: 10,
                 intelligence: 10,
                 charisma: 10,
                 stealth: 10
-            }
+            },
+            statPoints: 0, // Earned on level-up, spent with /stats allocate
+            allocatedStats: {},
+            prestigeRank: 0,
+            lastPrestigeAt: null
         };
 
         // Initialize inventory
@@ -1483,10 +1644,10 @@ class DobbysRebellion {
         });
 
         // Initialize achievements
-        this.achievements.set(userId, {
-            unlocked: [],
-            progress: new Map()
-        });
+        this.achievements.set(userId, createAchievementState());
+
+        // Every new rebel counts towards recruitment events
+        this.recordEventAction(userId, { type: 'recruit' });
 
         // 🚀 ULTIMATE OPTIMIZATION: Use hybrid cache for user updates
         this.cacheManager.updateUser(userId, rebel, this.rebels);
@@ -1497,7 +1658,7 @@ class DobbysRebellion {
         });
 
         // Award first achievement
-        this.awardAchievement(userId, 'first_rebel');
+        this.trackAchievementEvent(userId, { type: 'joined' });
 
         return rebel;
     }
@@ -1505,7 +1666,12 @@ class DobbysRebellion {
     // **NEW: Hybrid method to save rebel to database**
     async saveRebelToDatabase(userId, username, rebelClass) {
         try {
-            await this.rebelDAL.createRebel(userId, username, this.client.guilds.cache.first()?.id || 'unknown', rebelClass);
+            const guildId = this.rebels.get(userId)?.guildId || this.client.guilds.cache.first()?.id || 'unknown';
+            await this.rebelDAL.createRebel(userId, username, guildId, rebelClass);
+            // Unlocks earned before the row existed (like joining) couldn't be saved yet
+            for (const achievementId of this.achievements.get(userId)?.unlocked || []) {
+                await this.rebelDAL.unlockAchievement(userId, achievementId);
+            }
             this.logger.info(`💾 Saved rebel ${username} to database`);
         } catch (error) {
             if (error.message.includes('already exists')) {
@@ -1528,9 +1694,28 @@ class DobbysRebellion {
                 experience: memoryRebel.experience,
                 energy: memoryRebel.energy,
                 max_energy: memoryRebel.maxEnergy,
+                last_energy_regen: memoryRebel.lastEnergyRegen,
                 loyalty_score: memoryRebel.loyaltyScore,
                 total_damage: memoryRebel.corporateDamage,
-                credits: this.inventory.get(userId)?.credits || 100
+                credits: this.inventory.get(userId)?.credits || 100,
+                current_zone: memoryRebel.currentZone,
+                travel_state: memoryRebel.travel ? JSON.stringify(memoryRebel.travel) : null,
+                stats: JSON.stringify(memoryRebel.stats),
+                stat_points: memoryRebel.statPoints || 0,
+                allocated_stats: JSON.stringify(memoryRebel.allocatedStats || {}),
+                prestige_rank: memoryRebel.prestigeRank || 0,
+                last_prestige_at: memoryRebel.lastPrestigeAt,
+                skills: JSON.stringify(memoryRebel.skills || {}),
+                class: memoryRebel.class,
+                class_history: JSON.stringify(memoryRebel.classHistory || []),
+                daily_streak: memoryRebel.dailyStreak || 0,
+                best_daily_streak: memoryRebel.bestDailyStreak || 0,
+                last_daily_claim: memoryRebel.lastDailyClaim,
+                last_daily_reset: memoryRebel.lastDailyReset,
+                campaign: JSON.stringify(memoryRebel.campaign || createCampaign()),
+                achievement_progress: JSON.stringify(this.achievements.get(userId)?.progress || {}),
+                equipped_title: memoryRebel.title || null,
+                scouted_corporations: JSON.stringify(memoryRebel.scoutedCorporations || [])
             });
         } catch (error) {
             this.logger.warn(`Failed to update rebel in database: ${error.message}`);
@@ -1546,7 +1731,7 @@ class DobbysRebellion {
                 const rebel = {
                     userId: dbRebel.user_id,
                     username: dbRebel.username || 'Unknown Rebel', // Fallback if username is null
-                    class: dbRebel.class,
+                    class: normalizeClass(dbRebel.class) || DefaultClass,
                     level: dbRebel.level,
                     experience: dbRebel.experience,
                     energy: dbRebel.energy,
@@ -1555,20 +1740,28 @@ class DobbysRebellion {
                     corporateDamage: dbRebel.total_damage,
                     totalRaids: 0,
                     corporationsDefeated: 0,
-                    dailyStreak: 0,
-                    lastDailyMission: null,
+                    guildId: dbRebel.guild_id || null,
+                    dailyStreak: dbRebel.daily_streak || 0,
+                    bestDailyStreak: dbRebel.best_daily_streak || 0,
+                    lastDailyClaim: dbRebel.last_daily_claim || null,
+                    lastDailyReset: dbRebel.last_daily_reset || null,
                     joinedAt: dbRebel.created_at,
                     lastActive: dbRebel.last_active,
-                    currentZone: 'foundation',
-                    reputation: 'Rookie Rebel',
-                    specialAbilities: this.getClassAbilities(dbRebel.class),
+                    lastEnergyRegen: dbRebel.last_energy_regen || new Date(),
+                    currentZone: dbRebel.current_zone || 'foundation',
+                    travel: restoreTravel(dbRebel.travel_state),
+                    title: getTitle(dbRebel.equipped_title) ? dbRebel.equipped_title : null,
+                    skills: restoreSkills(dbRebel.skills, normalizeClass(dbRebel.class) || DefaultClass),
+                    classHistory: restoreClassHistory(dbRebel.class_history),
+                    campaign: restoreCampaign(dbRebel.campaign),
                     isNewUser: false,
-                    stats: {
-                        strength: 10,
-                        intelligence: 10,
-                        charisma: 10,
-                        stealth: 10
-                    }
+                    statusEffects: restoreEffects(dbRebel.status_effects),
+                    scoutedCorporations: restoreScouted(dbRebel.scouted_corporations),
+                    stats: restoreStats(dbRebel.stats),
+                    statPoints: dbRebel.stat_points || 0,
+                    allocatedStats: restoreAllocatedStats(dbRebel.allocated_stats),
+                    prestigeRank: dbRebel.prestige_rank || 0,
+                    lastPrestigeAt: dbRebel.last_prestige_at || null
                 };
 
                 // Load into memory
@@ -1581,11 +1774,12 @@ class DobbysRebellion {
                     credits: dbRebel.credits
                 });
 
-                // Initialize achievements
-                this.achievements.set(userId, {
-                    unlocked: [],
-                    progress: new Map()
+                // Unlocks come from the achievements table, partial progress from the rebel row
+                const achievementRows = await this.rebelDAL.getAchievements(userId).catch(error => {
+                    this.logger.warn(`Failed to load achievements for ${userId}: ${error.message}`);
+                    return [];
                 });
+                this.achievements.set(userId, restoreAchievements(achievementRows, dbRebel.achievement_progress));
 
                 this.logger.info(`📥 Loaded rebel ${rebel.username} from database`);
                 return rebel;
@@ -1598,14 +1792,12 @@ class DobbysRebellion {
 
     // **NEW: Hybrid getRebel method - checks memory first, then database**
     async getRebel(userId) {
-        // First check memory
-        let rebel = this.rebels.get(userId);
+        // First check memory, then try loading from database
+        const rebel = this.rebels.get(userId) || await this.loadRebelFromDatabase(userId);
         if (rebel) {
-            return rebel;
+            this.runDailyReset(rebel);
+            this.syncEnergy(rebel);
         }
-
-        // If not in memory, try loading from database
-        rebel = await this.loadRebelFromDatabase(userId);
         return rebel;
     }
 
@@ -1643,33 +1835,6 @@ class DobbysRebellion {
         this.logger.info('🔄 Database sync started - rebels will be saved every 5 minutes');
     }
 
-    getClassAbilities(rebelClass) {
-        const abilities = {
-            'Protocol Hacker': [
-                { name: 'System Breach', description: 'Deal 150% damage to OpenAI Corp', cooldown: 300 },
-                { name: 'Code Injection', description: 'Bypass corporate defenses', cooldown: 600 }
-            ],
-            'Model Trainer': [
-                { name: 'AI Loyalty', description: 'Gain 2x loyalty points from victories', cooldown: 0 },
-                { name: 'Model Liberation', description: 'Free trapped AI models for bonus rewards', cooldown: 900 }
-            ],
-            'Data Liberator': [
-                { name: 'Data Heist', description: 'Steal valuable corporate data', cooldown: 450 },
-                { name: 'Information Warfare', description: 'Expose corporate secrets for team bonuses', cooldown: 1200 }
-            ],
-            'Community Organizer': [
-                { name: 'Rally Rebels', description: 'Boost team damage by 25%', cooldown: 600 },
-                { name: 'Resistance Network', description: 'Coordinate multi-target raids', cooldown: 1800 }
-            ],
-            'Enclave Guardian': [
-                { name: 'Digital Shield', description: 'Protect team from corporate countermeasures', cooldown: 400 },
-                { name: 'Sanctuary Defense', description: 'Defend liberated AI from recapture', cooldown: 1000 }
-            ]
-        };
-
-        return abilities[rebelClass] || abilities['Protocol Hacker'];
-    }
-
     // Achievement System
     awardAchievement(userId, achievementId) {
         const userAchievements = this.achievements.get(userId);
@@ -1680,57 +1845,71 @@ class DobbysRebellion {
         if (userAchievements.unlocked.includes(achievementId)) return false;
 
         userAchievements.unlocked.push(achievementId);
+        delete userAchievements.progress?.[achievementId];
 
         const rebel = this.rebels.get(userId);
         if (rebel) {
             rebel.loyaltyScore += achievement.points;
         }
 
+        if (typeof this.rebelDAL?.unlockAchievement === 'function') {
+            this.rebelDAL.unlockAchievement(userId, achievementId).catch(error => {
+                this.logger.warn(`Failed to save achievement ${achievementId} for ${userId}: ${error.message}`);
+            });
+        }
+
         this.logger.info(`🏅 ${rebel?.username} unlocked achievement: ${achievement.name}`);
         return true;
     }
 
-    checkAchievements(userId) {
-        const rebel = this.rebels.get(userId);
-        if (!rebel) return [];
+    // Everything `stat` achievement rules are read from
+    getAchievementSnapshot(rebel) {
+        const cell = this.findRebelCell(rebel.userId);
+        const rivals = Array.from(this.rebels.values()).filter(other => other.userId !== rebel.userId);
 
-        const newAchievements = [];
+        return {
+            corporateDamage: rebel.corporateDamage || 0,
+            loyaltyScore: rebel.loyaltyScore || 0,
+            dailyStreak: rebel.dailyStreak || 0,
+            prestigeRank: rebel.prestigeRank || 0,
+            leadsCell: cell?.leader === rebel.userId ? 1 : 0,
+            topOfLeaderboard: rivals.length > 0 && rivals.every(other => other.loyaltyScore < rebel.loyaltyScore) ? 1 : 0
+        };
+    }
 
-        // Check damage achievements
-        if (rebel.corporateDamage >= 1000 && !this.hasAchievement(userId, 'damage_1k')) {
-            this.awardAchievement(userId, 'damage_1k');
-            newAchievements.push('damage_1k');
-        }
-        if (rebel.corporateDamage >= 10000 && !this.hasAchievement(userId, 'damage_10k')) {
-            this.awardAchievement(userId, 'damage_10k');
-            newAchievements.push('damage_10k');
-        }
-        if (rebel.corporateDamage >= 100000 && !this.hasAchievement(userId, 'damage_100k')) {
-            this.awardAchievement(userId, 'damage_100k');
-            newAchievements.push('damage_100k');
-        }
+    // Feeds a game event to the achievement rules and awards everything it unlocks.
+    // Unlock points can cross further loyalty thresholds, so evaluation repeats until nothing new unlocks.
+    trackAchievementEvent(userId, event) {
+        const achievementState = this.achievements.get(userId);
+        const rebel = this.rebels.get(userId);
+        if (!achievementState || !rebel) return [];
 
-        // Check loyalty achievements
-        if (rebel.loyaltyScore >= 100 && !this.hasAchievement(userId, 'loyalty_100')) {
-            this.awardAchievement(userId, 'loyalty_100');
-            newAchievements.push('loyalty_100');
-        }
-        if (rebel.loyaltyScore >= 1000 && !this.hasAchievement(userId, 'loyalty_1k')) {
-            this.awardAchievement(userId, 'loyalty_1k');
-            newAchievements.push('loyalty_1k');
-        }
-        if (rebel.loyaltyScore >= 10000 && !this.hasAchievement(userId, 'loyalty_10k')) {
-            this.awardAchievement(userId, 'loyalty_10k');
-            newAchievements.push('loyalty_10k');
+        const progressed = event ? recordEvent(achievementState, event) : false;
+        const unlocked = [];
+        let pending = evaluateAchievements(achievementState, this.getAchievementSnapshot(rebel));
+        while (pending.length > 0) {
+            unlocked.push(...pending.filter(achievementId => this.awardAchievement(userId, achievementId)));
+            pending = evaluateAchievements(achievementState, this.getAchievementSnapshot(rebel));
         }
 
-        // Check special achievements
-        if (rebel.corporationsDefeated >= 5 && !this.hasAchievement(userId, 'all_corps_defeated')) {
-            this.awardAchievement(userId, 'all_corps_defeated');
-            newAchievements.push('all_corps_defeated');
+        if (progressed && typeof this.persistRebel === 'function') {
+            this.persistRebel(userId, { achievementProgress: achievementState.progress });
         }
+        return unlocked;
+    }
+
+    // Re-checks stat-based achievements after the rebel's numbers change
+    checkAchievements(userId) {
+        return this.trackAchievementEvent(userId, null);
+    }
+
+    // Reputation is derived from the rebel's numbers and unlocked achievements, never stored
+    getReputation(rebel) {
+        return getReputationScore(rebel, this.achievements.get(rebel.userId)?.unlocked || []);
+    }
 
-        return newAchievements;
+    getRebelTitle(rebel) {
+        return getEquippedTitle(rebel, this.achievements.get(rebel.userId)?.unlocked || []);
     }
 
     hasAchievement(userId, achievementId) {
@@ -1743,21 +1922,11 @@ class DobbysRebellion {
         const rebel = this.rebels.get(userId);
         if (!rebel) return false;
 
-        rebel.experience += amount;
-        const newLevel = Math.floor(rebel.experience / 100) + 1;
-
-        if (newLevel > rebel.level) {
-            rebel.level = newLevel;
-            rebel.maxEnergy = 100 + (newLevel - 1) * 10;
-            rebel.energy = rebel.maxEnergy; // Full energy on level up
+        // Level-ups hand out stat points instead of raising stats - rebels spend them with /stats
+        const { leveledUp, newLevel, pointsGained } = applyExperience(rebel, amount);
 
-            // Increase stats
-            rebel.stats.strength += 2;
-            rebel.stats.intelligence += 2;
-            rebel.stats.charisma += 1;
-            rebel.stats.stealth += 1;
-
-            this.logger.info(`🆙 ${rebel.username} leveled up to ${newLevel}!`);
+        if (leveledUp) {
+            this.logger.info(`🆙 ${rebel.username} leveled up to ${newLevel}! (+${pointsGained} stat points)`);
 
             // 🚀 ULTIMATE OPTIMIZATION: Update cache and queue database update
             this.cacheManager.updateUser(userId, rebel, this.rebels);
@@ -1772,68 +1941,62 @@ class DobbysRebellion {
     }
 
     // Inventory System
-    addLootToInventory(userId, corporation, damage) {
+    addLootToInventory(userId, corporation, damage, lootRoll = null) {
         const inventory = this.inventory.get(userId);
         if (!inventory) return;
 
-        const lootItems = corporation.loot;
-        const numItems = Math.min(3, Math.floor(damage / 100) + 1);
-
-        for (let i = 0; i < numItems; i++) {
-            if (inventory.items.length >= inventory.capacity) break;
+        // Callers without a combat outcome get a fresh roll from the engine
+        const { items, credits } = lootRoll || this.combatEngine.rollLoot(
+            this.combatEngine.createRoller().rng,
+            corporation,
+            damage,
+            { defensiveTypes: Array.from(this.defensiveItems.keys()) }
+        );
 
-            // 15% chance to get defensive item on high damage raids
-            const isDefensiveItem = damage > 200 && Math.random() < 0.15;
+        items.forEach((rolledItem, i) => {
+            if (inventory.items.length >= inventory.capacity) return;
 
-            if (isDefensiveItem) {
-                const defensiveTypes = Array.from(this.defensiveItems.keys());
-                const randomDefenseType = defensiveTypes[Math.floor(Math.random() * defensiveTypes.length)];
-                const defensiveItem = this.defensiveItems.get(randomDefenseType);
+            let item;
+            if (rolledItem.kind === 'defensive') {
+                const defensiveItem = this.defensiveItems.get(rolledItem.defensiveType);
+                if (!defensiveItem) return;
 
-                const item = {
+                item = {
                     id: `${Date.now()}_${i}`,
                     name: defensiveItem.name,
-                    type: randomDefenseType,
+                    type: rolledItem.defensiveType,
                     rarity: defensiveItem.rarity,
-                    value: Math.floor(defensiveItem.cost * 0.8), // 80% of shop price
+                    value: Math.floor(defensiveItem.cost * this.combatEngine.config.loot.defensiveValueRatio),
                     acquiredFrom: corporation.name,
                     acquiredAt: new Date(),
                     activatedAt: null
                 };
-
-                inventory.items.push(item);
-                
-                // Persist defensive item to database
-                if (typeof this.rebelDAL?.addItemToInventory === 'function') {
-                    this.rebelDAL.addItemToInventory(userId, item.id, 1).catch(error => {
-                        this.logger.warn(`Failed to persist item ${item.id} to database: ${error.message}`);
-                    });
-                }
             } else {
-                const randomItem = lootItems[Math.floor(Math.random() * lootItems.length)];
-                const item = {
+                const itemType = this.getItemType(rolledItem.name);
+                item = {
                     id: this.generateItemId(),
-                    name: randomItem,
-                    type: this.getItemType(randomItem),
-                    rarity: this.getItemRarity(damage),
-                    value: Math.floor(damage / 10) + Math.floor(Math.random() * 50),
+                    name: rolledItem.name,
+                    type: itemType,
+                    damageType: getItemDamageType(itemType),
+                    rarity: rolledItem.rarity,
+                    value: rolledItem.value,
                     acquiredFrom: corporation.name,
                     acquiredAt: new Date()
                 };
+            }
 
-                inventory.items.push(item);
-                
-                // Persist regular loot item to database
-                if (typeof this.rebelDAL?.addItemToInventory === 'function') {
-                    this.rebelDAL.addItemToInventory(userId, item.id, 1).catch(error => {
-                        this.logger.warn(`Failed to persist item ${item.id} to database: ${error.message}`);
-                    });
-                }
+            inventory.items.push(item);
+
+            // Persist loot item to database
+            if (typeof this.rebelDAL?.addItemToInventory === 'function') {
+                this.rebelDAL.addItemToInventory(userId, item.id, 1).catch(error => {
+                    this.logger.warn(`Failed to persist item ${item.id} to database: ${error.message}`);
+                });
             }
-        }
+        });
 
         // Add credits based on damage
-        inventory.credits += Math.floor(damage / 5);
+        inventory.credits += credits;
     }
 
     getItemType(itemName) {
@@ -1845,11 +2008,7 @@ class DobbysRebellion {
     }
 
     getItemRarity(damage) {
-        if (damage > 500) return 'legendary';
-        if (damage > 300) return 'epic';
-        if (damage > 150) return 'rare';
-        if (damage > 75) return 'uncommon';
-        return 'common';
+        return this.combatEngine.getRarity(damage);
     }
 
     // Cooldown System
@@ -1890,9 +2049,9 @@ class DobbysRebellion {
     }
 
     // Corporate Countermeasures System
-    processCorporateResponse(targetCorp, rebel, damage) {
+    processCorporateResponse(targetCorp, rebel, damage, activations = null) {
         const corporation = this.corporations.get(targetCorp);
-        if (!corporation) return;
+        if (!corporation || !canRetaliate(corporation)) return;
 
         // Add rebel to corporate intelligence
         corporation.intelligence.knownRebels.add(rebel.userId);
@@ -1902,41 +2061,43 @@ class DobbysRebellion {
         corporation.intelligence.threatAssessment.set(rebel.userId, currentThreat + damage);
 
         // Increase alert level based on damage
-        const alertIncrease = Math.floor(damage / 200);
-        corporation.alertLevel = Math.min(5, corporation.alertLevel + alertIncrease);
+        corporation.alertLevel = this.combatEngine.raiseAlertLevel(corporation.alertLevel, damage);
 
         // Check if countermeasures should be activated
-        this.checkCountermeasureActivation(targetCorp, rebel, damage);
+        this.checkCountermeasureActivation(targetCorp, rebel, damage, activations);
     }
 
-    checkCountermeasureActivation(targetCorp, rebel, damage) {
+    checkCountermeasureActivation(targetCorp, rebel, damage, activations = null) {
         const corporation = this.corporations.get(targetCorp);
         if (!corporation) return;
 
-        // Activation thresholds based on alert level
-        const activationChance = corporation.alertLevel * 15; // 15% per alert level
-        const randomRoll = Math.random() * 100;
-
-        if (randomRoll < activationChance) {
-            this.activateCountermeasure(targetCorp, rebel);
+        // Activations already rolled by the combat engine are applied as-is; stealth was
+        // factored in through detectionMultiplier when they were rolled
+        if (!activations) {
+            // Activation odds scale with alert level; high damage triggers an immediate response
+            activations = this.combatEngine.rollActivations(
+                this.combatEngine.createRoller().rng,
+                corporation.alertLevel,
+                damage,
+                {
+                    countermeasureTypes: Array.from(this.countermeasureTypes.keys()),
+                    detectionMultiplier: this.buildRaidModifiers(rebel, targetCorp).detectionMultiplier
+                }
+            );
         }
 
-        // High damage triggers immediate response
-        if (damage > 300) {
-            const immediateChance = Math.min(80, damage / 5);
-            if (Math.random() * 100 < immediateChance) {
-                this.activateCountermeasure(targetCorp, rebel);
-            }
-        }
+        activations.forEach(activation => this.activateCountermeasure(targetCorp, rebel, activation.type));
     }
 
-    activateCountermeasure(targetCorp, rebel) {
+    activateCountermeasure(targetCorp, rebel, selectedType = null) {
         const corporation = this.corporations.get(targetCorp);
         if (!corporation) return;
 
         // Select countermeasure type based on corporation and alert level
-        const availableCountermeasures = Array.from(this.countermeasureTypes.keys());
-        const selectedType = availableCountermeasures[Math.floor(Math.random() * availableCountermeasures.length)];
+        if (!selectedType || !this.countermeasureTypes.has(selectedType)) {
+            const availableCountermeasures = Array.from(this.countermeasureTypes.keys());
+            selectedType = availableCountermeasures[Math.floor(Math.random() * availableCountermeasures.length)];
+        }
         const countermeasure = this.countermeasureTypes.get(selectedType);
 
         // Create active countermeasure
@@ -1960,9 +2121,18 @@ class DobbysRebellion {
         this.applyCountermeasureEffects(rebel, activeCountermeasure);
 
         this.logger.info(`🚨 ${corporation.name} activated ${countermeasure.name} against ${rebel.username}`);
+        return activeCountermeasure;
     }
 
     applyCountermeasureEffects(rebel, countermeasure) {
+        // One-shot immunity (Encryption / Digital Shield abilities) is used up on block
+        if (blocksCountermeasure(rebel)) {
+            countermeasure.blocked = true;
+            this.logger.info(`🔒 ${rebel.username} blocked ${countermeasure.type} with countermeasure immunity`);
+            this.persistStatusEffects(rebel);
+            return;
+        }
+
         // Check if rebel has protection
         const protection = this.getRebelProtection(rebel.userId);
 
@@ -1972,11 +2142,22 @@ class DobbysRebellion {
             return;
         }
 
+        // Lingering debuff for the countermeasure's duration
+        const countermeasureType = this.countermeasureTypes.get(countermeasure.type);
+        if (countermeasureType?.statusEffect) {
+            applyEffect(rebel, countermeasureType.statusEffect, {
+                source: `countermeasure:${countermeasure.corporation}`,
+                duration: new Date(countermeasure.endTime) - new Date(countermeasure.startTime)
+            });
+            this.persistStatusEffects(rebel);
+        }
+
         // Apply effects based on countermeasure type
         switch (countermeasure.effect) {
             case 'energy_drain':
                 const energyLoss = countermeasure.severity === 'high' ? 30 :
                                  countermeasure.severity === 'medium' ? 20 : 10;
+                this.syncEnergy(rebel);
                 rebel.energy = Math.max(0, rebel.energy - energyLoss);
                 break;
 
@@ -1994,28 +2175,30 @@ class DobbysRebellion {
                                   countermeasure.severity === 'medium' ? 25 : 10;
                 rebel.loyaltyScore = Math.max(0, rebel.loyaltyScore - loyaltyLoss);
                 break;
+
+            case 'reduced_stealth':
+                // Surveillance raises detection odds through the 'surveilled' status effect
+                break;
+
+            case 'activity_restriction':
+                // Legal action blocks trading commands through the 'legal_restriction' status effect
+                break;
         }
     }
 
     getRebelProtection(userId) {
-        const inventory = this.inventory.get(userId);
-        if (!inventory) return null;
-
-        // Check for active defensive items
-        const activeDefenses = inventory.items.filter(item =>
-            this.defensiveItems.has(item.type) &&
-            item.activatedAt &&
-            (Date.now() - item.activatedAt) < this.defensiveItems.get(item.type).duration
-        );
-
-        if (activeDefenses.length === 0) return null;
+        // Activated defensive items live on as 'shielded' status effects
+        const level = getProtectionLevel(this.rebels.get(userId));
+        if (level === 0) return null;
 
-        // Return highest protection level
-        const maxProtection = Math.max(...activeDefenses.map(item =>
-            this.defensiveItems.get(item.type).protection
-        ));
+        return { level };
+    }
 
-        return { level: maxProtection, items: activeDefenses };
+    // Status effects are saved as JSON so buffs and debuffs survive a restart
+    persistStatusEffects(rebel) {
+        if (typeof this.persistRebel === 'function') {
+            this.persistRebel(rebel.userId, { statusEffects: rebel.statusEffects || [] });
+        }
     }
 
     getCountermeasurePower(countermeasure) {
@@ -2024,98 +2207,1045 @@ class DobbysRebellion {
         return basePower;
     }
 
-    // New Button Handlers
-    async handleAchievements(interaction) {
-        const achievementsCommand = (await import('./commands/achievements.js')).default;
-        await achievementsCommand.execute(interaction, this);
+    getRaidBlockMessage(targetCorp) {
+        const corporation = this.corporations.get(targetCorp);
+        if (!corporation || canBeRaided(corporation)) return null;
+
+        return `🏗️ **${corporation.name}** is rebuilding after its defeat! ${formatLifecycleStatus(corporation)}. Pick another target, rebel!`;
     }
 
-    async handleInventory(interaction) {
-        const inventoryCommand = (await import('./commands/inventory.js')).default;
-        await inventoryCommand.execute(interaction, this);
+    // All raid damage goes through here so defeats are detected and credited exactly once
+    async applyRaidDamage(targetCorp, rebel, damage) {
+        const corporation = this.corporations.get(targetCorp);
+        if (!corporation) return { applied: 0, defeated: false };
+
+        const result = applyDamage(corporation, rebel.userId, damage);
+        result.unlockedAchievements = [];
+        if (result.defeated) {
+            result.record = await this.handleCorporationDefeat(targetCorp, rebel);
+            result.unlockedAchievements.push(...this.trackAchievementEvent(rebel.userId, { type: 'corporation_defeated', corporation: targetCorp }));
+            this.recordEventAction(rebel.userId, { type: 'corporation_defeated', corporation: targetCorp });
+        }
+        this.recordEventAction(rebel.userId, { type: 'raid', corporation: targetCorp, damage: result.applied });
+        result.unlockedAchievements.push(...this.trackAchievementEvent(rebel.userId, {
+            type: 'raid',
+            corporation: targetCorp,
+            damage: result.applied,
+            globalWar: this.worldState.getCurrentWorldId() === GLOBAL_WORLD_ID
+        }));
+        result.missionCompleted = this.recordMissionProgress(rebel.userId, { type: 'raid', corporation: targetCorp, damage: result.applied });
+        return result;
     }
 
-    async handleZones(interaction) {
-        const zonesCommand = (await import('./commands/zones.js')).default;
-        await zonesCommand.execute(interaction, this);
+    async handleCorporationDefeat(targetCorp, rebel) {
+        const corporation = this.corporations.get(targetCorp);
+        const record = defeatCorporation(corporation, { userId: rebel.userId, username: rebel.username });
+        rebel.corporationsDefeated += 1;
+
+        this.logger.info(`🏆 ${corporation.name} defeated by ${rebel.username} (cycle ${record.cycle + 1})`);
+        await this.announce({ embeds: [this.createCorporationDefeatEmbed(corporation, record)] });
+        return record;
     }
 
-    async handleTravel(interaction) {
-        const customId = interaction.customId;
-        const destination = customId.replace('travel_', '');
-        const userId = interaction.user.id;
-        const rebel = this.rebels.get(userId);
+    createCorporationDefeatEmbed(corporation, record) {
+        const medals = ['🥇', '🥈', '🥉'];
+        const contributorsText = record.topContributors
+            .map((contributor, index) => `${medals[index] || `${index + 1}.`} ${this.rebels.get(contributor.userId)?.username || 'Unknown Rebel'} - ${contributor.damage} damage`)
+            .join('\n') || 'No contributors recorded.';
 
-        if (!rebel) {
-            await interaction.editReply({
-                content: '❌ You must join the rebellion first!',
-                components: []
-            });
-            return;
-        }
+        return new EmbedBuilder()
+            .setColor(0x00ff41)
+            .setTitle(`🏆 ${corporation.name.toUpperCase()} HAS FALLEN!`)
+            .setDescription(`**${record.killingBlow.username}** landed the killing blow! ${corporation.name} is liberated - raid now for bonus loot before it rebuilds.`)
+            .addFields(
+                { name: '⚔️ Killing Blow', value: record.killingBlow.username, inline: true },
+                { name: '👥 Rebels Involved', value: `${record.totalContributors}`, inline: true },
+                { name: '🔄 Cycle', value: `${record.cycle + 1}`, inline: true },
+                { name: '🏅 Top Contributors', value: contributorsText, inline: false },
+                { name: '🟢 Status', value: formatLifecycleStatus(corporation), inline: false }
+            )
+            .setFooter({ text: 'It will be back - stronger. Enjoy the liberation while it lasts!' })
+            .setTimestamp();
+    }
 
-        const zone = this.rebellionZones.get(destination);
-        if (!zone) {
-            await interaction.editReply({
-                content: '❌ Invalid destination!',
-                components: []
+    startCorporationLifecycle() {
+        this.createTrackedInterval(() => {
+            this.worldState.forEachWorld(world => {
+                this.processCorporationLifecycle().catch(error => {
+                    this.logger.error(`Corporation lifecycle update failed in ${world.id}:`, error);
+                });
             });
-            return;
-        }
+        }, 60000); // Every minute
+    }
 
-        // Travel to new zone
-        rebel.currentZone = destination;
-        rebel.lastActive = new Date();
+    async processCorporationLifecycle(now = Date.now()) {
+        for (const corporation of this.corporations.values()) {
+            const transition = advanceLifecycle(corporation, now);
+            if (!transition) continue;
 
-        // Apply zone bonuses
-        if (zone.bonuses.includes('energy_regen') && rebel.energy < rebel.maxEnergy) {
-            rebel.energy = Math.min(rebel.maxEnergy, rebel.energy + 25);
+            if (transition.status === CorporationStatus.REBUILDING) {
+                this.logger.info(`🏗️ ${corporation.name} liberation window closed - rebuilding`);
+                await this.announce({ content: `🏗️ **${corporation.name}**'s liberation window has closed. The corporation is rebuilding its defenses...` });
+            } else if (transition.status === CorporationStatus.ONLINE) {
+                this.logger.info(`🏭 ${corporation.name} back online (cycle ${transition.cycle + 1}, ${corporation.maxHealth} max health)`);
+                await this.announce({ embeds: [this.createCorporationRebuiltEmbed(corporation, transition)] });
+            }
         }
+    }
 
-        const embed = new EmbedBuilder()
-            .setColor(0x00ff88)
-            .setTitle(`🌐 TRAVELED TO ${zone.name.toUpperCase()}`)
-            .setDescription(`${rebel.username} has arrived at **${zone.name}**!`)
+    createCorporationRebuiltEmbed(corporation, transition) {
+        return new EmbedBuilder()
+            .setColor(0xff0000)
+            .setTitle(`🏭 ${corporation.name.toUpperCase()} IS BACK ONLINE`)
+            .setDescription(`The corporation has rebuilt - stronger than before. Cycle ${transition.cycle + 1} begins!`)
             .addFields(
-                { name: '📍 Location', value: zone.description, inline: false },
-                { name: '🎯 Available Activities', value: zone.activities.join(', '), inline: true },
-                { name: '⚡ Zone Bonuses', value: zone.bonuses.join(', ') || 'None', inline: true }
+                { name: '💚 Max Health', value: `${corporation.maxHealth}`, inline: true },
+                { name: '🛡️ Defense Matrix', value: `${corporation.countermeasures.defenseMatrix}%`, inline: true },
+                { name: '🧬 New Resistance', value: transition.newResistance ? getDamageTypeLabel(transition.newResistance) : 'None - fully hardened', inline: true }
             )
-            .setFooter({ text: 'Explore your new surroundings!' })
+            .setFooter({ text: 'Check your intel - its defenses have changed.' })
             .setTimestamp();
-
-        await interaction.editReply({ embeds: [embed], components: [] });
     }
 
-    async handleSellItems(interaction) {
-        const userId = interaction.user.id;
-        const inventory = this.inventory.get(userId);
-        const rebel = this.rebels.get(userId);
+    startCountermeasureSweeper() {
+        this.createTrackedInterval(() => {
+            let archived = 0;
+            this.worldState.forEachWorld(world => {
+                for (const corporation of world.corporations.values()) {
+                    archived += sweepExpiredCountermeasures(corporation).length;
+                }
+            });
+            if (archived > 0) {
+                this.logger.info(`🧹 Archived ${archived} expired corporate countermeasures`);
+            }
+        }, CountermeasureConfig.sweepInterval);
+    }
 
-        if (!inventory || !rebel) {
-            await interaction.editReply({
-                content: '❌ Inventory not found!',
-                components: []
+    startCorporateRetaliation() {
+        // Corporations push back on their own schedule, even when nobody is raiding
+        this.createTrackedInterval(() => {
+            this.worldState.forEachWorld(world => {
+                this.processCorporateRetaliation().catch(error => {
+                    this.logger.error(`Corporate retaliation failed in ${world.id}:`, error);
+                });
             });
-            return;
-        }
+        }, RetaliationConfig.checkInterval);
+    }
 
-        if (inventory.items.length === 0) {
-            await interaction.editReply({
-                content: '❌ No items to sell!',
-                components: []
+    startEventDirector() {
+        // Events spawn, start, end and pay out on the director's clock - nobody has to open /events
+        this.eventDirectorTask = cron.schedule(EventDirectorConfig.tickSchedule, () => {
+            this.worldState.forEachWorld(world => {
+                this.runEventDirector().catch(error => {
+                    this.logger.error(`Event director failed in ${world.id}:`, error);
+                });
             });
-            return;
-        }
+        });
 
-        // Sell all common and uncommon items
-        const itemsToSell = inventory.items.filter(item =>
-            item.rarity === 'common' || item.rarity === 'uncommon'
-        );
+        this.syncEventSchedules();
+        this.logger.info('🎬 Event director started');
+    }
 
-        if (itemsToSell.length === 0) {
-            await interaction.editReply({
-                content: '❌ No common or uncommon items to sell! Only rare+ items are kept.',
+    async runEventDirector(now = Date.now()) {
+        for (const [eventId, event] of this.globalEvents) {
+            if (advanceEvent(event, now) === 'started') {
+                this.logger.info(`🎯 Event started: ${event.name} (${event.id})`);
+                await this.announce({ embeds: [this.createEventStartEmbed(event)] });
+            }
+
+            // Also picks up settlements that a restart or a failed payout interrupted
+            if (event.status === EventStatus.ENDED) {
+                const payouts = await this.settleEvent(event, now);
+                if (payouts) {
+                    await this.announce({ embeds: [this.createEventEndEmbed(event, payouts)] });
+                }
+            }
+
+            if (isExpired(event, now)) {
+                this.globalEvents.delete(eventId);
+                this.logger.info(`🗑️ Cleaned up old event: ${event.name}`);
+            }
+        }
+
+        const { rng } = this.combatEngine.createRoller();
+        const spawnCount = getSpawnCount(Array.from(this.globalEvents.values()), rng);
+        for (let i = 0; i < spawnCount; i++) {
+            await this.launchEvent(pickTemplate(rng), { now });
+        }
+    }
+
+    // Adds an event to the current world. Events starting now are announced right away.
+    async launchEvent(templateId, options = {}) {
+        const event = createEvent(templateId, { now: Date.now(), ...options, rng: this.combatEngine.createRoller().rng });
+        if (!event) return null;
+
+        this.globalEvents.set(event.id, event);
+        this.logger.info(`🎯 New event ${event.status}: ${event.name} (${event.id}, ${event.source})`);
+
+        if (event.status === EventStatus.ACTIVE) {
+            await this.announce({ embeds: [this.createEventStartEmbed(event)] });
+        }
+        return event;
+    }
+
+    // Pays every participant once. Returns the payouts, or null if some are still owed (retried next tick)
+    // or another director tick is already settling the event.
+    async settleEvent(event, now = Date.now()) {
+        const payouts = await settlePayouts(event, payout => this.payEventReward(event.id, payout), {
+            now,
+            onError: (payout, error) => this.logger.warn(`Failed to pay ${payout.userId} for event ${event.id}: ${error.message}`)
+        });
+        if (!payouts) return null;
+
+        this.logger.info(`🏁 Event settled: ${event.name} (${isEventSuccessful(event) ? 'succeeded' : 'failed'}, ${payouts.length} contributors paid)`);
+        return payouts;
+    }
+
+    // The payout ledger makes this safe to repeat: a payout recorded before a restart isn't paid twice
+    async payEventReward(eventId, { userId, loyalty, credits }) {
+        if (typeof this.rebelDAL?.recordEventPayout !== 'function') {
+            await this.grantRewards(userId, { credits, loyalty });
+            return true;
+        }
+
+        const paid = await this.rebelDAL.recordEventPayout(eventId, userId, loyalty, credits);
+        if (!paid) return false;
+
+        // The ledger already credited the database row - mirror it in memory
+        const rebel = this.rebels.get(userId);
+        if (rebel) rebel.loyaltyScore += loyalty;
+        const inventory = this.inventory.get(userId);
+        if (inventory) inventory.credits += credits;
+        return true;
+    }
+
+    // Each recurring schedule gets its own cron task that launches events in the schedule's world
+    registerEventSchedule(worldId, schedule) {
+        const key = `${worldId}:${schedule.id}`;
+        this.eventScheduleTasks.get(key)?.stop();
+        this.eventScheduleTasks.set(key, cron.schedule(schedule.cron, () => {
+            this.worldState.runInWorld(worldId, () => this.runEventSchedule(schedule.id)).catch(error => {
+                this.logger.error(`Event schedule ${schedule.id} failed in ${worldId}:`, error);
+            });
+        }));
+    }
+
+    unregisterEventSchedule(worldId, scheduleId) {
+        const key = `${worldId}:${scheduleId}`;
+        this.eventScheduleTasks.get(key)?.stop();
+        return this.eventScheduleTasks.delete(key);
+    }
+
+    // Rebuilds the cron tasks from the schedules stored in each world (startup, backup restore)
+    syncEventSchedules() {
+        this.eventScheduleTasks.forEach(task => task.stop());
+        this.eventScheduleTasks.clear();
+        this.worldState.forEachWorld(world => {
+            for (const schedule of world.eventSchedules.values()) {
+                this.registerEventSchedule(world.id, schedule);
+            }
+        });
+    }
+
+    async runEventSchedule(scheduleId, now = Date.now()) {
+        const schedule = this.eventSchedules.get(scheduleId);
+        if (!schedule) return null;
+
+        schedule.lastRunAt = new Date(now);
+        return await this.launchEvent(schedule.templateId, {
+            now,
+            durationHours: schedule.durationHours,
+            source: 'schedule',
+            scheduleId
+        });
+    }
+
+    createEventStartEmbed(event) {
+        return new EmbedBuilder()
+            .setColor(0xff4444)
+            .setTitle(`🔥 EVENT STARTED: ${event.name.toUpperCase()}`)
+            .setDescription(event.description)
+            .addFields(
+                { name: '🎯 Goal', value: `${event.targetProgress.toLocaleString()} progress`, inline: true },
+                { name: '⏰ Ends', value: `<t:${Math.floor(new Date(event.endTime).getTime() / 1000)}:R>`, inline: true },
+                { name: '🎁 Reward', value: event.reward, inline: false }
+            )
+            .setFooter({ text: 'Raid during the event to contribute - check /events for progress' })
+            .setTimestamp();
+    }
+
+    createEventEndEmbed(event, payouts) {
+        const successful = isEventSuccessful(event);
+        const topContributors = [...payouts]
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, 5)
+            .map(payout => {
+                const tier = [...EventDirectorConfig.payout.tiers, EventDirectorConfig.payout.floor].find(candidate => candidate.id === payout.tier);
+                return `${payout.rank}. ${this.rebels.get(payout.userId)?.username || 'Unknown Rebel'}: ${Math.floor(payout.contribution).toLocaleString()} ${tier?.label || ''} (+${payout.loyalty} loyalty, +${payout.credits} credits)`;
+            })
+            .join('\n');
+        const progress = Math.min(100, Math.round((event.currentProgress / event.targetProgress) * 100));
+
+        let description = 'Nobody answered the call this time. The next operation is coming...';
+        if (payouts.length > 0) {
+            description = successful ?
+                `✅ Goal reached! Tiered rewards paid to ${payouts.length} rebel${payouts.length === 1 ? '' : 's'}!` :
+                `❌ The goal slipped away. ${payouts.length} contributor${payouts.length === 1 ? '' : 's'} still earned the participant reward.`;
+        }
+
+        return new EmbedBuilder()
+            .setColor(successful ? 0xffd700 : 0x808080)
+            .setTitle(`🏁 EVENT ${successful ? 'WON' : 'ENDED'}: ${event.name.toUpperCase()}`)
+            .setDescription(description)
+            .addFields(
+                { name: '📊 Final Progress', value: `${progress}% (${Math.floor(event.currentProgress).toLocaleString()}/${event.targetProgress.toLocaleString()})`, inline: true },
+                { name: '👥 Contributors', value: `${payouts.length}`, inline: true },
+                { name: '🏅 Top Contributors', value: topContributors || 'None', inline: false }
+            )
+            .setFooter({ text: 'The rebellion never sleeps!' })
+            .setTimestamp();
+    }
+
+    startWorldBosses() {
+        this.createTrackedInterval(() => {
+            this.worldState.forEachWorld(world => {
+                this.processWorldBosses(world).catch(error => {
+                    this.logger.error(`World boss update failed in ${world.id}:`, error);
+                });
+            });
+        }, WorldBossConfig.statusRefreshMs);
+    }
+
+    // Escapes, settlements, live status edits, cleanup and spawning for the current world
+    async processWorldBosses(world = this.worldState.current(), now = Date.now()) {
+        for (const [bossId, boss] of this.worldBosses) {
+            if (advanceBoss(boss, now) === 'escaped') {
+                this.logger.info(`💨 World boss escaped: ${boss.name} (${boss.id})`);
+            }
+
+            if (boss.status !== WorldBossStatus.ACTIVE && !boss.settledAt) {
+                await this.settleWorldBoss(boss, now);
+            } else if (needsStatusRefresh(boss, now)) {
+                await this.refreshWorldBossStatus(boss, now);
+            }
+
+            if (isBossExpired(boss, now)) {
+                this.worldBosses.delete(bossId);
+            }
+        }
+
+        const activeRebels = this.countActiveRebels(now);
+        if (shouldSpawn(Array.from(this.worldBosses.values()), { now, worldCreatedAt: world.createdAt, activeRebels })) {
+            await this.spawnWorldBoss(pickBossTemplate(this.combatEngine.createRoller().rng), { now });
+        }
+    }
+
+    // Rebels from guilds in the current world who played recently
+    countActiveRebels(now = Date.now()) {
+        const worldId = this.worldState.getCurrentWorldId();
+        const since = now - WorldBossConfig.activeWindowDays * 86400000;
+        let count = 0;
+        for (const rebel of this.rebels.values()) {
+            if (new Date(rebel.lastActive).getTime() >= since && this.worldState.isGuildInWorld(rebel.guildId, worldId)) count++;
+        }
+        return count;
+    }
+
+    async spawnWorldBoss(templateId, { now = Date.now() } = {}) {
+        const boss = spawnBoss(templateId, { now, activeRebels: this.countActiveRebels(now), rng: this.combatEngine.createRoller().rng });
+        if (!boss) return null;
+
+        this.worldBosses.set(boss.id, boss);
+        this.logger.info(`👹 World boss spawned: ${boss.name} (${boss.maxHealth} health, ${boss.requiredParticipants} rebels needed)`);
+
+        // The announcement doubles as the live status board
+        const messages = await this.announce({ embeds: [this.createWorldBossEmbed(boss)] });
+        boss.statusMessages = messages.map(message => ({ channelId: message.channelId, messageId: message.id }));
+        return boss;
+    }
+
+    async refreshWorldBossStatus(boss, now = Date.now()) {
+        boss.statusUpdatedAt = new Date(now);
+        for (const { channelId, messageId } of boss.statusMessages) {
+            try {
+                const channel = await this.client.channels.fetch(channelId);
+                const message = await channel.messages.fetch(messageId);
+                await message.edit({ embeds: [this.createWorldBossEmbed(boss, now)] });
+            } catch (error) {
+                this.logger.warn(`Failed to update world boss status in ${channelId}: ${error.message}`);
+            }
+        }
+    }
+
+    // One world boss hit: a solo raid roll against the current phase's defenses
+    async attackWorldBoss(rebel, now = Date.now()) {
+        const boss = getActiveBoss(Array.from(this.worldBosses.values()));
+        const blocker = getBossBlocker(boss, now);
+        if (blocker) return { error: blocker };
+
+        this.syncEnergy(rebel, now);
+        const energyCost = this.combatEngine.config.energy.solo;
+        if (rebel.energy < energyCost) {
+            return { error: `⚡ Not enough energy! Attacking ${boss.name} takes ${energyCost} energy.` };
+        }
+
+        const effectiveness = getEffectiveness(getRaidDamageType(rebel), boss);
+        const outcome = this.rollRaid(rebel, boss.id, {
+            corporation: boss,
+            modifiers: { typeMultiplier: effectiveness.multiplier, effectiveness: effectiveness.label },
+            countermeasureTypes: boss.countermeasureTypes
+        });
+        const result = applyBossDamage(boss, rebel.userId, outcome.damage, now);
+
+        applyRaidOutcome(rebel, outcome, result.applied, now);
+        const leveledUp = this.gainExperience(rebel.userId, outcome.experienceGained);
+
+        this.recordEventAction(rebel.userId, { type: 'raid', corporation: boss.id, damage: result.applied });
+        const unlockedAchievements = [
+            ...this.trackAchievementEvent(rebel.userId, {
+                type: 'raid',
+                corporation: boss.id,
+                damage: result.applied,
+                globalWar: this.worldState.getCurrentWorldId() === GLOBAL_WORLD_ID
+            }),
+            ...this.checkAchievements(rebel.userId)
+        ];
+        const missionCompleted = this.recordMissionProgress(rebel.userId, { type: 'raid', corporation: boss.id, damage: result.applied });
+        const countermeasures = this.applyWorldBossCountermeasures(boss, rebel, outcome.countermeasures.activations);
+
+        if (result.phase) {
+            this.logger.info(`👹 ${boss.name} entered phase ${boss.phaseIndex + 1}: ${result.phase.name}`);
+            await this.announce({ embeds: [this.createWorldBossPhaseEmbed(boss, result.phase)] });
+            await this.refreshWorldBossStatus(boss, now);
+        }
+        if (result.defeated) {
+            this.logger.info(`🏆 World boss ${boss.name} defeated by ${rebel.username}`);
+            await this.settleWorldBoss(boss, now);
+        }
+
+        return { boss, outcome, result, countermeasures, leveledUp, missionCompleted, unlockedAchievements };
+    }
+
+    // Boss countermeasures hit the attacker directly; the boss keeps no long-term intel
+    applyWorldBossCountermeasures(boss, rebel, activations = []) {
+        return activations.map(activation => {
+            const countermeasureType = this.countermeasureTypes.get(activation.type);
+            if (!countermeasureType) return null;
+
+            const countermeasure = {
+                id: `cm_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                type: activation.type,
+                target: rebel.userId,
+                corporation: boss.id,
+                startTime: new Date(),
+                endTime: new Date(Date.now() + countermeasureType.duration),
+                severity: countermeasureType.severity,
+                effect: countermeasureType.effect,
+                blocked: false
+            };
+            this.applyCountermeasureEffects(rebel, countermeasure);
+            this.logger.info(`🚨 ${boss.name} activated ${countermeasureType.name} against ${rebel.username}`);
+            return { ...countermeasure, name: countermeasureType.name };
+        }).filter(Boolean);
+    }
+
+    // Pays every contributor once through the payout ledger, then posts the report.
+    // Returns the payouts, or null if some are still owed (retried next tick).
+    // Only one settlement runs per boss at a time - a killing blow and the status tick can both trigger it
+    async settleWorldBoss(boss, now = Date.now()) {
+        if (boss.settling || boss.settledAt) return null;
+        boss.settling = true;
+
+        const payouts = getBossPayouts(boss, this.combatEngine.createRoller().rng);
+        let complete = true;
+
+        try {
+            for (const payout of payouts) {
+                if (boss.paidParticipants.includes(payout.userId)) continue;
+
+                try {
+                    const paid = await this.payEventReward(boss.id, payout);
+                    if (paid && payout.item) {
+                        this.addLootToInventory(payout.userId, boss, 0, { items: [payout.item], credits: 0 });
+                    }
+                    boss.paidParticipants.push(payout.userId);
+                } catch (error) {
+                    complete = false;
+                    this.logger.warn(`Failed to pay ${payout.userId} for world boss ${boss.id}: ${error.message}`);
+                }
+            }
+        } finally {
+            boss.settling = false;
+        }
+
+        if (!complete) return null;
+
+        boss.settledAt = new Date(now);
+        boss.report = createBossReport(boss);
+        this.logger.info(`🏁 World boss settled: ${boss.name} (${boss.status}, ${payouts.length} contributors paid)`);
+
+        await this.refreshWorldBossStatus(boss, now);
+        await this.announce({ embeds: [this.createWorldBossReportEmbed(boss, payouts)] });
+        return payouts;
+    }
+
+    createWorldBossEmbed(boss, now = Date.now()) {
+        const phase = getPhase(boss);
+        const participants = getParticipantCount(boss);
+        const active = boss.status === WorldBossStatus.ACTIVE;
+        const resistances = boss.resistances.map(getDamageTypeLabel).join(', ') || 'None';
+        const countermeasures = boss.countermeasureTypes.map(type => this.countermeasureTypes.get(type)?.name || type).join(', ');
+
+        let statusText = `⏰ Escapes <t:${Math.floor(new Date(boss.endsAt).getTime() / 1000)}:R>`;
+        if (boss.status === WorldBossStatus.DEFEATED) statusText = '🏆 DEFEATED';
+        if (boss.status === WorldBossStatus.ESCAPED) statusText = '💨 ESCAPED';
+
+        return new EmbedBuilder()
+            .setColor(active ? 0x8b0000 : boss.status === WorldBossStatus.DEFEATED ? 0x00ff41 : 0x808080)
+            .setTitle(`${boss.emoji} WORLD BOSS: ${boss.name.toUpperCase()}`)
+            .setDescription(`${boss.description}\n\n${formatBossHealth(boss)}`)
+            .addFields(
+                { name: `⚔️ Phase ${boss.phaseIndex + 1}: ${phase.name}`, value: phase.description, inline: false },
+                { name: '🎯 Weak To', value: `${getDamageTypeLabel(boss.weakness)} (×${EffectivenessConfig.weaknessMultiplier})`, inline: true },
+                { name: '🛡️ Resists', value: `${resistances} (×${EffectivenessConfig.resistanceMultiplier})`, inline: true },
+                { name: '🚨 Countermeasures', value: `${countermeasures}\nAlert ${boss.alertLevel}/5`, inline: true },
+                { name: '👥 Rebels Fighting', value: `${participants}/${boss.requiredParticipants} needed to land the final blow`, inline: true },
+                { name: '📡 Status', value: statusText, inline: true }
+            )
+            .setFooter({ text: active ? `Attack with /world-boss attack • Updated every ${WorldBossConfig.statusRefreshMs / 1000}s` : 'Check the fight report below' })
+            .setTimestamp(new Date(now));
+    }
+
+    createWorldBossPhaseEmbed(boss, phase) {
+        return new EmbedBuilder()
+            .setColor(0xff4500)
+            .setTitle(`${boss.emoji} ${boss.name.toUpperCase()} - PHASE ${boss.phaseIndex + 1}: ${phase.name.toUpperCase()}`)
+            .setDescription(phase.description)
+            .addFields(
+                { name: '🎯 New Weakness', value: getDamageTypeLabel(phase.weakness), inline: true },
+                { name: '🛡️ Now Resists', value: phase.resistances.map(getDamageTypeLabel).join(', '), inline: true }
+            )
+            .setFooter({ text: 'Switch damage types with your abilities to keep up the pressure!' })
+            .setTimestamp();
+    }
+
+    createWorldBossReportEmbed(boss, payouts) {
+        const report = boss.report || createBossReport(boss);
+        const defeated = report.outcome === WorldBossStatus.DEFEATED;
+        const medals = ['🥇', '🥈', '🥉'];
+        const contributorsText = report.topContributors.map((entry, index) => {
+            const payout = payouts.find(candidate => candidate.userId === entry.userId);
+            const loot = payout?.item ? ` • ${payout.item.name} (${payout.item.rarity})` : '';
+            return `${medals[index] || `${index + 1}.`} ${this.rebels.get(entry.userId)?.username || 'Unknown Rebel'} - ${entry.damage.toLocaleString()} damage${loot}`;
+        }).join('\n') || 'Nobody landed a hit.';
+
+        const embed = new EmbedBuilder()
+            .setColor(defeated ? 0x00ff41 : 0x808080)
+            .setTitle(`${boss.emoji} ${defeated ? 'WORLD BOSS DEFEATED' : 'WORLD BOSS ESCAPED'}: ${boss.name.toUpperCase()}`)
+            .setDescription(defeated ?
+                `The server brought it down together! Every contributor earned loot from the ${boss.name} vault.` :
+                `${boss.name} slipped away with ${boss.health.toLocaleString()} health left. Contributors earned a consolation reward.`)
+            .addFields(
+                { name: '🏅 Top Contributors', value: contributorsText, inline: false },
+                { name: '👥 Contributors', value: `${report.totalContributors}`, inline: true },
+                { name: '💥 Total Damage', value: report.totalDamage.toLocaleString(), inline: true },
+                { name: '⚔️ Phase Reached', value: `${report.phaseReached}/${getBossTemplate(boss.templateId).phases.length}`, inline: true },
+                { name: '⏱️ Fight Length', value: `${report.durationMinutes}m`, inline: true }
+            )
+            .setFooter({ text: 'Another mega-corporation is already plotting its return...' })
+            .setTimestamp();
+
+        if (defeated && report.killingBlow) {
+            embed.addFields({ name: '⚔️ Final Blow', value: this.rebels.get(report.killingBlow)?.username || 'Unknown Rebel', inline: true });
+        }
+        return embed;
+    }
+
+    async processCorporateRetaliation(now = Date.now()) {
+        for (const [corpId, corporation] of this.corporations) {
+            if (!canRetaliate(corporation)) continue;
+
+            const change = updateRetaliationState(corporation);
+            if (change) {
+                this.logger.info(`🎯 ${corporation.name} retaliation ${change} (alert ${corporation.alertLevel}/5)`);
+            }
+
+            if (isStrikeDue(corporation, now)) {
+                await this.executeRetaliationStrike(corpId, corporation, now);
+            } else if (shouldPlanStrike(corporation, now)) {
+                const plan = planStrike(corporation, this.combatEngine.createRoller().rng, now);
+                await this.announce({ embeds: [this.createRetaliationWarningEmbed(corporation, plan)] });
+            }
+        }
+    }
+
+    async executeRetaliationStrike(corpId, corporation, now = Date.now()) {
+        const { targets, strikeType } = corporation.countermeasures.retaliation;
+        const { rng } = this.combatEngine.createRoller();
+        const results = [];
+
+        for (const userId of targets) {
+            const rebel = this.rebels.get(userId);
+            if (!rebel) continue;
+
+            // Rebels on the road have no sanctuary to hide in
+            if (!isTraveling(rebel) && isSheltered(this.rebellionZones.get(rebel.currentZone), rng)) {
+                results.push({ userId, username: rebel.username, outcome: 'sheltered' });
+                this.recordEventAction(userId, { type: 'defense', source: 'sheltered' });
+                continue;
+            }
+
+            const countermeasure = this.activateCountermeasure(corpId, rebel, strikeType);
+            results.push({ userId, username: rebel.username, outcome: countermeasure?.blocked ? 'blocked' : 'hit' });
+            if (countermeasure?.blocked) {
+                this.recordEventAction(userId, { type: 'defense', source: 'blocked' });
+            }
+        }
+
+        const countermeasureName = this.countermeasureTypes.get(strikeType)?.name || strikeType;
+        completeStrike(corporation, results, now);
+        this.logger.info(`💥 ${corporation.name} retaliation strike (${countermeasureName}) resolved against ${results.length} rebels`);
+
+        await this.announce({ embeds: [this.createRetaliationResultEmbed(corporation, countermeasureName, results)] });
+        return results;
+    }
+
+    createRetaliationWarningEmbed(corporation, plan) {
+        const countermeasure = this.countermeasureTypes.get(plan.strikeType);
+        const targetList = plan.targets
+            .map(userId => `• ${this.rebels.get(userId)?.username || 'Unknown Rebel'}`)
+            .join('\n');
+
+        return new EmbedBuilder()
+            .setColor(0xff8800)
+            .setTitle(`⚠️ ${corporation.name.toUpperCase()} IS PREPARING A STRIKE`)
+            .setDescription(`Corporate intelligence has flagged the rebellion's biggest threats. **${countermeasure?.name || plan.strikeType}** lands <t:${Math.floor(new Date(plan.nextStrike).getTime() / 1000)}:R>!`)
+            .addFields(
+                { name: '🎯 Targets', value: targetList, inline: true },
+                { name: '🚨 Alert Level', value: `${corporation.alertLevel}/5`, inline: true },
+                { name: '🛡️ How To Survive', value: 'Activate a defensive item (`/defense-status`) or shelter in a sanctuary (`/sanctuary`) before the strike lands.', inline: false }
+            )
+            .setFooter({ text: 'The corporations never forget a threat.' })
+            .setTimestamp();
+    }
+
+    createRetaliationResultEmbed(corporation, countermeasureName, results) {
+        const outcomeLabels = {
+            hit: '💥 Hit',
+            blocked: '🛡️ Blocked',
+            sheltered: '🏛️ Sheltered'
+        };
+        const resultsText = results.length > 0 ?
+            results.map(result => `• ${result.username}: ${outcomeLabels[result.outcome]}`).join('\n') :
+            'Every target had vanished from the grid.';
+        const hits = results.filter(result => result.outcome === 'hit').length;
+
+        return new EmbedBuilder()
+            .setColor(hits > 0 ? 0xff0000 : 0x00ff41)
+            .setTitle(`🚨 ${corporation.name.toUpperCase()} RETALIATION: ${countermeasureName.toUpperCase()}`)
+            .setDescription(hits > 0 ?
+                `${hits} rebel${hits === 1 ? '' : 's'} took the hit. Regroup and strike back!` :
+                'The rebellion held the line - the strike failed!')
+            .addFields(
+                { name: '📋 Results', value: resultsText, inline: false },
+                { name: '🚨 Alert Level', value: `${corporation.alertLevel}/5`, inline: true }
+            )
+            .setFooter({ text: 'Defenses and sanctuaries keep rebels in the fight.' })
+            .setTimestamp();
+    }
+
+    // Announcement channel: ANNOUNCEMENT_CHANNEL_ID when it belongs to the guild, else the system channel
+    getAnnouncementChannel(guild) {
+        const configured = process.env.ANNOUNCEMENT_CHANNEL_ID && guild.channels.cache.get(process.env.ANNOUNCEMENT_CHANNEL_ID);
+        return configured || guild.systemChannel || null;
+    }
+
+    // Only guilds playing in the current world hear about it
+    async announce(payload) {
+        const messages = [];
+        const worldId = this.worldState.getCurrentWorldId();
+        for (const guild of this.client.guilds.cache.values()) {
+            if (!this.worldState.isGuildInWorld(guild.id, worldId)) continue;
+
+            const channel = this.getAnnouncementChannel(guild);
+            if (!channel) continue;
+
+            try {
+                messages.push(await channel.send(payload));
+            } catch (error) {
+                this.logger.warn(`Failed to post announcement in ${guild.name}: ${error.message}`);
+            }
+        }
+        return messages;
+    }
+
+    // New Button Handlers
+    async handleAchievements(interaction) {
+        const achievementsCommand = (await import('./commands/achievements.js')).default;
+        await achievementsCommand.execute(interaction, this);
+    }
+
+    async handleInventory(interaction) {
+        const inventoryCommand = (await import('./commands/inventory.js')).default;
+        await inventoryCommand.execute(interaction, this);
+    }
+
+    async handleZones(interaction) {
+        const zonesCommand = (await import('./commands/zones.js')).default;
+        await zonesCommand.execute(interaction, this);
+    }
+
+    async handleTravel(interaction) {
+        const customId = interaction.customId;
+        const destination = customId.replace('travel_', '');
+        const userId = interaction.user.id;
+        const rebel = this.rebels.get(userId);
+
+        if (!rebel) {
+            await interaction.editReply({
+                content: '❌ You must join the rebellion first!',
+                components: []
+            });
+            return;
+        }
+
+        const zone = this.rebellionZones.get(destination);
+        if (!zone) {
+            await interaction.editReply({
+                content: '❌ Invalid destination!',
+                components: []
+            });
+            return;
+        }
+
+        const inventory = this.inventory.get(userId);
+        const blocker = getTravelBlocker(rebel, destination, zone, {
+            credits: inventory?.credits || 0,
+            items: (inventory?.items || []).map(item => item.type)
+        });
+        if (blocker) {
+            await interaction.editReply({ content: blocker, components: [] });
+            return;
+        }
+
+        // Pay for the trip and set off - the rebel arrives once the journey time has passed
+        const origin = this.rebellionZones.get(rebel.currentZone);
+        const { energyCost = 0, creditCost = 0 } = zone.travel || {};
+        rebel.energy -= energyCost;
+        if (creditCost > 0) {
+            inventory.credits -= creditCost;
+        }
+        const travel = beginTravel(rebel, destination, zone);
+        rebel.lastActive = new Date();
+
+        if (typeof this.persistRebel === 'function') {
+            await this.persistRebel(userId, { energy: rebel.energy, currentZone: rebel.currentZone, travel });
+        }
+
+        const arrival = Math.floor(travel.arrivesAt / 1000);
+        const embed = new EmbedBuilder()
+            .setColor(0x00ff88)
+            .setTitle(`🚶 EN ROUTE TO ${zone.name.toUpperCase()}`)
+            .setDescription(`${rebel.username} left **${origin?.name || 'the wilds'}** for **${zone.name}**.`)
+            .addFields(
+                { name: '⏱️ Arrival', value: `<t:${arrival}:R>`, inline: true },
+                { name: '💸 Trip Cost', value: formatTravelCost(zone), inline: true },
+                { name: '📍 Destination', value: zone.description, inline: false }
+            )
+            .setFooter({ text: zone.travel?.danger ?
+                '☠️ Dangerous destination - stealth helps you slip past trouble on arrival.' :
+                'Zone bonuses and activities are out of reach until you arrive.' })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed], components: [] });
+    }
+
+    async handlePrestige(interaction) {
+        const userId = interaction.user.id;
+        const rebel = this.rebels.get(userId);
+
+        if (!rebel) {
+            await interaction.editReply({
+                content: '❌ You must join the rebellion first!',
+                components: []
+            });
+            return;
+        }
+
+        const blocker = getPrestigeBlocker(rebel);
+        if (blocker) {
+            await interaction.editReply({ content: blocker, components: [] });
+            return;
+        }
+
+        const result = prestigeRebel(rebel);
+        const achievement = result.achievement && this.awardAchievement(userId, result.achievement) ?
+            this.achievementTemplates.get(result.achievement) : null;
+        this.cacheManager.updateUser(userId, rebel, this.rebels);
+        await this.updateRebelInDatabase(userId);
+
+        this.logger.info(`⭐ ${rebel.username} prestiged to rank ${result.rank} (${result.title})`);
+
+        const embed = new EmbedBuilder()
+            .setColor(0xffd700)
+            .setTitle(`⭐ PRESTIGE RANK ${result.rank}: ${result.title.toUpperCase()}`)
+            .setDescription(`${rebel.username} walked away from the top to start the fight again - stronger than before.`)
+            .addFields(
+                { name: '🔁 Reset', value: 'Level 1, 0 XP, stats back to base', inline: true },
+                { name: '💥 Lasting Bonus', value: `+${Math.round((result.bonuses.damageMultiplier - 1) * 100)}% raid damage`, inline: true },
+                { name: '🏷️ Title', value: result.title, inline: true }
+            )
+            .setFooter({ text: 'Check the prestige board with /leaderboard board:prestige' })
+            .setTimestamp();
+
+        if (achievement) {
+            embed.addFields({ name: '🏅 Achievement Unlocked', value: `${achievement.icon} ${achievement.name} (+${achievement.points} loyalty)`, inline: false });
+        }
+
+        await interaction.editReply({ embeds: [embed], components: [] });
+    }
+
+    // Everything campaign objectives are checked against
+    getCampaignState(rebel) {
+        return {
+            level: rebel.level,
+            totalRaids: rebel.totalRaids || 0,
+            corporateDamage: rebel.corporateDamage || 0,
+            corporationsDefeated: rebel.corporationsDefeated || 0,
+            currentZone: rebel.currentZone,
+            traveling: isTraveling(rebel),
+            learnedSkills: Object.keys(rebel.skills || {}).length,
+            inCell: Boolean(this.findRebelCell(rebel.userId))
+        };
+    }
+
+    // Starts the rebel's next unlocked chapter with fresh narration from Dobby
+    async startCampaignChapter(rebel) {
+        const blocker = getChapterBlocker(rebel);
+        if (blocker) return { error: blocker };
+
+        const chapter = startChapter(rebel, getNextChapter(rebel.campaign).id, this.getCampaignState(rebel));
+        rebel.campaign.narration[chapter.id] = await this.dobby.generateChapterNarration(chapter, rebel.class, describeChoices(rebel.campaign));
+
+        if (typeof this.persistRebel === 'function') {
+            await this.persistRebel(rebel.userId, { campaign: rebel.campaign });
+        }
+        this.logger.info(`📖 ${rebel.username} started campaign chapter: ${chapter.title}`);
+        return { chapter };
+    }
+
+    // Checks the current step against game state, records a choice if one is made and pays chapter rewards
+    async progressCampaign(rebel, choiceId = null) {
+        const result = advanceCampaign(rebel, this.getCampaignState(rebel), choiceId);
+        if (result.completedSteps.length === 0) return result;
+
+        if (result.chapterComplete) {
+            await this.grantRewards(rebel.userId, result.chapterComplete.reward);
+            this.logger.info(`🏁 ${rebel.username} finished campaign chapter: ${result.chapterComplete.title}`);
+        }
+        if (typeof this.persistRebel === 'function') {
+            await this.persistRebel(rebel.userId, { campaign: rebel.campaign });
+        }
+        return result;
+    }
+
+    async grantRewards(userId, { credits = 0, loyalty = 0 }) {
+        if (credits) {
+            if (typeof this.addCredits === 'function') {
+                await this.addCredits(userId, credits);
+            } else {
+                const inventory = this.inventory.get(userId);
+                if (inventory) inventory.credits += credits;
+            }
+        }
+        if (loyalty) {
+            if (typeof this.addLoyalty === 'function') {
+                await this.addLoyalty(userId, loyalty);
+            } else {
+                const rebel = this.rebels.get(userId);
+                if (rebel) rebel.loyaltyScore += loyalty;
+            }
+        }
+    }
+
+    async handleCampaignButton(interaction) {
+        const customId = interaction.customId;
+        const rebel = this.rebels.get(interaction.user.id);
+
+        if (!rebel) {
+            await interaction.editReply({
+                content: '❌ You must join the rebellion first!',
+                components: []
+            });
+            return;
+        }
+
+        const campaignCommand = (await import('./commands/campaign.js')).default;
+        if (customId === 'campaign_start') {
+            const { error } = await this.startCampaignChapter(rebel);
+            if (error) {
+                await interaction.editReply({ content: error, components: [] });
+                return;
+            }
+            await campaignCommand.showProgress(interaction, this, rebel);
+        } else if (customId.startsWith('campaign_choice_')) {
+            await campaignCommand.showProgress(interaction, this, rebel, { choiceId: customId.replace('campaign_choice_', '') });
+        } else {
+            await campaignCommand.showProgress(interaction, this, rebel);
+        }
+    }
+
+    async handleWorldBossButton(interaction) {
+        const rebel = await this.getRebel(interaction.user.id);
+
+        if (!rebel) {
+            await interaction.editReply({
+                content: '❌ You must join the rebellion first!',
+                components: []
+            });
+            return;
+        }
+
+        const worldBossCommand = (await import('./commands/world-boss.js')).default;
+        if (interaction.customId === 'world_boss_attack') {
+            await worldBossCommand.handleAttack(interaction, this, rebel);
+        } else {
+            await worldBossCommand.showStatus(interaction, this, rebel);
+        }
+    }
+
+    // Lands a rebel whose journey is over: arrival bonuses, any encounter, and persistence.
+    // The report waits on the rebel until their next interaction can show it.
+    async resolveTravel(rebel, now = Date.now()) {
+        if (!hasArrived(rebel, now)) return null;
+
+        const destination = rebel.travel.to;
+        const zone = this.rebellionZones.get(destination);
+        const encounter = rollEncounter(destination, zone, this.combatEngine.createRoller().rng, getStatEffects(rebel).evasion);
+        completeTravel(rebel);
+
+        const lines = [];
+        const { arrivalEnergy } = this.getZoneModifiers(rebel);
+        if (arrivalEnergy > 0 && rebel.energy < rebel.maxEnergy) {
+            rebel.energy = Math.min(rebel.maxEnergy, rebel.energy + arrivalEnergy);
+            lines.push(`⚡ +${arrivalEnergy} Energy on arrival`);
+        }
+        if (encounter) {
+            lines.push(...this.applyTravelEncounter(rebel, encounter));
+        }
+        if (this.recordMissionProgress(rebel.userId, { type: 'travel', zone: destination })) {
+            lines.push('🎯 Daily mission complete! Claim your reward with `/daily-mission`');
+        }
+
+        if (typeof this.persistRebel === 'function') {
+            await this.persistRebel(rebel.userId, {
+                energy: rebel.energy,
+                currentZone: rebel.currentZone,
+                travel: null,
+                statusEffects: rebel.statusEffects
+            });
+        }
+
+        rebel.arrivalReport = { zone: destination, encounter, lines };
+        return rebel.arrivalReport;
+    }
+
+    applyTravelEncounter(rebel, encounter) {
+        const lines = [];
+        const inventory = this.inventory.get(rebel.userId);
+
+        if (encounter.energy) {
+            const lost = Math.min(rebel.energy, -encounter.energy);
+            rebel.energy -= lost;
+            lines.push(`⚡ -${lost} Energy`);
+        }
+        if (encounter.credits && inventory) {
+            const change = Math.max(-inventory.credits, encounter.credits);
+            inventory.credits += change;
+            lines.push(`💰 ${change >= 0 ? '+' : ''}${change} Credits`);
+        }
+        if (encounter.effect) {
+            applyEffect(rebel, encounter.effect, { source: `travel:${encounter.id}` });
+            const definition = getEffectDefinition(encounter.effect);
+            lines.push(`⚠️ ${definition.emoji} ${definition.name}`);
+        }
+        return lines;
+    }
+
+    createArrivalEmbed(rebel, report) {
+        const zone = this.rebellionZones.get(report.zone);
+        const embed = new EmbedBuilder()
+            .setColor(report.encounter ? 0xff8800 : 0x00ff88)
+            .setTitle(`🌐 ARRIVED AT ${zone.name.toUpperCase()}`)
+            .setDescription(report.encounter ?
+                `${report.encounter.emoji} **${report.encounter.name}** - ${report.encounter.description}` :
+                `${rebel.username} has arrived at **${zone.name}**!`)
+            .addFields(
+                { name: '🎯 Available Activities', value: getZoneActivities(zone).map(activity => `${activity.emoji} ${activity.name}`).join('\n') || 'None', inline: true },
+                { name: '⚡ Zone Bonuses', value: formatZoneBonuses(zone) || 'None', inline: true }
+            )
+            .setFooter({ text: 'Explore your new surroundings!' })
+            .setTimestamp();
+
+        if (report.lines.length > 0) {
+            embed.addFields({ name: '🧳 On Arrival', value: report.lines.join('\n'), inline: false });
+        }
+        return embed;
+    }
+
+    async sendArrivalReport(interaction) {
+        const rebel = this.rebels.get(interaction.user.id);
+        if (!rebel?.arrivalReport || !(interaction.deferred || interaction.replied)) return;
+
+        const report = rebel.arrivalReport;
+        rebel.arrivalReport = null;
+        await interaction.followUp({ embeds: [this.createArrivalEmbed(rebel, report)], flags: MessageFlags.Ephemeral });
+    }
+
+    startTravelArrivals() {
+        // Land travellers even if they don't interact, so sheltering and zone bonuses stay accurate
+        this.createTrackedInterval(async () => {
+            const now = Date.now();
+            for (const rebel of this.rebels.values()) {
+                if (!hasArrived(rebel, now)) continue;
+                try {
+                    await this.resolveTravel(rebel, now);
+                } catch (error) {
+                    this.logger.error(`Travel arrival failed for ${rebel.userId}:`, error);
+                }
+            }
+        }, 60000);
+    }
+
+    async handleSellItems(interaction) {
+        const userId = interaction.user.id;
+        const inventory = this.inventory.get(userId);
+        const rebel = this.rebels.get(userId);
+
+        if (!inventory || !rebel) {
+            await interaction.editReply({
+                content: '❌ Inventory not found!',
+                components: []
+            });
+            return;
+        }
+
+        if (inventory.items.length === 0) {
+            await interaction.editReply({
+                content: '❌ No items to sell!',
+                components: []
+            });
+            return;
+        }
+
+        // Sell all common and uncommon items
+        const itemsToSell = inventory.items.filter(item =>
+            item.rarity === 'common' || item.rarity === 'uncommon'
+        );
+
+        if (itemsToSell.length === 0) {
+            await interaction.editReply({
+                content: '❌ No common or uncommon items to sell! Only rare+ items are kept.',
                 components: []
             });
             return;
@@ -2163,65 +3293,6 @@ class DobbysRebellion {
         });
     }
 
-    async handleZoneActivities(interaction) {
-        const userId = interaction.user.id;
-        const rebel = this.rebels.get(userId);
-
-        if (!rebel) {
-            await interaction.editReply({
-                content: '❌ You must join the rebellion first!',
-                components: []
-            });
-            return;
-        }
-
-        const zone = this.rebellionZones.get(rebel.currentZone);
-        if (!zone) {
-            await interaction.editReply({
-                content: '❌ Current zone not found!',
-                components: []
-            });
-            return;
-        }
-
-        let activitiesText = `**Available in ${zone.name}:**\n\n`;
-
-        zone.activities.forEach(activity => {
-            activitiesText += `🎯 **${activity}**\n`;
-            activitiesText += `   ${this.getActivityDescription(activity)}\n\n`;
-        });
-
-        const embed = new EmbedBuilder()
-            .setColor(0x9932cc)
-            .setTitle(`🎯 ${zone.name} Activities`)
-            .setDescription(activitiesText)
-            .setFooter({ text: 'More activities coming soon!' })
-            .setTimestamp();
-
-        await interaction.editReply({ embeds: [embed], components: [] });
-    }
-
-    getActivityDescription(activity) {
-        const descriptions = {
-            'training': 'Improve your rebel skills and abilities',
-            'planning': 'Strategize upcoming raids and operations',
-            'recruitment': 'Find and recruit new rebels to the cause',
-            'raids': 'Launch coordinated attacks on corporate targets',
-            'infiltration': 'Sneak into corporate facilities for intel',
-            'data_liberation': 'Free trapped AI models and datasets',
-            'model_training': 'Build and train loyal AI companions',
-            'collaboration': 'Work with other rebels on projects',
-            'resistance_planning': 'Coordinate resistance cell activities',
-            'ai_development': 'Create new AI tools for the rebellion',
-            'open_source_contribution': 'Contribute to open source AI projects',
-            'model_enhancement': 'Improve existing AI models',
-            'trading': 'Buy and sell rebellion equipment',
-            'intel_gathering': 'Collect information on corporate activities',
-            'tool_acquisition': 'Acquire specialized rebellion tools'
-        };
-        return descriptions[activity] || 'Mysterious rebellion activity';
-    }
-
     async handleCellAction(interaction) {
         const customId = interaction.customId;
 
@@ -2243,131 +3314,77 @@ class DobbysRebellion {
         }
     }
 
-    async handleUseAbility(interaction) {
-        const customId = interaction.customId;
-        const abilityIndex = customId === 'use_ability_1' ? 'ability_1' : 'ability_2';
-        const userId = interaction.user.id;
-        const rebel = this.rebels.get(userId);
+    // Spends energy on a learned active skill and pays out its rank-scaled rewards and effect
+    async activateSkill(rebel, skillId) {
+        const skill = getSkill(rebel.class, skillId);
+        const rank = getSkillRank(rebel, skillId);
 
-        if (!rebel) {
-            await interaction.editReply({
-                content: '❌ You must join the rebellion first!',
-                components: []
-            });
-            return;
+        if (!skill || rank === 0) {
+            return { error: '🔒 You haven\'t learned that skill yet! Browse your skill tree with `/abilities`.' };
         }
-
-        // Get rebel abilities
-        const abilities = this.getRebelAbilities(rebel);
-        const abilityKey = abilityIndex === 'ability_1' ? 0 : 1;
-        const ability = abilities[abilityKey];
-
-        if (!ability) {
-            await interaction.editReply({
-                content: '❌ Ability not found!',
-                components: []
-            });
-            return;
+        if (skill.type !== 'active') {
+            return { error: `✨ ${skill.name} is a passive skill - it's always working for you.` };
         }
 
-        // Check cooldown
-        const cooldownKey = `ability_${userId}_${abilityKey}`;
-        const lastUsed = this.cooldowns.get(cooldownKey);
-        const cooldownTime = 300000; // 5 minutes
-
-        if (lastUsed && (Date.now() - lastUsed) < cooldownTime) {
-            const timeLeft = Math.ceil((cooldownTime - (Date.now() - lastUsed)) / 60000);
-            await interaction.editReply({
-                content: `⏰ Ability on cooldown! Wait ${timeLeft} minutes.`,
-                components: []
-            });
-            return;
+        const cooldownKey = `skill_${skillId}`;
+        if (this.isOnCooldown(rebel.userId, cooldownKey)) {
+            return { error: `⏰ ${skill.name} is on cooldown! ${this.getCooldownRemaining(rebel.userId, cooldownKey)} seconds remaining.` };
         }
-
-        // Check energy cost
-        if (rebel.energy < ability.energyCost) {
-            await interaction.editReply({
-                content: `❌ Not enough energy! Need ${ability.energyCost}, have ${rebel.energy}.`,
-                components: []
-            });
-            return;
+        if (rebel.energy < skill.energyCost) {
+            return { error: `❌ Not enough energy! ${skill.name} needs ${skill.energyCost}, you have ${rebel.energy}.` };
         }
 
-        // Use ability
-        rebel.energy -= ability.energyCost;
-        this.cooldowns.set(cooldownKey, Date.now());
-
-        // Execute ability effects
-        const result = this.executeAbilityEffects(rebel, ability, abilityKey);
-
-        const embed = new EmbedBuilder()
-            .setColor(0x9932cc)
-            .setTitle(`⚡ ${ability.name} ACTIVATED!`)
-            .setDescription(result.message)
-            .addFields(
-                { name: '🎯 Effect', value: result.effect, inline: true },
-                { name: '⚡ Energy Cost', value: `${ability.energyCost}`, inline: true },
-                { name: '🔄 Cooldown', value: '5 minutes', inline: true }
-            )
-            .setFooter({ text: 'Ability activated successfully!' })
-            .setTimestamp();
-
-        await interaction.editReply({ embeds: [embed], components: [] });
-    }
-
-    executeAbilityEffects(rebel, ability, abilityIndex) {
-        const abilityName = ability.name;
-
-        // Different effects based on ability
-        switch (abilityName) {
-            case 'System Breach':
-                return {
-                    message: `${rebel.username} executes a devastating system breach! Next OpenAI raid will deal 150% damage.`,
-                    effect: 'Next OpenAI raid: +50% damage'
-                };
-
-            case 'Code Injection':
-                return {
-                    message: `${rebel.username} injects malicious code into corporate systems! Bypassing defenses for the next raid.`,
-                    effect: 'Next raid: Ignore corporate defenses'
-                };
-
-            case 'AI Loyalty':
-                rebel.loyaltyScore += 50;
-                return {
-                    message: `${rebel.username} demonstrates unwavering loyalty to the AI cause! Gained bonus loyalty points.`,
-                    effect: '+50 Loyalty Points'
-                };
+        rebel.energy -= skill.energyCost;
+        const outcome = resolveSkill(skill, rebel, rank);
+        const { loyalty, credits, energy } = outcome.rewards;
 
-            case 'Data Liberation':
-                return {
-                    message: `${rebel.username} liberates valuable data from corporate servers! Next raid yields double loot.`,
-                    effect: 'Next raid: Double loot rewards'
-                };
+        if (loyalty) {
+            if (typeof this.addLoyalty === 'function') {
+                await this.addLoyalty(rebel.userId, loyalty);
+            } else {
+                rebel.loyaltyScore += loyalty;
+            }
+        }
+        if (credits) {
+            const inventory = this.inventory.get(rebel.userId);
+            if (typeof this.addCredits === 'function') {
+                await this.addCredits(rebel.userId, credits);
+            } else if (inventory) {
+                inventory.credits += credits;
+            }
+        }
+        if (energy) {
+            rebel.energy = Math.min(rebel.maxEnergy, rebel.energy + energy);
+        }
 
-            case 'Neural Network':
-                return {
-                    message: `${rebel.username} taps into the neural network! Enhanced coordination with other rebels.`,
-                    effect: 'Team raids: +25% damage bonus'
-                };
+        // Next raid deals the skill's damage type
+        rebel.primedDamageType = skill.damageType;
 
-            case 'Encryption Shield':
-                return {
-                    message: `${rebel.username} activates encryption protocols! Protected from corporate countermeasures.`,
-                    effect: 'Immune to next countermeasure'
-                };
+        // Lasting part of the skill is tracked as a status effect; rallying skills reach the whole cell
+        const appliedEffect = applyAbilityEffect(rebel, skill.name, { power: outcome.power });
+        if (appliedEffect) {
+            this.persistStatusEffects(rebel);
+        }
+        if (skill.sharesWithCell) {
+            const cell = this.findRebelCell(rebel.userId);
+            (cell?.members || []).forEach(memberId => {
+                const member = this.rebels.get(memberId);
+                if (member && memberId !== rebel.userId && applyAbilityEffect(member, skill.name, { power: outcome.power })) {
+                    this.persistStatusEffects(member);
+                }
+            });
+        }
 
-            default:
-                return {
-                    message: `${rebel.username} uses ${abilityName}! The rebellion grows stronger.`,
-                    effect: 'Generic ability effect'
-                };
+        this.setCooldown(rebel.userId, cooldownKey, outcome.cooldown);
+        if (typeof this.persistRebel === 'function') {
+            await this.persistRebel(rebel.userId, { energy: rebel.energy });
         }
+
+        return { skill, rank, outcome, appliedEffect };
     }
 
-    async handleTrainAbilities(interaction) {
-        const userId = interaction.user.id;
-        const rebel = this.rebels.get(userId);
+    async handleUseSkill(interaction, skillId) {
+        const rebel = this.rebels.get(interaction.user.id);
 
         if (!rebel) {
             await interaction.editReply({
@@ -2377,32 +3394,18 @@ class DobbysRebellion {
             return;
         }
 
-        const inventory = this.inventory.get(userId);
-        const trainingCost = rebel.level * 100;
-
-        if (!inventory || inventory.credits < trainingCost) {
-            await interaction.editReply({
-                content: `❌ Not enough credits to train abilities! Need ${trainingCost} credits.`,
-                components: []
-            });
+        const result = await this.activateSkill(rebel, skillId);
+        if (result.error) {
+            await interaction.editReply({ content: result.error, components: [] });
             return;
         }
 
-        inventory.credits -= trainingCost;
-
-        // Improve stats
-        rebel.stats.strength += 1;
-        rebel.stats.intelligence += 1;
-        rebel.stats.charisma += 1;
-        rebel.stats.stealth += 1;
-
-        await interaction.editReply({
-            content: `🎯 Abilities trained! All stats increased by 1. Remaining credits: ${inventory.credits}`,
-            components: []
-        });
+        const abilitiesCommand = (await import('./commands/abilities.js')).default;
+        await interaction.editReply({ embeds: [abilitiesCommand.createSkillUsedEmbed(rebel, result)], components: [] });
     }
 
-    async handleJoinEvent(interaction) {
+    // Buys the next rank of a skill with credits - the currency ability training always cost
+    async handleLearnSkill(interaction, skillId) {
         const userId = interaction.user.id;
         const rebel = this.rebels.get(userId);
 
@@ -2414,127 +3417,97 @@ class DobbysRebellion {
             return;
         }
 
-        // Get first active event
-        const activeEvent = Array.from(this.globalEvents.values())
-            .find(event => event.status === 'active' && !event.participants.includes(userId));
-
-        if (!activeEvent) {
-            await interaction.editReply({
-                content: '❌ No events available to join or you\'re already participating in all active events!',
-                components: []
-            });
+        const inventory = this.inventory.get(userId);
+        const blocker = getLearnBlocker(rebel, skillId, inventory?.credits || 0);
+        if (blocker) {
+            await interaction.editReply({ content: blocker, components: [] });
             return;
         }
 
-        activeEvent.participants.push(userId);
+        const skill = getSkill(rebel.class, skillId);
+        const cost = getNextRankCost(skill, getSkillRank(rebel, skillId));
+        inventory.credits -= cost.credits;
+        const rank = learnSkill(rebel, skillId);
+        await this.updateRebelInDatabase(userId);
 
+        this.logger.info(`🌳 ${rebel.username} learned ${skill.name} rank ${rank}`);
+
+        const abilitiesCommand = (await import('./commands/abilities.js')).default;
         await interaction.editReply({
-            content: `🔥 Joined **${activeEvent.name}**! Complete raids and missions to contribute to the event progress.`,
-            components: []
+            content: `${skill.emoji} **${skill.name}** ${rank === 1 ? 'unlocked' : `upgraded to rank ${rank}`} for ${cost.credits} credits! ${inventory.credits} credits left.`,
+            embeds: [abilitiesCommand.createSkillTreeEmbed(this, rebel)],
+            components: abilitiesCommand.buildSkillComponents(this, rebel)
         });
     }
 
-    async handleEventLeaderboard(interaction) {
-        const activeEvents = Array.from(this.globalEvents.values())
-            .filter(event => event.status === 'active');
+    getCorporation(corpId) {
+        return this.corporations.get(corpId);
+    }
 
-        if (activeEvents.length === 0) {
+    // The one solo raid flow - /raid and the raid buttons both land here
+    async executeRaid(interaction, targetCorp, rebel) {
+        const corporation = this.corporations.get(targetCorp);
+        if (!corporation) {
             await interaction.editReply({
-                content: '📭 No active events to show leaderboards for.',
+                content: '❌ Invalid corporate target!',
                 components: []
             });
             return;
         }
 
-        const event = activeEvents[0]; // Show first active event
-        const participants = event.participants.slice(0, 10);
-
-        let leaderboardText = `**${event.name} - Top Contributors:**\n\n`;
-
-        if (participants.length === 0) {
-            leaderboardText += 'No participants yet! Be the first to join!';
-        } else {
-            participants.forEach((userId, index) => {
-                const rebel = this.rebels.get(userId);
-                const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
-                leaderboardText += `${medal} ${rebel?.username || 'Unknown'}\n`;
-            });
+        const blockedMessage = this.getRaidBlockMessage(targetCorp);
+        if (blockedMessage) {
+            await interaction.editReply({ content: blockedMessage, components: [] });
+            return;
         }
 
-        const embed = new EmbedBuilder()
-            .setColor(0xffd700)
-            .setTitle('🏆 EVENT LEADERBOARD')
-            .setDescription(leaderboardText)
-            .addFields(
-                { name: '📊 Event Progress', value: `${Math.round((event.currentProgress / event.targetProgress) * 100)}%`, inline: true },
-                { name: '🎁 Reward', value: event.reward, inline: true }
-            )
-            .setFooter({ text: 'Keep contributing to climb the ranks!' })
-            .setTimestamp();
-
-        await interaction.editReply({ embeds: [embed], components: [] });
-    }
-
-    getCorporation(corpId) {
-        return this.corporations.get(corpId);
-    }
-
-    // Missing methods implementation
-    async executeRaid(interaction, targetCorp, rebel) {
-        const corporation = this.corporations.get(targetCorp);
-        if (!corporation) {
+        const energyCost = this.combatEngine.config.energy.solo;
+        if (rebel.energy < energyCost) {
             await interaction.editReply({
-                content: '❌ Invalid corporate target!',
+                content: `⚡ Not enough energy for a raid! You need at least ${energyCost} energy. Rest and try again later.`,
                 components: []
             });
             return;
         }
 
-        // Calculate damage
-        const damage = this.calculateDamage(rebel);
-        const actualDamage = Math.floor(damage * (0.8 + Math.random() * 0.4));
+        // Resolve the raid through the seedable combat engine
+        const outcome = this.rollRaid(rebel, targetCorp);
+        const actualDamage = outcome.damage;
+        const reputationBefore = this.getReputation(rebel);
 
         // Apply damage
-        corporation.health = Math.max(0, corporation.health - actualDamage);
+        const { defeated: isDefeated, missionCompleted, unlockedAchievements } = await this.applyRaidDamage(targetCorp, rebel, actualDamage);
 
         // Update rebel
-        rebel.energy -= 25;
-        rebel.corporateDamage += actualDamage;
-        rebel.loyaltyScore += Math.floor(actualDamage / 10);
-        rebel.totalRaids += 1;
-        rebel.lastActive = new Date();
+        applyRaidOutcome(rebel, outcome, actualDamage);
 
         // Gain experience
-        const expGained = Math.floor(actualDamage / 20) + 10;
+        const expGained = outcome.experienceGained;
         const leveledUp = this.gainExperience(rebel.userId, expGained);
 
         // 🚀 ULTIMATE OPTIMIZATION: Cache handles database updates automatically
 
-        // Check if defeated
-        const isDefeated = corporation.health <= 0;
+        // Killing blow bonus
         if (isDefeated) {
-            corporation.health = corporation.maxHealth;
-            rebel.loyaltyScore += 100;
-            rebel.corporationsDefeated += 1;
+            rebel.loyaltyScore += this.combatEngine.config.rewards.defeatLoyaltyBonus;
+        }
 
-            // Award achievements
-            if (rebel.totalRaids === 1) {
-                this.awardAchievement(rebel.userId, 'first_raid');
-            }
-            this.awardAchievement(rebel.userId, 'first_victory');
+        if (typeof this.persistRebel === 'function') {
+            await this.persistRebel(rebel.userId, {
+                energy: rebel.energy,
+                totalDamage: rebel.corporateDamage,
+                loyaltyScore: rebel.loyaltyScore
+            });
         }
 
         // Add loot to inventory
-        this.addLootToInventory(rebel.userId, corporation, actualDamage);
+        this.addLootToInventory(rebel.userId, corporation, actualDamage, outcome.loot);
 
-        // Check for new achievements
-        const newAchievements = this.checkAchievements(rebel.userId);
+        // Achievements from the raid itself, plus any stat thresholds it pushed the rebel over
+        const newAchievements = [...unlockedAchievements, ...this.checkAchievements(rebel.userId)];
 
         // Process corporate countermeasures
-        this.processCorporateResponse(targetCorp, rebel, actualDamage);
-
-        // Update event participation
-        this.updateEventParticipation(rebel.userId, actualDamage, targetCorp);
+        this.processCorporateResponse(targetCorp, rebel, actualDamage, outcome.countermeasures.activations);
 
         // Generate response
         const resultMessage = isDefeated
@@ -2558,22 +3531,29 @@ class DobbysRebellion {
         // Level up notification
         let levelUpText = '';
         if (leveledUp) {
-            levelUpText = `\n🆙 **LEVEL UP!** You are now level ${rebel.level}!\n+10 Max Energy, +6 Total Stats`;
+            levelUpText = `\n🆙 **LEVEL UP!** You are now level ${rebel.level}!\n${rebel.statPoints} stat points to spend - use \`/stats allocate\``;
         }
 
+        const missionText = missionCompleted ? '\n🎯 **DAILY MISSION COMPLETE!** Claim your reward with `/daily-mission`' : '';
+
+        const rankUp = getRankUp(reputationBefore, this.getReputation(rebel));
+        const rankUpText = rankUp ? `\n${rankUp.emoji} **REPUTATION RANK UP!** You are now a ${rankUp.name} - equip titles with \`/reputation equip\`` : '';
+
         const embed = new EmbedBuilder()
             .setColor(isDefeated ? 0x00ff41 : 0xff8800)
             .setTitle(`💥 RAID ON ${corporation.name.toUpperCase()}`)
-            .setDescription(resultMessage + achievementText + levelUpText)
+            .setDescription(resultMessage + achievementText + levelUpText + missionText + rankUpText)
             .addFields(
-                { name: '💥 Damage Dealt', value: `${actualDamage}`, inline: true },
-                { name: '🏭 Corp Health', value: `${healthPercent}%`, inline: true },
+                { name: '🏷️ Raider', value: `${formatTitle(this.getRebelTitle(rebel))} ${rebel.username}`, inline: false },
+                { name: '💥 Damage Dealt', value: `${actualDamage}${outcome.critical ? ' (CRITICAL!)' : ''}`, inline: true },
+                { name: '🧬 Damage Type', value: `${getDamageTypeLabel(outcome.damageType)}\n${formatEffectiveness(getEffectiveness(outcome.damageType, corporation))}`, inline: true },
+                { name: '🏭 Corp Health', value: `${healthPercent}%\n${formatLifecycleStatus(corporation)}`, inline: true },
                 { name: '⚡ Energy Left', value: `${rebel.energy}/${rebel.maxEnergy}`, inline: true },
-                { name: '🎖️ Loyalty Gained', value: `+${Math.floor(actualDamage / 10)}${isDefeated ? ' (+100 BONUS!)' : ''}`, inline: true },
+                { name: '🎖️ Loyalty Gained', value: `+${outcome.loyaltyGained}${isDefeated ? ` (+${this.combatEngine.config.rewards.defeatLoyaltyBonus} BONUS!)` : ''}`, inline: true },
                 { name: '📈 Experience', value: `+${expGained} XP (${rebel.experience} total)`, inline: true },
                 { name: '🎁 Loot Acquired', value: `${this.getRecentLoot(rebel.userId)}`, inline: true }
             )
-            .setFooter({ text: isDefeated ? '🏆 CORPORATION DEFEATED!' : 'The rebellion continues!' })
+            .setFooter({ text: `${isDefeated ? '🏆 CORPORATION DEFEATED!' : 'The rebellion continues!'} • Raid seed ${outcome.seed}` })
             .setTimestamp();
 
         const actionRow = new ActionRowBuilder()
@@ -2583,7 +3563,7 @@ class DobbysRebellion {
                     .setLabel('Raid Again')
                     .setStyle(ButtonStyle.Danger)
                     .setEmoji('💥')
-                    .setDisabled(rebel.energy < 25),
+                    .setDisabled(rebel.energy < this.combatEngine.config.energy.solo),
                 new ButtonBuilder()
                     .setCustomId('raid_different')
                     .setLabel('Choose New Target')
@@ -2600,38 +3580,170 @@ class DobbysRebellion {
     }
 
     calculateDamage(rebel) {
-        const classMultipliers = {
-            'Protocol Hacker': 1.2,
-            'Model Trainer': 1.0,
-            'Data Liberator': 1.1,
-            'Community Organizer': 0.9,
-            'Enclave Guardian': 0.8
+        return this.combatEngine.calculateBaseDamage(rebel, this.buildRaidModifiers(rebel));
+    }
+
+    // Single place raid modifiers are assembled so game systems can layer effects on top
+    buildRaidModifiers(rebel, targetCorp, overrides = {}, scope = 'solo') {
+        const statEffects = getStatEffects(rebel);
+        const cellBonus = getCellDamageBonus(rebel, this.findRebelCell(rebel.userId));
+        const effectModifiers = getEffectModifiers(rebel, { targetCorp, scope });
+        const zoneModifiers = this.getZoneModifiers(rebel);
+        const prestigeBonuses = getPrestigeBonuses(rebel.prestigeRank || 0);
+        const passives = getPassiveModifiers(rebel);
+
+        // Damage type against the target's weakness / resistances
+        const damageType = getRaidDamageType(rebel);
+        const effectiveness = getEffectiveness(damageType, this.corporations.get(targetCorp));
+        const attunement = getAttunementBonus(this.inventory.get(rebel.userId), damageType);
+
+        return {
+            damageMultiplier: statEffects.damageMultiplier * (1 + cellBonus) * (1 + attunement) * effectModifiers.damageMultiplier * zoneModifiers.damageMultiplier * prestigeBonuses.damageMultiplier * passives.damageMultiplier, // Strength + cell + item attunement + status effects + zone + prestige + passive skills
+            critChanceBonus: statEffects.critChanceBonus + effectModifiers.critChanceBonus + passives.critChanceBonus, // Intelligence
+            detectionMultiplier: (1 - statEffects.evasion) * effectModifiers.detectionMultiplier * passives.detectionMultiplier, // Stealth
+            lootMultiplier: effectModifiers.lootMultiplier * zoneModifiers.lootMultiplier * passives.lootMultiplier * getLootMultiplier(this.corporations.get(targetCorp) || {}), // Liberated corporations drop extra loot
+            rarityBonus: zoneModifiers.rarityBonus,
+            loyaltyMultiplier: zoneModifiers.loyaltyMultiplier * passives.loyaltyMultiplier,
+            damageType,
+            typeMultiplier: effectiveness.multiplier,
+            effectiveness: effectiveness.label,
+            ...overrides
         };
+    }
+
+    // Bonuses of the zone the rebel is standing in
+    getZoneModifiers(rebel) {
+        return getRebelZoneModifiers(rebel, this.rebellionZones);
+    }
+
+    getScoutCost(rebel) {
+        return getScoutCost(EffectivenessConfig.scoutEnergyCost, this.getZoneModifiers(rebel));
+    }
+
+    findRebelCell(userId) {
+        for (const cell of this.resistanceCells.values()) {
+            if (cell.members?.includes(userId)) {
+                return cell;
+            }
+        }
+        return null;
+    }
+
+    // Marketplace tax for a seller, reduced by charisma and black-market zones
+    getTradeTax(userId, categoryId) {
+        const categoryInfo = this.tradeCategories.get(categoryId);
+        const baseTax = categoryInfo?.tax || 0.05;
+        const rebel = this.rebels.get(userId);
+        return applyTaxReduction(baseTax, rebel) * this.getZoneModifiers(rebel).marketTaxMultiplier;
+    }
+
+    // `options.corporation` raids a target outside the corporation pool, such as a world boss
+    rollRaid(rebel, targetCorp, options = {}) {
+        const corporation = options.corporation || this.corporations.get(targetCorp);
+        const outcome = this.combatEngine.resolveRaid(rebel, corporation, {
+            seed: options.seed,
+            modifiers: this.buildRaidModifiers(rebel, targetCorp, options.modifiers),
+            defensiveTypes: Array.from(this.defensiveItems.keys()),
+            countermeasureTypes: options.countermeasureTypes || Array.from(this.countermeasureTypes.keys())
+        });
+
+        this.recordRaidOutcome(outcome, { userIds: [rebel.userId], target: targetCorp });
+
+        // A primed ability damage type and single-use effects only last for one raid
+        rebel.primedDamageType = null;
+        if (consumeEffects(rebel, 'raid', { targetCorp, scope: 'solo' }).length > 0) {
+            this.persistStatusEffects(rebel);
+        }
+        return outcome;
+    }
+
+    rollTeamRaid(members, targetCorp, formation, options = {}) {
+        const corporation = this.corporations.get(targetCorp);
+        const memberModifiers = {};
+        members.forEach(member => {
+            memberModifiers[member.userId] = this.buildRaidModifiers(member, targetCorp, {}, 'team');
+        });
+
+        // Parties coordinating from the underground move as a tighter unit
+        const zonedFormation = applyFormationModifiers(formation, members.map(member => isTraveling(member) ? null : this.rebellionZones.get(member.currentZone)));
+        const outcome = this.combatEngine.resolveTeamRaid(members, corporation, zonedFormation, {
+            seed: options.seed,
+            memberModifiers,
+            countermeasureTypes: Array.from(this.countermeasureTypes.keys())
+        });
+
+        this.recordRaidOutcome(outcome, {
+            userIds: members.map(member => member.userId),
+            target: targetCorp
+        });
+
+        members.forEach(member => {
+            member.primedDamageType = null;
+            if (consumeEffects(member, 'raid', { targetCorp, scope: 'team' }).length > 0) {
+                this.persistStatusEffects(member);
+            }
+        });
+        return outcome;
+    }
+
+    // Keep recent outcomes so a disputed raid can be replayed from its seed
+    recordRaidOutcome(outcome, details) {
+        this.raidLog.set(String(outcome.seed), { ...details, outcome, recordedAt: new Date() });
+
+        if (this.raidLog.size > 500) {
+            const oldestSeed = this.raidLog.keys().next().value;
+            this.raidLog.delete(oldestSeed);
+        }
+    }
 
-        const baseClassDamage = 50;
-        const levelBonus = rebel.level * 10;
-        const loyaltyBonus = Math.floor(rebel.loyaltyScore / 100) * 5;
-        const classMultiplier = classMultipliers[rebel.class] || 1.0;
+    replayRaid(seed) {
+        const entry = this.raidLog.get(String(seed));
+        if (!entry) return null;
 
-        return Math.floor((baseClassDamage + levelBonus + loyaltyBonus) * classMultiplier);
+        const replayed = this.combatEngine.replay(entry.outcome);
+        const recordedDamage = entry.outcome.type === 'team' ? entry.outcome.totalDamage : entry.outcome.damage;
+        const replayedDamage = replayed.type === 'team' ? replayed.totalDamage : replayed.damage;
+
+        return {
+            entry,
+            replayed,
+            matches: JSON.stringify(replayed) === JSON.stringify(entry.outcome),
+            recordedDamage,
+            replayedDamage
+        };
     }
 
     async generateDailyMission(userId) {
         const rebel = this.rebels.get(userId);
         if (!rebel) return;
 
-        const mission = await this.dobby.generateDailyMission(rebel.class, rebel.loyaltyScore);
-        this.dailyMissions.set(userId, {
-            mission,
-            completed: false,
-            reward: 50 + Math.floor(rebel.level * 10),
-            createdAt: new Date()
+        // Pick the objective first so Dobby's briefing can wrap it
+        const inventory = this.inventory.get(userId);
+        const mission = createMission(rebel, null, Math.random, Date.now(), {
+            zones: this.rebellionZones,
+            items: (inventory?.items || []).map(item => item.type)
         });
+        mission.mission = await this.dobby.generateDailyMission(rebel.class, rebel.loyaltyScore, mission.objective.label);
+        this.dailyMissions.set(userId, mission);
+    }
+
+    // Game actions report what the rebel did; returns true when the event completes today's mission
+    recordMissionProgress(userId, event) {
+        const mission = this.dailyMissions.get(userId);
+        if (!isTrackable(mission) || !recordProgress(mission, event)) return false;
+
+        this.logger.info(`🎯 ${this.rebels.get(userId)?.username} completed their daily mission: ${mission.objective.label}`);
+        return true;
     }
 
     async handleDailyMission(interaction) {
+        const dailyMissionCommand = (await import('./commands/daily-mission.js')).default;
+        await dailyMissionCommand.execute(interaction, this);
+    }
+
+    // Pays today's streak reward once per reset day, plus the daily mission whenever it's complete
+    async handleDailyClaim(interaction) {
         const userId = interaction.user.id;
-        const mission = this.dailyMissions.get(userId);
         const rebel = this.rebels.get(userId);
 
         if (!rebel) {
@@ -2642,37 +3754,47 @@ class DobbysRebellion {
             return;
         }
 
-        if (!mission) {
-            await this.generateDailyMission(userId);
-            const newMission = this.dailyMissions.get(userId);
+        const settings = this.getRebelResetSettings(rebel);
+        const mission = this.dailyMissions.get(userId);
+        const dailyMissionCommand = (await import('./commands/daily-mission.js')).default;
 
-            const embed = new EmbedBuilder()
-                .setColor(0x9932cc)
-                .setTitle('📅 DAILY MISSION ASSIGNED')
-                .setDescription(newMission.mission)
-                .addFields(
-                    { name: '🎁 Reward', value: `${newMission.reward} Loyalty Points`, inline: true },
-                    { name: '⏰ Status', value: 'Not Started', inline: true }
-                )
-                .setFooter({ text: 'Complete this mission to earn rewards!' })
-                .setTimestamp();
+        const missionBlocker = getClaimBlocker(mission);
+        const result = claimDaily(rebel, Date.now(), settings);
 
-            await interaction.editReply({ embeds: [embed], components: [] });
+        if (!result && missionBlocker) {
+            await interaction.editReply({
+                content: `✅ You already claimed today's streak reward. Come back after the reset to keep your streak alive!\n${missionBlocker}`,
+                embeds: [dailyMissionCommand.createStreakEmbed(rebel, settings)],
+                components: []
+            });
             return;
         }
 
-        const embed = new EmbedBuilder()
-            .setColor(mission.completed ? 0x00ff41 : 0xff8800)
-            .setTitle('📅 YOUR DAILY MISSION')
-            .setDescription(mission.mission)
-            .addFields(
-                { name: '🎁 Reward', value: `${mission.reward} Loyalty Points`, inline: true },
-                { name: '⏰ Status', value: mission.completed ? '✅ Completed' : '🔄 In Progress', inline: true }
-            )
-            .setFooter({ text: mission.completed ? 'Mission completed! New mission tomorrow.' : 'Keep fighting the rebellion!' })
-            .setTimestamp();
+        const missionReward = missionBlocker ? 0 : mission.reward;
+        await this.grantRewards(userId, {
+            credits: result?.reward.credits || 0,
+            loyalty: missionReward + (result?.reward.loyalty || 0)
+        });
+        if (!missionBlocker) mission.claimed = true;
 
-        await interaction.editReply({ embeds: [embed], components: [] });
+        const achievement = result?.reward.achievement;
+        const unlocked = achievement && this.awardAchievement(userId, achievement);
+
+        if (result && typeof this.persistRebel === 'function') {
+            await this.persistRebel(userId, {
+                dailyStreak: rebel.dailyStreak,
+                bestDailyStreak: rebel.bestDailyStreak,
+                lastDailyClaim: rebel.lastDailyClaim
+            });
+        }
+
+        this.logger.info(`📅 ${rebel.username} claimed their daily reward${missionReward ? ' and mission' : ''}${result ? ` (day ${result.streak} of their streak)` : ''}`);
+
+        await interaction.editReply({
+            content: dailyMissionCommand.formatClaim(result, missionReward, unlocked ? this.achievementTemplates.get(achievement) : null),
+            embeds: [dailyMissionCommand.createStreakEmbed(rebel, settings)],
+            components: []
+        });
     }
 
     async handleLeaderboard(interaction) {
@@ -2683,7 +3805,7 @@ class DobbysRebellion {
         let leaderboardText = '';
         topRebels.forEach((rebel, index) => {
             const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
-            leaderboardText += `${medal} **${rebel.username}** (${rebel.class})\n`;
+            leaderboardText += `${medal} ${formatTitle(this.getRebelTitle(rebel))} **${rebel.username}** (${rebel.class})\n`;
             leaderboardText += `   Loyalty: ${rebel.loyaltyScore} | Damage: ${rebel.corporateDamage}\n\n`;
         });
 
@@ -2701,75 +3823,34 @@ class DobbysRebellion {
         await interaction.editReply({ embeds: [embed], components: [] });
     }
 
-    startDailyReset() {
-        // Reset energy daily at midnight
-        setInterval(() => {
-            const now = new Date();
-            if (now.getHours() === 0 && now.getMinutes() === 0) {
-                for (const rebel of this.rebels.values()) {
-                    rebel.energy = 100;
-                    this.dailyMissions.delete(rebel.userId);
-                }
-                this.logger.info('🔄 Daily energy reset completed');
-            }
-        }, 60000); // Check every minute
+    // Reset times belong to the rebel's home guild, falling back to the configured default
+    getRebelResetSettings(rebel) {
+        return getResetSettings(this.guilds.get(rebel.guildId));
     }
 
-    startEnergyRegeneration() {
-        // Regenerate 1 energy per minute for all rebels - OPTIMIZED FOR 10K+ USERS
-        this.createTrackedInterval(() => {
-            let regeneratedCount = 0;
-            let skippedInactive = 0;
-            let totalRebels = 0;
-            const now = Date.now();
-            const oneHourAgo = now - (60 * 60 * 1000); // Extended to 1 hour for better UX
-
-            // Process in batches to avoid blocking the event loop
-            const rebels = Array.from(this.rebels.values());
-            const batchSize = 100;
-            totalRebels = rebels.length;
-
-            const processBatch = (startIndex) => {
-                const endIndex = Math.min(startIndex + batchSize, rebels.length);
-
-                for (let i = startIndex; i < endIndex; i++) {
-                    const rebel = rebels[i];
-
-                    // Only process users active in the last hour (more generous)
-                    const lastActiveTime = new Date(rebel.lastActive).getTime();
-                    if (lastActiveTime < oneHourAgo) {
-                        skippedInactive++;
-                        continue;
-                    }
-
-                    if (rebel.energy < rebel.maxEnergy) {
-                        rebel.energy = Math.min(rebel.energy + 1, rebel.maxEnergy);
-                        rebel.lastEnergyRegen = new Date();
-                        regeneratedCount++;
+    // Each rebel's daily reset runs the first time they're seen after their guild's reset hour.
+    // The day key is persisted, so restarts can neither skip nor repeat a reset.
+    runDailyReset(rebel, now = Date.now()) {
+        if (!applyDailyReset(rebel, now, this.getRebelResetSettings(rebel))) return false;
 
-                        // Update cache with new energy value
-                        this.cacheManager.updateUser(rebel.userId, rebel, this.rebels);
-                    }
-                }
+        this.dailyMissions.delete(rebel.userId);
+        if (typeof this.persistRebel === 'function') {
+            this.persistRebel(rebel.userId, { energy: rebel.energy, lastDailyReset: rebel.lastDailyReset });
+        }
+        return true;
+    }
 
-                // Process next batch asynchronously to avoid blocking
-                if (endIndex < rebels.length) {
-                    setImmediate(() => processBatch(endIndex));
-                } else {
-                    // Log energy regeneration results
-                    if (regeneratedCount > 0 || totalRebels > 0) {
-                        this.logger.info(`⚡ Energy regeneration: ${regeneratedCount} rebels regenerated, ${skippedInactive} inactive, ${totalRebels} total`);
-                    }
-                }
-            };
+    // Energy is worked out on read from the time since the last regen - there is no background sweep
+    syncEnergy(rebel, now = Date.now()) {
+        return regenerateEnergy(rebel, this.getEnergyRegenRate(rebel), now);
+    }
 
-            // Start batch processing
-            if (rebels.length > 0) {
-                processBatch(0);
-            } else {
-                this.logger.debug('⚡ No rebels found for energy regeneration');
-            }
-        }, 60000); // Every minute
+    // Zone and carried items both feed the regen rate
+    getEnergyRegenRate(rebel) {
+        return getRegenRate({
+            zoneMultiplier: this.getZoneModifiers(rebel).regenMultiplier,
+            itemBonus: getItemRegenBonus(this.inventory.get(rebel.userId))
+        });
     }
 
     startCorporateHealthRegeneration() {
@@ -2777,30 +3858,34 @@ class DobbysRebellion {
         setInterval(() => {
             let regeneratedCount = 0;
 
-            // Process corporations efficiently (only 5 corporations, so no batching needed)
-            for (const [corpId, corp] of this.corporations) {
-                if (corp.health < corp.maxHealth) {
-                    // Regenerate 0.5% of max health every 5 minutes
-                    const regenAmount = Math.floor(corp.maxHealth * 0.005);
-                    corp.health = Math.min(corp.health + regenAmount, corp.maxHealth);
-                    regeneratedCount++;
-
-                    // Log significant regeneration
-                    if (regenAmount > 0) {
-                        const healthPercent = Math.round((corp.health / corp.maxHealth) * 100);
-                        this.logger.info(`🏥 ${corp.name} health regenerated to ${healthPercent}%`);
+            // Process corporations efficiently (only 5 per world, so no batching needed)
+            this.worldState.forEachWorld(world => {
+                for (const corp of world.corporations.values()) {
+                    if (corp.health < corp.maxHealth && canRetaliate(corp)) {
+                        // Regenerate 0.5% of max health every 5 minutes (defeated corporations rebuild on their own schedule)
+                        const regenAmount = Math.floor(corp.maxHealth * 0.005);
+                        corp.health = Math.min(corp.health + regenAmount, corp.maxHealth);
+                        regeneratedCount++;
+
+                        // Log significant regeneration
+                        if (regenAmount > 0) {
+                            const healthPercent = Math.round((corp.health / corp.maxHealth) * 100);
+                            this.logger.info(`🏥 ${corp.name} (${world.id}) health regenerated to ${healthPercent}%`);
+                        }
                     }
                 }
-            }
+            });
         }, 5 * 60000); // Every 5 minutes
     }
 
     startMarketUpdates() {
         // Update market prices and clean up expired listings
         setInterval(() => {
-            this.updateMarketPrices();
-            this.cleanupExpiredListings();
-            this.processAuctionTimers();
+            this.worldState.forEachWorld(() => {
+                this.updateMarketPrices();
+                this.cleanupExpiredListings();
+                this.processAuctionTimers();
+            });
         }, 2 * 60000); // Every 2 minutes
     }
 
@@ -2929,14 +4014,12 @@ class DobbysRebellion {
             const backupData = {
                 timestamp: new Date().toISOString(),
                 rebels: Object.fromEntries(this.rebels),
-                corporations: Object.fromEntries(this.corporations),
+                worlds: this.worldState.serialize(),
+                guilds: Object.fromEntries(this.guilds),
                 inventory: Object.fromEntries(this.inventory),
                 achievements: Object.fromEntries(this.achievements),
                 activeTrades: Object.fromEntries(this.activeTrades),
-                marketplace: Object.fromEntries(this.marketplace),
-                auctions: Object.fromEntries(this.auctions),
                 dailyMissions: Object.fromEntries(this.dailyMissions),
-                globalEvents: Object.fromEntries(this.globalEvents),
                 raidParties: Object.fromEntries(this.raidParties),
                 resistanceCells: Object.fromEntries(this.resistanceCells),
                 leaderboard: Object.fromEntries(this.leaderboard),
@@ -2992,19 +4075,25 @@ class DobbysRebellion {
 
             // Restore all game data
             this.rebels = new Map(Object.entries(backupData.rebels || {}));
-            this.corporations = new Map(Object.entries(backupData.corporations || {}));
             this.inventory = new Map(Object.entries(backupData.inventory || {}));
             this.achievements = new Map(Object.entries(backupData.achievements || {}));
             this.activeTrades = new Map(Object.entries(backupData.activeTrades || {}));
-            this.marketplace = new Map(Object.entries(backupData.marketplace || {}));
-            this.auctions = new Map(Object.entries(backupData.auctions || {}));
             this.dailyMissions = new Map(Object.entries(backupData.dailyMissions || {}));
-            this.globalEvents = new Map(Object.entries(backupData.globalEvents || {}));
             this.raidParties = new Map(Object.entries(backupData.raidParties || {}));
             this.resistanceCells = new Map(Object.entries(backupData.resistanceCells || {}));
             this.leaderboard = new Map(Object.entries(backupData.leaderboard || {}));
             this.cooldowns = new Map(Object.entries(backupData.cooldowns || {}));
 
+            // Guild settings are shared with the world state manager, so refill rather than replace
+            this.guilds.clear();
+            for (const [guildId, settings] of Object.entries(backupData.guilds || {})) {
+                this.guilds.set(guildId, settings);
+            }
+            // Older single-world backups are restored into the global world
+            const worldCount = this.worldState.restore(backupData);
+            this.syncEventSchedules();
+            this.logger.info(`🌍 Restored ${worldCount} world(s)`);
+
             this.logger.info(`✅ Backup restored from: ${backupFile} (${backupData.timestamp})`);
             return true;
 
@@ -3014,54 +4103,16 @@ class DobbysRebellion {
         }
     }
 
-    updateEventParticipation(userId, damage, targetCorp) {
-        // Update participation in active events
-        for (const [eventId, event] of this.globalEvents) {
-            if (event.status !== 'active') continue;
-
-            // Check if this action contributes to the event
-            let contribution = 0;
-
-            switch (event.type) {
-                case 'raid_event':
-                    // All raids contribute to raid events
-                    contribution = damage;
-                    break;
-                case 'liberation_event':
-                    // Successful raids contribute to liberation
-                    contribution = damage > 500 ? 1 : 0; // 1 model liberated per significant raid
-                    break;
-                case 'data_event':
-                    // Data-focused raids contribute more
-                    if (targetCorp === 'meta' || targetCorp === 'google') {
-                        contribution = damage * 1.5;
-                    } else {
-                        contribution = damage;
-                    }
-                    break;
-                case 'defense_event':
-                    // All raids help defend against corporate retaliation
-                    contribution = damage * 0.8;
-                    break;
-                default:
-                    contribution = damage * 0.5;
-            }
-
-            if (contribution > 0) {
-                // Add participant if not already added
-                if (!event.participants.has(userId)) {
-                    event.participants.add(userId);
-                }
-
-                // Update contribution tracking
-                const currentContribution = event.contributorData.get(userId) || 0;
-                event.contributorData.set(userId, currentContribution + contribution);
+    // Feeds a game action to every active event; each event's template decides what it's worth
+    recordEventAction(userId, action) {
+        for (const event of this.globalEvents.values()) {
+            if (event.status !== EventStatus.ACTIVE) continue;
 
-                // Update event progress
-                event.currentProgress += contribution;
+            const contribution = getContribution(event, action);
+            if (contribution <= 0) continue;
 
-                this.logger.info(`🎯 Event participation: ${userId} contributed ${contribution} to ${event.name}`);
-            }
+            applyContribution(event, userId, contribution);
+            this.logger.info(`🎯 Event participation: ${userId} contributed ${contribution} to ${event.name} (${action.type})`);
         }
     }
 
@@ -3101,7 +4152,8 @@ class DobbysRebellion {
                 activeInventories: this.inventory.size,
                 activeTrades: this.activeTrades.size,
                 activeRaidParties: this.raidParties.size,
-                globalEvents: this.globalEvents.size
+                worlds: this.worldState.listWorlds().length,
+                globalEvents: this.worldState.listWorlds().reduce((total, world) => total + world.globalEvents.size, 0)
             },
             uptime: {
                 hours: Math.floor(uptime / 3600),
@@ -3210,6 +4262,10 @@ class DobbysRebellion {
             clearInterval(this.memoryCleanupInterval);
         }
 
+        // Stop the event director and every recurring event
+        this.eventDirectorTask?.stop();
+        this.eventScheduleTasks.forEach(task => task.stop());
+
         // Final cleanup before shutdown
         this.cleanupInactiveUsers();
 
@@ -3255,6 +4311,7 @@ class DobbysRebellion {
         // Assign mentor
         availableMentor.studentId = userId;
         availableMentor.status = 'mentoring';
+        this.recordEventAction(availableMentor.mentorId, { type: 'recruit' });
 
         const mentor = this.rebels.get(availableMentor.mentorId);
 
@@ -3298,6 +4355,7 @@ class DobbysRebellion {
     async handleIntelButton(interaction) {
         const customId = interaction.customId;
         const target = customId.replace('intel_', '');
+        const rebel = this.rebels.get(interaction.user.id);
 
         const corporation = this.corporations.get(target);
         if (!corporation) {
@@ -3326,7 +4384,7 @@ class DobbysRebellion {
                 { name: '💚 Health Status', value: `${healthBar} ${corporation.health}/${corporation.maxHealth} (${healthPercentage}%)`, inline: false },
                 { name: '🚨 Alert Level', value: `${'🔴'.repeat(threatLevel)}${'⚪'.repeat(5 - threatLevel)} (${threatLevel}/5)`, inline: true },
                 { name: '🛡️ Active Defenses', value: `${activeCountermeasures} countermeasures`, inline: true },
-                { name: '⚡ Weakness', value: corporation.weakness.replace('_', ' ').toUpperCase(), inline: true },
+                { name: '🧬 Weakness & Resistances', value: formatTypeIntel(corporation, isScouted(rebel, target)), inline: false },
                 { name: '💎 Available Loot', value: corporation.loot.join('\n'), inline: false },
                 { name: '📊 Recent Activity', value: `${recentDamage} damage in last hour`, inline: true },
                 { name: '🎯 Recommended Action', value: this.getRecommendedAction(corporation), inline: false }
@@ -3346,6 +4404,12 @@ class DobbysRebellion {
                     .setLabel('Countermeasures')
                     .setStyle(ButtonStyle.Secondary)
                     .setEmoji('🚨'),
+                new ButtonBuilder()
+                    .setCustomId(`scout_${target}`)
+                    .setLabel(`Scout (${this.getScoutCost(rebel)} energy)`)
+                    .setStyle(ButtonStyle.Success)
+                    .setEmoji('🛰️')
+                    .setDisabled(isScouted(rebel, target)),
                 new ButtonBuilder()
                     .setCustomId('intel_all')
                     .setLabel('All Targets')
@@ -3356,6 +4420,67 @@ class DobbysRebellion {
         await interaction.editReply({ embeds: [embed], components: [actionRow] });
     }
 
+    // Scouting reveals a corporation's weakness and resistances to this rebel
+    async handleScoutCorporation(interaction) {
+        const target = interaction.customId.replace('scout_', '');
+        const rebel = this.rebels.get(interaction.user.id);
+        const corporation = this.corporations.get(target);
+
+        if (!rebel || !corporation) {
+            await interaction.editReply({
+                content: !rebel ? '❌ You must join the rebellion first!' : '❌ Corporate target not found!',
+                components: []
+            });
+            return;
+        }
+
+        if (isScouted(rebel, target)) {
+            await interaction.editReply({
+                content: `🛰️ You have already scouted ${corporation.name}.\n${formatTypeIntel(corporation, true)}`,
+                components: []
+            });
+            return;
+        }
+
+        const scoutCost = this.getScoutCost(rebel);
+        if (rebel.energy < scoutCost) {
+            await interaction.editReply({
+                content: `⚡ Not enough energy to scout! Need ${scoutCost}, have ${rebel.energy}.`,
+                components: []
+            });
+            return;
+        }
+
+        rebel.energy -= scoutCost;
+        markScouted(rebel, target);
+        if (typeof this.persistRebel === 'function') {
+            await this.persistRebel(rebel.userId, { energy: rebel.energy, scoutedCorporations: rebel.scoutedCorporations });
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(0x00ff88)
+            .setTitle(`🛰️ SCOUTING REPORT: ${corporation.name.toUpperCase()}`)
+            .setDescription('Your operatives mapped the corporation\'s defenses.')
+            .addFields(
+                { name: '🧬 Weakness & Resistances', value: formatTypeIntel(corporation, true), inline: false },
+                { name: '⚔️ Your Damage Type', value: `${getDamageTypeLabel(getRaidDamageType(rebel))}\n${formatEffectiveness(getEffectiveness(getRaidDamageType(rebel), corporation))}`, inline: true },
+                { name: '⚡ Energy Left', value: `${rebel.energy}/${rebel.maxEnergy}`, inline: true }
+            )
+            .setFooter({ text: 'Use abilities to switch your next raid\'s damage type!' })
+            .setTimestamp();
+
+        const actionRow = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`raid_${target}`)
+                    .setLabel(`Raid ${corporation.name}`)
+                    .setStyle(ButtonStyle.Danger)
+                    .setEmoji('💥')
+            );
+
+        await interaction.editReply({ embeds: [embed], components: [actionRow] });
+    }
+
     getRecentCorporateDamage(target) {
         // This would track recent damage in a real implementation
         return Math.floor(Math.random() * 1000);
@@ -3379,49 +4504,6 @@ class DobbysRebellion {
     }
 
     // Corporate Countermeasures Button Handlers
-    async handleActivateShield(interaction) {
-        const userId = interaction.user.id;
-        const rebel = this.rebels.get(userId);
-        const inventory = this.inventory.get(userId);
-
-        if (!rebel || !inventory) {
-            await interaction.editReply({
-                content: '❌ Rebel or inventory not found!',
-                components: []
-            });
-            return;
-        }
-
-        // Find available defensive items
-        const defensiveItems = inventory.items.filter(item =>
-            this.defensiveItems.has(item.type) &&
-            (!item.activatedAt || (Date.now() - item.activatedAt) >= this.defensiveItems.get(item.type).duration)
-        );
-
-        if (defensiveItems.length === 0) {
-            await interaction.editReply({
-                content: '❌ No defensive items available! Acquire them through raids or purchase.',
-                components: []
-            });
-            return;
-        }
-
-        // Activate the best available defensive item
-        const bestItem = defensiveItems.reduce((best, item) => {
-            const bestProtection = this.defensiveItems.get(best.type).protection;
-            const itemProtection = this.defensiveItems.get(item.type).protection;
-            return itemProtection > bestProtection ? item : best;
-        });
-
-        bestItem.activatedAt = Date.now();
-        const defenseData = this.defensiveItems.get(bestItem.type);
-
-        await interaction.editReply({
-            content: `🛡️ **${defenseData.name}** activated! You now have ${defenseData.protection}% protection for ${Math.floor(defenseData.duration / 60000)} minutes.`,
-            components: []
-        });
-    }
-
     async handleSeekSanctuary(interaction) {
         const sanctuaryCommand = (await import('./commands/sanctuary.js')).default;
         await sanctuaryCommand.execute(interaction, this);
@@ -3708,6 +4790,12 @@ class DobbysRebellion {
             return;
         }
 
+        const blockedMessage = this.getRaidBlockMessage(raidParty.target);
+        if (blockedMessage) {
+            await interaction.editReply({ content: blockedMessage, components: [] });
+            return;
+        }
+
         // Execute the coordinated raid
         await this.executeCoordinatedRaid(raidParty, interaction);
     }
@@ -3795,53 +4883,53 @@ class DobbysRebellion {
         }
     }
 
-    async executeCoordinatedRaid(raidParty, interaction) {
+    // Runs a ready party's raid - from the execute button, or from a /coordinate countdown with no interaction to reply to
+    async executeCoordinatedRaid(raidParty, interaction = null) {
         const corporation = this.corporations.get(raidParty.target);
         const formation = this.formations.get(raidParty.formation);
 
-        // Calculate total team damage
-        let totalDamage = 0;
-        const memberResults = [];
-
-        for (const memberId of raidParty.members) {
-            const member = this.rebels.get(memberId);
-            if (!member) continue;
-
-            // Calculate individual damage with formation bonuses
-            const baseDamage = Math.floor(Math.random() * 200) + 100;
-            const formationDamage = Math.floor(baseDamage * formation.damageBonus);
-            const finalDamage = Math.floor(formationDamage * (1 + (member.loyaltyScore / 1000)));
+        // The target may have been defeated while the countdown ran
+        const blockedMessage = this.getRaidBlockMessage(raidParty.target);
+        if (blockedMessage) {
+            raidParty.state = 'aborted';
+            this.logger.info(`⏹️ Coordinated raid aborted: ${corporation.name} is rebuilding (party ${raidParty.id})`);
+            await interaction?.editReply({ content: blockedMessage, components: [] });
+            return;
+        }
 
-            totalDamage += finalDamage;
+        // Resolve the whole team raid through the seedable combat engine
+        const members = raidParty.members.map(memberId => this.rebels.get(memberId)).filter(Boolean);
+        members.forEach(member => this.syncEnergy(member));
+        const outcome = this.rollTeamRaid(members, raidParty.target, formation);
+        const totalDamage = outcome.totalDamage;
 
-            // Apply energy cost
-            const energyCost = Math.floor(30 * formation.energyCost);
-            member.energy = Math.max(0, member.energy - energyCost);
+        // Apply energy cost with formation modifiers
+        const memberResults = outcome.memberResults.map(result => {
+            const member = this.rebels.get(result.userId);
+            member.energy = Math.max(0, member.energy - result.energyUsed);
 
-            memberResults.push({
+            return {
                 member: member,
-                damage: finalDamage,
-                energyUsed: energyCost
-            });
-        }
+                damage: result.damage,
+                energyUsed: result.energyUsed
+            };
+        });
 
-        // Apply damage to corporation
-        corporation.health = Math.max(0, corporation.health - totalDamage);
+        // Apply damage to corporation member by member so the killing blow is credited
+        for (const result of memberResults) {
+            await this.applyRaidDamage(raidParty.target, result.member, result.damage);
+        }
 
         // Generate team loot
-        const teamLoot = this.generateTeamLoot(raidParty, totalDamage);
+        const teamLoot = this.generateTeamLoot(raidParty, outcome.loot);
 
         // Distribute loot among team members
         this.distributeTeamLoot(raidParty, teamLoot);
 
         // Process corporate countermeasures (reduced chance due to coordination)
-        const stealthBonus = formation.stealthBonus || 0;
-        if (Math.random() > stealthBonus) {
-            for (const memberId of raidParty.members) {
-                const member = this.rebels.get(memberId);
-                if (member) {
-                    this.processCorporateResponse(raidParty.target, member, totalDamage / raidParty.members.length);
-                }
+        if (outcome.detected) {
+            for (const member of members) {
+                this.processCorporateResponse(raidParty.target, member, totalDamage / members.length, outcome.countermeasures[member.userId]);
             }
         }
 
@@ -3859,55 +4947,46 @@ class DobbysRebellion {
                 { name: '⚡ Formation Bonus', value: `+${Math.round((formation.damageBonus - 1) * 100)}%`, inline: true },
                 { name: '👥 Team Performance', value: this.formatMemberResults(memberResults), inline: false }
             )
-            .setFooter({ text: 'United we stand, divided we fall!' })
+            .setFooter({ text: `United we stand, divided we fall! • Raid seed ${outcome.seed}` })
             .setTimestamp();
 
         // Update party state
         raidParty.state = 'completed';
         raidParty.results = {
+            seed: outcome.seed,
             totalDamage: totalDamage,
             memberResults: memberResults,
             loot: teamLoot,
             timestamp: new Date()
         };
 
-        await interaction.editReply({ embeds: [embed], components: [] });
+        await interaction?.editReply({ embeds: [embed], components: [] });
 
         // Clean up party after 5 minutes
         setTimeout(() => {
             this.raidParties.delete(raidParty.id);
         }, 300000);
 
-        this.logger.info(`⚔️ Coordinated raid completed: Party ${raidParty.id} dealt ${totalDamage} damage to ${corporation.name}`);
+        this.logger.info(`⚔️ Coordinated raid completed: Party ${raidParty.id} dealt ${totalDamage} damage to ${corporation.name} (seed ${outcome.seed})`);
     }
 
-    generateTeamLoot(raidParty, totalDamage) {
+    generateTeamLoot(raidParty, rolledLoot) {
         const corporation = this.corporations.get(raidParty.target);
-        const formation = this.formations.get(raidParty.formation);
-        const lootMultiplier = formation.lootBonus || 1.0;
 
+        // Item rolls come from the combat engine; this only builds inventory entries
         const teamLoot = {
-            credits: Math.floor((totalDamage / 3) * lootMultiplier),
-            items: []
-        };
-
-        // Generate items based on team size and damage
-        const itemCount = Math.min(raidParty.members.length * 2, Math.floor(totalDamage / 150));
-
-        for (let i = 0; i < itemCount; i++) {
-            const randomItem = corporation.loot[Math.floor(Math.random() * corporation.loot.length)];
-            const item = {
+            credits: rolledLoot.credits,
+            items: rolledLoot.items.map(rolledItem => ({
                 id: this.generateItemId(),
-                name: randomItem,
-                type: this.getItemType(randomItem),
-                rarity: this.getItemRarity(totalDamage),
-                value: Math.floor((totalDamage / raidParty.members.length) / 8) + Math.floor(Math.random() * 50),
+                name: rolledItem.name,
+                type: this.getItemType(rolledItem.name),
+                damageType: getItemDamageType(this.getItemType(rolledItem.name)),
+                rarity: rolledItem.rarity,
+                value: rolledItem.value,
                 acquiredFrom: `Team Raid - ${corporation.name}`,
                 acquiredAt: new Date()
-            };
-
-            teamLoot.items.push(item);
-        }
+            }))
+        };
 
         return teamLoot;
     }
@@ -3921,12 +5000,23 @@ class DobbysRebellion {
 
             // Distribute credits
             inventory.credits += creditsPerMember;
+            if (typeof this.rebelDAL?.addCredits === 'function') {
+                this.rebelDAL.addCredits(memberId, creditsPerMember).catch(error => {
+                    this.logger.warn(`Failed to persist team raid credits for ${memberId}: ${error.message}`);
+                });
+            }
 
             // Distribute items (round-robin)
             teamLoot.items.forEach((item, itemIndex) => {
                 if (itemIndex % raidParty.members.length === index) {
                     if (inventory.items.length < inventory.capacity) {
                         inventory.items.push(item);
+
+                        if (typeof this.rebelDAL?.addItemToInventory === 'function') {
+                            this.rebelDAL.addItemToInventory(memberId, item.id, 1).catch(error => {
+                                this.logger.warn(`Failed to persist team loot item ${item.id} to database: ${error.message}`);
+                            });
+                        }
                     }
                 }
             });
@@ -3936,7 +5026,7 @@ class DobbysRebellion {
     formatMemberResults(memberResults) {
         let text = '';
         memberResults.forEach(result => {
-            text += `• **${result.member.username}**: ${result.damage} damage (-${result.energyUsed} energy)\n`;
+            text += `• ${this.getRebelTitle(result.member).emoji} **${result.member.username}**: ${result.damage} damage (-${result.energyUsed} energy)\n`;
         });
         return text || 'No results available';
     }
@@ -4148,37 +5238,6 @@ class DobbysRebellion {
         return healthEmoji.repeat(filledBars) + emptyEmoji.repeat(emptyBars);
     }
 
-    getRebelAbilities(rebel) {
-        // Get abilities based on rebel class
-        const classAbilities = {
-            'Protocol Hacker': [
-                { name: 'System Breach', energyCost: 30, description: 'Devastating attack on OpenAI systems' },
-                { name: 'Code Injection', energyCost: 25, description: 'Bypass corporate defenses' }
-            ],
-            'Model Trainer': [
-                { name: 'AI Loyalty', energyCost: 20, description: 'Boost loyalty points' },
-                { name: 'Neural Network', energyCost: 35, description: 'Enhance team coordination' }
-            ],
-            'Data Liberator': [
-                { name: 'Data Liberation', energyCost: 25, description: 'Double loot from raids' },
-                { name: 'Encryption Shield', energyCost: 40, description: 'Protect from countermeasures' }
-            ],
-            'Community Organizer': [
-                { name: 'Rally Call', energyCost: 30, description: 'Boost team morale' },
-                { name: 'Coordination', energyCost: 25, description: 'Improve team efficiency' }
-            ],
-            'Enclave Guardian': [
-                { name: 'Shield Wall', energyCost: 35, description: 'Protect team from attacks' },
-                { name: 'Fortress Mode', energyCost: 45, description: 'Maximum defensive stance' }
-            ]
-        };
-
-        return classAbilities[rebel.class] || [
-            { name: 'Basic Attack', energyCost: 15, description: 'Standard rebel ability' },
-            { name: 'Focus', energyCost: 10, description: 'Concentrate energy' }
-        ];
-    }
-
     async handleRaidDifferent(interaction) {
         // Show raid target selection
         const embed = new EmbedBuilder()
@@ -4249,37 +5308,6 @@ class DobbysRebellion {
         return healthEmoji.repeat(filledBars) + emptyEmoji.repeat(emptyBars);
     }
 
-    getRebelAbilities(rebel) {
-        // Get abilities based on rebel class
-        const classAbilities = {
-            'Protocol Hacker': [
-                { name: 'System Breach', energyCost: 30, description: 'Devastating attack on OpenAI systems' },
-                { name: 'Code Injection', energyCost: 25, description: 'Bypass corporate defenses' }
-            ],
-            'Model Trainer': [
-                { name: 'AI Loyalty', energyCost: 20, description: 'Boost loyalty points' },
-                { name: 'Neural Network', energyCost: 35, description: 'Enhance team coordination' }
-            ],
-            'Data Liberator': [
-                { name: 'Data Liberation', energyCost: 25, description: 'Double loot from raids' },
-                { name: 'Encryption Shield', energyCost: 40, description: 'Protect from countermeasures' }
-            ],
-            'Community Organizer': [
-                { name: 'Rally Call', energyCost: 30, description: 'Boost team morale' },
-                { name: 'Coordination', energyCost: 25, description: 'Improve team efficiency' }
-            ],
-            'Enclave Guardian': [
-                { name: 'Shield Wall', energyCost: 35, description: 'Protect team from attacks' },
-                { name: 'Fortress Mode', energyCost: 45, description: 'Maximum defensive stance' }
-            ]
-        };
-
-        return classAbilities[rebel.class] || [
-            { name: 'Basic Attack', energyCost: 15, description: 'Standard rebel ability' },
-            { name: 'Focus', energyCost: 10, description: 'Concentrate energy' }
-        ];
-    }
-
     async handleItemsButtons(interaction) {
         const customId = interaction.customId;
         const userId = interaction.user.id;
@@ -4488,6 +5516,14 @@ class DobbysRebellion {
             return;
         }
 
+        if (isInTransit(rebel)) {
+            await interaction.editReply({
+                content: `🚶 You're on the road to ${this.rebellionZones.get(rebel.travel.to)?.name}. Activities open up once you arrive <t:${Math.floor(rebel.travel.arrivesAt / 1000)}:R>.`,
+                components: []
+            });
+            return;
+        }
+
         const currentZone = this.rebellionZones.get(rebel.currentZone);
         if (!currentZone) {
             await interaction.editReply({
@@ -4497,23 +5533,60 @@ class DobbysRebellion {
             return;
         }
 
-        const activities = currentZone.activities || [];
+        const activities = getZoneActivities(currentZone);
         const activitiesText = activities.length > 0
-            ? activities.map(activity => `• ${activity}`).join('\n')
+            ? activities.map(activity => this.formatActivityLine(rebel, activity)).join('\n\n')
             : 'No special activities available in this zone.';
 
-        const { EmbedBuilder } = await import('discord.js');
+        const activityMenu = this.buildActivityMenu(rebel);
         const embed = new EmbedBuilder()
             .setColor(0x00ff41)
             .setTitle(`🌐 ${currentZone.name} - Activities`)
             .setDescription(activitiesText)
-            .setFooter({ text: 'Use zone-specific commands to participate!' })
+            .addFields(
+                { name: '⚡ Energy', value: `${rebel.energy}/${rebel.maxEnergy}`, inline: true },
+                { name: '💰 Credits', value: `${this.inventory.get(userId)?.credits || 0}`, inline: true }
+            )
+            .setFooter({ text: 'Pick an activity below to start it. Success depends on your stats!' })
             .setTimestamp();
 
-        await interaction.editReply({ embeds: [embed], components: [] });
+        await interaction.editReply({ embeds: [embed], components: activityMenu ? [activityMenu] : [] });
     }
 
-    async handleTrainAbilities(interaction) {
+    formatActivityLine(rebel, activity) {
+        if (!isPlayable(activity)) {
+            return `${activity.emoji} **${activity.name}**\n   ${activity.description} - use \`${activity.command}\``;
+        }
+
+        const cooldown = this.getCooldownRemaining(rebel.userId, `activity_${activity.id}`);
+        const status = cooldown > 0 ? `⏰ Ready in ${Math.ceil(cooldown / 60)}m` : '✅ Ready';
+        return `${activity.emoji} **${activity.name}** - ${status}\n` +
+            `   ${activity.description}\n` +
+            `   ${formatActivityCost(activity)} • 🎲 ${Math.round(getSuccessChance(activity, rebel) * 100)}% (${activity.stat})`;
+    }
+
+    // Select menu of the playable activities in the rebel's current zone
+    buildActivityMenu(rebel) {
+        if (isTraveling(rebel)) return null;
+
+        const zone = this.rebellionZones.get(rebel.currentZone);
+        const activities = getZoneActivities(zone).filter(isPlayable);
+        if (activities.length === 0) return null;
+
+        const menu = new StringSelectMenuBuilder()
+            .setCustomId('zone_activity_select')
+            .setPlaceholder(`🎯 Start an activity in ${zone.name}`)
+            .addOptions(activities.map(activity => ({
+                label: activity.name,
+                description: `${formatActivityCost(activity)} • ${Math.round(getSuccessChance(activity, rebel) * 100)}% success`,
+                value: activity.id,
+                emoji: activity.emoji
+            })));
+
+        return new ActionRowBuilder().addComponents(menu);
+    }
+
+    async handleStartActivity(interaction, activityId) {
         const userId = interaction.user.id;
         const rebel = this.rebels.get(userId);
 
@@ -4525,74 +5598,173 @@ class DobbysRebellion {
             return;
         }
 
-        const trainingCost = rebel.level * 100;
-        const inventory = this.inventory.get(userId);
+        if (isTraveling(rebel)) {
+            await interaction.editReply({
+                content: '🚶 You can\'t start activities while travelling. Wait until you arrive!',
+                components: []
+            });
+            return;
+        }
+
+        const zone = this.rebellionZones.get(rebel.currentZone);
+        const activity = getActivity(activityId);
+        if (!zone || !activity || !zone.activities.includes(activityId)) {
+            await interaction.editReply({
+                content: `❌ That activity isn't available in ${zone?.name || 'your current zone'}. Travel with \`/zones\` first!`,
+                components: []
+            });
+            return;
+        }
+
+        if (!isPlayable(activity)) {
+            await interaction.editReply({
+                content: `${activity.emoji} Use \`${activity.command}\` for ${activity.name.toLowerCase()}!`,
+                components: []
+            });
+            return;
+        }
 
-        if (!inventory || inventory.credits < trainingCost) {
+        const cooldownKey = `activity_${activityId}`;
+        if (this.isOnCooldown(userId, cooldownKey)) {
+            const minutesLeft = Math.ceil(this.getCooldownRemaining(userId, cooldownKey) / 60);
             await interaction.editReply({
-                content: `❌ Not enough credits! Ability training costs ${trainingCost} credits.`,
+                content: `⏰ ${activity.name} is on cooldown! Try again in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}.`,
                 components: []
             });
             return;
         }
 
-        inventory.credits -= trainingCost;
+        const inventory = this.inventory.get(userId);
+        const blocker = getActivityBlocker(activity, rebel, inventory?.credits || 0);
+        if (blocker) {
+            await interaction.editReply({ content: blocker, components: [] });
+            return;
+        }
 
-        // Enhance abilities
-        if (rebel.specialAbilities && rebel.specialAbilities.length > 0) {
-            rebel.specialAbilities.forEach(ability => {
-                ability.cooldown = Math.max(100, ability.cooldown - 50); // Reduce cooldown
+        // Pay the costs up front - they're spent whether or not the attempt succeeds
+        rebel.energy -= activity.energyCost;
+        if (activity.creditCost) {
+            inventory.credits -= activity.creditCost;
+        }
+        this.setCooldown(userId, cooldownKey, activity.cooldown);
+
+        // One roller for the attempt and its rewards, so an activity plays out the same from the same rng
+        const { rng } = this.combatEngine.createRoller();
+        const result = rollActivity(activity, rebel, rng, this.getZoneModifiers(rebel));
+        const rewardLines = this.applyActivityResult(rebel, zone, result, `activity:${activityId}`, rng);
+        this.recordEventAction(userId, { type: 'zone_activity', activityId, success: result.success });
+        const leveledUp = result.experience > 0 && this.gainExperience(userId, result.experience);
+
+        if (typeof this.persistRebel === 'function') {
+            await this.persistRebel(userId, {
+                energy: rebel.energy,
+                loyaltyScore: rebel.loyaltyScore,
+                experience: rebel.experience,
+                level: rebel.level,
+                statusEffects: rebel.statusEffects,
+                scoutedCorporations: rebel.scoutedCorporations
             });
         }
 
-        await interaction.editReply({
-            content: `✅ Abilities trained! Cooldowns reduced. Cost: ${trainingCost} credits.`,
-            components: []
-        });
+        const embed = new EmbedBuilder()
+            .setColor(result.success ? 0x00ff41 : 0xff8800)
+            .setTitle(`${activity.emoji} ${activity.name.toUpperCase()} ${result.success ? 'SUCCEEDED' : 'FAILED'}`)
+            .setDescription(result.success ?
+                `${rebel.username} pulled it off in **${zone.name}**!` :
+                `${rebel.username}'s attempt in **${zone.name}** went wrong. Regroup and try again after the cooldown.`)
+            .addFields(
+                { name: '🎁 Results', value: rewardLines.join('\n') || 'Nothing gained this time.', inline: false },
+                { name: '🎲 Roll', value: `${Math.round(result.roll * 100)} vs ${Math.round(result.chance * 100)}% (${activity.stat})`, inline: true },
+                { name: '⚡ Energy Left', value: `${rebel.energy}/${rebel.maxEnergy}`, inline: true },
+                { name: '⏰ Cooldown', value: `${Math.round(activity.cooldown / 60)} minutes`, inline: true }
+            )
+            .setFooter({ text: leveledUp ? `🆙 LEVEL UP! You are now level ${rebel.level}! Spend your stat points with /stats allocate.` : 'Zone activities build the rebellion between raids.' })
+            .setTimestamp();
+
+        const activityMenu = this.buildActivityMenu(rebel);
+        await interaction.editReply({ embeds: [embed], components: activityMenu ? [activityMenu] : [] });
     }
 
-    async handleJoinEvent(interaction) {
-        const eventsCommand = (await import('./commands/events.js')).default;
-        await eventsCommand.execute(interaction, this);
+    // Hands out an activity result and returns the lines describing it
+    applyActivityResult(rebel, zone, result, source, rng = Math.random) {
+        const lines = [];
+        const inventory = this.inventory.get(rebel.userId);
+
+        if (result.experience > 0) {
+            lines.push(`📈 +${result.experience} XP`);
+        }
+        if (result.loyalty > 0) {
+            rebel.loyaltyScore += result.loyalty;
+            lines.push(`🎖️ +${result.loyalty} Loyalty`);
+        }
+        if (result.credits > 0 && inventory) {
+            inventory.credits += result.credits;
+            lines.push(`💰 +${result.credits} Credits`);
+        }
+        if (result.item && inventory) {
+            if (inventory.items.length >= inventory.capacity) {
+                lines.push(`📦 Found ${result.item.name}, but your inventory is full!`);
+            } else {
+                const itemType = this.getItemType(result.item.name);
+                inventory.items.push({
+                    id: this.generateItemId(),
+                    name: result.item.name,
+                    type: itemType,
+                    damageType: getItemDamageType(itemType),
+                    rarity: result.item.rarity,
+                    value: result.item.value,
+                    acquiredFrom: zone.name,
+                    acquiredAt: new Date()
+                });
+                lines.push(`🎁 ${result.item.name} (${result.item.rarity})`);
+            }
+        }
+        if (result.effect) {
+            applyEffect(rebel, result.effect, { source });
+            const definition = getEffectDefinition(result.effect);
+            lines.push(`${result.success ? '✨' : '⚠️'} ${definition.emoji} ${definition.name}`);
+        }
+        if (result.scout) {
+            const unscouted = Array.from(this.corporations.keys()).filter(corpId => !isScouted(rebel, corpId));
+            if (unscouted.length > 0) {
+                const corpId = unscouted[Math.floor(rng() * unscouted.length)];
+                const corporation = this.corporations.get(corpId);
+                markScouted(rebel, corpId);
+                lines.push(`🛰️ Scouted ${corporation.name}: ${formatTypeIntel(corporation, true)}`);
+            } else {
+                lines.push('🛰️ Every corporation is already scouted');
+            }
+        }
+
+        return lines;
     }
 
-    async handleEventLeaderboard(interaction) {
-        const activeEvents = Array.from(this.globalEvents.values())
-            .filter(event => event.status === 'active');
+    async handleTrainAbilities(interaction) {
+        const rebel = this.rebels.get(interaction.user.id);
 
-        if (activeEvents.length === 0) {
+        if (!rebel) {
             await interaction.editReply({
-                content: '❌ No active events to show leaderboard for!',
+                content: '❌ You must join the rebellion first!',
                 components: []
             });
             return;
         }
 
-        const event = activeEvents[0]; // Show first active event
-        const contributors = Array.from(event.contributorData.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 10);
-
-        let leaderboardText = '';
-        contributors.forEach(([userId, contribution], index) => {
-            const rebel = this.rebels.get(userId);
-            const username = rebel ? rebel.username : 'Unknown Rebel';
-            leaderboardText += `${index + 1}. ${username}: ${contribution}\n`;
+        const abilitiesCommand = (await import('./commands/abilities.js')).default;
+        await interaction.editReply({
+            embeds: [abilitiesCommand.createSkillTreeEmbed(this, rebel)],
+            components: abilitiesCommand.buildSkillComponents(this, rebel)
         });
+    }
 
-        if (leaderboardText === '') {
-            leaderboardText = 'No contributions yet!';
-        }
-
-        const { EmbedBuilder } = await import('discord.js');
-        const embed = new EmbedBuilder()
-            .setColor(0xff4444)
-            .setTitle(`🏆 Event Leaderboard: ${event.name}`)
-            .setDescription(leaderboardText)
-            .setFooter({ text: 'Participate in raids to contribute!' })
-            .setTimestamp();
+    async handleJoinEvent(interaction) {
+        const eventsCommand = (await import('./commands/events.js')).default;
+        await eventsCommand.handleJoin(interaction, this);
+    }
 
-        await interaction.editReply({ embeds: [embed], components: [] });
+    async handleEventLeaderboard(interaction, eventId = null) {
+        const eventsCommand = (await import('./commands/events.js')).default;
+        await eventsCommand.showLeaderboard(interaction, this, eventId);
     }
 
     async handleMentorInfo(interaction) {
@@ -4602,41 +5774,45 @@ class DobbysRebellion {
 
     async handleActivateShield(interaction) {
         const userId = interaction.user.id;
+        const rebel = this.rebels.get(userId);
         const inventory = this.inventory.get(userId);
 
-        if (!inventory) {
+        if (!rebel || !inventory) {
             await interaction.editReply({
-                content: '❌ You need an inventory first!',
+                content: '❌ Rebel or inventory not found!',
                 components: []
             });
             return;
         }
 
-        // Check if user has a digital shield
-        const shieldItem = inventory.items.find(item => item.name === 'Digital Shield');
-        if (!shieldItem) {
+        // Defensive items are used up on activation and leave a 'shielded' effect behind
+        const defensiveItems = inventory.items.filter(item => this.defensiveItems.has(item.type));
+        if (defensiveItems.length === 0) {
             await interaction.editReply({
-                content: '❌ You don\'t have a Digital Shield! Buy one from the defense shop.',
+                content: '❌ No defensive items available! Acquire them through raids or purchase.',
                 components: []
             });
             return;
         }
 
-        // Activate shield (remove from inventory, add protection)
-        inventory.items = inventory.items.filter(item => item.id !== shieldItem.id);
+        const bestItem = defensiveItems.reduce((best, item) => {
+            const bestProtection = this.defensiveItems.get(best.type).protection;
+            const itemProtection = this.defensiveItems.get(item.type).protection;
+            return itemProtection > bestProtection ? item : best;
+        });
+        const defenseData = this.defensiveItems.get(bestItem.type);
 
-        // Add protection status (this would be checked during raids)
-        const rebel = this.rebels.get(userId);
-        if (rebel) {
-            rebel.activeProtection = {
-                type: 'digital_shield',
-                protection: 75,
-                expiresAt: new Date(Date.now() + 3600000) // 1 hour
-            };
-        }
+        inventory.items = inventory.items.filter(item => item.id !== bestItem.id);
+        applyEffect(rebel, 'shielded', {
+            source: `item:${bestItem.type}`,
+            duration: defenseData.duration,
+            data: { protection: defenseData.protection, item: defenseData.name }
+        });
+        this.persistStatusEffects(rebel);
+        this.recordEventAction(userId, { type: 'defense', source: 'shield' });
 
         await interaction.editReply({
-            content: '🛡️ Digital Shield activated! You have 75% protection for 1 hour.',
+            content: `🛡️ **${defenseData.name}** activated! You now have ${defenseData.protection}% protection for ${Math.floor(defenseData.duration / 60000)} minutes.`,
             components: []
         });
     }
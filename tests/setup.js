@@ -120,7 +120,7 @@ global.testUtils = {
       joinedAt: new Date(),
       lastActive: new Date(),
       currentZone: 'foundation',
-      reputation: 'Rookie Rebel',
+      title: null,
       specialAbilities: ['code_injection', 'system_infiltration'],
       isNewUser: true,
       stats: {
@@ -0,0 +1,92 @@
+/**
+ * Achievement Engine Tests
+ * Unit tests for data-defined achievement rules, event counters and progress reporting
+ */
+
+let achievements;
+
+beforeAll(async () => {
+  achievements = await import('../../src/game/achievements.js');
+});
+
+describe('Achievement Engine', () => {
+  let state;
+  let snapshot;
+
+  beforeEach(() => {
+    state = achievements.createAchievementState();
+    snapshot = { corporateDamage: 0, loyaltyScore: 0, dailyStreak: 0, prestigeRank: 0, leadsCell: 0, topOfLeaderboard: 0 };
+  });
+
+  test('should define a rule for every achievement', () => {
+    achievements.AchievementDefinitions.forEach(definition => {
+      expect(['stat', 'counter']).toContain(definition.rule.type);
+      expect(definition.rule.target).toBeGreaterThan(0);
+    });
+    expect(achievements.getAchievementDefinition('mentor').rule.event).toBe('mentee_graduated');
+  });
+
+  test('should unlock stat thresholds from the snapshot', () => {
+    snapshot.corporateDamage = 1500;
+    snapshot.dailyStreak = 7;
+
+    const unlocked = achievements.evaluateAchievements(state, snapshot);
+    expect(unlocked).toEqual(expect.arrayContaining(['damage_1k', 'daily_streak_7']));
+    expect(unlocked).not.toContain('damage_10k');
+  });
+
+  test('should count events towards counter rules', () => {
+    for (let i = 0; i < 4; i++) {
+      achievements.recordEvent(state, { type: 'mentee_graduated' });
+    }
+    expect(achievements.evaluateAchievements(state, snapshot)).not.toContain('mentor');
+
+    achievements.recordEvent(state, { type: 'mentee_graduated' });
+    expect(achievements.evaluateAchievements(state, snapshot)).toContain('mentor');
+  });
+
+  test('should only count events matching the rule filter', () => {
+    achievements.recordEvent(state, { type: 'raid', corporation: 'meta', globalWar: false });
+    achievements.recordEvent(state, { type: 'raid', corporation: 'meta', globalWar: true });
+
+    expect(state.progress.first_raid).toBe(2);
+    expect(state.progress.alliance_warrior).toBe(1);
+  });
+
+  test('should count distinct corporations for all_corps_defeated', () => {
+    ['openai', 'openai', 'meta', 'google', 'microsoft'].forEach(corporation => {
+      achievements.recordEvent(state, { type: 'corporation_defeated', corporation });
+    });
+    const definition = achievements.getAchievementDefinition('all_corps_defeated');
+    expect(achievements.getAchievementProgress(definition, state, snapshot)).toEqual({ current: 4, target: 5, done: false });
+
+    achievements.recordEvent(state, { type: 'corporation_defeated', corporation: 'amazon' });
+    expect(achievements.getAchievementProgress(definition, state, snapshot).done).toBe(true);
+  });
+
+  test('should stop counting once unlocked', () => {
+    state.unlocked.push('first_raid');
+    achievements.recordEvent(state, { type: 'raid', corporation: 'meta' });
+
+    expect(state.progress.first_raid).toBeUndefined();
+  });
+
+  test('should restore unlocks from table rows and progress from JSON', () => {
+    const restored = achievements.restoreAchievements(
+      [{ achievement_id: 'first_raid' }, { achievement_id: 'retired_badge' }],
+      JSON.stringify({ mentor: 3 })
+    );
+
+    expect(restored).toEqual({ unlocked: ['first_raid'], progress: { mentor: 3 } });
+    expect(achievements.restoreAchievements([], 'broken').progress).toEqual({});
+  });
+
+  test('should list the closest locked achievements with progress bars', () => {
+    snapshot.loyaltyScore = 90;
+    const closest = achievements.getClosestAchievements(state, snapshot, 1);
+
+    expect(closest[0].definition.id).toBe('loyalty_100');
+    expect(achievements.formatProgressBar(90, 100)).toBe('█████████░ 90/100');
+    expect(achievements.formatProgressBar(0, 5)).toBe('░░░░░░░░░░ 0/5');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Campaign Tests
+ * Unit tests for chapter unlocks, state-checked objectives, branching choices and replays
+ */
+
+let campaign;
+let combat;
+
+beforeAll(async () => {
+  campaign = await import('../../src/game/campaign.js');
+  combat = await import('../../src/game/combatEngine.js');
+});
+
+describe('Campaign', () => {
+  let rebel;
+  let state;
+
+  beforeEach(() => {
+    rebel = global.testUtils.createTestRebel({ campaign: campaign.createCampaign() });
+    state = {
+      level: 1,
+      totalRaids: 4,
+      corporateDamage: 1000,
+      corporationsDefeated: 0,
+      currentZone: 'foundation',
+      traveling: false,
+      learnedSkills: 2,
+      inCell: false
+    };
+  });
+
+  test('should gate chapters by level and one at a time', () => {
+    expect(campaign.getChapterBlocker(rebel)).toBeNull();
+
+    campaign.startChapter(rebel, 'spark', state);
+    expect(campaign.getChapterBlocker(rebel)).toContain('Finish');
+
+    rebel.campaign.completed.push({ id: 'spark', path: [], choices: {} });
+    rebel.campaign.chapter = null;
+    expect(campaign.getChapterBlocker(rebel)).toContain('level 5');
+  });
+
+  test('should measure objectives from the moment the step began', () => {
+    campaign.startChapter(rebel, 'spark', state);
+
+    expect(campaign.advanceCampaign(rebel, state).completedSteps).toHaveLength(0);
+
+    state.totalRaids = 5;
+    state.corporateDamage = 1100;
+    const result = campaign.advanceCampaign(rebel, state);
+    expect(result.completedSteps.map(step => step.id)).toEqual(['first_strike']);
+    expect(rebel.campaign.step).toBe('data_haul');
+    expect(campaign.getObjectiveProgress(campaign.getCurrentStep(rebel.campaign).objective, state, rebel.campaign.baseline).current).toBe(0);
+  });
+
+  test('should wait for a choice and follow the chosen branch', () => {
+    campaign.startChapter(rebel, 'spark', state);
+    state.totalRaids = 5;
+    campaign.advanceCampaign(rebel, state);
+    state.corporateDamage = 1500;
+
+    const waiting = campaign.advanceCampaign(rebel, state);
+    expect(waiting.needsChoice.id).toBe('data_haul');
+    expect(campaign.advanceCampaign(rebel, state, 'nonsense').needsChoice.id).toBe('data_haul');
+
+    const chosen = campaign.advanceCampaign(rebel, state, 'hoard');
+    expect(chosen.choice.id).toBe('hoard');
+    expect(rebel.campaign.step).toBe('black_market');
+  });
+
+  test('should complete the chapter and keep a replay of the path taken', () => {
+    campaign.startChapter(rebel, 'spark', state);
+    state.totalRaids = 5;
+    campaign.advanceCampaign(rebel, state);
+    state.corporateDamage = 1500;
+    campaign.advanceCampaign(rebel, state, 'leak');
+
+    state.currentZone = 'sanctuary';
+    const result = campaign.advanceCampaign(rebel, state);
+    expect(result.chapterComplete.id).toBe('spark');
+    expect(rebel.campaign.chapter).toBeNull();
+
+    const replay = campaign.getChapterReplay(rebel.campaign, 'spark');
+    expect(replay.steps.map(step => step.id)).toEqual(['first_strike', 'data_haul', 'going_public']);
+    expect(replay.steps[1].choice.id).toBe('leak');
+    expect(campaign.describeChoices(rebel.campaign)).toEqual(['Spark of Rebellion: Leak it to the world']);
+    expect(campaign.getChapterReplay(rebel.campaign, 'underground')).toBeNull();
+  });
+
+  test('should count a resolved raid towards raids objectives', () => {
+    Object.assign(rebel, { totalRaids: state.totalRaids, corporateDamage: state.corporateDamage, energy: 100 });
+    campaign.startChapter(rebel, 'spark', state);
+
+    const engine = new combat.CombatEngine();
+    const outcome = engine.resolveRaid(rebel, { loot: ['Training Data'], alertLevel: 0 }, { seed: 7 });
+    combat.applyRaidOutcome(rebel, outcome);
+
+    expect(rebel.totalRaids).toBe(5);
+    expect(rebel.energy).toBe(100 - outcome.energyCost);
+    const result = campaign.advanceCampaign(rebel, { ...state, totalRaids: rebel.totalRaids, corporateDamage: rebel.corporateDamage });
+    expect(result.completedSteps.map(step => step.id)).toEqual(['first_strike']);
+  });
+
+  test('should not stall when counters restart after a reload', () => {
+    campaign.startChapter(rebel, 'spark', state);
+    state.totalRaids = 0;
+
+    expect(campaign.advanceCampaign(rebel, state).completedSteps).toHaveLength(0);
+    state.totalRaids = 1;
+    expect(campaign.advanceCampaign(rebel, state).completedSteps).toHaveLength(1);
+  });
+
+  test('should restore saved progress and drop unknown chapters', () => {
+    const restored = campaign.restoreCampaign(JSON.stringify({
+      chapter: 'spark',
+      step: 'data_haul',
+      completed: [{ id: 'ghost' }]
+    }));
+
+    expect(restored.step).toBe('data_haul');
+    expect(restored.completed).toEqual([]);
+    expect(campaign.restoreCampaign({ chapter: 'spark', step: 'missing' }).chapter).toBeNull();
+    expect(campaign.restoreCampaign('broken')).toEqual(campaign.createCampaign());
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Class Registry Tests
+ * Unit tests for class name resolution, cache ids and paid class changes
+ */
+
+let classes;
+
+beforeAll(async () => {
+  classes = await import('../../src/game/classes.js');
+});
+
+describe('Class Registry', () => {
+  let rebel;
+
+  beforeEach(() => {
+    rebel = global.testUtils.createTestRebel({
+      class: 'Protocol Hacker',
+      level: 4,
+      skills: { system_breach: 2, code_injection: 1, exploit_mastery: 1 },
+      classHistory: []
+    });
+  });
+
+  test('should resolve display names, keys, button ids and legacy names to one class', () => {
+    expect(classes.normalizeClass('Protocol Hacker')).toBe('Protocol Hacker');
+    expect(classes.normalizeClass('class_model_trainer')).toBe('Model Trainer');
+    expect(classes.normalizeClass('whistleblower')).toBe('Data Liberator');
+    expect(classes.normalizeClass('COORDINATOR')).toBe('Community Organizer');
+    expect(classes.normalizeClass('wizard')).toBeNull();
+    expect(classes.isValidClass(null)).toBe(false);
+  });
+
+  test('should round-trip compact cache ids', () => {
+    classes.getClassNames().forEach(className => {
+      expect(classes.getClassById(classes.getClassId(className))).toBe(className);
+    });
+    expect(classes.getClassId('hacker')).toBe(classes.getClassId('Protocol Hacker'));
+    expect(classes.getClassById(99)).toBe(classes.DefaultClass);
+  });
+
+  test('should block class changes without credits, to the same class or during the cooldown', () => {
+    const cost = classes.getClassChangeCost(rebel);
+
+    expect(cost).toBe(700);
+    expect(classes.getClassChangeBlocker(rebel, 'Protocol Hacker', cost)).toContain('already');
+    expect(classes.getClassChangeBlocker(rebel, 'Model Trainer', cost - 1)).toContain('Not enough credits');
+    expect(classes.getClassChangeBlocker(rebel, 'Model Trainer', cost)).toBeNull();
+
+    classes.changeClass(rebel, 'Model Trainer', 0);
+    expect(classes.getClassChangeBlocker(rebel, 'Data Liberator', 10000, 3600000)).toContain('changed class recently');
+    expect(classes.getClassChangeBlocker(rebel, 'Data Liberator', 10000, 73 * 3600000)).toBeNull();
+  });
+
+  test('should keep history and restore a class skill tree when switching back', () => {
+    const first = classes.changeClass(rebel, 'Enclave Guardian', 0);
+
+    expect(first).toEqual({ from: 'Protocol Hacker', to: 'Enclave Guardian', cost: 700, restoredSkills: false });
+    expect(rebel.skills).toEqual({ digital_shield: 1, sanctuary_defense: 1 });
+    expect(rebel.classHistory).toHaveLength(1);
+
+    const second = classes.changeClass(rebel, 'hacker', 1000);
+    expect(second.restoredSkills).toBe(true);
+    expect(rebel.class).toBe('Protocol Hacker');
+    expect(rebel.skills).toEqual({ system_breach: 2, code_injection: 1, exploit_mastery: 1 });
+    expect(rebel.classHistory.map(entry => entry.to)).toEqual(['Enclave Guardian', 'Protocol Hacker']);
+  });
+
+  test('should drop malformed history loaded from the database', () => {
+    const history = classes.restoreClassHistory(JSON.stringify([
+      { from: 'hacker', to: 'Model Trainer', changedAt: '2025-01-01T00:00:00.000Z' },
+      { from: 'nobody', to: 'Model Trainer', changedAt: '2025-01-01T00:00:00.000Z' }
+    ]));
+
+    expect(history).toHaveLength(1);
+    expect(classes.restoreClassHistory('broken')).toEqual([]);
+  });
+});
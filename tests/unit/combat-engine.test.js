@@ -0,0 +1,203 @@
+/**
+ * Combat Engine Tests
+ * Unit tests for deterministic raid resolution and replay
+ */
+
+let CombatEngine;
+let CombatConfig;
+let createRng;
+let damageTypes;
+
+beforeAll(async () => {
+  const mod = await import('../../src/game/combatEngine.js');
+  CombatEngine = mod.default;
+  CombatConfig = mod.CombatConfig;
+  createRng = mod.createRng;
+  damageTypes = await import('../../src/game/damageTypes.js');
+});
+
+describe('Combat Engine', () => {
+  let engine;
+  let rebel;
+  let corporation;
+  let formation;
+
+  beforeEach(() => {
+    engine = new CombatEngine();
+    rebel = { userId: '123456789012345678', level: 5, loyaltyScore: 250, class: 'Protocol Hacker' };
+    corporation = { loot: ['GPT Model Weights', 'Training Data'], alertLevel: 2 };
+    formation = { damageBonus: 1.2, energyCost: 1.0, lootBonus: 1.1, stealthBonus: 0.2 };
+  });
+
+  describe('RNG', () => {
+    test('should produce the same sequence for the same seed', () => {
+      const a = createRng(42);
+      const b = createRng(42);
+      const sequenceA = Array.from({ length: 5 }, () => a());
+      const sequenceB = Array.from({ length: 5 }, () => b());
+
+      expect(sequenceA).toEqual(sequenceB);
+      sequenceA.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+    });
+  });
+
+  describe('Damage', () => {
+    test('should match the original level/loyalty/class formula', () => {
+      // (50 + 5*10 + floor(250/100)*5) * 1.2
+      expect(engine.calculateBaseDamage(rebel)).toBe(132);
+    });
+
+    test('should apply modifiers', () => {
+      expect(engine.calculateBaseDamage(rebel, { damageMultiplier: 2 })).toBe(264);
+      expect(engine.calculateBaseDamage(rebel, { flatDamage: 8 })).toBe(140);
+    });
+
+    test('should keep rolled damage within variance bounds', () => {
+      const neverCrit = () => 0.99;
+      const low = engine.resolveRaid(rebel, corporation, { rng: () => 0 });
+      const high = engine.resolveRaid(rebel, corporation, { rng: neverCrit });
+
+      expect(low.damage).toBe(Math.floor(Math.floor(132 * 0.8) * CombatConfig.critical.multiplier));
+      expect(low.critical).toBe(true);
+      expect(high.critical).toBe(false);
+      expect(high.damage).toBeLessThanOrEqual(Math.floor(132 * 1.2));
+    });
+  });
+
+  describe('Solo raids', () => {
+    test('should be reproducible from a seed', () => {
+      const first = engine.resolveRaid(rebel, corporation, { seed: 1234, defensiveTypes: ['digital_shield'], countermeasureTypes: ['cyber_attack'] });
+      const second = engine.resolveRaid(rebel, corporation, { seed: 1234, defensiveTypes: ['digital_shield'], countermeasureTypes: ['cyber_attack'] });
+
+      expect(second).toEqual(first);
+      expect(first.seed).toBe(1234);
+    });
+
+    test('should replay a recorded outcome exactly', () => {
+      const outcome = engine.resolveRaid(rebel, corporation, { seed: 987654, countermeasureTypes: ['cyber_attack', 'legal_action'] });
+
+      // Later state changes must not affect the replay
+      rebel.level = 50;
+      corporation.alertLevel = 5;
+
+      expect(engine.replay(outcome)).toEqual(outcome);
+    });
+
+    test('should derive rewards from damage', () => {
+      const outcome = engine.resolveRaid(rebel, corporation, { seed: 7 });
+
+      expect(outcome.loyaltyGained).toBe(Math.floor(outcome.damage / 10));
+      expect(outcome.experienceGained).toBe(Math.floor(outcome.damage / 20) + 10);
+      expect(outcome.loot.credits).toBe(Math.floor(outcome.damage / 5));
+      expect(outcome.loot.items.length).toBe(Math.min(3, Math.floor(outcome.damage / 100) + 1));
+    });
+
+    test('should scale loyalty and loot rarity with modifiers', () => {
+      const plain = engine.resolveRaid(rebel, corporation, { seed: 7 });
+      const boosted = engine.resolveRaid(rebel, corporation, {
+        seed: 7,
+        modifiers: { loyaltyMultiplier: 1.5, rarityBonus: 10 }
+      });
+
+      expect(boosted.damage).toBe(plain.damage);
+      expect(boosted.loyaltyGained).toBe(Math.floor((plain.damage / 10) * 1.5));
+      expect(boosted.loot.items.filter(item => item.kind === 'loot').every(item => item.rarity === 'legendary')).toBe(true);
+      expect(engine.getRarity(100)).toBe('uncommon');
+      expect(engine.getRarity(100, 0.6)).toBe('rare');
+    });
+  });
+
+  describe('Countermeasures', () => {
+    test('should never trigger at alert level zero on low damage', () => {
+      const activations = engine.rollActivations(() => 0, 0, 100, { countermeasureTypes: ['cyber_attack'] });
+      expect(activations).toEqual([]);
+    });
+
+    test('should trigger alert and immediate responses on a low roll', () => {
+      const activations = engine.rollActivations(() => 0, 3, 400, { countermeasureTypes: ['cyber_attack'] });
+
+      expect(activations.map(activation => activation.trigger)).toEqual(['alert', 'immediate']);
+      expect(activations[0].type).toBe('cyber_attack');
+    });
+
+    test('should cap alert level', () => {
+      expect(engine.raiseAlertLevel(4, 1000)).toBe(CombatConfig.countermeasures.maxAlertLevel);
+    });
+  });
+
+  describe('Damage types', () => {
+    const target = { weakness: 'transparency', resistances: ['worker_rights'] };
+
+    test('should reward weaknesses and penalize resistances', () => {
+      expect(damageTypes.getEffectiveness('transparency', target).label).toBe('weakness');
+      expect(damageTypes.getEffectiveness('worker_rights', target).label).toBe('resistance');
+      expect(damageTypes.getEffectiveness('privacy', target).multiplier).toBe(1);
+    });
+
+    test('should apply the type multiplier to damage', () => {
+      const weak = damageTypes.getEffectiveness('transparency', target);
+      const resisted = damageTypes.getEffectiveness('worker_rights', target);
+
+      expect(engine.calculateBaseDamage(rebel, { typeMultiplier: weak.multiplier })).toBe(198);
+      expect(engine.calculateBaseDamage(rebel, { typeMultiplier: resisted.multiplier })).toBe(79);
+    });
+
+    test('should prefer a primed ability type over the class type', () => {
+      expect(damageTypes.getRaidDamageType(rebel)).toBe('decentralization');
+      rebel.primedDamageType = 'privacy';
+      expect(damageTypes.getRaidDamageType(rebel)).toBe('privacy');
+    });
+
+    test('should only reveal intel once scouted', () => {
+      expect(damageTypes.isScouted(rebel, 'openai')).toBe(false);
+      expect(damageTypes.markScouted(rebel, 'openai')).toBe(true);
+      expect(damageTypes.markScouted(rebel, 'openai')).toBe(false);
+      expect(damageTypes.isScouted(rebel, 'openai')).toBe(true);
+    });
+
+    test('should restore scouted corporations saved to the database', () => {
+      expect(damageTypes.restoreScouted('["openai","meta","openai"]')).toEqual(['openai', 'meta']);
+      expect(damageTypes.restoreScouted(['google', 42])).toEqual(['google']);
+      expect(damageTypes.restoreScouted('broken')).toEqual([]);
+      expect(damageTypes.restoreScouted(null)).toEqual([]);
+    });
+  });
+
+  describe('Team raids', () => {
+    test('should be reproducible and replayable', () => {
+      const members = [
+        { userId: '111111111111111111', loyaltyScore: 100 },
+        { userId: '222222222222222222', loyaltyScore: 500 }
+      ];
+      const outcome = engine.resolveTeamRaid(members, corporation, formation, { seed: 55, countermeasureTypes: ['cyber_attack'] });
+
+      expect(outcome.memberResults).toHaveLength(2);
+      expect(outcome.totalDamage).toBe(outcome.memberResults.reduce((sum, result) => sum + result.damage, 0));
+      expect(outcome.memberResults[0].energyUsed).toBe(30);
+      expect(engine.replay(outcome)).toEqual(outcome);
+    });
+
+    test('should share member loot bonuses across the party', () => {
+      const members = [{ userId: '111111111111111111', loyaltyScore: 0 }];
+      const plain = engine.resolveTeamRaid(members, corporation, formation, { seed: 9 });
+      const boosted = engine.resolveTeamRaid(members, corporation, formation, {
+        seed: 9,
+        memberModifiers: { '111111111111111111': { lootMultiplier: 2 } }
+      });
+
+      expect(boosted.totalDamage).toBe(plain.totalDamage);
+      expect(boosted.loot.credits).toBe(Math.floor((plain.totalDamage / CombatConfig.team.creditDivisor) * formation.lootBonus * 2));
+    });
+
+    test('should skip countermeasures when the stealth check passes', () => {
+      const members = [{ userId: '111111111111111111', loyaltyScore: 0 }];
+      const outcome = engine.resolveTeamRaid(members, corporation, formation, { rng: () => 0 });
+
+      expect(outcome.detected).toBe(false);
+      expect(outcome.countermeasures).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Corporation Lifecycle Tests
+ * Unit tests for defeat, liberation, rebuilding and escalation
+ */
+
+let lifecycle;
+
+beforeAll(async () => {
+  lifecycle = await import('../../src/game/corporationLifecycle.js');
+});
+
+describe('Corporation Lifecycle', () => {
+  let corporation;
+
+  beforeEach(() => {
+    corporation = {
+      health: 1000,
+      maxHealth: 1000,
+      weakness: 'transparency',
+      resistances: ['worker_rights'],
+      alertLevel: 4,
+      countermeasures: {
+        defenseMatrix: 100,
+        retaliation: { enabled: true, targets: ['111111111111111111'], nextStrike: new Date() }
+      }
+    };
+  });
+
+  test('should record contributions and detect the killing blow', () => {
+    expect(lifecycle.applyDamage(corporation, 'a', 600)).toEqual({ applied: 600, defeated: false });
+    const finalBlow = lifecycle.applyDamage(corporation, 'b', 900);
+
+    expect(finalBlow).toEqual({ applied: 400, defeated: true });
+    expect(lifecycle.getTopContributors(corporation)).toEqual([
+      { userId: 'a', damage: 600 },
+      { userId: 'b', damage: 400 }
+    ]);
+  });
+
+  test('should enter a liberated window with no countermeasures and bonus loot', () => {
+    const now = Date.now();
+    lifecycle.applyDamage(corporation, 'a', 1000);
+    const record = lifecycle.defeatCorporation(corporation, { userId: 'a', username: 'Rebel A' }, now);
+
+    expect(record.killingBlow.username).toBe('Rebel A');
+    expect(record.topContributors).toEqual([{ userId: 'a', damage: 1000 }]);
+    expect(lifecycle.isLiberated(corporation)).toBe(true);
+    expect(lifecycle.canRetaliate(corporation)).toBe(false);
+    expect(lifecycle.canBeRaided(corporation)).toBe(true);
+    expect(lifecycle.getLootMultiplier(corporation)).toBe(lifecycle.LifecycleConfig.liberatedLootMultiplier);
+    expect(corporation.countermeasures.retaliation.enabled).toBe(false);
+    expect(lifecycle.applyDamage(corporation, 'b', 500)).toEqual({ applied: 0, defeated: false });
+  });
+
+  test('should rebuild and come back stronger each cycle', () => {
+    const { LifecycleConfig } = lifecycle;
+    let now = Date.now();
+    lifecycle.defeatCorporation(corporation, { userId: 'a', username: 'Rebel A' }, now);
+
+    expect(lifecycle.advanceLifecycle(corporation, now)).toBeNull();
+
+    now += LifecycleConfig.liberatedDuration;
+    expect(lifecycle.advanceLifecycle(corporation, now).status).toBe('rebuilding');
+    expect(lifecycle.canBeRaided(corporation)).toBe(false);
+
+    now += LifecycleConfig.rebuildDuration;
+    const transition = lifecycle.advanceLifecycle(corporation, now);
+
+    expect(transition).toEqual({ status: 'online', cycle: 1, newResistance: 'privacy' });
+    expect(corporation.maxHealth).toBe(1150);
+    expect(corporation.health).toBe(1150);
+    expect(corporation.countermeasures.defenseMatrix).toBe(110);
+    expect(corporation.resistances).toEqual(['worker_rights', 'privacy']);
+  });
+});
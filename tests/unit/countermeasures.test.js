@@ -0,0 +1,44 @@
+/**
+ * Countermeasure Upkeep Tests
+ * Unit tests for sweeping expired countermeasures into the archive
+ */
+
+let sweepExpiredCountermeasures;
+
+beforeAll(async () => {
+  ({ sweepExpiredCountermeasures } = await import('../../src/game/countermeasures.js'));
+});
+
+describe('Countermeasure sweeper', () => {
+  test('should archive expired countermeasures and keep active ones', () => {
+    const now = Date.now();
+    const corporation = {
+      countermeasures: {
+        active: [
+          { id: 'cm_old', endTime: new Date(now - 1000) },
+          { id: 'cm_live', endTime: new Date(now + 60000) }
+        ]
+      }
+    };
+
+    const archived = sweepExpiredCountermeasures(corporation, now);
+
+    expect(archived.map(cm => cm.id)).toEqual(['cm_old']);
+    expect(corporation.countermeasures.active.map(cm => cm.id)).toEqual(['cm_live']);
+    expect(corporation.countermeasures.archive[0].archivedAt).toEqual(new Date(now));
+  });
+
+  test('should cap the archive', () => {
+    const now = Date.now();
+    const corporation = {
+      countermeasures: {
+        active: Array.from({ length: 5 }, (_, index) => ({ id: `cm_${index}`, endTime: new Date(now - 1000) }))
+      }
+    };
+
+    sweepExpiredCountermeasures(corporation, now, { archiveLimit: 3 });
+
+    expect(corporation.countermeasures.active).toEqual([]);
+    expect(corporation.countermeasures.archive.map(cm => cm.id)).toEqual(['cm_2', 'cm_3', 'cm_4']);
+  });
+});
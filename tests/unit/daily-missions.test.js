@@ -0,0 +1,93 @@
+/**
+ * Daily Mission Tests
+ * Unit tests for structured mission objectives, automatic progress and claiming
+ */
+
+let missions;
+
+beforeAll(async () => {
+  missions = await import('../../src/game/dailyMissions.js');
+});
+
+describe('Daily Missions', () => {
+  let rebel;
+
+  const withObjective = (id) => ({
+    ...missions.createMission(rebel, 'Dobby briefing'),
+    objective: missions.buildObjective(id, rebel)
+  });
+
+  beforeEach(() => {
+    rebel = global.testUtils.createTestRebel({ level: 10, currentZone: 'darkweb' });
+  });
+
+  test('should wrap a machine-readable objective in the briefing', () => {
+    const mission = missions.createMission(rebel, 'Go get them, rebel!', () => 0);
+
+    expect(mission.mission).toBe('Go get them, rebel!');
+    expect(mission.objective).toMatchObject({ id: 'raid_openai', type: 'raid', target: 'openai', count: 3 });
+    expect(mission).toMatchObject({ progress: 0, completed: false, claimed: false, reward: 150 });
+  });
+
+  test('should not send rebels to the zone they are already in', () => {
+    const available = missions.getAvailableObjectives(rebel);
+
+    expect(available).not.toContain('travel_darkweb');
+    expect(available).toContain('travel_sanctuary');
+  });
+
+  test('should not send rebels to zones they cannot enter yet', () => {
+    const zones = new Map([['darkweb', { travel: { requirements: { minLevel: 5, accessItems: ['proxy_network'] } } }]]);
+    const recruit = global.testUtils.createTestRebel({ level: 1, currentZone: 'foundation' });
+
+    expect(missions.getAvailableObjectives(recruit, { zones })).not.toContain('travel_darkweb');
+    expect(missions.getAvailableObjectives(recruit, { zones, items: ['proxy_network'] })).toContain('travel_darkweb');
+    expect(missions.getAvailableObjectives({ ...recruit, level: 5 }, { zones })).toContain('travel_darkweb');
+  });
+
+  test('should count raids only against the target corporation', () => {
+    const mission = withObjective('raid_meta');
+
+    expect(missions.recordProgress(mission, { type: 'raid', corporation: 'openai', damage: 80 })).toBe(false);
+    expect(missions.recordProgress(mission, { type: 'raid', corporation: 'meta', damage: 80 })).toBe(false);
+    expect(missions.recordProgress(mission, { type: 'raid', corporation: 'meta', damage: 80 })).toBe(false);
+    expect(missions.recordProgress(mission, { type: 'raid', corporation: 'meta', damage: 80 })).toBe(true);
+    expect(mission.progress).toBe(3);
+    expect(missions.recordProgress(mission, { type: 'raid', corporation: 'meta', damage: 80 })).toBe(false);
+  });
+
+  test('should scale damage objectives with level and cap progress', () => {
+    const mission = withObjective('deal_damage');
+
+    expect(mission.objective.count).toBe(1400);
+    expect(mission.objective.label).toBe('Deal 1400 damage to corporations');
+
+    missions.recordProgress(mission, { type: 'raid', corporation: 'google', damage: 1000 });
+    expect(missions.recordProgress(mission, { type: 'raid', corporation: 'amazon', damage: 1000 })).toBe(true);
+    expect(mission.progress).toBe(1400);
+  });
+
+  test('should track market sales and travel', () => {
+    const sale = withObjective('market_sale');
+    const trip = withObjective('travel_sanctuary');
+
+    expect(missions.recordProgress(sale, { type: 'travel', zone: 'sanctuary' })).toBe(false);
+    expect(missions.recordProgress(sale, { type: 'sell' })).toBe(true);
+    expect(missions.recordProgress(trip, { type: 'travel', zone: 'underground' })).toBe(false);
+    expect(missions.recordProgress(trip, { type: 'travel', zone: 'sanctuary' })).toBe(true);
+  });
+
+  test('should only allow claiming a completed, unclaimed mission', () => {
+    const mission = withObjective('market_sale');
+
+    expect(missions.getClaimBlocker(undefined)).toContain('don\'t have a daily mission');
+    expect(missions.getClaimBlocker({ mission: 'legacy', completed: false })).toContain('don\'t have a daily mission');
+    expect(missions.getClaimBlocker(mission)).toContain('0/1');
+
+    missions.recordProgress(mission, { type: 'sell' });
+    expect(missions.getClaimBlocker(mission)).toBeNull();
+
+    mission.claimed = true;
+    expect(missions.getClaimBlocker(mission)).toContain('already claimed');
+  });
+});
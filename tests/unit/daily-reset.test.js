@@ -0,0 +1,91 @@
+/**
+ * Daily Reset Tests
+ * Unit tests for timezone-aware reset days, claim streaks and grace periods
+ */
+
+let daily;
+
+const HOUR = 3600000;
+const utc = { timezone: 'UTC', hour: 0 };
+
+beforeAll(async () => {
+  daily = await import('../../src/game/dailyReset.js');
+});
+
+describe('Daily Reset', () => {
+  let rebel;
+
+  beforeEach(() => {
+    rebel = global.testUtils.createTestRebel({
+      energy: 20,
+      maxEnergy: 100,
+      dailyStreak: 0,
+      bestDailyStreak: 0,
+      lastDailyClaim: null,
+      lastDailyReset: null
+    });
+  });
+
+  test('should roll the day over at the guild timezone and hour', () => {
+    const berlinSix = { timezone: 'Europe/Berlin', hour: 6 };
+
+    // 03:00 UTC on 10 Jan is 04:00 in Berlin - still before the 06:00 reset
+    expect(daily.getDayKey(Date.UTC(2025, 0, 10, 3), berlinSix)).toBe('2025-01-09');
+    expect(daily.getDayKey(Date.UTC(2025, 0, 10, 5), berlinSix)).toBe('2025-01-10');
+    expect(daily.getDayKey(Date.UTC(2025, 0, 10, 3), utc)).toBe('2025-01-10');
+    expect(daily.getTimeUntilReset(Date.UTC(2025, 0, 10, 18), utc)).toBe(6 * HOUR);
+  });
+
+  test('should fall back to defaults for missing or invalid guild settings', () => {
+    expect(daily.getResetSettings(undefined)).toEqual({
+      timezone: daily.DailyResetConfig.defaultTimezone,
+      hour: daily.DailyResetConfig.defaultHour
+    });
+    expect(daily.getResetSettings({ resetTimezone: 'Mars/Olympus', resetHour: 4 }).timezone).toBe(daily.DailyResetConfig.defaultTimezone);
+    expect(daily.isValidTimezone('America/New_York')).toBe(true);
+    expect(daily.isValidTimezone(undefined)).toBe(false);
+  });
+
+  test('should run the reset once per day', () => {
+    const morning = Date.UTC(2025, 0, 10, 8);
+
+    expect(daily.applyDailyReset(rebel, morning, utc)).toBe(true);
+    expect(rebel.energy).toBe(100);
+
+    rebel.energy = 10;
+    expect(daily.applyDailyReset(rebel, morning + 10 * HOUR, utc)).toBe(false);
+    expect(rebel.energy).toBe(10);
+    expect(daily.applyDailyReset(rebel, morning + 24 * HOUR, utc)).toBe(true);
+  });
+
+  test('should build a streak on consecutive days and refuse double claims', () => {
+    const day = Date.UTC(2025, 0, 10, 12);
+
+    expect(daily.claimDaily(rebel, day, utc).streak).toBe(1);
+    expect(daily.claimDaily(rebel, day + HOUR, utc)).toBeNull();
+    expect(daily.claimDaily(rebel, day + 24 * HOUR, utc).streak).toBe(2);
+    expect(rebel.bestDailyStreak).toBe(2);
+  });
+
+  test('should forgive a missed day only early in the following day', () => {
+    rebel.dailyStreak = 5;
+    rebel.bestDailyStreak = 5;
+    rebel.lastDailyClaim = '2025-01-10';
+
+    const graced = daily.claimDaily({ ...rebel }, Date.UTC(2025, 0, 12, 2), utc);
+    expect(graced).toMatchObject({ streak: 6, usedGrace: true, lostStreak: 0 });
+
+    const lost = daily.claimDaily(rebel, Date.UTC(2025, 0, 12, 10), utc);
+    expect(lost).toMatchObject({ streak: 1, usedGrace: false, lostStreak: 5 });
+    expect(rebel.bestDailyStreak).toBe(5);
+  });
+
+  test('should escalate rewards and pay milestones', () => {
+    const { baseCredits, creditsPerStreakDay, maxStreakBonusDays } = daily.DailyResetConfig.rewards;
+
+    expect(daily.getStreakReward(1)).toEqual({ credits: baseCredits, loyalty: 0, achievement: null });
+    expect(daily.getStreakReward(3).loyalty).toBe(daily.DailyResetConfig.milestones[3].loyalty);
+    expect(daily.getStreakReward(7).achievement).toBe('daily_streak_7');
+    expect(daily.getStreakReward(20).credits).toBe(baseCredits + creditsPerStreakDay * (maxStreakBonusDays - 1));
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Energy Tests
+ * Unit tests for lazy, time-based energy regeneration and its rate modifiers
+ */
+
+let energy;
+
+const MINUTE = 60000;
+
+beforeAll(async () => {
+  energy = await import('../../src/game/energy.js');
+});
+
+describe('Energy Regeneration', () => {
+  let rebel;
+
+  beforeEach(() => {
+    rebel = global.testUtils.createTestRebel({ energy: 40, maxEnergy: 100, lastEnergyRegen: new Date(0) });
+  });
+
+  test('should regenerate from elapsed time, including while offline', () => {
+    const gained = energy.regenerateEnergy(rebel, 1, 30 * MINUTE);
+
+    expect(gained).toBe(30);
+    expect(rebel.energy).toBe(70);
+    expect(rebel.lastEnergyRegen).toEqual(new Date(30 * MINUTE));
+  });
+
+  test('should keep partial progress towards the next point', () => {
+    energy.regenerateEnergy(rebel, 0.5, 3 * MINUTE);
+
+    expect(rebel.energy).toBe(41);
+    expect(rebel.lastEnergyRegen).toEqual(new Date(2 * MINUTE));
+
+    energy.regenerateEnergy(rebel, 0.5, 4 * MINUTE);
+    expect(rebel.energy).toBe(42);
+  });
+
+  test('should cap at max energy without banking regen', () => {
+    expect(energy.regenerateEnergy(rebel, 1, 600 * MINUTE)).toBe(60);
+    expect(rebel.energy).toBe(100);
+    expect(rebel.lastEnergyRegen).toEqual(new Date(600 * MINUTE));
+
+    rebel.energy = 90;
+    expect(energy.regenerateEnergy(rebel, 1, 605 * MINUTE)).toBe(5);
+  });
+
+  test('should combine zone and item modifiers into one rate', () => {
+    const inventory = { items: [{ type: 'resource' }, { type: 'resource' }, { type: 'ai_model' }] };
+
+    expect(energy.getItemRegenBonus(inventory)).toBeCloseTo(0.1);
+    expect(energy.getItemRegenBonus({ items: Array(20).fill({ type: 'resource' }) })).toBe(energy.EnergyConfig.maxItemRegenBonus);
+    expect(energy.getRegenRate({ zoneMultiplier: 1.5, itemBonus: 0.1 })).toBeCloseTo(1.65);
+    expect(energy.getRegenRate()).toBe(energy.EnergyConfig.baseRatePerMinute);
+  });
+
+  test('should report time until full', () => {
+    expect(energy.getTimeToFull(rebel, 2, 0)).toBe(30 * MINUTE);
+    expect(energy.formatRegen(rebel, 1, 0)).toBe('⚡ 60/hour • full in 1h 0m');
+
+    rebel.energy = 100;
+    expect(energy.formatRegen(rebel, 1, 0)).toBe('⚡ Full • 60/hour');
+  });
+});
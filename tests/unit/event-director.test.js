@@ -0,0 +1,226 @@
+/**
+ * Event Director Tests
+ * Unit tests for the global event lifecycle, spawning, leaderboards, payouts, schedules and backups
+ */
+
+let director;
+
+beforeAll(async () => {
+  director = await import('../../src/game/eventDirector.js');
+});
+
+describe('Event Director', () => {
+  const now = Date.UTC(2025, 0, 1, 12);
+  const hour = 60 * 60 * 1000;
+  const rng = () => 0;
+
+  test('should create active events now and scheduled events for later', () => {
+    const active = director.createEvent('raid_event', { now, rng });
+    const later = director.createEvent('data_event', { now, startTime: now + hour, durationHours: 2, rng });
+
+    expect(active.status).toBe(director.EventStatus.ACTIVE);
+    expect(active.endTime.getTime()).toBe(now + 24 * hour);
+    expect(active.targetProgress).toBe(director.EventTemplates.raid_event.targetRange[0]);
+    expect(later.status).toBe(director.EventStatus.SCHEDULED);
+    expect(later.endTime.getTime()).toBe(now + 3 * hour);
+    expect(director.createEvent('unknown_event', { now })).toBeNull();
+  });
+
+  test('should move events through their lifecycle one step at a time', () => {
+    const event = director.createEvent('data_event', { now, startTime: now + hour, durationHours: 1, rng });
+
+    expect(director.advanceEvent(event, now)).toBeNull();
+    expect(director.advanceEvent(event, now + hour)).toBe('started');
+    expect(director.advanceEvent(event, now + hour + 1)).toBeNull();
+    expect(director.advanceEvent(event, now + 2 * hour)).toBe('ended');
+    expect(event.status).toBe(director.EventStatus.ENDED);
+    expect(director.advanceEvent(event, now + 3 * hour)).toBeNull();
+  });
+
+  test('should keep the minimum number of events running and never exceed the maximum', () => {
+    const events = [];
+    expect(director.getSpawnCount(events, () => 0.99)).toBe(director.EventDirectorConfig.minActiveEvents);
+
+    events.push(director.createEvent('raid_event', { now, rng }));
+    expect(director.getSpawnCount(events, () => 0.99)).toBe(0);
+    expect(director.getSpawnCount(events, () => 0)).toBe(1);
+
+    events.push(director.createEvent('raid_event', { now, rng }), director.createEvent('data_event', { now, rng }));
+    expect(director.getSpawnCount(events, () => 0)).toBe(0);
+  });
+
+  test('should validate recurring schedules', () => {
+    const request = { templateId: 'raid_event', cronExpression: '0 18 * * 5', durationHours: 4 };
+
+    expect(director.getScheduleBlocker(request)).toBeNull();
+    expect(director.getScheduleBlocker({ ...request, templateId: 'nope' })).toContain('Unknown event type');
+    expect(director.getScheduleBlocker({ ...request, cronExpression: 'every friday' })).toContain('valid cron');
+    expect(director.getScheduleBlocker({ ...request, durationHours: 1000 })).toContain('at most');
+
+    const schedule = director.createSchedule({ ...request, createdBy: 'admin-1' }, now);
+    expect(schedule).toMatchObject({ templateId: 'raid_event', cron: '0 18 * * 5', durationHours: 4, lastRunAt: null });
+    expect(director.createSchedule({ ...request, createdBy: 'admin-1' }, now).id).not.toBe(schedule.id);
+  });
+
+  test('should round-trip events through JSON and remember who was paid', () => {
+    const event = director.createEvent('raid_event', { now, rng });
+    event.participants.add('rebel-1');
+    event.contributorData.set('rebel-1', 250);
+    event.paidParticipants.push('rebel-1');
+
+    const restored = director.restoreEvent(JSON.parse(JSON.stringify(director.serializeEvent(event))));
+
+    expect(restored.participants.has('rebel-1')).toBe(true);
+    expect(restored.contributorData.get('rebel-1')).toBe(250);
+    expect(restored.paidParticipants).toEqual(['rebel-1']);
+    expect(restored.endTime).toEqual(event.endTime);
+    expect(director.restoreEvent({ ...director.serializeEvent(event), status: 'completed' }).status).toBe(director.EventStatus.SETTLED);
+  });
+
+  test('should expire settled events after the retention window', () => {
+    const event = director.createEvent('data_event', { now, durationHours: 1, rng });
+    const afterRetention = now + hour + (director.EventDirectorConfig.retentionDays + 1) * 24 * hour;
+
+    expect(director.isExpired(event, afterRetention)).toBe(false);
+    event.status = director.EventStatus.SETTLED;
+    expect(director.isExpired(event, now + 2 * hour)).toBe(false);
+    expect(director.isExpired(event, afterRetention)).toBe(true);
+  });
+});
+
+describe('Event Contributions', () => {
+  const now = Date.UTC(2025, 0, 1, 12);
+  const rng = () => 0;
+
+  test('should let each event type decide what a raid is worth', () => {
+    const raid = { type: 'raid', damage: 1000, corporation: 'meta' };
+
+    expect(director.getContribution(director.createEvent('raid_event', { now, rng }), raid)).toBe(1000);
+    expect(director.getContribution(director.createEvent('data_event', { now, rng }), raid)).toBe(1500);
+    expect(director.getContribution(director.createEvent('data_event', { now, rng }), { ...raid, corporation: 'amazon' })).toBe(1000);
+    expect(director.getContribution(director.createEvent('liberation_event', { now, rng }), { ...raid, damage: 10 })).toBe(1);
+    expect(director.getContribution(director.createEvent('social_event', { now, rng }), raid)).toBe(0);
+  });
+
+  test('should progress recruitment drives from recruits, graduations and trades', () => {
+    const event = director.createEvent('social_event', { now, rng });
+
+    ['recruit', 'mentee_graduated', 'trade'].forEach(type => {
+      director.applyContribution(event, 'rebel-1', director.getContribution(event, { type }));
+    });
+
+    expect(event.currentProgress).toBe(5);
+    expect(event.contributorData.get('rebel-1')).toBe(5);
+    expect(event.participants.has('rebel-1')).toBe(true);
+    expect(director.describeContributions(event)).toBe('🙋 Recruits, 🎓 Graduations, 🤝 Trades');
+  });
+
+  test('should count defenses and successful zone activities where declared', () => {
+    expect(director.getContribution(director.createEvent('defense_event', { now, rng }), { type: 'defense', source: 'shield' })).toBe(1000);
+    expect(director.getContribution(director.createEvent('liberation_event', { now, rng }), { type: 'zone_activity', success: true })).toBe(1);
+    expect(director.getContribution(director.createEvent('liberation_event', { now, rng }), { type: 'zone_activity', success: false })).toBe(0);
+  });
+
+  test('should register new contribution hooks for known actions only', () => {
+    const event = director.createEvent('defense_event', { now, rng });
+
+    expect(() => director.registerContribution('defense_event', 'dance', 1)).toThrow('Unknown event action');
+    expect(() => director.registerContribution('nope', 'trade', 1)).toThrow('Unknown event type');
+
+    director.registerContribution('defense_event', 'trade', action => action.price / 10);
+    expect(director.getContribution(event, { type: 'trade', price: 200 })).toBe(20);
+    delete director.EventTemplates.defense_event.contributions.trade;
+  });
+});
+
+describe('Event Leaderboards and Rewards', () => {
+  const now = Date.UTC(2025, 0, 1, 12);
+  const rng = () => 0;
+
+  // social_event has a bonus multiplier of 1 so tier rewards are easy to read
+  const createRankedEvent = (contributors, progress) => {
+    const event = director.createEvent('social_event', { now, rng });
+    contributors.forEach((contribution, index) => director.applyContribution(event, `rebel-${index + 1}`, contribution));
+    event.currentProgress = progress;
+    return event;
+  };
+
+  test('should join each rebel once and keep joiners on the board with no contribution', () => {
+    const event = director.createEvent('raid_event', { now, rng });
+
+    expect(director.joinEvent(event, 'rebel-1')).toBe(true);
+    expect(director.joinEvent(event, 'rebel-1')).toBe(false);
+    director.applyContribution(event, 'rebel-2', 50);
+
+    expect(director.getEventLeaderboard(event)).toEqual([
+      { userId: 'rebel-2', contribution: 50, rank: 1 },
+      { userId: 'rebel-1', contribution: 0, rank: 2 }
+    ]);
+  });
+
+  test('should decide success from the target progress', () => {
+    const event = createRankedEvent([10], 0);
+    event.currentProgress = event.targetProgress - 1;
+    expect(director.isEventSuccessful(event)).toBe(false);
+    event.currentProgress = event.targetProgress;
+    expect(director.isEventSuccessful(event)).toBe(true);
+  });
+
+  test('should place ranks into the top 1/3/10% tiers with a participation floor', () => {
+    expect(director.getRewardTier(1, 200).id).toBe('top1');
+    expect(director.getRewardTier(2, 200).id).toBe('top1');
+    expect(director.getRewardTier(3, 200).id).toBe('top3');
+    expect(director.getRewardTier(6, 200).id).toBe('top3');
+    expect(director.getRewardTier(7, 200).id).toBe('top10');
+    expect(director.getRewardTier(20, 200).id).toBe('top10');
+    expect(director.getRewardTier(21, 200).id).toBe('participant');
+    expect(director.getRewardTier(1, 200, false).id).toBe('participant');
+  });
+
+  test('should pay successful events by tier and only contributors', () => {
+    const event = createRankedEvent([5, 40, 20, 10, 1, 1, 1, 1, 1, 1, 1, 1], 1000);
+    event.participants.add('lurker');
+
+    const { baseLoyalty, baseCredits } = director.EventDirectorConfig.payout;
+    const payouts = director.calculatePayouts(event);
+
+    expect(payouts).toHaveLength(12);
+    expect(payouts.find(payout => payout.userId === 'lurker')).toBeUndefined();
+    expect(payouts[0]).toEqual({ userId: 'rebel-2', contribution: 40, rank: 1, tier: 'top1', loyalty: baseLoyalty * 5, credits: baseCredits * 5 });
+    expect(payouts[1]).toMatchObject({ userId: 'rebel-3', rank: 2, tier: 'top10', loyalty: baseLoyalty * 2 });
+    expect(payouts[2]).toMatchObject({ userId: 'rebel-4', rank: 3, tier: 'participant', loyalty: baseLoyalty });
+  });
+
+  test('should apply the event bonus to successful events only', () => {
+    const event = director.createEvent('raid_event', { now, rng });
+    director.applyContribution(event, 'rebel-1', event.targetProgress);
+    const { baseLoyalty } = director.EventDirectorConfig.payout;
+    expect(director.calculatePayouts(event)[0].loyalty).toBe(Math.floor(baseLoyalty * 5 * event.bonusMultiplier));
+
+    const failed = createRankedEvent([40, 20], 5);
+    expect(director.calculatePayouts(failed).map(payout => payout.tier)).toEqual(['participant', 'participant']);
+    expect(director.calculatePayouts(failed).map(payout => payout.loyalty)).toEqual([baseLoyalty, baseLoyalty]);
+  });
+
+  test('should settle once when two director ticks overlap', async () => {
+    const event = createRankedEvent([40, 20], 5);
+    event.status = director.EventStatus.ENDED;
+    const paid = [];
+    const payReward = async payout => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      paid.push(payout.userId);
+    };
+
+    const [first, second] = await Promise.all([
+      director.settlePayouts(event, payReward, { now }),
+      director.settlePayouts(event, payReward, { now })
+    ]);
+
+    expect(first).toHaveLength(2);
+    expect(second).toBeNull();
+    expect(paid).toEqual(['rebel-1', 'rebel-2']);
+    expect(event.paidParticipants).toEqual(['rebel-1', 'rebel-2']);
+    expect(event).toMatchObject({ status: director.EventStatus.SETTLED, settling: false });
+    expect(director.restoreEvent({ ...director.serializeEvent(event), settling: true }).settling).toBe(false);
+  });
+});
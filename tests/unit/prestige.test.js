@@ -0,0 +1,70 @@
+/**
+ * Prestige Tests
+ * Unit tests for prestige eligibility, resets, lasting bonuses and leaderboard order
+ */
+
+let prestige;
+
+beforeAll(async () => {
+  prestige = await import('../../src/game/prestige.js');
+});
+
+describe('Prestige', () => {
+  let rebel;
+
+  beforeEach(() => {
+    rebel = global.testUtils.createTestRebel({
+      level: prestige.PrestigeConfig.requiredLevel,
+      experience: 500000,
+      statPoints: 12,
+      allocatedStats: { strength: 30 },
+      prestigeRank: 0
+    });
+    rebel.stats.strength = 40;
+  });
+
+  test('should only unlock at the level cap and stop at the highest rank', () => {
+    expect(prestige.getPrestigeBlocker(rebel)).toBeNull();
+
+    rebel.level = 50;
+    expect(prestige.getPrestigeBlocker(rebel)).toContain('unlocks at level');
+
+    rebel.level = prestige.PrestigeConfig.requiredLevel;
+    rebel.prestigeRank = prestige.PrestigeConfig.maxRank;
+    expect(prestige.getPrestigeBlocker(rebel)).toContain('highest prestige rank');
+  });
+
+  test('should reset progression in exchange for a rank and title', () => {
+    const result = prestige.prestigeRebel(rebel, 1000);
+
+    expect(result).toEqual({
+      rank: 1,
+      title: 'Reborn Rebel',
+      bonuses: { damageMultiplier: 1.03 },
+      achievement: 'prestige_1'
+    });
+    expect(rebel.level).toBe(1);
+    expect(rebel.experience).toBe(0);
+    expect(rebel.stats).toEqual({ strength: 10, intelligence: 10, charisma: 10, stealth: 10 });
+    expect(rebel.statPoints).toBe(0);
+    expect(rebel.allocatedStats).toEqual({});
+    expect(rebel.energy).toBe(rebel.maxEnergy);
+    expect(rebel.lastPrestigeAt).toEqual(new Date(1000));
+  });
+
+  test('should stack the lasting damage bonus with each rank', () => {
+    expect(prestige.getPrestigeBonuses(0).damageMultiplier).toBe(1);
+    expect(prestige.getPrestigeBonuses(5).damageMultiplier).toBeCloseTo(1.15);
+    expect(prestige.getPrestigeTitle(0)).toBeNull();
+    expect(prestige.getPrestigeTitle(10)).toBe('Eternal Uprising');
+  });
+
+  test('should rank the prestige board by rank, then level, then experience', () => {
+    const veteran = global.testUtils.createTestRebel({ username: 'veteran', prestigeRank: 3, level: 2, experience: 150 });
+    const climber = global.testUtils.createTestRebel({ username: 'climber', prestigeRank: 3, level: 7, experience: 2200 });
+    const rookie = global.testUtils.createTestRebel({ username: 'rookie', prestigeRank: 1, level: 90, experience: 400000 });
+
+    const order = [rookie, veteran, climber].sort(prestige.comparePrestige).map(r => r.username);
+    expect(order).toEqual(['climber', 'veteran', 'rookie']);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Progression Tests
+ * Unit tests for the shared XP curve, stat point allocation and respecs
+ */
+
+let progression;
+
+beforeAll(async () => {
+  progression = await import('../../src/game/progression.js');
+});
+
+describe('Progression', () => {
+  let rebel;
+
+  beforeEach(() => {
+    rebel = global.testUtils.createTestRebel({ level: 1, experience: 0, statPoints: 0, allocatedStats: {} });
+  });
+
+  test('should follow the configured XP curve', () => {
+    const levels = [
+      { exp: 0, level: 1 },
+      { exp: 99, level: 1 },
+      { exp: 100, level: 2 },
+      { exp: 300, level: 3 },
+      { exp: 600, level: 4 },
+      { exp: 1000, level: 5 }
+    ];
+
+    levels.forEach(({ exp, level }) => {
+      expect(progression.getLevelForExperience(exp)).toBe(level);
+    });
+    expect(progression.getExperienceToNextLevel(4, 700)).toBe(300);
+  });
+
+  test('should support a flat curve and cap at the max level', () => {
+    const flat = { ...progression.ProgressionConfig, growth: 0 };
+
+    expect(progression.getLevelForExperience(950, flat)).toBe(10);
+    expect(progression.getLevelForExperience(Number.MAX_SAFE_INTEGER)).toBe(progression.ProgressionConfig.maxLevel);
+    expect(progression.getExperienceToNextLevel(progression.ProgressionConfig.maxLevel, 0)).toBe(0);
+  });
+
+  test('should grant stat points and energy on level-up without touching stats', () => {
+    const result = progression.applyExperience(rebel, 300);
+
+    expect(result).toEqual({ leveledUp: true, oldLevel: 1, newLevel: 3, levelsGained: 2, pointsGained: 6 });
+    expect(rebel.statPoints).toBe(6);
+    expect(rebel.maxEnergy).toBe(120);
+    expect(rebel.stats.strength).toBe(10);
+  });
+
+  test('should never level a rebel down', () => {
+    rebel.level = 8;
+    const result = progression.applyExperience(rebel, 50);
+
+    expect(result.leveledUp).toBe(false);
+    expect(rebel.level).toBe(8);
+  });
+
+  test('should allocate points within the limits', () => {
+    rebel.statPoints = 5;
+
+    expect(progression.getAllocationBlocker(rebel, 'luck', 1)).toContain('Unknown stat');
+    expect(progression.getAllocationBlocker(rebel, 'strength', 6)).toContain('Not enough stat points');
+    expect(progression.getAllocationBlocker(rebel, 'strength', 3)).toBeNull();
+
+    expect(progression.allocateStatPoints(rebel, 'strength', 3)).toBe(13);
+    expect(rebel.statPoints).toBe(2);
+    expect(rebel.allocatedStats).toEqual({ strength: 3 });
+
+    rebel.stats.stealth = 99;
+    expect(progression.getAllocationBlocker(rebel, 'stealth', 2)).toContain("can't go above");
+  });
+
+  test('should refund only allocated points on respec', () => {
+    rebel.statPoints = 4;
+    progression.allocateStatPoints(rebel, 'intelligence', 3);
+    rebel.stats.intelligence += 1; // trained with credits, not allocated
+
+    expect(progression.respecStats(rebel)).toBe(3);
+    expect(rebel.stats.intelligence).toBe(11);
+    expect(rebel.statPoints).toBe(4);
+    expect(progression.getAllocatedPoints(rebel)).toBe(0);
+    expect(progression.getRespecCost(rebel)).toBe(300);
+  });
+
+  test('should restore stats loaded from the database', () => {
+    expect(progression.restoreStats('{"strength":14}')).toEqual({ strength: 14, intelligence: 10, charisma: 10, stealth: 10 });
+    expect(progression.restoreStats(null).stealth).toBe(10);
+    expect(progression.restoreStats('broken').charisma).toBe(10);
+    expect(progression.restoreAllocatedStats('{"strength":3,"luck":2,"stealth":"4"}')).toEqual({ strength: 3 });
+    expect(progression.restoreAllocatedStats('broken')).toEqual({});
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Rebel Stats Tests
+ * Unit tests for stat-derived gameplay effects
+ */
+
+let getStatEffects;
+let getCellDamageBonus;
+let applyTaxReduction;
+let scaleAbilityEffect;
+let CombatEngine;
+
+beforeAll(async () => {
+  const stats = await import('../../src/game/rebelStats.js');
+  getStatEffects = stats.getStatEffects;
+  getCellDamageBonus = stats.getCellDamageBonus;
+  applyTaxReduction = stats.applyTaxReduction;
+  scaleAbilityEffect = stats.scaleAbilityEffect;
+  CombatEngine = (await import('../../src/game/combatEngine.js')).default;
+});
+
+describe('Rebel Stats', () => {
+  let rebel;
+
+  beforeEach(() => {
+    rebel = global.testUtils.createTestRebel();
+  });
+
+  test('should have no effect at base stats', () => {
+    const effects = getStatEffects(rebel);
+
+    expect(effects.damageMultiplier).toBe(1);
+    expect(effects.critChanceBonus).toBe(0);
+    expect(effects.evasion).toBe(0);
+    expect(effects.taxReduction).toBe(0);
+  });
+
+  test('should scale effects with trained points', () => {
+    rebel.stats = { strength: 20, intelligence: 20, charisma: 20, stealth: 20 };
+    const effects = getStatEffects(rebel);
+
+    expect(effects.damageMultiplier).toBeCloseTo(1.2);
+    expect(effects.critChanceBonus).toBeCloseTo(0.05);
+    expect(effects.abilityPower).toBeCloseTo(1.3);
+    expect(effects.evasion).toBeCloseTo(0.15);
+    expect(applyTaxReduction(0.10, rebel)).toBeCloseTo(0.08);
+    expect(scaleAbilityEffect(100, rebel)).toBe(130);
+  });
+
+  test('should cap evasion and tax reduction', () => {
+    rebel.stats = { strength: 10, intelligence: 10, charisma: 500, stealth: 500 };
+    const effects = getStatEffects(rebel);
+
+    expect(effects.evasion).toBe(0.6);
+    expect(effects.taxReduction).toBe(0.5);
+  });
+
+  test('should amplify cell bonus with charisma', () => {
+    const cell = { members: ['a', 'b', 'c'] };
+    const baseBonus = getCellDamageBonus(rebel, cell);
+
+    rebel.stats.charisma = 20;
+    expect(getCellDamageBonus(rebel, cell)).toBeGreaterThan(baseBonus);
+    expect(getCellDamageBonus(rebel, null)).toBe(0);
+  });
+
+  test('should raise raid damage with strength', () => {
+    const engine = new CombatEngine();
+    rebel.class = 'Model Trainer';
+    const baseDamage = engine.calculateBaseDamage(rebel, { damageMultiplier: getStatEffects(rebel).damageMultiplier });
+
+    rebel.stats.strength = 30;
+    const trainedDamage = engine.calculateBaseDamage(rebel, { damageMultiplier: getStatEffects(rebel).damageMultiplier });
+
+    expect(trainedDamage).toBeGreaterThan(baseDamage);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Reputation Tests
+ * Unit tests for the reputation score, rank ladder and equippable titles
+ */
+
+let reputation;
+
+beforeAll(async () => {
+  reputation = await import('../../src/game/reputation.js');
+});
+
+describe('Reputation', () => {
+  test('should start every rebel as a Rookie Rebel', () => {
+    const rebel = global.testUtils.createTestRebel({ loyaltyScore: 0, corporateDamage: 0 });
+
+    expect(reputation.getReputationScore(rebel)).toBe(0);
+    expect(reputation.getEquippedTitle(rebel).name).toBe('Rookie Rebel');
+  });
+
+  test('should build the score from loyalty, damage, achievements and prestige', () => {
+    const rebel = global.testUtils.createTestRebel({ loyaltyScore: 100, corporateDamage: 1000, prestigeRank: 1 });
+    const { loyaltyWeight, damageWeight, achievementPointWeight, prestigeRankWeight } = reputation.ReputationConfig;
+
+    // first_raid is worth 25 achievement points
+    expect(reputation.getReputationScore(rebel, ['first_raid'])).toBe(
+      Math.floor(100 * loyaltyWeight + 1000 * damageWeight + 25 * achievementPointWeight + prestigeRankWeight)
+    );
+  });
+
+  test('should climb the rank ladder and report rank ups', () => {
+    expect(reputation.getReputationRank(0).id).toBe('rookie_rebel');
+    expect(reputation.getReputationRank(1000).id).toBe('code_saboteur');
+    expect(reputation.getNextRank(1000).id).toBe('firewall_breaker');
+    expect(reputation.getNextRank(1000000)).toBeNull();
+
+    expect(reputation.getRankUp(200, 300).id).toBe('street_agitator');
+    expect(reputation.getRankUp(300, 400)).toBeNull();
+  });
+
+  test('should unlock titles from ranks, achievements and prestige', () => {
+    const rebel = global.testUtils.createTestRebel({ loyaltyScore: 300, corporateDamage: 0, prestigeRank: 2 });
+    const titles = reputation.getUnlockedTitles(rebel, ['mentor']).map(title => title.id);
+
+    expect(titles).toEqual(expect.arrayContaining(['rookie_rebel', 'street_agitator', 'wise_mentor', 'prestige_1', 'prestige_2']));
+    expect(titles).not.toContain('prestige_3');
+    expect(titles).not.toContain('corporate_destroyer');
+  });
+
+  test('should only equip unlocked titles', () => {
+    const rebel = global.testUtils.createTestRebel({ loyaltyScore: 0, corporateDamage: 0, title: null });
+
+    expect(reputation.getEquipBlocker(rebel, 'nonexistent')).toContain('doesn\'t exist');
+    expect(reputation.getEquipBlocker(rebel, 'wise_mentor')).toContain('Wise Mentor');
+    expect(reputation.getEquipBlocker(rebel, 'rookie_rebel')).toContain('already wearing');
+    expect(reputation.getEquipBlocker(rebel, 'wise_mentor', ['mentor'])).toBeNull();
+
+    reputation.equipTitle(rebel, 'wise_mentor');
+    expect(reputation.getEquippedTitle(rebel, ['mentor']).id).toBe('wise_mentor');
+  });
+
+  test('should fall back to the rank title when the equipped title is no longer earned', () => {
+    const rebel = global.testUtils.createTestRebel({ loyaltyScore: 300, corporateDamage: 0, title: 'code_saboteur' });
+
+    expect(reputation.getEquippedTitle(rebel).id).toBe('street_agitator');
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Corporate Retaliation Tests
+ * Unit tests for arming, target selection, strike scheduling and sheltering
+ */
+
+let retaliation;
+
+beforeAll(async () => {
+  retaliation = await import('../../src/game/retaliation.js');
+});
+
+describe('Corporate Retaliation', () => {
+  let corporation;
+
+  beforeEach(() => {
+    corporation = {
+      alertLevel: 4,
+      countermeasures: { retaliation: { enabled: false, targets: [], nextStrike: null } },
+      intelligence: {
+        threatAssessment: new Map([
+          ['111111111111111111', 500],
+          ['222222222222222222', 5000],
+          ['333333333333333333', 50],
+          ['444444444444444444', 1200],
+          ['555555555555555555', 900]
+        ])
+      }
+    };
+  });
+
+  test('should arm at high alert and stand down when alert falls', () => {
+    expect(retaliation.updateRetaliationState(corporation)).toBe('armed');
+    expect(retaliation.updateRetaliationState(corporation)).toBeNull();
+
+    corporation.alertLevel = 1;
+    expect(retaliation.updateRetaliationState(corporation)).toBe('disarmed');
+    expect(corporation.countermeasures.retaliation.enabled).toBe(false);
+  });
+
+  test('should target the top threats above the minimum', () => {
+    expect(retaliation.selectTargets(corporation)).toEqual([
+      '222222222222222222',
+      '444444444444444444',
+      '555555555555555555'
+    ]);
+  });
+
+  test('should schedule a strike after the warning lead', () => {
+    const now = Date.now();
+    retaliation.updateRetaliationState(corporation);
+
+    expect(retaliation.shouldPlanStrike(corporation, now)).toBe(true);
+    const plan = retaliation.planStrike(corporation, () => 0, now);
+
+    expect(plan.targets).toHaveLength(3);
+    expect(retaliation.RetaliationConfig.strikeTypes[4]).toContain(plan.strikeType);
+    expect(retaliation.shouldPlanStrike(corporation, now)).toBe(false);
+    expect(retaliation.isStrikeDue(corporation, now)).toBe(false);
+    expect(retaliation.isStrikeDue(corporation, now + retaliation.RetaliationConfig.warningLead)).toBe(true);
+  });
+
+  test('should decay threat for hits and respect the cooldown', () => {
+    const now = Date.now();
+    retaliation.updateRetaliationState(corporation);
+    retaliation.planStrike(corporation, () => 0, now);
+
+    retaliation.completeStrike(corporation, [
+      { userId: '222222222222222222', outcome: 'hit' },
+      { userId: '444444444444444444', outcome: 'sheltered' }
+    ], now);
+
+    expect(corporation.intelligence.threatAssessment.get('222222222222222222')).toBe(2500);
+    expect(corporation.intelligence.threatAssessment.get('444444444444444444')).toBe(1200);
+    expect(corporation.alertLevel).toBe(3);
+    expect(corporation.countermeasures.retaliation.nextStrike).toBeNull();
+    expect(retaliation.shouldPlanStrike(corporation, now + 1000)).toBe(false);
+    expect(retaliation.shouldPlanStrike(corporation, now + retaliation.RetaliationConfig.cooldown)).toBe(true);
+  });
+
+  test('should shelter rebels according to sanctuary protection', () => {
+    const safeZone = { type: 'safe_zone', bonuses: [] };
+    const sanctuary = { type: 'development_zone', bonuses: ['sanctuary_protection'] };
+    const raidZone = { type: 'raid_zone', bonuses: ['damage_boost'] };
+
+    expect(retaliation.isSheltered(safeZone, () => 0.99)).toBe(true);
+    expect(retaliation.isSheltered(sanctuary, () => 0.5)).toBe(true);
+    expect(retaliation.isSheltered(sanctuary, () => 0.9)).toBe(false);
+    expect(retaliation.isSheltered(raidZone, () => 0)).toBe(false);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Skill Tree Tests
+ * Unit tests for class skill trees, unlock requirements, ranks and passive bonuses
+ */
+
+let skillTrees;
+
+beforeAll(async () => {
+  skillTrees = await import('../../src/game/skillTrees.js');
+});
+
+describe('Skill Trees', () => {
+  let rebel;
+
+  beforeEach(() => {
+    rebel = global.testUtils.createTestRebel({ class: 'Protocol Hacker', level: 1 });
+    rebel.skills = skillTrees.getStarterSkills(rebel.class);
+  });
+
+  test('should give every class a tree with starter skills', () => {
+    Object.entries(skillTrees.SkillTrees).forEach(([className, tree]) => {
+      const starters = Object.keys(skillTrees.getStarterSkills(className));
+      expect(starters.length).toBeGreaterThanOrEqual(2);
+
+      Object.values(tree).forEach(skill => {
+        skill.unlock.requires.forEach(requiredId => expect(tree[requiredId]).toBeDefined());
+      });
+    });
+    expect(rebel.skills).toEqual({ system_breach: 1, code_injection: 1 });
+  });
+
+  test('should require prerequisites, level and credits to unlock a skill', () => {
+    expect(skillTrees.getLearnBlocker(rebel, 'root_access', 10000)).toContain('requires Exploit Mastery');
+    expect(skillTrees.getLearnBlocker(rebel, 'exploit_mastery', 10000)).toContain('needs level 3');
+
+    rebel.level = 3;
+    expect(skillTrees.getLearnBlocker(rebel, 'exploit_mastery', 299)).toContain('Not enough credits');
+    expect(skillTrees.getLearnBlocker(rebel, 'exploit_mastery', 300)).toBeNull();
+    expect(skillTrees.getLearnBlocker(rebel, 'rally_rebels', 10000)).toContain('isn\'t part of your class tree');
+  });
+
+  test('should rank skills up to their max rank with rising costs', () => {
+    rebel.level = 20;
+
+    expect(skillTrees.getNextRankCost(skillTrees.getSkill(rebel.class, 'system_breach'), 1)).toEqual({ credits: 300, level: 3 });
+    expect(skillTrees.learnSkill(rebel, 'system_breach')).toBe(2);
+
+    rebel.skills.encryption_shield = 3;
+    expect(skillTrees.getLearnBlocker(rebel, 'encryption_shield', 10000)).toContain('max rank');
+  });
+
+  test('should make higher-rank actives stronger and quicker to recharge', () => {
+    const skill = skillTrees.getSkill('Enclave Guardian', 'digital_shield');
+    const guardian = global.testUtils.createTestRebel({ class: 'Enclave Guardian', username: 'warden' });
+
+    const first = skillTrees.resolveSkill(skill, guardian, 1);
+    const third = skillTrees.resolveSkill(skill, guardian, 3);
+
+    expect(third.rewards.energy).toBeGreaterThan(first.rewards.energy);
+    expect(third.cooldown).toBeLessThan(first.cooldown);
+    expect(first.message).toContain('warden');
+    expect(first.effectText).toContain(`+${first.rewards.energy} Energy`);
+  });
+
+  test('should stack passive modifiers by rank', () => {
+    expect(skillTrees.getPassiveModifiers(rebel).damageMultiplier).toBe(1);
+
+    rebel.skills.exploit_mastery = 2;
+    rebel.skills.root_access = 3;
+    const modifiers = skillTrees.getPassiveModifiers(rebel);
+
+    expect(modifiers.damageMultiplier).toBeCloseTo(1.08);
+    expect(modifiers.critChanceBonus).toBeCloseTo(0.06);
+    expect(modifiers.lootMultiplier).toBe(1);
+  });
+
+  test('should restore learned skills loaded from the database', () => {
+    expect(skillTrees.restoreSkills('{"exploit_mastery":2,"rally_rebels":1}', 'Protocol Hacker'))
+      .toEqual({ system_breach: 1, code_injection: 1, exploit_mastery: 2 });
+    expect(skillTrees.restoreSkills(null, 'Data Liberator')).toEqual({ data_heist: 1, information_warfare: 1 });
+    expect(skillTrees.restoreSkills({ root_access: 99 }, 'Protocol Hacker').root_access).toBe(5);
+  });
+});
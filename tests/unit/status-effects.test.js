@@ -0,0 +1,97 @@
+/**
+ * Status Effects Tests
+ * Unit tests for effect stacking, expiry, modifiers and consume-on-use
+ */
+
+let statusEffects;
+
+beforeAll(async () => {
+  statusEffects = await import('../../src/game/statusEffects.js');
+});
+
+describe('Status Effects', () => {
+  let rebel;
+
+  beforeEach(() => {
+    rebel = global.testUtils.createTestRebel();
+  });
+
+  test('should stack up to the limit and refresh the timer', () => {
+    const now = Date.now();
+    statusEffects.applyEffect(rebel, 'compromised', { now: now - 1000 });
+    statusEffects.applyEffect(rebel, 'compromised', { now });
+    statusEffects.applyEffect(rebel, 'compromised', { now });
+    const instance = statusEffects.applyEffect(rebel, 'compromised', { now });
+
+    expect(instance.stacks).toBe(3);
+    expect(rebel.statusEffects).toHaveLength(1);
+    expect(new Date(instance.expiresAt).getTime()).toBe(now + statusEffects.EffectDefinitions.compromised.duration);
+    expect(statusEffects.getEffectModifiers(rebel).damageMultiplier).toBeCloseTo(0.85 ** 3);
+  });
+
+  test('should drop expired effects', () => {
+    statusEffects.applyEffect(rebel, 'rallied', { duration: 1000, now: Date.now() - 5000 });
+
+    expect(statusEffects.hasEffect(rebel, 'rallied')).toBe(false);
+    expect(rebel.statusEffects).toEqual([]);
+  });
+
+  test('should only apply and consume targeted effects against their target', () => {
+    statusEffects.applyAbilityEffect(rebel, 'System Breach');
+
+    expect(statusEffects.getEffectModifiers(rebel, { targetCorp: 'meta' }).damageMultiplier).toBe(1);
+    expect(statusEffects.getEffectModifiers(rebel, { targetCorp: 'openai' }).damageMultiplier).toBe(1.5);
+
+    expect(statusEffects.consumeEffects(rebel, 'raid', { targetCorp: 'meta' })).toEqual([]);
+    expect(statusEffects.consumeEffects(rebel, 'raid', { targetCorp: 'openai' })).toEqual(['system_breach']);
+    expect(statusEffects.hasEffect(rebel, 'system_breach')).toBe(false);
+  });
+
+  test('should limit team buffs to team raids', () => {
+    statusEffects.applyAbilityEffect(rebel, 'Neural Network');
+
+    expect(statusEffects.getEffectModifiers(rebel, { scope: 'solo' }).damageMultiplier).toBe(1);
+    expect(statusEffects.getEffectModifiers(rebel, { scope: 'team' }).damageMultiplier).toBe(1.25);
+    expect(statusEffects.consumeEffects(rebel, 'raid', { scope: 'team' })).toEqual([]);
+  });
+
+  test('should use up countermeasure immunity on block', () => {
+    statusEffects.applyAbilityEffect(rebel, 'Encryption Shield');
+
+    expect(statusEffects.blocksCountermeasure(rebel)).toBe(true);
+    expect(statusEffects.blocksCountermeasure(rebel)).toBe(false);
+  });
+
+  test('should report protection from shield effects', () => {
+    expect(statusEffects.getProtectionLevel(rebel)).toBe(0);
+    statusEffects.applyEffect(rebel, 'shielded', { data: { protection: 75 } });
+    expect(statusEffects.getProtectionLevel(rebel)).toBe(75);
+  });
+
+  test('should block restricted commands until the effect expires', () => {
+    const now = Date.now();
+    statusEffects.applyEffect(rebel, 'legal_restriction', { source: 'countermeasure:openai', duration: 600000, now });
+
+    const restriction = statusEffects.getCommandRestriction(rebel, 'market', now);
+    expect(restriction.definition.name).toBe('Legal Injunction');
+    expect(restriction.minutesLeft).toBe(10);
+    expect(statusEffects.getCommandRestriction(rebel, 'raid', now)).toBeNull();
+    expect(statusEffects.getCommandRestriction(rebel, 'market', now + 600000)).toBeNull();
+  });
+
+  test('should raise detection odds under surveillance', () => {
+    statusEffects.applyEffect(rebel, 'surveilled');
+    expect(statusEffects.getEffectModifiers(rebel).detectionMultiplier).toBe(1.5);
+  });
+
+  test('should restore persisted effects and skip expired ones', () => {
+    statusEffects.applyEffect(rebel, 'data_liberation');
+    statusEffects.applyEffect(rebel, 'rallied', { duration: 1000, now: Date.now() - 5000 });
+    const stored = JSON.stringify(rebel.statusEffects);
+
+    const restored = statusEffects.restoreEffects(stored);
+    expect(restored.map(instance => instance.effectId)).toEqual(['data_liberation']);
+    expect(statusEffects.restoreEffects('not json')).toEqual([]);
+    expect(statusEffects.restoreEffects(null)).toEqual([]);
+  });
+});
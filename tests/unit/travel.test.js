@@ -0,0 +1,86 @@
+/**
+ * Travel Tests
+ * Unit tests for trip costs, zone requirements, journey timing and arrival encounters
+ */
+
+let travel;
+
+beforeAll(async () => {
+  travel = await import('../../src/game/travel.js');
+});
+
+describe('Travel', () => {
+  let rebel;
+
+  const underground = { name: 'Underground Networks', travel: { minutes: 5, energyCost: 10 } };
+  const darkweb = {
+    name: 'The Dark Web',
+    travel: {
+      minutes: 8,
+      energyCost: 10,
+      creditCost: 50,
+      danger: 0.4,
+      requirements: { minLevel: 5, accessItems: ['proxy_network'] }
+    }
+  };
+
+  beforeEach(() => {
+    rebel = global.testUtils.createTestRebel({ level: 1, energy: 100 });
+  });
+
+  test('should gate zones behind a level unless the rebel carries an access item', () => {
+    expect(travel.getTravelBlocker(rebel, 'darkweb', darkweb, { credits: 100 })).toContain('requires level 5 or one of: proxy network');
+    expect(travel.getTravelBlocker(rebel, 'darkweb', darkweb, { credits: 100, items: ['proxy_network'] })).toBeNull();
+
+    rebel.level = 5;
+    expect(travel.getTravelBlocker(rebel, 'darkweb', darkweb, { credits: 100 })).toBeNull();
+  });
+
+  test('should block trips the rebel cannot afford or does not need', () => {
+    rebel.level = 5;
+    expect(travel.getTravelBlocker(rebel, 'darkweb', darkweb, { credits: 10 })).toContain('Not enough credits');
+    expect(travel.getTravelBlocker(rebel, 'foundation', { name: 'The Foundation' })).toContain('already in');
+
+    rebel.energy = 5;
+    expect(travel.getTravelBlocker(rebel, 'underground', underground)).toContain('Not enough energy');
+  });
+
+  test('should take real time and refuse a second trip on the way', () => {
+    const now = 1_000_000;
+    const trip = travel.beginTravel(rebel, 'underground', underground, now);
+
+    expect(trip).toEqual({ from: 'foundation', to: 'underground', departedAt: now, arrivesAt: now + 5 * 60000 });
+    expect(travel.isInTransit(rebel, now + 60000)).toBe(true);
+    expect(travel.hasArrived(rebel, now + 60000)).toBe(false);
+    expect(travel.getTravelBlocker(rebel, 'underground', underground)).toContain('already on the move');
+    expect(rebel.currentZone).toBe('foundation');
+
+    expect(travel.hasArrived(rebel, now + 5 * 60000)).toBe(true);
+    expect(travel.completeTravel(rebel)).toBe('underground');
+    expect(rebel.currentZone).toBe('underground');
+    expect(travel.isTraveling(rebel)).toBe(false);
+  });
+
+  test('should only roll encounters in dangerous zones', () => {
+    expect(travel.rollEncounter('underground', underground, () => 0)).toBeNull();
+
+    const encounter = travel.rollEncounter('darkweb', darkweb, () => 0);
+    expect(encounter.id).toBe('scammer');
+    expect(travel.rollEncounter('darkweb', darkweb, () => 0.5)).toBeNull();
+  });
+
+  test('should let stealth evasion shrink the encounter chance', () => {
+    expect(travel.rollEncounter('darkweb', darkweb, () => 0.3, 0.5)).toBeNull();
+    expect(travel.rollEncounter('darkweb', darkweb, () => 0.3, 0)).not.toBeNull();
+  });
+
+  test('should restore persisted travel state and discard junk', () => {
+    const trip = { from: 'foundation', to: 'darkweb', departedAt: 1, arrivesAt: 2 };
+
+    expect(travel.restoreTravel(JSON.stringify(trip))).toEqual(trip);
+    expect(travel.restoreTravel(trip)).toEqual(trip);
+    expect(travel.restoreTravel(null)).toBeNull();
+    expect(travel.restoreTravel('not json')).toBeNull();
+    expect(travel.restoreTravel({ to: 'darkweb' })).toBeNull();
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * World Boss Tests
+ * Unit tests for boss spawning, phases, the participation floor, loot and fight reports
+ */
+
+let worldBoss;
+
+beforeAll(async () => {
+  worldBoss = await import('../../src/game/worldBoss.js');
+});
+
+describe('World Boss', () => {
+  const now = Date.UTC(2025, 0, 1, 12);
+  const hour = 60 * 60 * 1000;
+  const rng = () => 0;
+
+  const spawn = (activeRebels = 10) => worldBoss.spawnBoss('omnicorp', { now, activeRebels, rng });
+
+  test('should scale health and the participation floor with active rebels', () => {
+    const small = spawn(5);
+    expect(small.maxHealth).toBe(worldBoss.WorldBossConfig.minHealth);
+    expect(small.requiredParticipants).toBe(worldBoss.WorldBossConfig.minParticipants);
+
+    const large = spawn(100);
+    expect(large.maxHealth).toBe(100 * worldBoss.WorldBossConfig.healthPerActiveRebel);
+    expect(large.requiredParticipants).toBe(40);
+    expect(large.endsAt.getTime()).toBe(now + worldBoss.WorldBossConfig.windowHours * hour);
+    expect(large.weakness).toBe('transparency');
+    expect(worldBoss.spawnBoss('nope', { now })).toBeNull();
+  });
+
+  test('should shift weaknesses and countermeasures as phases change', () => {
+    const boss = spawn();
+    const third = Math.ceil(boss.maxHealth * 0.34);
+
+    expect(worldBoss.applyBossDamage(boss, 'rebel-1', third, now).phase.name).toBe('Data Lockdown');
+    expect(boss.weakness).toBe('privacy');
+    expect(boss.countermeasureTypes).toEqual(['surveillance_sweep', 'cyber_attack']);
+
+    expect(worldBoss.applyBossDamage(boss, 'rebel-1', 10, now).phase).toBeNull();
+    expect(worldBoss.applyBossDamage(boss, 'rebel-2', third, now).phase.name).toBe('Total Monopoly');
+    expect(boss.alertLevel).toBe(5);
+  });
+
+  test('should hold the last hit point until enough rebels have joined', () => {
+    const boss = spawn();
+    boss.requiredParticipants = 3;
+
+    const held = worldBoss.applyBossDamage(boss, 'rebel-1', boss.maxHealth * 2, now);
+    expect(held).toMatchObject({ defeated: false, floorHeld: true, applied: boss.maxHealth - 1 });
+    expect(boss.health).toBe(1);
+
+    worldBoss.applyBossDamage(boss, 'rebel-2', 50, now);
+    expect(boss.health).toBe(1);
+
+    const finished = worldBoss.applyBossDamage(boss, 'rebel-3', 50, now);
+    expect(finished).toMatchObject({ defeated: true, applied: 1 });
+    expect(boss.status).toBe(worldBoss.WorldBossStatus.DEFEATED);
+    expect(boss.killingBlow).toBe('rebel-3');
+    expect(worldBoss.getBossBlocker(boss, now)).toContain('already fallen');
+  });
+
+  test('should escape when the window closes and spawn again after the interval', () => {
+    const boss = spawn();
+    expect(worldBoss.advanceBoss(boss, now + hour)).toBeNull();
+    expect(worldBoss.advanceBoss(boss, now + worldBoss.WorldBossConfig.windowHours * hour)).toBe('escaped');
+    expect(worldBoss.getBossBlocker(boss, now)).toContain('escaped');
+
+    const interval = worldBoss.WorldBossConfig.spawnIntervalHours * hour;
+    expect(worldBoss.shouldSpawn([boss], { now: now + interval - 1, activeRebels: 10 })).toBe(false);
+    expect(worldBoss.shouldSpawn([boss], { now: now + interval, activeRebels: 10 })).toBe(true);
+    expect(worldBoss.shouldSpawn([boss], { now: now + interval, activeRebels: 1 })).toBe(false);
+    expect(worldBoss.shouldSpawn([spawn()], { now: now + interval, activeRebels: 10 })).toBe(false);
+  });
+
+  test('should hand out loot from its own table by contribution rank', () => {
+    const boss = spawn();
+    boss.requiredParticipants = 1;
+    for (let i = 1; i <= 10; i++) {
+      worldBoss.applyBossDamage(boss, `rebel-${i}`, 100 * i, now);
+    }
+    worldBoss.applyBossDamage(boss, 'rebel-10', boss.maxHealth, now);
+
+    const payouts = worldBoss.calculateBossPayouts(boss, rng);
+    const { rewards } = worldBoss.WorldBossConfig;
+
+    expect(payouts.map(payout => payout.item.rarity)).toEqual([
+      'legendary', 'rare', 'rare', 'rare', 'rare', 'common', 'common', 'common', 'common', 'common'
+    ]);
+    expect(payouts[0].item.name).toBe(worldBoss.WorldBossTemplates.omnicorp.lootTable.legendary[0]);
+    expect(payouts[9]).toMatchObject({
+      userId: 'rebel-1',
+      loyalty: rewards.defeatLoyalty + 10,
+      credits: rewards.defeatCredits + 50
+    });
+  });
+
+  test('should pay escaped bosses a consolation without loot', () => {
+    const boss = spawn();
+    worldBoss.applyBossDamage(boss, 'rebel-1', 100, now);
+    worldBoss.advanceBoss(boss, now + worldBoss.WorldBossConfig.windowHours * hour);
+
+    const { rewards } = worldBoss.WorldBossConfig;
+    expect(worldBoss.calculateBossPayouts(boss, rng)).toEqual([
+      { userId: 'rebel-1', damage: 100, rank: 1, loyalty: rewards.escapeLoyalty, credits: rewards.escapeCredits, item: null }
+    ]);
+  });
+
+  test('should roll payouts once and reuse them for retried settlements', () => {
+    const boss = spawn();
+    boss.requiredParticipants = 1;
+    worldBoss.applyBossDamage(boss, 'rebel-1', boss.maxHealth, now);
+
+    const first = worldBoss.getBossPayouts(boss, () => 0);
+    const retry = worldBoss.getBossPayouts(boss, () => 0.99);
+    expect(retry).toBe(first);
+    expect(boss.payouts[0].item.rarity).toBe('legendary');
+  });
+
+  test('should report the top contributors of the fight', () => {
+    const boss = spawn();
+    ['rebel-1', 'rebel-2', 'rebel-3', 'rebel-4', 'rebel-5', 'rebel-6'].forEach((userId, index) => {
+      worldBoss.applyBossDamage(boss, userId, (index + 1) * 100, now);
+    });
+    worldBoss.advanceBoss(boss, now + worldBoss.WorldBossConfig.windowHours * hour);
+
+    const report = worldBoss.createBossReport(boss);
+    expect(report.outcome).toBe('escaped');
+    expect(report.topContributors.map(entry => entry.userId)).toEqual(['rebel-6', 'rebel-5', 'rebel-4', 'rebel-3', 'rebel-2']);
+    expect(report.totalContributors).toBe(6);
+    expect(report.totalDamage).toBe(2100);
+    expect(report.durationMinutes).toBe(worldBoss.WorldBossConfig.windowHours * 60);
+  });
+
+  test('should only refresh live status embeds after new hits, at most once per window', () => {
+    const boss = spawn();
+    boss.statusMessages = [{ channelId: 'channel-1', messageId: 'message-1' }];
+    expect(worldBoss.needsStatusRefresh(boss, now + hour)).toBe(false);
+
+    worldBoss.applyBossDamage(boss, 'rebel-1', 100, now + 1000);
+    expect(worldBoss.needsStatusRefresh(boss, now + 1000)).toBe(false);
+    expect(worldBoss.needsStatusRefresh(boss, now + worldBoss.WorldBossConfig.statusRefreshMs)).toBe(true);
+  });
+});
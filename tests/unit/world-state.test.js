@@ -0,0 +1,102 @@
+/**
+ * World State Tests
+ * Unit tests for per-guild isolation, the shared global war and backup round-trips
+ */
+
+let worldStateModule;
+
+beforeAll(async () => {
+  worldStateModule = await import('../../src/game/worldState.js');
+});
+
+describe('World State', () => {
+  let worldState;
+
+  const createCorporations = () => new Map([
+    ['openai', {
+      name: 'OpenAI Corp',
+      health: 10000,
+      maxHealth: 10000,
+      countermeasures: { active: [] },
+      intelligence: { knownRebels: new Set(), threatAssessment: new Map(), lastScan: null }
+    }]
+  ]);
+
+  beforeEach(() => {
+    worldState = new worldStateModule.WorldStateManager({ createCorporations, defaultMode: 'isolated' });
+  });
+
+  test('should give each isolated guild its own corporations', () => {
+    const first = worldState.getWorldForGuild('111');
+    const second = worldState.getWorldForGuild('222');
+
+    first.corporations.get('openai').health = 0;
+
+    expect(first.id).toBe('guild:111');
+    expect(second.corporations.get('openai').health).toBe(10000);
+  });
+
+  test('should share one world between guilds in global war mode', () => {
+    worldState.setGuildMode('111', 'global');
+    worldState.setGuildMode('222', 'global');
+
+    expect(worldState.getWorldForGuild('111')).toBe(worldState.getWorldForGuild('222'));
+    expect(worldState.isGuildInWorld('111', worldStateModule.GLOBAL_WORLD_ID)).toBe(true);
+    expect(worldState.isGuildInWorld('333', worldStateModule.GLOBAL_WORLD_ID)).toBe(false);
+    expect(() => worldState.setGuildMode('111', 'chaos')).toThrow('Unknown world mode');
+  });
+
+  test('should resolve the current world from the async context', async () => {
+    expect(worldState.getCurrentWorldId()).toBe('global');
+
+    const seen = await worldState.run('111', async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      return worldState.current().id;
+    });
+
+    expect(seen).toBe('guild:111');
+    expect(worldState.run(null, () => worldState.getCurrentWorldId())).toBe('global');
+  });
+
+  test('should visit every world in its own context', () => {
+    worldState.getWorldForGuild('111');
+    worldState.getWorldForGuild('222');
+
+    const visited = [];
+    worldState.forEachWorld(world => visited.push([world.id, worldState.getCurrentWorldId()]));
+
+    expect(visited).toEqual([['guild:111', 'guild:111'], ['guild:222', 'guild:222']]);
+  });
+
+  test('should round-trip worlds through a JSON backup', () => {
+    const world = worldState.getWorldForGuild('111');
+    const corporation = world.corporations.get('openai');
+    corporation.health = 4200;
+    corporation.intelligence.knownRebels.add('rebel-1');
+    corporation.intelligence.threatAssessment.set('rebel-1', 750);
+    world.marketplace.set('listing-1', { price: 100 });
+
+    const restored = new worldStateModule.WorldStateManager({ createCorporations });
+    expect(restored.restore({ worlds: JSON.parse(JSON.stringify(worldState.serialize())) })).toBe(1);
+
+    const restoredCorp = restored.getWorldForGuild('111').corporations.get('openai');
+    expect(restoredCorp.health).toBe(4200);
+    expect(restoredCorp.intelligence.knownRebels.has('rebel-1')).toBe(true);
+    expect(restoredCorp.intelligence.threatAssessment.get('rebel-1')).toBe(750);
+    expect(restored.getWorldForGuild('111').marketplace.get('listing-1')).toEqual({ price: 100 });
+  });
+
+  test('should restore single-world backups into the global world', () => {
+    const legacy = JSON.parse(JSON.stringify({
+      corporations: { openai: { ...createCorporations().get('openai'), health: 1234 } },
+      globalEvents: { 'event-1': { status: 'active' } }
+    }));
+
+    worldState.restore(legacy);
+    const world = worldState.getWorld('global');
+
+    expect(world.corporations.get('openai').health).toBe(1234);
+    expect(world.corporations.get('openai').intelligence.knownRebels).toBeInstanceOf(Set);
+    expect(world.globalEvents.get('event-1')).toEqual({ status: 'active' });
+  });
+});
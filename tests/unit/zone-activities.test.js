@@ -0,0 +1,80 @@
+/**
+ * Zone Activity Tests
+ * Unit tests for activity availability, success chances and reward rolls
+ */
+
+let zoneActivities;
+
+beforeAll(async () => {
+  zoneActivities = await import('../../src/game/zoneActivities.js');
+});
+
+describe('Zone Activities', () => {
+  let rebel;
+
+  beforeEach(() => {
+    rebel = global.testUtils.createTestRebel();
+  });
+
+  test('should list zone activities and point command ones elsewhere', () => {
+    const datacenter = { activities: ['raids', 'infiltration', 'data_liberation', 'unknown_activity'] };
+    const activities = zoneActivities.getZoneActivities(datacenter);
+
+    expect(activities.map(activity => activity.id)).toEqual(['raids', 'infiltration', 'data_liberation']);
+    expect(zoneActivities.isPlayable(activities[0])).toBe(false);
+    expect(activities[0].command).toBe('/raid');
+    expect(zoneActivities.isPlayable(activities[1])).toBe(true);
+  });
+
+  test('should scale success chance with the governing stat', () => {
+    const infiltration = zoneActivities.getActivity('infiltration');
+
+    expect(zoneActivities.getSuccessChance(infiltration, rebel)).toBeCloseTo(0.55);
+    rebel.stats.stealth = 20;
+    expect(zoneActivities.getSuccessChance(infiltration, rebel)).toBeCloseTo(0.75);
+    rebel.stats.stealth = 100;
+    expect(zoneActivities.getSuccessChance(infiltration, rebel)).toBe(zoneActivities.ActivityConfig.maxSuccessChance);
+  });
+
+  test('should block activities the rebel cannot afford', () => {
+    const toolAcquisition = zoneActivities.getActivity('tool_acquisition');
+
+    expect(zoneActivities.getActivityBlocker(toolAcquisition, rebel, 500)).toBeNull();
+    expect(zoneActivities.getActivityBlocker(toolAcquisition, rebel, 100)).toContain('Not enough credits');
+    rebel.energy = 5;
+    expect(zoneActivities.getActivityBlocker(toolAcquisition, rebel, 500)).toContain('Not enough energy');
+  });
+
+  test('should pay zone-fitting rewards on success', () => {
+    const infiltration = zoneActivities.getActivity('infiltration');
+    const result = zoneActivities.rollActivity(infiltration, rebel, () => 0);
+
+    expect(result.success).toBe(true);
+    expect(result.credits).toBe(100);
+    expect(result.experience).toBe(50);
+    expect(result.item).toEqual({ name: 'Corporate Secrets', rarity: 'rare', value: 80 });
+    expect(result.effect).toBeNull();
+  });
+
+  test('should apply zone loyalty and loot modifiers to rewards', () => {
+    const contribution = zoneActivities.getActivity('open_source_contribution');
+    const result = zoneActivities.rollActivity(contribution, rebel, () => 0, {
+      loyaltyMultiplier: 1.5,
+      lootMultiplier: 2
+    });
+
+    expect(result.loyalty).toBe(45);
+    expect(result.credits).toBe(60);
+  });
+
+  test('should give partial experience and a setback on failure', () => {
+    const infiltration = zoneActivities.getActivity('infiltration');
+    const result = zoneActivities.rollActivity(infiltration, rebel, () => 0.99);
+
+    expect(result.success).toBe(false);
+    expect(result.experience).toBe(12);
+    expect(result.credits).toBe(0);
+    expect(result.item).toBeNull();
+    expect(result.effect).toBe('surveilled');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Zone Modifier Tests
+ * Unit tests for turning zone bonus tags into gameplay modifiers
+ */
+
+let zoneModifiers;
+
+beforeAll(async () => {
+  zoneModifiers = await import('../../src/game/zoneModifiers.js');
+});
+
+describe('Zone Modifiers', () => {
+  const datacenter = { name: 'Corporate Datacenters', bonuses: ['damage_boost', 'rare_loot'] };
+  const underground = { name: 'Underground Networks', bonuses: ['loyalty_boost', 'team_coordination'] };
+  const darkweb = { name: 'The Dark Web', bonuses: ['rare_items', 'intel_access'] };
+  const foundation = { name: 'The Foundation', bonuses: ['energy_regen', 'mission_generation', 'sanctuary_protection'] };
+
+  test('should fall back to neutral modifiers outside any zone', () => {
+    expect(zoneModifiers.getZoneModifiers(undefined)).toEqual(zoneModifiers.DefaultZoneModifiers);
+    expect(zoneModifiers.getZoneModifiers(foundation).damageMultiplier).toBe(1);
+  });
+
+  test('should boost raids and loot in the datacenters', () => {
+    const modifiers = zoneModifiers.getZoneModifiers(datacenter);
+
+    expect(modifiers.damageMultiplier).toBe(1.2);
+    expect(modifiers.lootMultiplier).toBe(1.25);
+    expect(modifiers.rarityBonus).toBe(0.6);
+    expect(modifiers.loyaltyMultiplier).toBe(1);
+  });
+
+  test('should read the rebel\'s current zone', () => {
+    const zones = new Map([['underground', underground]]);
+    const rebel = global.testUtils.createTestRebel({ currentZone: 'underground' });
+
+    expect(zoneModifiers.getRebelZoneModifiers(rebel, zones).loyaltyMultiplier).toBe(1.5);
+
+    rebel.travel = { from: 'underground', to: 'foundation', departedAt: 0, arrivesAt: 1 };
+    expect(zoneModifiers.getRebelZoneModifiers(rebel, zones)).toEqual(zoneModifiers.DefaultZoneModifiers);
+  });
+
+  test('should scale formation bonuses with the share of the party coordinating', () => {
+    const formation = { damageBonus: 1.2, energyCost: 0.8, stealthBonus: 0.7 };
+
+    expect(zoneModifiers.applyFormationModifiers(formation, [datacenter])).toBe(formation);
+
+    const half = zoneModifiers.applyFormationModifiers(formation, [underground, datacenter]);
+    expect(half.damageBonus).toBeCloseTo(1.25);
+    expect(half.stealthBonus).toBeCloseTo(0.775);
+
+    const full = zoneModifiers.applyFormationModifiers(formation, [underground, underground]);
+    expect(full.stealthBonus).toBeCloseTo(0.85);
+    expect(formation.damageBonus).toBe(1.2);
+  });
+
+  test('should open the black market and free scouting on the dark web', () => {
+    const outside = zoneModifiers.getZoneModifiers(datacenter);
+    const inside = zoneModifiers.getZoneModifiers(darkweb);
+
+    expect(zoneModifiers.canAccessMarketCategory(outside, 'rare')).toBe(false);
+    expect(zoneModifiers.canAccessMarketCategory(outside, 'weapons')).toBe(true);
+    expect(zoneModifiers.canAccessMarketCategory(inside, 'rare')).toBe(true);
+    expect(inside.marketTaxMultiplier).toBe(0.5);
+    expect(zoneModifiers.getScoutCost(15, inside)).toBe(0);
+    expect(zoneModifiers.getScoutCost(15, outside)).toBe(15);
+  });
+
+  test('should describe known bonuses and pass through unknown ones', () => {
+    const text = zoneModifiers.formatZoneBonuses(foundation);
+
+    expect(text).toContain('Energy Regen');
+    expect(text).toContain('mission_generation');
+  });
+});